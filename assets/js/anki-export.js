@@ -0,0 +1,504 @@
+/**
+ * Portal de Notas HTML - Exportação para o Anki
+ *
+ * Transforma os bancos de questões das notas (`questions`/`quizData`, lidos
+ * pelo QuestionBank) em cartões do Anki:
+ * - Frente: enunciado e alternativas com letras (A, B, C...)
+ * - Verso: letra correta e a explicação (HTML da nota)
+ * - Baralho: nome do caderno
+ * - Etiquetas: tópico da questão e sequência da nota (ex: `Concausas DP_008`)
+ *
+ * Formatos:
+ * - .apkg: pacote do Anki (ZIP com a coleção SQLite), importado direto
+ * - .tsv/.csv: texto com os cabeçalhos de importação do Anki (2.1.55+)
+ *
+ * Cada questão tem um GUID estável (arquivo + índice), então reimportar
+ * atualiza os cartões em vez de duplicá-los. Tudo roda no navegador (offline)
+ * e no Node (scripts/export-anki.js), sem dependências.
+ *
+ * @author Portal de Notas HTML
+ * @version 1.0.0
+ * @requires ES2020+, QuestionBank, NoteFileName, SqliteWriter, ZipWriter
+ */
+
+'use strict';
+
+/**
+ * Formatos de exportação
+ */
+const ANKI_FORMATS = {
+    apkg: { label: 'Pacote do Anki (.apkg)', extension: 'apkg' },
+    tsv: { label: 'Texto separado por tabulação (.tsv)', extension: 'tsv', separator: '\t', name: 'tab' },
+    csv: { label: 'CSV (.csv)', extension: 'csv', separator: ',', name: 'comma' }
+};
+
+/**
+ * Tipo de nota do Anki usado no .apkg
+ */
+const ANKI_NOTETYPE = {
+    name: 'Portal de Notas — Questão',
+    fields: ['Frente', 'Verso'],
+    template: 'Cartão 1',
+    qfmt: '{{Frente}}',
+    afmt: '{{FrontSide}}\n\n<hr id=answer>\n\n{{Verso}}',
+    css: [
+        '.card { font-family: arial, sans-serif; font-size: 18px; text-align: left; color: black; background-color: white; }',
+        '.enunciado { margin-bottom: 12px; }',
+        '.alternativa { margin: 6px 0; }',
+        '.gabarito { font-weight: bold; margin-bottom: 8px; }'
+    ].join('\n')
+};
+
+/**
+ * Esquema da coleção do Anki (versão 11, a lida por todas as versões do Anki)
+ */
+const ANKI_SCHEMA = {
+    col: {
+        sql: 'CREATE TABLE col (id integer primary key, crt integer not null, mod integer not null, scm integer not null, ver integer not null, dty integer not null, usn integer not null, ls integer not null, conf text not null, models text not null, decks text not null, dconf text not null, tags text not null)',
+        columns: ['id', 'crt', 'mod', 'scm', 'ver', 'dty', 'usn', 'ls', 'conf', 'models', 'decks', 'dconf', 'tags']
+    },
+    notes: {
+        sql: 'CREATE TABLE notes (id integer primary key, guid text not null, mid integer not null, mod integer not null, usn integer not null, tags text not null, flds text not null, sfld integer not null, csum integer not null, flags integer not null, data text not null)',
+        columns: ['id', 'guid', 'mid', 'mod', 'usn', 'tags', 'flds', 'sfld', 'csum', 'flags', 'data']
+    },
+    cards: {
+        sql: 'CREATE TABLE cards (id integer primary key, nid integer not null, did integer not null, ord integer not null, mod integer not null, usn integer not null, type integer not null, queue integer not null, due integer not null, ivl integer not null, factor integer not null, reps integer not null, lapses integer not null, left integer not null, odue integer not null, odid integer not null, flags integer not null, data text not null)',
+        columns: ['id', 'nid', 'did', 'ord', 'mod', 'usn', 'type', 'queue', 'due', 'ivl', 'factor', 'reps', 'lapses', 'left', 'odue', 'odid', 'flags', 'data']
+    },
+    revlog: {
+        sql: 'CREATE TABLE revlog (id integer primary key, cid integer not null, usn integer not null, ease integer not null, ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null, type integer not null)',
+        columns: ['id', 'cid', 'usn', 'ease', 'ivl', 'lastIvl', 'factor', 'time', 'type']
+    },
+    graves: {
+        sql: 'CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null)',
+        columns: ['usn', 'oid', 'type']
+    }
+};
+
+const ANKI_INDEXES = [
+    ['ix_notes_usn', 'notes', ['usn']],
+    ['ix_cards_usn', 'cards', ['usn']],
+    ['ix_revlog_usn', 'revlog', ['usn']],
+    ['ix_cards_nid', 'cards', ['nid']],
+    ['ix_cards_sched', 'cards', ['did', 'queue', 'due']],
+    ['ix_revlog_cid', 'revlog', ['cid']],
+    ['ix_notes_csum', 'notes', ['csum']]
+];
+
+/**
+ * Conversor das questões em cartões e arquivos do Anki
+ */
+class AnkiExport {
+    /**
+     * Resolve uma dependência no navegador (global) ou no Node (require)
+     *
+     * @param {string} name Nome da classe
+     * @param {string} file Módulo em assets/js/
+     * @returns {Function} Classe
+     */
+    static dependency(name, file) {
+        if (typeof window !== 'undefined' && window[name]) return window[name];
+        return require(file)[name];
+    }
+
+    /**
+     * Monta os cartões das notas, na ordem recebida
+     *
+     * @param {Array} notes Notas { name, deck, questions: [{ index, question, options, answer, explanation, topic }] }
+     * @returns {Array} Cartões { id, guid, deck, front, back, tags }
+     */
+    static toCards(notes) {
+        const NoteFileName = AnkiExport.dependency('NoteFileName', './note-filename.js');
+
+        return notes.flatMap(note => {
+            const { subject, sequence } = NoteFileName.parse(note.name);
+            const sequenceTag = subject && sequence !== null ? `${subject}_${String(sequence).padStart(3, '0')}` : null;
+
+            return note.questions
+                .filter(question => question.question && question.options.length > 0)
+                .map(question => {
+                    const id = `${note.name}#${question.index}`;
+                    const tags = [AnkiExport.tag(question.topic), sequenceTag].filter(Boolean);
+
+                    return {
+                        id,
+                        guid: AnkiExport.sha1(`portal-de-notas:${id}`).slice(0, 16),
+                        deck: note.deck,
+                        front: AnkiExport.renderFront(question),
+                        back: AnkiExport.renderBack(question),
+                        tags: [...new Set(tags)]
+                    };
+                });
+        });
+    }
+
+    /**
+     * @param {Object} question Questão
+     * @returns {string} HTML da frente: enunciado e alternativas
+     */
+    static renderFront(question) {
+        const lines = text => String(text).trim().replace(/\r?\n/g, '<br>');
+        const options = question.options
+            .map((option, index) => `<div class="alternativa"><b>${AnkiExport.letter(index)})</b> ${lines(option)}</div>`)
+            .join('');
+        return `<div class="enunciado">${lines(question.question)}</div><div class="alternativas">${options}</div>`;
+    }
+
+    /**
+     * @param {Object} question Questão
+     * @returns {string} HTML do verso: letra correta e explicação
+     */
+    static renderBack(question) {
+        const explanation = String(question.explanation || '').trim();
+        return `<div class="gabarito">Gabarito: ${AnkiExport.letter(question.answer)}</div>` +
+            (explanation ? `<div class="explicacao">${explanation}</div>` : '');
+    }
+
+    /**
+     * @param {number} index Índice da alternativa
+     * @returns {string} Letra (A, B, C...) ou "?" se não houver gabarito
+     */
+    static letter(index) {
+        return Number.isInteger(index) && index >= 0 ? String.fromCharCode(65 + index) : '?';
+    }
+
+    /**
+     * Etiqueta do Anki a partir de um tópico (sem espaços)
+     *
+     * @param {string} topic Tópico da questão
+     * @returns {string} Etiqueta ou '' sem tópico
+     */
+    static tag(topic) {
+        const QuestionBank = AnkiExport.dependency('QuestionBank', './question-bank.js');
+        return QuestionBank.stripHtml(topic || '').replace(/["\s]+/g, '_').replace(/^_+|_+$/g, '');
+    }
+
+    /**
+     * Arquivo de texto para a importação do Anki (Arquivo → Importar)
+     * Os cabeçalhos indicam HTML, baralho, etiquetas e GUID por coluna.
+     *
+     * @param {Array} cards Cartões de toCards()
+     * @param {string} [format='tsv'] 'tsv' ou 'csv'
+     * @returns {string} Conteúdo do arquivo
+     */
+    static toText(cards, format = 'tsv') {
+        const { separator, name } = ANKI_FORMATS[format] && ANKI_FORMATS[format].separator ? ANKI_FORMATS[format] : ANKI_FORMATS.tsv;
+        const quote = value => (/["\r\n]/.test(value) || value.includes(separator) ? `"${value.replace(/"/g, '""')}"` : value);
+
+        const lines = [
+            `#separator:${name}`,
+            '#html:true',
+            '#guid column:1',
+            '#deck column:4',
+            '#tags column:5',
+            `#columns:${['GUID', 'Frente', 'Verso', 'Baralho', 'Etiquetas'].join(separator)}`,
+            ...cards.map(card => [card.guid, card.front, card.back, card.deck, card.tags.join(' ')].map(quote).join(separator))
+        ];
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Pacote .apkg com um baralho por caderno
+     *
+     * @param {Array} cards Cartões de toCards()
+     * @param {Object} [options]
+     * @param {Date} [options.now] Data da exportação (ids e datas de modificação)
+     * @returns {Uint8Array} Conteúdo do arquivo .apkg
+     */
+    static toApkg(cards, { now = new Date() } = {}) {
+        const SqliteWriter = AnkiExport.dependency('SqliteWriter', './sqlite-writer.js');
+        const ZipWriter = AnkiExport.dependency('ZipWriter', './zip-writer.js');
+        const QuestionBank = AnkiExport.dependency('QuestionBank', './question-bank.js');
+
+        const millis = now.getTime();
+        const seconds = Math.floor(millis / 1000);
+        const deckIds = new Map([...new Set(cards.map(card => card.deck))]
+            .map(deck => [deck, AnkiExport.idFor(`deck:${deck}`)]));
+        const modelId = AnkiExport.idFor(`notetype:${ANKI_NOTETYPE.name}`);
+        const firstDeck = deckIds.size > 0 ? [...deckIds.values()][0] : 1;
+
+        const db = new SqliteWriter();
+        Object.entries(ANKI_SCHEMA).forEach(([table, { sql, columns }]) => {
+            db.addTable(table, sql, { columns, rowid: columns[0] === 'id' ? 'id' : null });
+        });
+        ANKI_INDEXES.forEach(([name, table, columns]) => {
+            db.addIndex(name, table, columns, `CREATE INDEX ${name} on ${table} (${columns.join(', ')})`);
+        });
+
+        db.insert('col', {
+            id: 1,
+            crt: Math.floor(new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime() / 1000),
+            mod: millis,
+            scm: millis,
+            ver: 11,
+            dty: 0,
+            usn: 0,
+            ls: 0,
+            conf: JSON.stringify(AnkiExport.collectionConfig(firstDeck, modelId)),
+            models: JSON.stringify({ [modelId]: AnkiExport.notetype(modelId, firstDeck, seconds) }),
+            decks: JSON.stringify(AnkiExport.decks(deckIds, seconds)),
+            dconf: JSON.stringify(AnkiExport.deckConfig()),
+            tags: '{}'
+        });
+
+        cards.forEach((card, position) => {
+            const sortField = QuestionBank.stripHtml(card.front);
+            db.insert('notes', {
+                id: millis + position,
+                guid: card.guid,
+                mid: modelId,
+                mod: seconds,
+                usn: -1,
+                tags: card.tags.length > 0 ? ` ${card.tags.join(' ')} ` : '',
+                flds: [card.front, card.back].join('\x1f'),
+                sfld: sortField,
+                csum: parseInt(AnkiExport.sha1(sortField).slice(0, 8), 16),
+                flags: 0,
+                data: ''
+            });
+            db.insert('cards', {
+                id: millis + position,
+                nid: millis + position,
+                did: deckIds.get(card.deck),
+                ord: 0,
+                mod: seconds,
+                usn: -1,
+                type: 0, // Novo
+                queue: 0,
+                due: position + 1, // Ordem de apresentação dos novos
+                ivl: 0,
+                factor: 0,
+                reps: 0,
+                lapses: 0,
+                left: 0,
+                odue: 0,
+                odid: 0,
+                flags: 0,
+                data: ''
+            });
+        });
+
+        const zip = new ZipWriter();
+        zip.add('collection.anki2', db.toBytes(), now);
+        zip.add('media', '{}', now); // Sem arquivos de mídia
+        return zip.toBytes();
+    }
+
+    /**
+     * @param {number} deckId Baralho atual
+     * @param {number} modelId Tipo de nota atual
+     * @returns {Object} Configuração da coleção (col.conf)
+     */
+    static collectionConfig(deckId, modelId) {
+        return {
+            activeDecks: [deckId],
+            curDeck: deckId,
+            newSpread: 0,
+            collapseTime: 1200,
+            timeLim: 0,
+            estTimes: true,
+            dueCounts: true,
+            curModel: modelId,
+            nextPos: 1,
+            sortType: 'noteFld',
+            sortBackwards: false,
+            addToCur: true
+        };
+    }
+
+    /**
+     * @param {number} id Id do tipo de nota
+     * @param {number} deckId Baralho padrão
+     * @param {number} seconds Data de modificação
+     * @returns {Object} Tipo de nota (col.models)
+     */
+    static notetype(id, deckId, seconds) {
+        return {
+            id,
+            name: ANKI_NOTETYPE.name,
+            type: 0,
+            mod: seconds,
+            usn: -1,
+            sortf: 0,
+            did: deckId,
+            tmpls: [{
+                name: ANKI_NOTETYPE.template,
+                ord: 0,
+                qfmt: ANKI_NOTETYPE.qfmt,
+                afmt: ANKI_NOTETYPE.afmt,
+                bqfmt: '',
+                bafmt: '',
+                did: null
+            }],
+            flds: ANKI_NOTETYPE.fields.map((name, ord) => ({
+                name,
+                ord,
+                sticky: false,
+                rtl: false,
+                font: 'Arial',
+                size: 20,
+                media: []
+            })),
+            css: ANKI_NOTETYPE.css,
+            latexPre: '\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage[utf8]{inputenc}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n',
+            latexPost: '\\end{document}',
+            latexsvg: false,
+            req: [[0, 'any', [0]]],
+            tags: [],
+            vers: []
+        };
+    }
+
+    /**
+     * @param {Map<string, number>} deckIds Nome → id dos baralhos
+     * @param {number} seconds Data de modificação
+     * @returns {Object} Baralhos (col.decks), com o "Default" exigido pelo Anki
+     */
+    static decks(deckIds, seconds) {
+        const deck = (id, name) => ({
+            id,
+            name,
+            desc: id === 1 ? '' : 'Questões exportadas do Portal de Notas HTML',
+            mod: seconds,
+            usn: -1,
+            dyn: 0,
+            conf: 1,
+            collapsed: false,
+            browserCollapsed: false,
+            extendNew: 0,
+            extendRev: 0,
+            newToday: [0, 0],
+            revToday: [0, 0],
+            lrnToday: [0, 0],
+            timeToday: [0, 0]
+        });
+
+        const decks = { 1: deck(1, 'Default') };
+        deckIds.forEach((id, name) => {
+            decks[id] = deck(id, name);
+        });
+        return decks;
+    }
+
+    /**
+     * @returns {Object} Opções de estudo padrão (col.dconf)
+     */
+    static deckConfig() {
+        return {
+            1: {
+                id: 1,
+                name: 'Default',
+                mod: 0,
+                usn: 0,
+                maxTaken: 60,
+                autoplay: true,
+                timer: 0,
+                replayq: true,
+                dyn: false,
+                new: { delays: [1, 10], ints: [1, 4, 0], initialFactor: 2500, order: 1, perDay: 20, bury: false },
+                rev: { perDay: 200, ease4: 1.3, ivlFct: 1, maxIvl: 36500, hardFactor: 1.2, bury: false },
+                lapse: { delays: [10], mult: 0, minInt: 1, leechFails: 8, leechAction: 1 }
+            }
+        };
+    }
+
+    /**
+     * Id numérico estável a partir de um texto (baralhos e tipo de nota)
+     *
+     * @param {string} text Texto
+     * @returns {number} Id na faixa dos ids do Anki (milissegundos)
+     */
+    static idFor(text) {
+        return 1000000000000 + parseInt(AnkiExport.sha1(text).slice(0, 10), 16);
+    }
+
+    /**
+     * Nome do arquivo exportado
+     *
+     * @param {string} label Caderno ou seleção
+     * @param {string} format Chave de ANKI_FORMATS
+     * @returns {string} Nome do arquivo
+     */
+    static fileName(label, format) {
+        const slug = String(label || 'notas')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '') || 'notas';
+        return `anki-${slug}.${(ANKI_FORMATS[format] || ANKI_FORMATS.apkg).extension}`;
+    }
+
+    /**
+     * SHA-1 de um texto (UTF-8), usado na soma de verificação do Anki e nos ids
+     *
+     * @param {string} text Texto
+     * @returns {string} Hash em hexadecimal
+     */
+    static sha1(text) {
+        const bytes = new TextEncoder().encode(text);
+        const words = new Uint32Array((((bytes.length + 8) >> 6) + 1) * 16);
+        bytes.forEach((byte, i) => {
+            words[i >> 2] |= byte << (24 - (i % 4) * 8);
+        });
+        words[bytes.length >> 2] |= 0x80 << (24 - (bytes.length % 4) * 8);
+        words[words.length - 1] = bytes.length * 8;
+
+        const rotate = (value, bits) => ((value << bits) | (value >>> (32 - bits))) >>> 0;
+        const hash = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476, 0xc3d2e1f0];
+        const schedule = new Uint32Array(80);
+
+        for (let block = 0; block < words.length; block += 16) {
+            for (let t = 0; t < 80; t++) {
+                schedule[t] = t < 16
+                    ? words[block + t]
+                    : rotate(schedule[t - 3] ^ schedule[t - 8] ^ schedule[t - 14] ^ schedule[t - 16], 1);
+            }
+
+            let [a, b, c, d, e] = hash;
+            for (let t = 0; t < 80; t++) {
+                let f;
+                let k;
+                if (t < 20) {
+                    f = (b & c) | (~b & d);
+                    k = 0x5a827999;
+                } else if (t < 40) {
+                    f = b ^ c ^ d;
+                    k = 0x6ed9eba1;
+                } else if (t < 60) {
+                    f = (b & c) | (b & d) | (c & d);
+                    k = 0x8f1bbcdc;
+                } else {
+                    f = b ^ c ^ d;
+                    k = 0xca62c1d6;
+                }
+                const temp = (rotate(a, 5) + (f >>> 0) + e + k + schedule[t]) >>> 0;
+                e = d;
+                d = c;
+                c = rotate(b, 30);
+                b = a;
+                a = temp;
+            }
+
+            [a, b, c, d, e].forEach((value, i) => {
+                hash[i] = (hash[i] + value) >>> 0;
+            });
+        }
+
+        return hash.map(value => value.toString(16).padStart(8, '0')).join('');
+    }
+}
+
+AnkiExport.FORMATS = ANKI_FORMATS;
+AnkiExport.NOTETYPE = ANKI_NOTETYPE;
+
+if (typeof window !== 'undefined') {
+    window.AnkiExport = AnkiExport;
+}
+
+/**
+ * Exportação para módulos (se suportado)
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AnkiExport };
+}
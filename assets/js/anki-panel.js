@@ -0,0 +1,272 @@
+/**
+ * Portal de Notas HTML - Painel de Exportação para o Anki
+ *
+ * Painel "Exportar para o Anki": escolha do caderno (ou de todos), das notas
+ * e do formato (.apkg, .tsv ou .csv). As notas são lidas pelo QuestionLibrary
+ * (cache do navegador quando offline) e o arquivo é montado no próprio
+ * navegador pelo AnkiExport, sem servidor.
+ *
+ * @author Portal de Notas HTML
+ * @version 1.0.0
+ * @requires ES2020+, PortalPanel, AnkiExport, QuestionLibrary
+ */
+
+'use strict';
+
+/**
+ * Controlador do painel de exportação para o Anki
+ */
+class AnkiPanel {
+    /**
+     * @param {NotesPortal} portal Instância do portal
+     */
+    constructor(portal) {
+        this.portal = portal;
+        this.category = 'todos';
+        this.selected = new Set(); // Notas marcadas
+        this.format = 'apkg';
+        this.busy = false;
+
+        this.panel = new PortalPanel({
+            id: 'anki-panel',
+            button: 'anki-btn',
+            name: 'anki',
+            title: '🃏 Exportar para o Anki',
+            titleId: 'anki-title',
+            closeLabel: 'Fechar exportação para o Anki',
+            onOpen: () => this.open(),
+            actions: {
+                close: () => this.close(),
+                'select-all': () => this.selectAll(true),
+                'select-none': () => this.selectAll(false),
+                export: () => this.export()
+            }
+        });
+        this.elements = { panel: this.panel.element, button: this.panel.button };
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Configura os campos do painel (os cliques ficam com o PortalPanel)
+     */
+    setupEventListeners() {
+        if (!this.elements.panel) return;
+
+        this.elements.panel.addEventListener('change', (e) => {
+            if (e.target.matches('[data-anki-category]')) {
+                this.category = e.target.value;
+                this.selected = new Set(this.getFiles().map(file => file.name));
+                this.render();
+            }
+            if (e.target.matches('[data-anki-note]')) {
+                if (e.target.checked) this.selected.add(e.target.value);
+                else this.selected.delete(e.target.value);
+                this.updateCount();
+            }
+            if (e.target.matches('[name="anki-format"]')) {
+                this.format = e.target.value;
+            }
+        });
+    }
+
+    /**
+     * Abre o painel no caderno da aba ativa, com todas as notas marcadas
+     */
+    open() {
+        if (!this.elements.panel) return;
+
+        this.category = this.portal.categories[this.portal.activeCategory] ? this.portal.activeCategory : 'todos';
+        this.selected = new Set(this.getFiles().map(file => file.name));
+        this.render();
+        this.panel.show();
+    }
+
+    /**
+     * Fecha o painel
+     */
+    close() {
+        this.panel.hide();
+    }
+
+    /**
+     * Notas do caderno escolhido, na ordem do caderno
+     *
+     * @returns {Array} Arquivos do portal
+     */
+    getFiles() {
+        if (this.category === 'todos') {
+            return Object.values(this.portal.categories).flatMap(category => category.files);
+        }
+        const category = this.portal.categories[this.category];
+        return category ? category.files : [];
+    }
+
+    /**
+     * Formulário: caderno, notas e formato
+     */
+    render() {
+        const files = this.getFiles();
+        const categories = Object.entries(this.portal.categories).filter(([, category]) => category.files.length > 0);
+
+        this.elements.panel.innerHTML = `
+            ${this.panel.renderHeader('Um baralho por caderno • funciona offline')}
+            <div class="exam-options">
+                <label>
+                    Caderno
+                    <select data-anki-category>
+                        <option value="todos" ${this.category === 'todos' ? 'selected' : ''}>📋 Todos os cadernos</option>
+                        ${categories.map(([key, category]) => `<option value="${this.portal.escapeHtml(key)}" ${this.category === key ? 'selected' : ''}>${this.portal.formatCategoryLabel(category)}</option>`).join('')}
+                    </select>
+                </label>
+                <button class="btn" type="button" data-anki-action="select-all">☑️ Marcar todas</button>
+                <button class="btn" type="button" data-anki-action="select-none">⬜ Desmarcar todas</button>
+                <span class="exam-hint anki-count" aria-live="polite"></span>
+            </div>
+            <ul class="anki-notes">
+                ${files.map(file => {
+                    const meta = this.portal.getFileMeta(file.name);
+                    const code = meta.subject && meta.sequence !== null ? `${meta.subject} ${String(meta.sequence).padStart(3, '0')} · ` : '';
+                    return `
+                        <li>
+                            <label>
+                                <input type="checkbox" value="${this.portal.escapeHtml(file.name)}" data-anki-note ${this.selected.has(file.name) ? 'checked' : ''}>
+                                ${this.portal.escapeHtml(code + meta.title)}
+                            </label>
+                        </li>
+                    `;
+                }).join('')}
+            </ul>
+            <fieldset class="exam-categories">
+                <legend>Formato</legend>
+                ${Object.entries(AnkiExport.FORMATS).map(([key, format]) => `
+                    <label class="exam-category">
+                        <input type="radio" name="anki-format" value="${key}" ${this.format === key ? 'checked' : ''}>
+                        ${format.label}
+                    </label>
+                `).join('')}
+            </fieldset>
+            <p class="exam-hint">Frente: enunciado e alternativas • Verso: letra correta e explicação • Etiquetas: tópico e sequência da nota. Reimportar atualiza os cartões sem duplicar.</p>
+            <button class="btn btn-primary" type="button" data-anki-action="export">📤 Exportar</button>
+            <p class="plan-status anki-status" role="status"></p>
+        `;
+        this.updateCount();
+    }
+
+    /**
+     * Marca ou desmarca todas as notas da lista
+     *
+     * @param {boolean} checked Marcar (true) ou desmarcar (false)
+     */
+    selectAll(checked) {
+        this.selected = new Set(checked ? this.getFiles().map(file => file.name) : []);
+        this.elements.panel.querySelectorAll('[data-anki-note]').forEach(input => {
+            input.checked = checked;
+        });
+        this.updateCount();
+    }
+
+    /**
+     * Atualiza o contador de notas marcadas
+     */
+    updateCount() {
+        const count = this.elements.panel.querySelector('.anki-count');
+        const total = this.getFiles().length;
+        const selected = this.getFiles().filter(file => this.selected.has(file.name)).length;
+        if (count) count.textContent = `${selected} de ${total} nota${total !== 1 ? 's' : ''} marcada${selected !== 1 ? 's' : ''}`;
+    }
+
+    /**
+     * Mostra uma mensagem no painel
+     *
+     * @param {string} message Texto
+     * @param {boolean} [isError=false] Mensagem de erro
+     */
+    showStatus(message, isError = false) {
+        const status = this.elements.panel && this.elements.panel.querySelector('.anki-status');
+        if (!status) return;
+        status.textContent = message;
+        status.classList.toggle('is-error', isError);
+    }
+
+    /**
+     * Lê as notas marcadas, monta o arquivo e inicia o download
+     */
+    async export() {
+        if (this.busy) return;
+
+        const files = this.getFiles().filter(file => this.selected.has(file.name));
+        if (files.length === 0) {
+            this.showStatus('⚠️ Marque ao menos uma nota.', true);
+            return;
+        }
+
+        this.busy = true;
+        this.showStatus('⏳ Lendo as questões das notas...');
+
+        try {
+            const notes = await this.portal.questionLibrary.loadNotes(files);
+            const cards = AnkiExport.toCards(notes.map(note => ({
+                name: note.name,
+                deck: (this.portal.categories[note.category] || {}).name || note.category,
+                questions: note.questions
+            })));
+            if (cards.length === 0) {
+                this.showStatus('⚠️ Nenhuma questão encontrada nas notas marcadas.', true);
+                return;
+            }
+
+            const allSelected = files.length === this.getFiles().length;
+            const label = allSelected
+                ? (this.category === 'todos' ? 'todos' : this.portal.categories[this.category].name)
+                : 'selecao';
+            const content = this.format === 'apkg'
+                ? AnkiExport.toApkg(cards)
+                : AnkiExport.toText(cards, this.format);
+            const type = this.format === 'apkg' ? 'application/octet-stream' : 'text/plain;charset=utf-8';
+
+            AnkiPanel.download(content, AnkiExport.fileName(label, this.format), type);
+
+            const decks = new Set(cards.map(card => card.deck)).size;
+            const failed = files.length - notes.length;
+            console.log(`🃏 [ANKI] ${cards.length} cartões em ${decks} baralho(s) (${this.format})`);
+            this.showStatus(`✅ ${cards.length} cartões em ${decks} baralho(s) exportados.` +
+                (failed > 0 ? ` ${failed} nota(s) não puderam ser lidas.` : ''));
+        } catch (error) {
+            console.error('❌ [ANKI] Erro ao exportar:', error);
+            this.showStatus('❌ Não foi possível exportar as questões.', true);
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    /**
+     * Baixa o arquivo gerado
+     *
+     * @param {Uint8Array|string} content Conteúdo
+     * @param {string} fileName Nome do arquivo
+     * @param {string} type Tipo MIME
+     */
+    static download(content, fileName, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.AnkiPanel = AnkiPanel;
+}
+
+/**
+ * Exportação para módulos (se suportado)
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AnkiPanel };
+}
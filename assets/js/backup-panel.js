@@ -0,0 +1,288 @@
+/**
+ * Portal de Notas HTML - Painel de Backup
+ *
+ * Exporta os dados locais do portal para um arquivo JSON e importa um
+ * arquivo de backup com prévia das mudanças (mesclar ou substituir).
+ * Depois da importação a página é recarregada para que todos os módulos
+ * leiam os dados novos.
+ *
+ * @author Portal de Notas HTML
+ * @version 1.0.0
+ * @requires ES6+, PortalPanel, DataBackup, FileReader
+ */
+
+'use strict';
+
+/**
+ * Rótulos das ações do plano de importação
+ */
+const BACKUP_ACTION_LABELS = {
+    add: '➕ Adicionar',
+    update: '✏️ Substituir',
+    merge: '🔀 Mesclar',
+    remove: '🗑️ Remover',
+    keep: '✔️ Manter'
+};
+
+/**
+ * Controlador do painel de exportação e importação
+ */
+class BackupPanel {
+    /**
+     * @param {NotesPortal} portal Instância do portal
+     */
+    constructor(portal) {
+        this.portal = portal;
+        this.backup = null; // Backup lido do arquivo (DataBackup.parse)
+        this.fileName = null;
+        this.mode = 'merge';
+        this.changes = [];
+
+        this.panel = new PortalPanel({
+            id: 'backup-panel',
+            button: 'backup-btn',
+            name: 'backup',
+            title: '💾 Backup dos dados',
+            titleId: 'backup-title',
+            closeLabel: 'Fechar backup',
+            onOpen: () => this.open(),
+            actions: {
+                close: () => this.close(),
+                export: () => this.exportFile(),
+                confirm: () => this.confirmImport(),
+                cancel: () => this.resetImport()
+            }
+        });
+        this.elements = { panel: this.panel.element, button: this.panel.button };
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Configura os campos do painel (os cliques ficam com o PortalPanel)
+     */
+    setupEventListeners() {
+        if (!this.elements.panel) return;
+
+        this.elements.panel.addEventListener('change', (e) => {
+            if (e.target.name === 'backup-file' && e.target.files.length > 0) {
+                this.readFile(e.target.files[0]);
+            }
+            if (e.target.name === 'backup-mode') {
+                this.mode = e.target.value;
+                this.preparePlan();
+            }
+        });
+    }
+
+    /**
+     * Abre o painel
+     */
+    open() {
+        if (!this.elements.panel) return;
+
+        this.resetImport();
+        this.panel.show();
+    }
+
+    /**
+     * Fecha o painel sem importar
+     */
+    close() {
+        this.backup = null;
+        this.panel.hide();
+    }
+
+    /**
+     * Descarta o arquivo lido e volta à tela inicial
+     */
+    resetImport() {
+        this.backup = null;
+        this.fileName = null;
+        this.changes = [];
+        this.render();
+    }
+
+    /**
+     * Baixa o arquivo de backup
+     */
+    exportFile() {
+        const includeSecrets = Boolean(this.elements.panel.querySelector('[name="backup-secrets"]:checked'));
+        const backup = DataBackup.createBackup(localStorage, {
+            includeSecrets,
+            source: window.location.origin + window.location.pathname
+        });
+        const blob = new Blob([JSON.stringify(backup, null, 2) + '\n'], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = DataBackup.fileName();
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        console.log(`📦 [BACKUP] Exportadas ${Object.keys(backup.keys).length} chave(s)${includeSecrets ? ' (com token)' : ''}`);
+        this.showStatus(`✅ Backup exportado com ${Object.keys(backup.keys).length} conjunto(s) de dados.`);
+    }
+
+    /**
+     * Lê e valida o arquivo escolhido
+     *
+     * @param {File} file Arquivo do input
+     */
+    readFile(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                this.backup = DataBackup.parse(String(reader.result));
+                this.fileName = file.name;
+                this.preparePlan();
+            } catch (error) {
+                console.warn('⚠️ [BACKUP] Arquivo rejeitado:', error.message);
+                this.backup = null;
+                this.render();
+                this.showStatus(`❌ ${error.message}`, true);
+            }
+        };
+        reader.onerror = () => this.showStatus('❌ Não foi possível ler o arquivo.', true);
+        reader.readAsText(file);
+    }
+
+    /**
+     * Calcula a prévia da importação no modo escolhido
+     */
+    preparePlan() {
+        if (!this.backup) return;
+
+        this.changes = DataBackup.plan(DataBackup.snapshot(localStorage), this.backup, this.mode);
+        this.render();
+    }
+
+    /**
+     * Grava a importação e recarrega o portal
+     */
+    confirmImport() {
+        if (!this.backup) return;
+
+        let written;
+        try {
+            written = DataBackup.apply(localStorage, this.changes);
+        } catch (error) {
+            this.showStatus(`❌ ${error.message}`, true);
+            return;
+        }
+
+        this.backup = null;
+        this.render();
+        this.showStatus(`✅ ${written} conjunto(s) de dados importado(s). Recarregando o portal...`);
+        setTimeout(() => window.location.reload(), 800);
+    }
+
+    /**
+     * Mensagem de estado abaixo das ações
+     *
+     * @param {string} message Texto
+     * @param {boolean} [isError=false] Destaca como erro
+     */
+    showStatus(message, isError = false) {
+        const status = this.elements.panel.querySelector('.backup-status');
+        if (!status) return;
+
+        status.hidden = false;
+        status.textContent = message;
+        status.classList.toggle('is-error', isError);
+    }
+
+    /**
+     * Redesenha o painel (exportação + importação ou prévia)
+     */
+    render() {
+        const panel = this.elements.panel;
+        if (!panel) return;
+
+        const localKeys = Object.keys(DataBackup.snapshot(localStorage)).length;
+
+        panel.innerHTML = `
+            ${this.panel.renderHeader(`${localKeys} conjunto(s) de dados neste navegador`)}
+            <p class="editor-help">
+                Progresso, revisão espaçada, notas fixadas, ajustes dos cadernos e preferências ficam só neste navegador.
+                Exporte um arquivo para levar tudo a outro computador e importe-o lá.
+            </p>
+            <div class="backup-section">
+                <h3 class="backup-section-title">📤 Exportar</h3>
+                <label class="backup-option">
+                    <input type="checkbox" name="backup-secrets"> Incluir o token da GitHub API (guarde o arquivo em local seguro)
+                </label>
+                <button class="btn btn-primary" type="button" data-backup-action="export">📤 Baixar backup</button>
+            </div>
+            <div class="backup-section">
+                <h3 class="backup-section-title">📥 Importar</h3>
+                ${this.backup ? this.renderPreview() : `
+                    <label class="backup-option">
+                        Arquivo de backup (.json)
+                        <input type="file" name="backup-file" accept="application/json,.json">
+                    </label>
+                `}
+            </div>
+            <p class="backup-status" role="status" hidden></p>
+        `;
+    }
+
+    /**
+     * Prévia das mudanças da importação
+     *
+     * @returns {string} HTML da prévia
+     */
+    renderPreview() {
+        const escape = value => String(value || '').replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+        const pending = this.changes.filter(change => change.action !== 'keep').length;
+        const exportedAt = this.backup.exportedAt ? this.portal.formatDate(this.backup.exportedAt) : 'data desconhecida';
+
+        return `
+            <p class="backup-file-info">
+                📄 <strong>${escape(this.fileName)}</strong> · exportado em ${exportedAt}
+                ${this.backup.source ? ` · de ${escape(this.backup.source)}` : ''}
+            </p>
+            <fieldset class="backup-modes">
+                <legend>Como importar</legend>
+                <label><input type="radio" name="backup-mode" value="merge" ${this.mode === 'merge' ? 'checked' : ''}> 🔀 Mesclar (mantém o que só existe aqui; em conflitos vale o registro mais recente)</label>
+                <label><input type="radio" name="backup-mode" value="replace" ${this.mode === 'replace' ? 'checked' : ''}> ♻️ Substituir (os dados deste navegador passam a ser os do arquivo)</label>
+            </fieldset>
+            <table class="backup-preview">
+                <thead>
+                    <tr><th scope="col">Dados</th><th scope="col">Ação</th><th scope="col">Detalhes</th></tr>
+                </thead>
+                <tbody>
+                    ${this.changes.map(change => `
+                        <tr class="backup-change backup-change-${change.action}">
+                            <td>${escape(change.label)}</td>
+                            <td>${BACKUP_ACTION_LABELS[change.action]}</td>
+                            <td>${escape(change.detail)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <div class="editor-actions">
+                <button class="btn btn-primary" type="button" data-backup-action="confirm" ${pending === 0 ? 'disabled' : ''}>
+                    ✅ Importar (${pending} alteração(ões))
+                </button>
+                <button class="btn" type="button" data-backup-action="cancel">↩️ Escolher outro arquivo</button>
+            </div>
+        `;
+    }
+}
+
+BackupPanel.ACTION_LABELS = BACKUP_ACTION_LABELS;
+
+if (typeof window !== 'undefined') {
+    window.BackupPanel = BackupPanel;
+}
+
+/**
+ * Exportação para módulos (se suportado)
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BackupPanel };
+}
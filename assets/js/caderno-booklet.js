@@ -0,0 +1,312 @@
+/**
+ * Portal de Notas HTML - Apostila para Impressão
+ *
+ * Junta todas as questões das notas de um caderno em uma página própria para
+ * impressão: questões numeradas em sequência, alternativas de A a E e o
+ * gabarito com as explicações no final (ou após cada nota).
+ *
+ * A página é aberta em uma nova aba com a folha de estilos
+ * assets/css/booklet.css (quebras de página e @media print), pronta para o
+ * "Salvar como PDF" do navegador. Se o navegador bloquear a nova aba, a
+ * apostila é baixada como arquivo HTML.
+ *
+ * @author Portal de Notas HTML
+ * @version 1.0.0
+ * @requires ES6+, QuestionLibrary
+ */
+
+'use strict';
+
+const BOOKLET_STYLESHEET = 'assets/css/booklet.css';
+
+/**
+ * Onde o gabarito aparece na apostila
+ */
+const BOOKLET_KEY_PLACEMENTS = {
+    end: 'no final',
+    section: 'após cada nota'
+};
+
+/**
+ * Montador da apostila de um caderno
+ */
+class CadernoBooklet {
+    /**
+     * @param {NotesPortal} portal Instância do portal
+     */
+    constructor(portal) {
+        this.portal = portal;
+        this.busy = false;
+
+        this.elements = {
+            button: document.getElementById('booklet-btn')
+        };
+
+        this.setupEventListeners();
+        this.update();
+    }
+
+    /**
+     * Configura o listener do botão
+     */
+    setupEventListeners() {
+        if (this.elements.button) {
+            this.elements.button.addEventListener('click', () => this.export(this.portal.activeCategory));
+        }
+    }
+
+    /**
+     * Ajusta o botão ao caderno da aba ativa
+     * Na aba "Todos" não há caderno para imprimir
+     */
+    update() {
+        const button = this.elements.button;
+        if (!button || this.busy) return;
+
+        const category = this.portal.categories[this.portal.activeCategory];
+        const available = Boolean(category && category.files.length > 0);
+
+        button.disabled = !available;
+        button.textContent = available ? `🖨️ Apostila: ${category.name}` : '🖨️ Apostila para impressão';
+        button.title = available
+            ? `Questões e gabarito de ${category.name} em uma página para imprimir ou salvar como PDF`
+            : 'Escolha um caderno nas abas acima';
+    }
+
+    /**
+     * Monta a apostila do caderno e abre em uma nova aba
+     *
+     * @param {string} categoryKey Caderno
+     */
+    async export(categoryKey) {
+        const category = this.portal.categories[categoryKey];
+        if (!category || category.files.length === 0 || this.busy) return;
+
+        // A aba precisa ser aberta ainda no clique, antes de baixar as notas
+        const win = window.open('', '_blank');
+        if (win) {
+            win.document.write(`<title>Apostila — ${CadernoBooklet.escapeHtml(category.name)}</title><p style="font-family: sans-serif">⏳ Montando a apostila...</p>`);
+        }
+
+        this.busy = true;
+        this.elements.button.disabled = true;
+        this.elements.button.textContent = '⏳ Montando apostila...';
+
+        try {
+            const notes = await this.portal.questionLibrary.loadNotes(category.files);
+            const html = CadernoBooklet.render({
+                category,
+                notes,
+                stylesheet: new URL(BOOKLET_STYLESHEET, window.location.href).href
+            });
+
+            if (win) {
+                win.document.open();
+                win.document.write(html);
+                win.document.close();
+                win.focus();
+            } else {
+                CadernoBooklet.download(html, CadernoBooklet.fileName(categoryKey));
+            }
+            console.log(`🖨️ [BOOKLET] Apostila de ${category.name}: ${notes.length} nota(s)`);
+        } catch (error) {
+            console.error('❌ [BOOKLET] Erro ao montar a apostila:', error);
+            if (win) {
+                win.document.body.innerHTML = '<p style="font-family: sans-serif">⚠️ Não foi possível carregar as questões do caderno.</p>';
+            }
+        } finally {
+            this.busy = false;
+            this.update();
+        }
+    }
+
+    /**
+     * Baixa a apostila como arquivo (quando a nova aba é bloqueada)
+     *
+     * @param {string} html Página completa
+     * @param {string} fileName Nome do arquivo
+     */
+    static download(html, fileName) {
+        const url = URL.createObjectURL(new Blob([html], { type: 'text/html' }));
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * @param {string} categoryKey Caderno
+     * @returns {string} Nome do arquivo da apostila
+     */
+    static fileName(categoryKey) {
+        return `apostila-${String(categoryKey).toLowerCase().replace(/[^a-z0-9]+/g, '-')}.html`;
+    }
+
+    /**
+     * Monta a página da apostila
+     *
+     * @param {Object} options
+     * @param {Object} options.category Caderno { name, icon }
+     * @param {Array} options.notes Notas do QuestionLibrary ({ title, questions })
+     * @param {string} [options.stylesheet] Endereço de booklet.css
+     * @param {string} [options.keyPlacement='end'] Chave de BOOKLET_KEY_PLACEMENTS
+     * @param {Date} [options.generatedAt] Data exibida na capa
+     * @returns {string} Documento HTML completo
+     */
+    static render({ category, notes, stylesheet = BOOKLET_STYLESHEET, keyPlacement = 'end', generatedAt = new Date() }) {
+        const escape = CadernoBooklet.escapeHtml;
+        let number = 0;
+
+        // Numeração contínua em todo o caderno
+        const sections = notes
+            .filter(note => note.questions.length > 0)
+            .map(note => ({
+                title: note.title,
+                items: note.questions.map(question => ({ number: ++number, question }))
+            }));
+
+        const allItems = sections.flatMap(section => section.items);
+        const title = `${category.icon || ''} ${category.name}`.trim();
+
+        return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Apostila — ${escape(category.name)}</title>
+    <link rel="stylesheet" href="${escape(stylesheet)}">
+</head>
+<body class="booklet" data-key="${keyPlacement in BOOKLET_KEY_PLACEMENTS ? keyPlacement : 'end'}">
+    <nav class="booklet-toolbar" aria-label="Opções da apostila">
+        <button type="button" onclick="window.print()">🖨️ Imprimir / Salvar como PDF</button>
+        <label>
+            Gabarito
+            <select onchange="document.body.dataset.key = this.value">
+                ${Object.entries(BOOKLET_KEY_PLACEMENTS).map(([value, label]) => `<option value="${value}"${value === keyPlacement ? ' selected' : ''}>${label}</option>`).join('')}
+            </select>
+        </label>
+    </nav>
+
+    <header class="booklet-cover">
+        <p class="booklet-kicker">Caderno de questões</p>
+        <h1>${escape(title)}</h1>
+        <p class="booklet-meta">${allItems.length} questões • ${sections.length} notas • gerada em ${generatedAt.toLocaleDateString('pt-BR')}</p>
+        <ol class="booklet-toc">
+            ${sections.map(section => `<li>${escape(section.title)} <span>(${CadernoBooklet.range(section.items)})</span></li>`).join('')}
+        </ol>
+    </header>
+
+    <main>
+        ${sections.length > 0
+            ? sections.map(section => CadernoBooklet.renderSection(section)).join('')
+            : '<p class="booklet-empty">Nenhuma questão encontrada nas notas deste caderno.</p>'}
+    </main>
+
+    ${allItems.length > 0 ? `
+    <section class="booklet-key booklet-key-end">
+        <h2>📋 Gabarito</h2>
+        ${CadernoBooklet.renderKey(allItems)}
+    </section>` : ''}
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Questões de uma nota, com o gabarito da seção (exibido conforme a escolha)
+     *
+     * @param {Object} section { title, items: [{ number, question }] }
+     * @returns {string} HTML da seção
+     */
+    static renderSection({ title, items }) {
+        return `
+        <section class="booklet-section">
+            <h2>${CadernoBooklet.escapeHtml(title)}</h2>
+            <ol class="booklet-questions">
+                ${items.map(({ number, question }) => `
+                <li class="booklet-question" value="${number}">
+                    <div class="booklet-statement"><span class="booklet-number">${number}.</span> ${question.question}</div>
+                    <ol class="booklet-options">
+                        ${question.options.map((option, index) => `<li><span class="booklet-letter">${CadernoBooklet.letter(index)})</span> ${option}</li>`).join('')}
+                    </ol>
+                </li>`).join('')}
+            </ol>
+            <div class="booklet-key booklet-key-section">
+                <h3>📋 Gabarito — ${CadernoBooklet.escapeHtml(title)}</h3>
+                ${CadernoBooklet.renderKey(items)}
+            </div>
+        </section>`;
+    }
+
+    /**
+     * Grade de respostas seguida das explicações
+     *
+     * @param {Array} items Questões numeradas [{ number, question }]
+     * @returns {string} HTML do gabarito
+     */
+    static renderKey(items) {
+        const explained = items.filter(({ question }) => question.explanation);
+
+        return `
+            <ol class="booklet-answers">
+                ${items.map(({ number, question }) => `<li><span>${number}.</span> <strong>${CadernoBooklet.letter(question.answer)}</strong></li>`).join('')}
+            </ol>
+            ${explained.length > 0 ? `
+            <ol class="booklet-explanations">
+                ${explained.map(({ number, question }) => `
+                <li>
+                    <p class="booklet-explanation-title">Questão ${number} — ${CadernoBooklet.letter(question.answer)}</p>
+                    <div class="booklet-explanation">${question.explanation}</div>
+                </li>`).join('')}
+            </ol>` : ''}`;
+    }
+
+    /**
+     * @param {number} index Índice da alternativa
+     * @returns {string} Letra (A, B, C...) ou "—" se não houver gabarito
+     */
+    static letter(index) {
+        return Number.isInteger(index) && index >= 0 ? String.fromCharCode(65 + index) : '—';
+    }
+
+    /**
+     * @param {Array} items Questões numeradas da seção
+     * @returns {string} Faixa de numeração, ex: "questões 11–20"
+     */
+    static range(items) {
+        const first = items[0].number;
+        const last = items[items.length - 1].number;
+        return first === last ? `questão ${first}` : `questões ${first}–${last}`;
+    }
+
+    /**
+     * Escapa texto para uso em HTML
+     *
+     * @param {string} text Texto
+     * @returns {string} Texto escapado
+     */
+    static escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+CadernoBooklet.KEY_PLACEMENTS = BOOKLET_KEY_PLACEMENTS;
+
+if (typeof window !== 'undefined') {
+    window.CadernoBooklet = CadernoBooklet;
+}
+
+/**
+ * Exportação para módulos (se suportado)
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CadernoBooklet };
+}
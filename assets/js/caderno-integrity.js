@@ -0,0 +1,129 @@
+/**
+ * Portal de Notas HTML - Integridade dos Cadernos
+ *
+ * Confere a numeração das notas de cada sigla (`DC_001`…`DC_036`), base da
+ * ordenação por sequência:
+ * - Lacunas: números que faltam entre 1 e a maior sequência
+ * - Duplicadas: o mesmo número usado por mais de uma nota
+ * - Datas fora de ordem: nota com data de estudo anterior à de uma
+ *   sequência menor da mesma sigla
+ *
+ * Funções puras; o painel "Integridade do caderno" e os marcadores na grade
+ * ficam no main.js.
+ *
+ * @author Portal de Notas HTML
+ * @version 1.0.0
+ * @requires ES6+
+ */
+
+'use strict';
+
+/**
+ * Verificação da numeração das notas
+ */
+class CadernoIntegrity {
+    /**
+     * Verifica um conjunto de notas (um caderno ou todas)
+     *
+     * @param {Array} files Arquivos do portal
+     * @param {Function} getMeta Nome → NoteFileName.parse()
+     * @returns {Object} Relatório
+     *   {
+     *     subjects: [{ subject, count, first, last }],
+     *     gaps: [{ subject, from, to }],                  // faixa de números ausentes
+     *     duplicates: [{ subject, sequence, files }],
+     *     outOfOrder: [{ subject, file, sequence, date, previous: { file, sequence, date } }],
+     *     unnumbered: [nome]                              // notas sem sigla/sequência
+     *   }
+     */
+    static check(files, getMeta) {
+        const report = { subjects: [], gaps: [], duplicates: [], outOfOrder: [], unnumbered: [] };
+        const bySubject = new Map();
+
+        files.forEach(file => {
+            const meta = getMeta(file.name);
+            if (!meta.subject || meta.sequence === null) {
+                report.unnumbered.push(file.name);
+                return;
+            }
+            if (!bySubject.has(meta.subject)) bySubject.set(meta.subject, []);
+            bySubject.get(meta.subject).push({ name: file.name, sequence: meta.sequence, date: meta.date });
+        });
+
+        [...bySubject.keys()].sort().forEach(subject => {
+            const notes = bySubject.get(subject).sort((a, b) => a.sequence - b.sequence || a.name.localeCompare(b.name));
+            const sequences = [...new Set(notes.map(note => note.sequence))];
+
+            report.subjects.push({
+                subject,
+                count: notes.length,
+                first: sequences[0],
+                last: sequences[sequences.length - 1]
+            });
+
+            // Lacunas a partir de 1 (a numeração das aulas começa em 001)
+            let expected = 1;
+            sequences.forEach(sequence => {
+                if (sequence > expected) {
+                    report.gaps.push({ subject, from: expected, to: sequence - 1 });
+                }
+                expected = Math.max(expected, sequence + 1);
+            });
+
+            sequences.forEach(sequence => {
+                const same = notes.filter(note => note.sequence === sequence);
+                if (same.length > 1) {
+                    report.duplicates.push({ subject, sequence, files: same.map(note => note.name) });
+                }
+            });
+
+            // Datas: compara com a maior data das sequências anteriores
+            let latest = null;
+            notes.forEach(note => {
+                if (!note.date) return;
+                if (latest && note.date < latest.date && note.sequence > latest.sequence) {
+                    report.outOfOrder.push({
+                        subject,
+                        file: note.name,
+                        sequence: note.sequence,
+                        date: note.date,
+                        previous: { file: latest.name, sequence: latest.sequence, date: latest.date }
+                    });
+                }
+                if (!latest || note.date > latest.date) latest = note;
+            });
+        });
+
+        return report;
+    }
+
+    /**
+     * @param {Object} report Resultado de check()
+     * @returns {number} Total de problemas encontrados
+     */
+    static countIssues(report) {
+        return report.gaps.length + report.duplicates.length + report.outOfOrder.length;
+    }
+
+    /**
+     * Rótulo de uma sequência no formato dos nomes de arquivo
+     *
+     * @param {string} subject Sigla
+     * @param {number} sequence Número
+     * @returns {string} Ex: "DC 007"
+     */
+    static label(subject, sequence) {
+        return `${subject} ${String(sequence).padStart(3, '0')}`;
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.CadernoIntegrity = CadernoIntegrity;
+}
+
+/**
+ * Exportação para módulos (se suportado)
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CadernoIntegrity };
+}
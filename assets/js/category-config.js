@@ -0,0 +1,476 @@
+/**
+ * Portal de Notas HTML - Configuração dos Cadernos
+ *
+ * Os cadernos (categorias) são definidos em `assets/config/cadernos.json`.
+ * Cada caderno tem sigla, nome, ícone, cor, siglas alternativas (aliases) e
+ * regras extras de reconhecimento (expressões regulares sobre o nome do
+ * arquivo). O usuário pode ajustar a configuração pelo editor do portal; os
+ * ajustes ficam no navegador e são aplicados por cima do arquivo.
+ *
+ * Reconhecimento de um arquivo:
+ * 0. Sigla extraída do nome padronizado (quando informada pelo chamador)
+ * 1. Sigla ou alias delimitado (`_DC_`, `-DC-`, ` DC `, `DC_...`, `DC-...`)
+ * 2. Regras `match`, testadas no nome sem acentos e sem diferenciar maiúsculas
+ * 3. Sem correspondência: caderno padrão (`fallback`, "Geral")
+ *
+ * Ajustes locais (chave `notes-portal-cadernos`, versão 1):
+ * {
+ *   version: 1,
+ *   cadernos: {
+ *     "<SIGLA>": { ...campos alterados } | { removed: true } | { ...caderno novo }
+ *   }
+ * }
+ *
+ * @author Portal de Notas HTML
+ * @version 1.0.0
+ * @requires ES6+, LocalStorage
+ */
+
+'use strict';
+
+const CATEGORY_CONFIG_URL = './assets/config/cadernos.json';
+const CATEGORY_OVERRIDES_KEY = 'notes-portal-cadernos';
+const CATEGORY_OVERRIDES_VERSION = 1;
+
+/**
+ * Caderno padrão usado enquanto a configuração não carrega (ou se falhar)
+ */
+const CATEGORY_FALLBACK = {
+    code: 'GERAL',
+    name: 'Geral',
+    icon: '📋',
+    color: '#95a5a6'
+};
+
+/**
+ * Campos editáveis de um caderno
+ */
+const CATEGORY_FIELDS = ['name', 'icon', 'color', 'aliases', 'match'];
+
+/**
+ * Erro de configuração inválida (lista todos os problemas encontrados)
+ */
+class CategoryConfigError extends Error {
+    /**
+     * @param {string} message Mensagem principal
+     * @param {string[]} [problems=[]] Problemas encontrados
+     */
+    constructor(message, problems = []) {
+        super(problems.length > 0 ? `${message}: ${problems.join('; ')}` : message);
+        this.name = 'CategoryConfigError';
+        this.problems = problems;
+    }
+}
+
+/**
+ * Configuração dos cadernos (arquivo + ajustes locais)
+ */
+class CategoryConfig {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.url] Caminho do arquivo de configuração
+     */
+    constructor(options = {}) {
+        this.url = options.url || CATEGORY_CONFIG_URL;
+        this.base = { fallback: { ...CATEGORY_FALLBACK }, cadernos: [] };
+        this.overrides = this.loadOverrides();
+        this.rebuild();
+    }
+
+    /**
+     * Normaliza texto para comparação (minúsculas, sem acentos)
+     *
+     * @param {string} text Texto original
+     * @returns {string} Texto normalizado
+     */
+    static normalizeText(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase();
+    }
+
+    /**
+     * Converte listas vindas do JSON ou do editor ("A, B" ou ["A", "B"])
+     *
+     * @param {string|Array} value Valor original
+     * @param {RegExp} separator Separador usado em strings
+     * @returns {string[]} Itens não vazios
+     */
+    static toList(value, separator = /,/) {
+        const items = Array.isArray(value) ? value : String(value || '').split(separator);
+        return items.map(item => String(item).trim()).filter(Boolean);
+    }
+
+    /**
+     * Normaliza um caderno
+     *
+     * @param {Object} entry Caderno como escrito no JSON
+     * @returns {Object} { code, name, icon, color, aliases, match }
+     */
+    static normalizeEntry(entry) {
+        return {
+            code: String(entry.code || '').trim().toUpperCase(),
+            name: String(entry.name || '').trim(),
+            icon: String(entry.icon || '').trim() || '📁',
+            color: String(entry.color || '').trim() || CATEGORY_FALLBACK.color,
+            aliases: CategoryConfig.toList(entry.aliases).map(alias => alias.toUpperCase()),
+            match: CategoryConfig.toList(entry.match, /\n/)
+        };
+    }
+
+    /**
+     * Valida um caderno já normalizado
+     *
+     * @param {Object} entry Caderno normalizado
+     * @returns {string[]} Problemas encontrados (vazio se válido)
+     */
+    static validateEntry(entry) {
+        const label = entry.code || entry.name || '(sem sigla)';
+        const problems = [];
+
+        if (!/^[A-Z0-9]{1,10}$/.test(entry.code)) {
+            problems.push(`${label}: sigla deve ter de 1 a 10 letras ou números`);
+        }
+        if (!entry.name) {
+            problems.push(`${label}: nome é obrigatório`);
+        }
+        if (/[<>]/.test(entry.name + entry.icon)) {
+            problems.push(`${label}: nome e ícone não podem conter < ou >`);
+        }
+        if (!/^#[0-9a-f]{3}([0-9a-f]{3})?$/i.test(entry.color)) {
+            problems.push(`${label}: cor deve estar no formato #RRGGBB`);
+        }
+        entry.aliases
+            .filter(alias => !/^[A-Z0-9]{1,10}$/.test(alias))
+            .forEach(alias => problems.push(`${label}: alias inválido "${alias}"`));
+        entry.match.forEach(pattern => {
+            try {
+                new RegExp(pattern, 'i');
+            } catch (error) {
+                problems.push(`${label}: regra inválida "${pattern}"`);
+            }
+        });
+
+        return problems;
+    }
+
+    /**
+     * Valida uma lista completa de cadernos
+     *
+     * @param {Array} cadernos Cadernos normalizados
+     * @param {string} fallbackCode Sigla do caderno padrão
+     * @throws {CategoryConfigError} Se houver problemas
+     */
+    static validateList(cadernos, fallbackCode) {
+        const problems = [];
+        const tokens = new Map();
+
+        cadernos.forEach(entry => {
+            problems.push(...CategoryConfig.validateEntry(entry));
+
+            if (entry.code === fallbackCode) {
+                problems.push(`${entry.code}: sigla reservada para o caderno padrão`);
+            }
+
+            [entry.code, ...entry.aliases].forEach(token => {
+                const owner = tokens.get(token);
+                if (owner) {
+                    problems.push(owner === entry.code
+                        ? `${entry.code}: sigla "${token}" repetida`
+                        : `${token}: sigla usada por ${owner} e ${entry.code}`);
+                }
+                tokens.set(token, entry.code);
+            });
+        });
+
+        if (problems.length > 0) {
+            throw new CategoryConfigError('Configuração de cadernos inválida', problems);
+        }
+    }
+
+    /**
+     * Interpreta o conteúdo de cadernos.json
+     *
+     * @param {Object} json Conteúdo do arquivo
+     * @returns {Object} { fallback, cadernos }
+     * @throws {CategoryConfigError} Se o arquivo for inválido
+     */
+    static parse(json) {
+        if (!json || !Array.isArray(json.cadernos)) {
+            throw new CategoryConfigError('cadernos.json deve conter a lista "cadernos"');
+        }
+
+        const fallback = { ...CATEGORY_FALLBACK, ...(json.fallback || {}) };
+        const cadernos = json.cadernos.map(entry => CategoryConfig.normalizeEntry(entry));
+        CategoryConfig.validateList(cadernos, fallback.code);
+
+        return { fallback, cadernos };
+    }
+
+    /**
+     * Verifica se o nome contém a sigla delimitada
+     *
+     * @param {string} upperFileName Nome do arquivo em maiúsculas
+     * @param {string} token Sigla ou alias
+     * @returns {boolean} true se corresponde
+     */
+    static matchesToken(upperFileName, token) {
+        return upperFileName.includes(`_${token}_`) ||
+            upperFileName.includes(`-${token}-`) ||
+            upperFileName.includes(` ${token} `) ||
+            upperFileName.startsWith(`${token}_`) ||
+            upperFileName.startsWith(`${token}-`);
+    }
+
+    /**
+     * Carrega o arquivo de configuração
+     *
+     * @returns {Promise<Object>} Configuração base { fallback, cadernos }
+     */
+    async load() {
+        const response = await fetch(this.url, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        this.base = CategoryConfig.parse(await response.json());
+        this.rebuild();
+
+        console.log(`⚙️ [CADERNOS] ${this.base.cadernos.length} cadernos configurados`);
+        return this.base;
+    }
+
+    /**
+     * Lê os ajustes locais
+     *
+     * @returns {Object} Ajustes { version, cadernos }
+     */
+    loadOverrides() {
+        if (typeof localStorage === 'undefined') { // Node (scripts): só o arquivo de configuração
+            return { version: CATEGORY_OVERRIDES_VERSION, cadernos: {} };
+        }
+
+        try {
+            const raw = localStorage.getItem(CATEGORY_OVERRIDES_KEY);
+            const data = raw ? JSON.parse(raw) : null;
+            if (data && data.version === CATEGORY_OVERRIDES_VERSION && data.cadernos && typeof data.cadernos === 'object') {
+                return data;
+            }
+        } catch (error) {
+            console.warn('⚠️ [CADERNOS] Ajustes locais ilegíveis, ignorando:', error);
+        }
+
+        return { version: CATEGORY_OVERRIDES_VERSION, cadernos: {} };
+    }
+
+    /**
+     * Grava os ajustes locais
+     */
+    saveOverrides() {
+        try {
+            localStorage.setItem(CATEGORY_OVERRIDES_KEY, JSON.stringify(this.overrides));
+        } catch (error) {
+            console.warn('⚠️ [CADERNOS] Não foi possível salvar os ajustes:', error);
+        }
+    }
+
+    /**
+     * @returns {boolean} true se há ajustes locais
+     */
+    hasOverrides() {
+        return Object.keys(this.overrides.cadernos).length > 0;
+    }
+
+    /**
+     * Aplica os ajustes sobre a configuração base e prepara o reconhecimento
+     * Ajustes inválidos (alterados à mão ou vindos de um backup) são ignorados:
+     * o caderno do arquivo fica como está e cadernos novos não entram.
+     */
+    rebuild() {
+        const patches = this.overrides.cadernos;
+        const baseCodes = new Set(this.base.cadernos.map(entry => entry.code));
+        const checked = (entry, code) => {
+            const problems = CategoryConfig.validateEntry(entry);
+            if (problems.length === 0) return entry;
+            console.warn(`⚠️ [CADERNOS] Ajuste local ignorado em ${code}:`, problems);
+            return null;
+        };
+
+        const merged = this.base.cadernos
+            .filter(entry => !(patches[entry.code] && patches[entry.code].removed))
+            .map(entry => (patches[entry.code]
+                && checked(CategoryConfig.normalizeEntry({ ...entry, ...patches[entry.code], code: entry.code }), entry.code))
+                || CategoryConfig.normalizeEntry(entry));
+
+        Object.entries(patches)
+            .filter(([code, patch]) => !baseCodes.has(code) && patch && !patch.removed)
+            .map(([code, patch]) => checked(CategoryConfig.normalizeEntry({ ...patch, code }), code))
+            .filter(Boolean)
+            .forEach(entry => merged.push(entry));
+
+        this.cadernos = merged;
+        this.matchers = merged.map(entry => ({
+            code: entry.code,
+            tokens: [entry.code, ...entry.aliases],
+            patterns: entry.match
+                .map(pattern => {
+                    try {
+                        return new RegExp(pattern, 'i');
+                    } catch (error) {
+                        console.warn(`⚠️ [CADERNOS] Regra ignorada em ${entry.code}: ${pattern}`);
+                        return null;
+                    }
+                })
+                .filter(Boolean)
+        }));
+    }
+
+    /**
+     * @returns {Object} Caderno padrão
+     */
+    getFallback() {
+        return this.base.fallback;
+    }
+
+    /**
+     * @returns {Array} Cadernos efetivos (arquivo + ajustes), em ordem de prioridade
+     */
+    getCadernos() {
+        return this.cadernos.map(entry => ({ ...entry, builtin: this.isBuiltin(entry.code) }));
+    }
+
+    /**
+     * @param {string} code Sigla
+     * @returns {boolean} true se o caderno vem do arquivo de configuração
+     */
+    isBuiltin(code) {
+        return this.base.cadernos.some(entry => entry.code === code);
+    }
+
+    /**
+     * Detecta o caderno de um arquivo
+     *
+     * @param {string} fileName Nome do arquivo
+     * @param {string|null} [subject] Sigla já extraída do nome (NoteFileName)
+     * @returns {string} Sigla do caderno
+     */
+    detect(fileName, subject = null) {
+        if (subject) {
+            const bySubject = this.matchers.find(matcher => matcher.tokens.includes(subject));
+            if (bySubject) return bySubject.code;
+        }
+
+        const upperFileName = fileName.toUpperCase();
+
+        // Siglas primeiro: uma regra ampla de um caderno não deve vencer a sigla de outro
+        const byToken = this.matchers.find(matcher =>
+            matcher.tokens.some(token => CategoryConfig.matchesToken(upperFileName, token)));
+        if (byToken) return byToken.code;
+
+        const normalizedName = CategoryConfig.normalizeText(fileName);
+        const byPattern = this.matchers.find(matcher =>
+            matcher.patterns.some(pattern => pattern.test(normalizedName)));
+        if (byPattern) return byPattern.code;
+
+        return this.base.fallback.code;
+    }
+
+    /**
+     * Monta o objeto de categorias usado pelo portal
+     *
+     * @returns {Object} { SIGLA: { name, icon, color, aliases, files } }
+     */
+    toCategories() {
+        const categories = {};
+
+        this.cadernos.forEach(entry => {
+            categories[entry.code] = {
+                name: entry.name,
+                icon: entry.icon,
+                color: entry.color,
+                aliases: entry.aliases,
+                files: []
+            };
+        });
+
+        const fallback = this.base.fallback;
+        categories[fallback.code] = {
+            name: fallback.name,
+            icon: fallback.icon,
+            color: fallback.color,
+            aliases: [],
+            files: []
+        };
+
+        return categories;
+    }
+
+    /**
+     * Salva uma lista editada de cadernos como ajustes locais
+     * Guarda apenas as diferenças em relação ao arquivo de configuração
+     *
+     * @param {Array} edited Cadernos editados (na ordem desejada)
+     * @throws {CategoryConfigError} Se a lista for inválida
+     */
+    applyEdits(edited) {
+        const cadernos = edited.map(entry => CategoryConfig.normalizeEntry(entry));
+        CategoryConfig.validateList(cadernos, this.base.fallback.code);
+
+        const patches = {};
+        const editedByCode = new Map(cadernos.map(entry => [entry.code, entry]));
+
+        this.base.cadernos.forEach(baseEntry => {
+            const entry = editedByCode.get(baseEntry.code);
+            if (!entry) {
+                patches[baseEntry.code] = { removed: true };
+                return;
+            }
+
+            const patch = {};
+            CATEGORY_FIELDS
+                .filter(field => JSON.stringify(entry[field]) !== JSON.stringify(baseEntry[field]))
+                .forEach(field => { patch[field] = entry[field]; });
+            if (Object.keys(patch).length > 0) {
+                patches[baseEntry.code] = patch;
+            }
+        });
+
+        cadernos
+            .filter(entry => !this.isBuiltin(entry.code))
+            .forEach(entry => { patches[entry.code] = entry; });
+
+        this.overrides = { version: CATEGORY_OVERRIDES_VERSION, cadernos: patches };
+        this.saveOverrides();
+        this.rebuild();
+    }
+
+    /**
+     * Descarta os ajustes locais e volta ao arquivo de configuração
+     */
+    resetOverrides() {
+        this.overrides = { version: CATEGORY_OVERRIDES_VERSION, cadernos: {} };
+        try {
+            localStorage.removeItem(CATEGORY_OVERRIDES_KEY);
+        } catch (error) {
+            console.warn('⚠️ [CADERNOS] Não foi possível limpar os ajustes:', error);
+        }
+        this.rebuild();
+    }
+}
+
+CategoryConfig.URL = CATEGORY_CONFIG_URL;
+CategoryConfig.STORAGE_KEY = CATEGORY_OVERRIDES_KEY;
+CategoryConfig.VERSION = CATEGORY_OVERRIDES_VERSION;
+CategoryConfig.Error = CategoryConfigError;
+
+if (typeof window !== 'undefined') {
+    window.CategoryConfig = CategoryConfig;
+}
+
+/**
+ * Exportação para módulos (se suportado)
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CategoryConfig, CategoryConfigError };
+}
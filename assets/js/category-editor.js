@@ -0,0 +1,199 @@
+/**
+ * Portal de Notas HTML - Editor de Cadernos
+ *
+ * Painel para ajustar os cadernos sem editar código: nome, ícone, cor,
+ * siglas alternativas e regras de reconhecimento, além de criar ou ocultar
+ * cadernos. Os ajustes são salvos no navegador via CategoryConfig.
+ *
+ * @author Portal de Notas HTML
+ * @version 1.0.0
+ * @requires ES6+, PortalPanel, CategoryConfig
+ */
+
+'use strict';
+
+/**
+ * Controlador do painel de edição dos cadernos
+ */
+class CategoryEditor {
+    /**
+     * @param {NotesPortal} portal Instância do portal
+     */
+    constructor(portal) {
+        this.portal = portal;
+        this.config = portal.categoryConfig;
+
+        this.panel = new PortalPanel({
+            id: 'category-editor',
+            button: 'category-editor-btn',
+            name: 'editor',
+            title: '⚙️ Editar cadernos',
+            titleId: 'category-editor-title',
+            closeLabel: 'Fechar editor',
+            onOpen: () => this.open(),
+            actions: {
+                close: () => this.close(),
+                add: () => this.addRow(),
+                remove: target => target.closest('.caderno-row').remove(),
+                save: () => this.save(),
+                reset: () => this.reset()
+            }
+        });
+        this.elements = { panel: this.panel.element, button: this.panel.button };
+    }
+
+    /**
+     * Abre o editor com a configuração atual
+     */
+    open() {
+        if (!this.elements.panel) return;
+
+        const cadernos = this.config.getCadernos();
+        const fallback = this.config.getFallback();
+
+        const subtitle = `${this.config.hasOverrides() ? 'Com ajustes locais' : 'Configuração padrão'} •
+            arquivos sem correspondência vão para ${this.portal.formatCategoryLabel(fallback)}`;
+
+        this.panel.show(`
+            ${this.panel.renderHeader(subtitle)}
+            <p class="editor-help">
+                A sigla é reconhecida no nome do arquivo entre separadores (ex: <code>2025_07_01_<strong>DC</strong>_001</code>).
+                Aliases são siglas extras; regras são expressões regulares testadas no nome sem acentos (uma por linha).
+            </p>
+            <div class="editor-rows">
+                ${cadernos.map(entry => this.renderRow(entry)).join('')}
+            </div>
+            <ul class="editor-errors" role="alert" hidden></ul>
+            <div class="editor-actions">
+                <button class="btn" type="button" data-editor-action="add">➕ Novo caderno</button>
+                <button class="btn btn-primary" type="button" data-editor-action="save">💾 Salvar</button>
+                <button class="btn" type="button" data-editor-action="reset" ${this.config.hasOverrides() ? '' : 'disabled'}>↩️ Restaurar padrão</button>
+            </div>
+        `);
+    }
+
+    /**
+     * Fecha o editor sem salvar
+     */
+    close() {
+        this.panel.hide();
+    }
+
+    /**
+     * Linha de edição de um caderno
+     *
+     * @param {Object} entry Caderno ({ code, name, icon, color, aliases, match, builtin })
+     * @returns {string} HTML da linha
+     */
+    renderRow(entry = {}) {
+        const escape = value => String(value || '').replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+        const fileCount = this.portal.categories[entry.code]?.files.length || 0;
+
+        return `
+            <fieldset class="caderno-row" data-builtin="${entry.builtin ? 'true' : 'false'}">
+                <label>Sigla
+                    <input type="text" name="code" value="${escape(entry.code)}" maxlength="10" ${entry.builtin ? 'readonly' : ''} required>
+                </label>
+                <label>Nome
+                    <input type="text" name="name" value="${escape(entry.name)}" required>
+                </label>
+                <label>Ícone
+                    <input type="text" name="icon" value="${escape(entry.icon || '📁')}" maxlength="4">
+                </label>
+                <label>Cor
+                    <input type="color" name="color" value="${escape(entry.color || '#95a5a6')}">
+                </label>
+                <label>Aliases
+                    <input type="text" name="aliases" value="${escape((entry.aliases || []).join(', '))}" placeholder="ex: CIV, CIVIL">
+                </label>
+                <label>Regras
+                    <textarea name="match" rows="2" placeholder="ex: direito civil">${escape((entry.match || []).join('\n'))}</textarea>
+                </label>
+                <span class="caderno-count">${fileCount} nota${fileCount !== 1 ? 's' : ''}</span>
+                <button class="editor-remove" type="button" data-editor-action="remove"
+                        aria-label="${entry.builtin ? 'Ocultar' : 'Excluir'} caderno">🗑️</button>
+            </fieldset>
+        `;
+    }
+
+    /**
+     * Adiciona uma linha vazia para um novo caderno
+     */
+    addRow() {
+        const rows = this.elements.panel.querySelector('.editor-rows');
+        rows.insertAdjacentHTML('beforeend', this.renderRow());
+        rows.lastElementChild.querySelector('input[name="code"]').focus();
+    }
+
+    /**
+     * Lê as linhas do editor
+     *
+     * @returns {Array} Cadernos editados
+     */
+    collect() {
+        return [...this.elements.panel.querySelectorAll('.caderno-row')].map(row => {
+            const value = name => row.querySelector(`[name="${name}"]`).value;
+            return {
+                code: value('code'),
+                name: value('name'),
+                icon: value('icon'),
+                color: value('color'),
+                aliases: value('aliases'),
+                match: value('match')
+            };
+        });
+    }
+
+    /**
+     * Mostra os problemas de validação
+     *
+     * @param {string[]} problems Mensagens
+     */
+    showErrors(problems) {
+        const list = this.elements.panel.querySelector('.editor-errors');
+        list.innerHTML = problems.map(problem => `<li>⚠️ ${problem}</li>`).join('');
+        list.hidden = problems.length === 0;
+    }
+
+    /**
+     * Valida e salva os ajustes, reorganizando o portal
+     */
+    save() {
+        try {
+            this.config.applyEdits(this.collect());
+        } catch (error) {
+            if (error instanceof CategoryConfig.Error) {
+                this.showErrors(error.problems.length > 0 ? error.problems : [error.message]);
+                return;
+            }
+            throw error;
+        }
+
+        console.log('💾 [CADERNOS] Ajustes locais salvos');
+        this.portal.applyCategoryConfig();
+        this.close();
+    }
+
+    /**
+     * Descarta os ajustes locais
+     */
+    reset() {
+        if (!window.confirm('Descartar os ajustes locais e voltar aos cadernos padrão?')) return;
+
+        this.config.resetOverrides();
+        console.log('↩️ [CADERNOS] Ajustes locais descartados');
+        this.portal.applyCategoryConfig();
+        this.open();
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.CategoryEditor = CategoryEditor;
+}
+
+/**
+ * Exportação para módulos (se suportado)
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CategoryEditor };
+}
@@ -0,0 +1,531 @@
+/**
+ * Portal de Notas HTML - Backup dos Dados Locais
+ *
+ * Exporta e importa, em um único arquivo JSON versionado, tudo o que o
+ * portal e as notas guardam no localStorage (chaves `notes-portal-*`):
+ * progresso, revisão espaçada, notas fixadas, preferências, caches...
+ *
+ * Formato do arquivo (versão 1):
+ * {
+ *   format: "notes-portal-backup",
+ *   version: 1,
+ *   exportedAt: "2026-10-19T18:00:00.000Z",
+ *   source: "https://usuario.github.io/dev_notes/",
+ *   keys: {
+ *     "notes-portal-progress": { version: 1, notes: {...} },   // JSON
+ *     "notes-portal-github-token": "ghp_..."                   // texto puro
+ *   }
+ * }
+ *
+ * Versão 0 (legado): cópia direta do localStorage, ou seja, um objeto
+ * { "notes-portal-...": "<texto gravado>" }. É convertida na importação.
+ *
+ * A importação pode mesclar (cada registro fica com a entrada mais recente)
+ * ou substituir (as chaves do portal passam a ser exatamente as do arquivo).
+ * O plano gerado por DataBackup.plan() serve de prévia antes de gravar.
+ *
+ * @author Portal de Notas HTML
+ * @version 1.0.0
+ * @requires ES6+, LocalStorage
+ */
+
+'use strict';
+
+const BACKUP_FORMAT = 'notes-portal-backup';
+const BACKUP_VERSION = 1;
+const BACKUP_KEY_PREFIX = 'notes-portal-';
+
+/**
+ * Verificações de formato das entradas das chaves conhecidas
+ * (`entry` recebe um teste e devolve o validador usado em BACKUP_KEYS)
+ */
+const BACKUP_SHAPES = {
+    record: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+    date: value => typeof value === 'string' && !Number.isNaN(Date.parse(value)),
+    optional: (value, test) => value === undefined || value === null || test(value),
+    entry: test => entry => (BACKUP_SHAPES.record(entry) && test(entry) ? null : 'formato inesperado')
+};
+
+/**
+ * Chaves conhecidas e como mesclá-las
+ * - collection: campo com as entradas mescladas uma a uma
+ * - entry: valida cada entrada da coleção (retorna o problema ou null)
+ * - stamp: data (ISO) de cada entrada; a mais recente vence
+ * - list: campo com uma lista mesclada por união
+ * - item: valida cada item da lista
+ * - schema: maior versão do registro que esta versão do portal entende
+ * - cache: dado reconstruível; na mesclagem, o local é mantido
+ * - secret: só é exportado quando pedido explicitamente
+ * Chaves `notes-portal-*` desconhecidas são copiadas inteiras.
+ */
+const BACKUP_KEYS = {
+    'notes-portal-progress': {
+        label: '📈 Progresso dos quizzes', collection: 'notes', schema: 1,
+        stamp: entry => entry.updatedAt || (entry.lastResult && entry.lastResult.at),
+        entry: BACKUP_SHAPES.entry(entry => BACKUP_SHAPES.optional(entry.answers, BACKUP_SHAPES.record) &&
+            BACKUP_SHAPES.optional(entry.total, Number.isInteger) && BACKUP_SHAPES.optional(entry.updatedAt, BACKUP_SHAPES.date))
+    },
+    'notes-portal-activity': {
+        label: '📊 Atividade de estudo', collection: 'answers', schema: 1, stamp: entry => entry.at,
+        entry: BACKUP_SHAPES.entry(entry => typeof entry.note === 'string' && typeof entry.correct === 'boolean' && BACKUP_SHAPES.date(entry.at))
+    },
+    'notes-portal-errors': {
+        label: '📕 Caderno de erros', collection: 'entries', schema: 1, stamp: entry => entry.updatedAt,
+        entry: BACKUP_SHAPES.entry(entry => typeof entry.note === 'string' && Number.isInteger(entry.question) &&
+            Number.isInteger(entry.streak) && BACKUP_SHAPES.date(entry.updatedAt))
+    },
+    'notes-portal-review': {
+        label: '🧠 Revisão espaçada', collection: 'cards', schema: 1, stamp: entry => entry.lastReviewed,
+        entry: BACKUP_SHAPES.entry(entry => typeof entry.due === 'string' && typeof entry.ease === 'number' &&
+            BACKUP_SHAPES.optional(entry.lastReviewed, BACKUP_SHAPES.date))
+    },
+    'notes-portal-history': {
+        label: '🕘 Notas abertas', collection: 'opened', schema: 1, stamp: entry => entry.lastOpenedAt,
+        entry: BACKUP_SHAPES.entry(entry => BACKUP_SHAPES.date(entry.lastOpenedAt))
+    },
+    'notes-portal-favorites': {
+        label: '⭐ Notas fixadas', collection: 'pinned', schema: 1, stamp: entry => entry.pinnedAt,
+        entry: BACKUP_SHAPES.entry(entry => BACKUP_SHAPES.date(entry.pinnedAt))
+    },
+    'notes-portal-syllabus': {
+        label: '🗺️ Edital e itens estudados', collection: 'done', schema: 1, stamp: entry => entry.doneAt,
+        entry: BACKUP_SHAPES.entry(entry => BACKUP_SHAPES.date(entry.doneAt))
+    },
+    'notes-portal-view': { label: '↕️ Ordenação e grupos por caderno', collection: 'cadernos', schema: 1, entry: BACKUP_SHAPES.entry(() => true) },
+    'notes-portal-cadernos': { label: '⚙️ Ajustes dos cadernos', collection: 'cadernos', schema: 1, entry: (patch, code) => DataBackup.checkCadernoPatch(patch, code) },
+    'notes-portal-offline': { label: '📥 Cadernos offline', list: 'cadernos', schema: 1, item: item => typeof item === 'string' && /^[A-Za-z0-9]{1,10}$/.test(item) },
+    'notes-portal-metadata': { label: '🧾 Metadados das notas', collection: 'notes', schema: 1, stamp: entry => entry.extractedAt, cache: true, entry: BACKUP_SHAPES.entry(() => true) },
+    'notes-portal-github-cache': { label: '🌐 Cache da GitHub API', cache: true },
+    'notes-portal-cache': { label: '📦 Cache da lista de notas', cache: true },
+    'notes-portal-github-token': { label: '🔑 Token da GitHub API', secret: true }
+};
+
+/**
+ * Erro de validação de um arquivo de backup
+ */
+class DataBackupError extends Error {
+    /**
+     * @param {string} message Descrição do problema
+     * @param {string} [key] Chave do localStorage envolvida
+     */
+    constructor(message, key) {
+        super(key ? `${key}: ${message}` : message);
+        this.name = 'DataBackupError';
+        this.key = key || null;
+    }
+}
+
+/**
+ * Exportação, validação, migração e importação dos dados locais
+ */
+class DataBackup {
+    /**
+     * Lê as chaves do portal de um armazenamento
+     *
+     * @param {Storage} storage localStorage (ou equivalente)
+     * @returns {Object} Chave → valor (JSON interpretado ou texto puro)
+     */
+    static snapshot(storage) {
+        const keys = {};
+        for (let i = 0; i < storage.length; i++) {
+            const key = storage.key(i);
+            if (key && key.startsWith(BACKUP_KEY_PREFIX)) {
+                keys[key] = DataBackup.decode(storage.getItem(key));
+            }
+        }
+        return keys;
+    }
+
+    /**
+     * Interpreta o texto gravado: objetos, listas, números e booleanos viram
+     * JSON; o resto (ex: o token) continua texto puro
+     *
+     * @param {string} text Valor gravado
+     * @returns {*} Valor para o arquivo
+     */
+    static decode(text) {
+        try {
+            const value = JSON.parse(text);
+            if (value !== null && typeof value !== 'string') return value;
+        } catch (error) {
+            // Não é JSON: guarda como texto
+        }
+        return text;
+    }
+
+    /**
+     * @param {*} value Valor do arquivo
+     * @returns {string} Texto a gravar no localStorage
+     */
+    static encode(value) {
+        return typeof value === 'string' ? value : JSON.stringify(value);
+    }
+
+    /**
+     * Monta o arquivo de backup
+     *
+     * @param {Storage} storage localStorage (ou equivalente)
+     * @param {Object} [options]
+     * @param {boolean} [options.includeSecrets=false] Inclui o token da GitHub API
+     * @param {string} [options.source] Endereço do portal
+     * @param {Date} [options.now] Momento da exportação
+     * @returns {Object} Backup pronto para JSON.stringify
+     */
+    static createBackup(storage, options = {}) {
+        const keys = DataBackup.snapshot(storage);
+        if (!options.includeSecrets) {
+            Object.keys(keys)
+                .filter(key => BACKUP_KEYS[key] && BACKUP_KEYS[key].secret)
+                .forEach(key => delete keys[key]);
+        }
+
+        return {
+            format: BACKUP_FORMAT,
+            version: BACKUP_VERSION,
+            exportedAt: (options.now || new Date()).toISOString(),
+            source: options.source || null,
+            keys
+        };
+    }
+
+    /**
+     * Nome sugerido para o arquivo
+     *
+     * @param {Date} [now] Momento da exportação
+     * @returns {string} Ex: "notes-portal-backup-2026-10-19.json"
+     */
+    static fileName(now = new Date()) {
+        const pad = value => String(value).padStart(2, '0');
+        return `${BACKUP_FORMAT}-${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}.json`;
+    }
+
+    /**
+     * Valida um backup e o converte para a versão atual
+     *
+     * @param {*} input Conteúdo do arquivo (texto ou objeto já interpretado)
+     * @returns {Object} Backup na versão atual
+     * @throws {DataBackupError} Se o arquivo não puder ser importado
+     */
+    static parse(input) {
+        let data = input;
+        if (typeof input === 'string') {
+            try {
+                data = JSON.parse(input);
+            } catch (error) {
+                throw new DataBackupError(`O arquivo não é um JSON válido (${error.message})`);
+            }
+        }
+
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new DataBackupError('O arquivo não contém um backup do portal');
+        }
+
+        const backup = DataBackup.migrate(data);
+        DataBackup.validate(backup);
+        return backup;
+    }
+
+    /**
+     * Converte backups de versões anteriores para a versão atual
+     *
+     * @param {Object} data Conteúdo do arquivo
+     * @returns {Object} Backup na versão atual
+     * @throws {DataBackupError} Se o formato ou a versão não forem reconhecidos
+     */
+    static migrate(data) {
+        let backup = data;
+
+        // Versão 0: cópia direta do localStorage (valores em texto)
+        if (backup.format === undefined) {
+            const keys = Object.keys(backup);
+            if (keys.length === 0 || !keys.every(key => key.startsWith(BACKUP_KEY_PREFIX))) {
+                throw new DataBackupError('O arquivo não é um backup do portal (formato desconhecido)');
+            }
+            console.log('🔁 [BACKUP] Convertendo cópia do localStorage (versão 0)');
+            backup = {
+                format: BACKUP_FORMAT,
+                version: 1,
+                exportedAt: null,
+                source: null,
+                keys: Object.fromEntries(keys.map(key => [key, typeof backup[key] === 'string' ? DataBackup.decode(backup[key]) : backup[key]]))
+            };
+        }
+
+        if (backup.format !== BACKUP_FORMAT) {
+            throw new DataBackupError(`Formato "${backup.format}" não reconhecido`);
+        }
+        if (typeof backup.version !== 'number' || backup.version > BACKUP_VERSION) {
+            throw new DataBackupError(`Backup na versão ${backup.version}, mais nova que a suportada (${BACKUP_VERSION}). Atualize o portal antes de importar.`);
+        }
+
+        // Registros anteriores ao versionamento das chaves ganham a versão 1
+        const keys = { ...backup.keys };
+        Object.entries(keys).forEach(([key, value]) => {
+            const rules = BACKUP_KEYS[key];
+            if (rules && rules.schema && value && typeof value === 'object' && value.version === undefined) {
+                keys[key] = { version: 1, ...value };
+            }
+        });
+
+        return { ...backup, keys };
+    }
+
+    /**
+     * Confere a estrutura de um backup já migrado
+     *
+     * @param {Object} backup Backup na versão atual
+     * @throws {DataBackupError} No primeiro problema encontrado
+     */
+    static validate(backup) {
+        if (!backup.keys || typeof backup.keys !== 'object' || Array.isArray(backup.keys)) {
+            throw new DataBackupError('Campo "keys" ausente ou inválido');
+        }
+
+        Object.entries(backup.keys).forEach(([key, value]) => {
+            if (!key.startsWith(BACKUP_KEY_PREFIX)) {
+                throw new DataBackupError(`chave fora do portal (esperado prefixo "${BACKUP_KEY_PREFIX}")`, key);
+            }
+
+            const rules = BACKUP_KEYS[key];
+            if (!rules) return;
+
+            if (rules.secret) {
+                if (typeof value !== 'string') throw new DataBackupError('esperado texto', key);
+                return;
+            }
+            if (!rules.schema) return;
+
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                throw new DataBackupError('esperado um objeto', key);
+            }
+            if (typeof value.version !== 'number' || value.version > rules.schema) {
+                throw new DataBackupError(`registro na versão ${value.version}, mais nova que a suportada (${rules.schema})`, key);
+            }
+            if (rules.collection && (typeof value[rules.collection] !== 'object' || value[rules.collection] === null || Array.isArray(value[rules.collection]))) {
+                throw new DataBackupError(`campo "${rules.collection}" ausente ou inválido`, key);
+            }
+            if (rules.list && !Array.isArray(value[rules.list])) {
+                throw new DataBackupError(`campo "${rules.list}" deveria ser uma lista`, key);
+            }
+
+            // Entradas uma a uma: o conteúdo vai direto para a interface depois de importado
+            if (rules.entry) {
+                Object.entries(value[rules.collection]).forEach(([id, entry]) => {
+                    const problem = rules.entry(entry, id);
+                    if (problem) throw new DataBackupError(`entrada "${id}" inválida (${problem})`, key);
+                });
+            }
+            if (rules.item) {
+                const invalid = value[rules.list].find(item => !rules.item(item));
+                if (invalid !== undefined) throw new DataBackupError(`item inválido na lista "${rules.list}": ${JSON.stringify(invalid)}`, key);
+            }
+        });
+    }
+
+    /**
+     * Valida o ajuste de um caderno: caderno removido, caderno novo completo ou
+     * só os campos alterados de um caderno do arquivo (conferidos sobre um nome provisório)
+     *
+     * @param {Object} patch Ajuste gravado pelo editor de cadernos
+     * @param {string} code Sigla
+     * @returns {string|null} Problemas encontrados (null se válido)
+     */
+    static checkCadernoPatch(patch, code) {
+        if (!BACKUP_SHAPES.record(patch)) return 'formato inesperado';
+        if (patch.removed === true) return null;
+
+        const CategoryConfig = typeof window !== 'undefined' && window.CategoryConfig
+            ? window.CategoryConfig
+            : require('./category-config.js').CategoryConfig;
+        const problems = CategoryConfig.validateEntry(CategoryConfig.normalizeEntry({ name: code, ...patch, code }));
+        return problems.length > 0 ? problems.join('; ') : null;
+    }
+
+    /**
+     * Calcula o que a importação vai mudar, sem gravar nada
+     *
+     * @param {Object} current Dados atuais (DataBackup.snapshot)
+     * @param {Object} backup Backup validado (DataBackup.parse)
+     * @param {string} mode "merge" (mesclar) ou "replace" (substituir)
+     * @returns {Array} Mudanças [{ key, label, action, detail, value }]
+     *   action: "add" | "update" | "merge" | "remove" | "keep"
+     *   value: valor final (undefined quando a chave é removida)
+     */
+    static plan(current, backup, mode) {
+        const keys = [...new Set([...Object.keys(current), ...Object.keys(backup.keys)])].sort();
+        const labelOf = key => (BACKUP_KEYS[key] ? BACKUP_KEYS[key].label : `📄 ${key}`);
+
+        return keys.map(key => {
+            const local = current[key];
+            const incoming = backup.keys[key];
+            const change = { key, label: labelOf(key) };
+
+            if (incoming === undefined) {
+                // Segredos não vão para o arquivo por padrão: nunca são apagados pela importação
+                const removable = mode === 'replace' && !(BACKUP_KEYS[key] && BACKUP_KEYS[key].secret);
+                return removable
+                    ? { ...change, action: 'remove', detail: 'Removido (ausente no arquivo)', value: undefined }
+                    : { ...change, action: 'keep', detail: 'Mantido (ausente no arquivo)', value: local };
+            }
+            if (local === undefined) {
+                return { ...change, action: 'add', detail: `Adicionado${DataBackup.describeSize(key, incoming)}`, value: incoming };
+            }
+            if (JSON.stringify(local) === JSON.stringify(incoming)) {
+                return { ...change, action: 'keep', detail: 'Sem diferenças', value: local };
+            }
+            if (mode === 'replace') {
+                return { ...change, action: 'update', detail: `Substituído${DataBackup.describeSize(key, incoming)}`, value: incoming };
+            }
+
+            return { ...change, ...DataBackup.mergeKey(key, local, incoming) };
+        });
+    }
+
+    /**
+     * Mescla o valor local de uma chave com o do arquivo
+     *
+     * @param {string} key Chave do localStorage
+     * @param {*} local Valor atual
+     * @param {*} incoming Valor do arquivo
+     * @returns {Object} { action, detail, value }
+     */
+    static mergeKey(key, local, incoming) {
+        const rules = BACKUP_KEYS[key] || {};
+        const isRecord = value => value && typeof value === 'object' && !Array.isArray(value);
+
+        if (rules.collection && isRecord(local) && isRecord(local[rules.collection])) {
+            const merged = { ...local[rules.collection] };
+            let added = 0;
+            let updated = 0;
+
+            Object.entries(incoming[rules.collection]).forEach(([id, entry]) => {
+                const existing = merged[id];
+                if (existing === undefined) {
+                    merged[id] = entry;
+                    added++;
+                } else if (JSON.stringify(existing) !== JSON.stringify(entry) && DataBackup.isNewer(rules, entry, existing)) {
+                    merged[id] = entry;
+                    updated++;
+                }
+            });
+
+            if (added === 0 && updated === 0) {
+                return { action: 'keep', detail: 'Dados locais já estão em dia', value: local };
+            }
+            return {
+                action: 'merge',
+                detail: `${added} entrada(s) nova(s), ${updated} atualizada(s)`,
+                value: { ...incoming, ...local, [rules.collection]: merged }
+            };
+        }
+
+        if (rules.list && isRecord(local) && Array.isArray(local[rules.list])) {
+            const union = [...new Set([...local[rules.list], ...incoming[rules.list]])];
+            const added = union.length - local[rules.list].length;
+            return added === 0
+                ? { action: 'keep', detail: 'Dados locais já estão em dia', value: local }
+                : { action: 'merge', detail: `${added} item(ns) novo(s)`, value: { ...local, [rules.list]: union } };
+        }
+
+        // Caches e segredos: o que já está neste navegador continua valendo
+        if (rules.cache || rules.secret) {
+            return { action: 'keep', detail: 'Mantido o valor deste navegador', value: local };
+        }
+
+        return { action: 'update', detail: 'Substituído pelo valor do arquivo', value: incoming };
+    }
+
+    /**
+     * @param {Object} rules Regras da chave
+     * @param {Object} entry Entrada do arquivo
+     * @param {Object} existing Entrada local
+     * @returns {boolean} true se a entrada do arquivo deve prevalecer
+     */
+    static isNewer(rules, entry, existing) {
+        const stampOf = value => (rules.stamp && value && typeof value === 'object' ? rules.stamp(value) || null : null);
+        const incomingStamp = stampOf(entry);
+        const localStamp = stampOf(existing);
+
+        // Sem datas para comparar, vale o arquivo
+        if (!incomingStamp || !localStamp) return !localStamp;
+        return incomingStamp > localStamp;
+    }
+
+    /**
+     * @param {string} key Chave do localStorage
+     * @param {*} value Valor do arquivo
+     * @returns {string} Complemento com o número de entradas (ex: " (12 entradas)")
+     */
+    static describeSize(key, value) {
+        const rules = BACKUP_KEYS[key] || {};
+        const field = rules.collection || rules.list;
+        if (!field || !value || typeof value[field] !== 'object' || value[field] === null) return '';
+
+        const count = Object.keys(value[field]).length;
+        return ` (${count} entrada${count !== 1 ? 's' : ''})`;
+    }
+
+    /**
+     * Grava um plano de importação
+     * Se uma gravação falhar (ex: QuotaExceededError), as chaves já gravadas
+     * voltam ao valor anterior antes de o erro ser repassado.
+     *
+     * @param {Storage} storage localStorage (ou equivalente)
+     * @param {Array} changes Resultado de DataBackup.plan()
+     * @returns {number} Chaves gravadas ou removidas
+     * @throws {DataBackupError} Se a gravação falhar (nada fica alterado)
+     */
+    static apply(storage, changes) {
+        const previous = []; // [{ key, text }] na ordem de gravação
+
+        try {
+            changes
+                .filter(change => change.action !== 'keep')
+                .forEach(change => {
+                    previous.push({ key: change.key, text: storage.getItem(change.key) });
+                    if (change.action === 'remove') {
+                        storage.removeItem(change.key);
+                    } else {
+                        storage.setItem(change.key, DataBackup.encode(change.value));
+                    }
+                });
+        } catch (error) {
+            const failedKey = previous[previous.length - 1].key;
+            console.error(`❌ [BACKUP] Falha ao gravar ${failedKey}, desfazendo a importação:`, error);
+            previous.slice().reverse().forEach(({ key, text }) => {
+                try {
+                    if (text === null) storage.removeItem(key);
+                    else storage.setItem(key, text);
+                } catch (restoreError) {
+                    console.error(`❌ [BACKUP] Não foi possível restaurar ${key}:`, restoreError);
+                }
+            });
+
+            const full = error && (error.name === 'QuotaExceededError' || error.code === 22);
+            throw new DataBackupError(full
+                ? 'Sem espaço no armazenamento do navegador; nada foi importado'
+                : `Não foi possível gravar os dados (${error.message}); nada foi importado`, failedKey);
+        }
+
+        const written = previous.length;
+
+        console.log(`📦 [BACKUP] Importação concluída: ${written} chave(s) alterada(s)`);
+        return written;
+    }
+}
+
+DataBackup.FORMAT = BACKUP_FORMAT;
+DataBackup.VERSION = BACKUP_VERSION;
+DataBackup.KEYS = BACKUP_KEYS;
+DataBackup.Error = DataBackupError;
+
+if (typeof window !== 'undefined') {
+    window.DataBackup = DataBackup;
+}
+
+/**
+ * Exportação para módulos (se suportado)
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DataBackup, DataBackupError };
+}
@@ -0,0 +1,419 @@
+/**
+ * Portal de Notas HTML - Caderno de Erros
+ *
+ * Painel "Caderno de erros": reúne as questões respondidas errado (nas notas,
+ * na revisão ou nos simulados), agrupadas por caderno e tópico, com a
+ * alternativa escolhida, a correta e a explicação.
+ *
+ * Fluxo:
+ * - Lista do caderno escolhido; cada questão pode ser tirada à mão
+ * - "Refazer" pergunta de novo só as questões da lista, uma por vez
+ * - Após N acertos seguidos (configurável) a questão sai do caderno
+ *
+ * O registro fica no ProgressStore (chave `notes-portal-errors`); as questões
+ * são lidas das próprias notas pelo QuestionLibrary.
+ *
+ * @author Portal de Notas HTML
+ * @version 1.0.0
+ * @requires ES6+, PortalPanel, ProgressStore, QuestionLibrary
+ */
+
+'use strict';
+
+/**
+ * Controlador do painel do caderno de erros
+ */
+class ErrorNotebook {
+    /**
+     * @param {NotesPortal} portal Instância do portal
+     */
+    constructor(portal) {
+        this.portal = portal;
+        this.category = 'todos';
+        this.questions = new Map(); // Identificador → questão
+        this.items = [];
+        this.queue = [];
+        this.position = 0;
+        this.session = { answered: 0, correct: 0, cleared: 0 };
+        this.answered = false;
+
+        this.panel = new PortalPanel({
+            id: 'errors-panel',
+            button: 'errors-btn',
+            name: 'errors',
+            title: '📕 Caderno de erros',
+            titleId: 'errors-title',
+            closeLabel: 'Fechar caderno de erros',
+            onOpen: () => this.open(),
+            actions: {
+                close: () => this.close(),
+                start: () => this.start(),
+                answer: target => this.answer(parseInt(target.dataset.option, 10)),
+                next: () => this.next(),
+                remove: target => this.remove(target.dataset.id),
+                restart: () => this.open(this.category)
+            }
+        });
+        this.elements = { panel: this.panel.element, button: this.panel.button };
+
+        this.setupEventListeners();
+        this.updateBadge();
+    }
+
+    /**
+     * Configura o contador e os filtros do painel (os cliques ficam com o PortalPanel)
+     */
+    setupEventListeners() {
+        // Respostas dadas nas notas (outra aba) atualizam o contador
+        window.addEventListener('storage', (e) => {
+            if (e.key === ProgressStore.ERRORS_KEY) this.updateBadge();
+        });
+
+        if (!this.elements.panel) return;
+
+        this.elements.panel.addEventListener('change', (e) => {
+            if (e.target.matches('[data-errors-filter]')) {
+                this.open(e.target.value);
+            }
+            if (e.target.matches('[data-errors-streak]')) {
+                e.target.value = ProgressStore.setErrorStreak(e.target.value);
+                this.renderList();
+                this.updateBadge();
+            }
+        });
+    }
+
+    /**
+     * Atualiza o contador de questões no botão
+     * Usa apenas o registro local (não precisa baixar as notas)
+     */
+    updateBadge() {
+        if (!this.elements.button) return;
+
+        const count = Object.keys(ProgressStore.loadErrors().entries).length;
+
+        let badge = this.elements.button.querySelector('.review-badge');
+        if (!badge) {
+            badge = document.createElement('span');
+            badge.className = 'review-badge';
+            this.elements.button.appendChild(badge);
+        }
+        badge.textContent = count;
+        badge.hidden = count === 0;
+    }
+
+    /**
+     * Abre o painel com as questões do caderno escolhido
+     *
+     * @param {string} [category] Caderno ('todos' para todos)
+     */
+    async open(category = this.category) {
+        if (!this.elements.panel) return;
+
+        this.category = category;
+        this.panel.show(this.panel.renderLoading('Reunindo questões erradas...'));
+
+        try {
+            const notes = await this.portal.questionLibrary.loadNotes(this.getFiles());
+            this.questions = new Map();
+            notes.forEach(note => note.questions.forEach(question => this.questions.set(question.id, question)));
+            this.renderList();
+        } catch (error) {
+            console.error('❌ [ERRORS] Erro ao abrir o caderno de erros:', error);
+            this.elements.panel.innerHTML = this.panel.renderError('Não foi possível carregar as questões.');
+        }
+    }
+
+    /**
+     * Fecha o painel
+     */
+    close() {
+        this.panel.hide();
+        this.updateBadge();
+    }
+
+    /**
+     * Arquivos com questões no caderno de erros (apenas do caderno selecionado)
+     *
+     * @returns {Array} Arquivos do portal
+     */
+    getFiles() {
+        const names = new Set(Object.values(ProgressStore.loadErrors().entries).map(entry => entry.note));
+
+        return this.portal.files.filter(file => names.has(file.name) &&
+            (this.category === 'todos' || this.portal.detectFileCategory(file.name) === this.category));
+    }
+
+    /**
+     * Questões do caderno de erros que ainda existem nas notas, agrupadas por
+     * caderno (na ordem do portal) e tópico
+     *
+     * @returns {Array} Itens { id, entry, question }
+     */
+    collect() {
+        const order = Object.keys(this.portal.categories);
+        const rank = key => (order.indexOf(key) + 1) || order.length + 1;
+
+        return Object.entries(ProgressStore.loadErrors().entries)
+            .map(([id, entry]) => ({ id, entry, question: this.questions.get(id) }))
+            .filter(item => item.question)
+            .sort((a, b) => rank(a.question.category) - rank(b.question.category) ||
+                (a.question.topic || '').localeCompare(b.question.topic || '') ||
+                a.question.noteTitle.localeCompare(b.question.noteTitle) ||
+                a.question.index - b.question.index);
+    }
+
+    /**
+     * Opções do filtro de caderno
+     *
+     * @returns {string} HTML das <option>
+     */
+    renderCategoryOptions() {
+        const options = [`<option value="todos" ${this.category === 'todos' ? 'selected' : ''}>📋 Todos os cadernos</option>`];
+
+        Object.entries(this.portal.categories)
+            .filter(([, category]) => category.files.length > 0)
+            .forEach(([key, category]) => {
+                options.push(`<option value="${this.portal.escapeHtml(key)}" ${this.category === key ? 'selected' : ''}>${this.portal.formatCategoryLabel(category)}</option>`);
+            });
+
+        return options.join('');
+    }
+
+    /**
+     * Tela principal: filtros, resumo e questões agrupadas
+     */
+    renderList() {
+        const { streak } = ProgressStore.loadErrors().settings;
+        this.items = this.collect();
+
+        const wrongCount = this.items.reduce((sum, item) => sum + (item.entry.wrongCount || 1), 0);
+        const groups = new Map(); // Caderno → Map<tópico, itens>
+        this.items.forEach(item => {
+            if (!groups.has(item.question.category)) groups.set(item.question.category, new Map());
+            const topics = groups.get(item.question.category);
+            const topic = item.question.topic || 'Sem tópico';
+            topics.set(topic, (topics.get(topic) || []).concat(item));
+        });
+
+        this.elements.panel.innerHTML = `
+            ${this.panel.renderHeader(`${this.items.length} questões para refazer`)}
+            <div class="review-controls">
+                <label>
+                    Caderno
+                    <select data-errors-filter>${this.renderCategoryOptions()}</select>
+                </label>
+                <label>
+                    Sai após acertos seguidos
+                    <input type="number" min="1" max="${ProgressStore.ERRORS_MAX_STREAK}" value="${streak}" data-errors-streak>
+                </label>
+            </div>
+            <div class="review-summary">
+                <div><strong>${this.items.length}</strong><span>questões</span></div>
+                <div><strong>${wrongCount}</strong><span>erros registrados</span></div>
+                <div><strong>${groups.size}</strong><span>cadernos</span></div>
+            </div>
+            ${this.items.length > 0
+                ? `<button class="btn btn-primary" type="button" data-errors-action="start">🔁 Refazer ${this.items.length} questões</button>
+                   ${[...groups.entries()].map(([key, topics]) => this.renderGroup(key, topics, streak)).join('')}`
+                : '<p class="review-empty">🎉 Nenhuma questão errada neste caderno. Continue assim!</p>'}
+        `;
+    }
+
+    /**
+     * Questões de um caderno, por tópico
+     *
+     * @param {string} key Caderno
+     * @param {Map<string, Array>} topics Tópico → itens
+     * @param {number} streak Acertos seguidos para sair do caderno
+     * @returns {string} HTML do grupo
+     */
+    renderGroup(key, topics, streak) {
+        const category = this.portal.categories[key];
+        const count = [...topics.values()].reduce((sum, items) => sum + items.length, 0);
+
+        return `
+            <section class="errors-group">
+                <h3 class="errors-group-title">${category ? this.portal.formatCategoryLabel(category) : '📋 Outros'} <span>(${count})</span></h3>
+                ${[...topics.entries()].map(([topic, items]) => `
+                    <h4 class="errors-topic">🏷️ ${this.portal.escapeHtml(topic)}</h4>
+                    ${items.map(item => this.renderEntry(item, streak)).join('')}
+                `).join('')}
+            </section>
+        `;
+    }
+
+    /**
+     * Questão com a alternativa errada, a correta e a explicação
+     *
+     * @param {Object} item { id, entry, question }
+     * @param {number} streak Acertos seguidos para sair do caderno
+     * @returns {string} HTML da questão
+     */
+    renderEntry({ id, entry, question }, streak) {
+        const lastWrong = this.portal.formatDate(entry.lastWrongAt);
+
+        return `
+            <article class="review-card errors-entry">
+                <p class="review-source">
+                    <a href="${question.url}#questao-${question.index + 1}" target="_blank" rel="noopener noreferrer" data-note-open="${this.portal.escapeHtml(question.fileName)}">${question.noteTitle}</a>
+                    • Questão ${question.index + 1}
+                </p>
+                <div class="review-question">${question.question}</div>
+                <ol class="review-options">
+                    ${question.options.map((option, index) => `
+                        <li class="review-option${index === question.answer ? ' correct' : ''}${index === entry.selected && index !== question.answer ? ' incorrect' : ''}">
+                            <span class="review-letter">${String.fromCharCode(65 + index)}</span>
+                            <span>${option}</span>
+                        </li>
+                    `).join('')}
+                </ol>
+                ${question.explanation ? `<details class="review-explanation"><summary>Ver explicação</summary>${question.explanation}</details>` : ''}
+                <p class="errors-meta">
+                    ❌ Errou ${entry.wrongCount || 1}×${lastWrong ? ` • último erro em ${lastWrong}` : ''}
+                    • ✅ ${entry.streak || 0}/${streak} acertos seguidos
+                    <button class="btn errors-remove" type="button" data-errors-action="remove" data-id="${this.portal.escapeHtml(id)}">🗑️ Tirar do caderno</button>
+                </p>
+            </article>
+        `;
+    }
+
+    /**
+     * Tira uma questão do caderno à mão
+     *
+     * @param {string} id Identificador `<arquivo>#<índice>`
+     */
+    remove(id) {
+        ProgressStore.removeError(id);
+        this.renderList();
+        this.updateBadge();
+    }
+
+    /**
+     * Inicia o "refazer" com as questões listadas
+     */
+    start() {
+        this.queue = this.items.map(item => item.question);
+        this.position = 0;
+        this.session = { answered: 0, correct: 0, cleared: 0 };
+        this.renderQuestion();
+    }
+
+    /**
+     * Exibe a questão atual do "refazer"
+     */
+    renderQuestion() {
+        const question = this.queue[this.position];
+        if (!question) {
+            this.renderFinished();
+            return;
+        }
+
+        this.answered = false;
+        const category = this.portal.categories[question.category];
+
+        this.elements.panel.innerHTML = `
+            ${this.panel.renderHeader(`Questão ${this.position + 1} de ${this.queue.length}`)}
+            <article class="review-card">
+                <p class="review-source">
+                    ${category ? `${this.portal.formatCategoryLabel(category)} • ` : ''}
+                    <a href="${question.url}#questao-${question.index + 1}" target="_blank" rel="noopener noreferrer">${question.noteTitle}</a>
+                </p>
+                <div class="review-question">${question.question}</div>
+                <ol class="review-options">
+                    ${question.options.map((option, index) => `
+                        <li>
+                            <button class="review-option" type="button" data-errors-action="answer" data-option="${index}">
+                                <span class="review-letter">${String.fromCharCode(65 + index)}</span>
+                                <span>${option}</span>
+                            </button>
+                        </li>
+                    `).join('')}
+                </ol>
+                <div class="review-feedback" aria-live="polite"></div>
+            </article>
+        `;
+    }
+
+    /**
+     * Trata a escolha de uma alternativa
+     *
+     * @param {number} optionIndex Alternativa escolhida
+     */
+    answer(optionIndex) {
+        if (this.answered) return;
+        this.answered = true;
+
+        const question = this.queue[this.position];
+        const isCorrect = optionIndex === question.answer;
+        const buttons = this.elements.panel.querySelectorAll('.review-option');
+
+        buttons.forEach((button, index) => {
+            button.disabled = true;
+            if (index === question.answer) button.classList.add('correct');
+            if (index === optionIndex && !isCorrect) button.classList.add('incorrect');
+        });
+
+        const tracked = ProgressStore.trackError(question.fileName, question.index, optionIndex, isCorrect);
+        const { streak } = ProgressStore.loadErrors().settings;
+
+        this.session.answered++;
+        if (isCorrect) this.session.correct++;
+        if (tracked && tracked.status === 'cleared') this.session.cleared++;
+
+        let verdict;
+        if (!isCorrect) {
+            verdict = '<p class="review-verdict incorrect">❌ Resposta incorreta — a sequência de acertos recomeça.</p>';
+        } else if (!tracked || tracked.status === 'cleared') {
+            verdict = '<p class="review-verdict correct">✅ Resposta correta — a questão saiu do caderno de erros!</p>';
+        } else {
+            verdict = `<p class="review-verdict correct">✅ Resposta correta — ${tracked.entry.streak} de ${streak} acertos seguidos.</p>`;
+        }
+
+        const feedback = this.elements.panel.querySelector('.review-feedback');
+        feedback.innerHTML = `
+            ${verdict}
+            ${question.explanation ? `<div class="review-explanation">${question.explanation}</div>` : ''}
+            <button class="btn btn-primary" type="button" data-errors-action="next">Próxima ➡️</button>
+        `;
+        this.updateBadge();
+    }
+
+    /**
+     * Avança para a próxima questão
+     */
+    next() {
+        this.position++;
+        this.renderQuestion();
+    }
+
+    /**
+     * Resumo ao final do "refazer"
+     */
+    renderFinished() {
+        const { answered, correct, cleared } = this.session;
+        const percent = answered > 0 ? Math.round((correct / answered) * 100) : 0;
+
+        this.elements.panel.innerHTML = `
+            ${this.panel.renderHeader('Refazer concluído')}
+            <div class="review-summary">
+                <div><strong>${answered}</strong><span>refeitas</span></div>
+                <div><strong>${percent}%</strong><span>de acerto</span></div>
+                <div><strong>${cleared}</strong><span>saíram do caderno</span></div>
+            </div>
+            <button class="btn btn-primary" type="button" data-errors-action="restart">📕 Voltar ao caderno</button>
+        `;
+        this.updateBadge();
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.ErrorNotebook = ErrorNotebook;
+}
+
+/**
+ * Exportação para módulos (se suportado)
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ErrorNotebook };
+}
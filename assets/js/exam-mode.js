@@ -0,0 +1,580 @@
+/**
+ * Portal de Notas HTML - Simulado
+ *
+ * Monta provas mistas com questões sorteadas de vários cadernos.
+ *
+ * Fluxo:
+ * - Montagem: cadernos, número de questões e tempo limite
+ * - Prova em página única, com cronômetro (encerra sozinha ao fim do tempo)
+ * - Relatório com gráfico de rosca (Chart.js) e desempenho por matéria
+ *
+ * @author Portal de Notas HTML
+ * @version 1.0.0
+ * @requires ES6+, PortalPanel, QuestionLibrary, ProgressStore (opcional, caderno de erros), Chart.js (opcional, apenas para o gráfico)
+ */
+
+'use strict';
+
+/**
+ * Valores padrão do formulário de montagem
+ */
+const EXAM_DEFAULTS = {
+    count: 20,
+    minutes: 30,
+    maxCount: 200
+};
+
+/**
+ * Controlador do painel de simulados
+ */
+class ExamMode {
+    /**
+     * @param {NotesPortal} portal Instância do portal
+     */
+    constructor(portal) {
+        this.portal = portal;
+        this.exam = null;
+        this.timer = null;
+        this.chart = null;
+
+        this.panel = new PortalPanel({
+            id: 'exam-panel',
+            button: 'exam-btn',
+            name: 'exam',
+            title: '📝 Simulado',
+            titleId: 'exam-title',
+            closeLabel: 'Fechar simulado',
+            onOpen: () => this.open(),
+            actions: {
+                close: () => this.close(),
+                start: () => this.start(),
+                finish: () => this.finish(),
+                new: () => this.open()
+            }
+        });
+        this.elements = { panel: this.panel.element, button: this.panel.button };
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Embaralha uma lista (Fisher-Yates), sem alterar a original
+     *
+     * @param {Array} items Lista original
+     * @param {Function} [random=Math.random] Gerador de números em [0, 1)
+     * @returns {Array} Nova lista embaralhada
+     */
+    static shuffle(items, random = Math.random) {
+        const result = items.slice();
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    }
+
+    /**
+     * Sorteia as questões do simulado, dividindo o total entre os cadernos
+     * Cadernos com poucas questões cedem as vagas restantes aos demais
+     *
+     * @param {Object} pools Questões por caderno { código: [questões] }
+     * @param {number} count Número de questões desejado
+     * @param {Function} [random=Math.random] Gerador de números em [0, 1)
+     * @returns {Array} Questões sorteadas, em ordem aleatória
+     */
+    static assemble(pools, count, random = Math.random) {
+        const shuffled = Object.entries(pools)
+            .map(([category, questions]) => [category, ExamMode.shuffle(questions, random)])
+            .filter(([, questions]) => questions.length > 0);
+        const quotas = Object.fromEntries(shuffled.map(([category]) => [category, 0]));
+
+        let remaining = count;
+        let open = shuffled.filter(([category, questions]) => quotas[category] < questions.length);
+
+        while (remaining > 0 && open.length > 0) {
+            const share = Math.max(1, Math.floor(remaining / open.length));
+            for (const [category, questions] of open) {
+                const take = Math.min(share, questions.length - quotas[category], remaining);
+                quotas[category] += take;
+                remaining -= take;
+                if (remaining === 0) break;
+            }
+            open = open.filter(([category, questions]) => quotas[category] < questions.length);
+        }
+
+        const selected = shuffled.reduce(
+            (all, [category, questions]) => all.concat(questions.slice(0, quotas[category])),
+            []
+        );
+        return ExamMode.shuffle(selected, random);
+    }
+
+    /**
+     * Formata segundos como MM:SS
+     *
+     * @param {number} seconds Segundos
+     * @returns {string} Tempo formatado
+     */
+    static formatTime(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        return `${String(minutes).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Registra as respostas marcadas na prova (os cliques ficam com o PortalPanel)
+     */
+    setupEventListeners() {
+        if (!this.elements.panel) return;
+
+        this.elements.panel.addEventListener('change', (e) => {
+            if (!this.exam || !e.target.matches('[data-exam-question]')) return;
+
+            const position = parseInt(e.target.dataset.examQuestion, 10);
+            this.exam.answers[position] = parseInt(e.target.value, 10);
+            this.updateAnsweredCount();
+        });
+    }
+
+    /**
+     * Abre o painel no formulário de montagem
+     */
+    open() {
+        if (!this.elements.panel) return;
+
+        if (this.exam && !this.exam.finishedAt &&
+            !window.confirm('Há um simulado em andamento. Descartar e montar outro?')) {
+            return;
+        }
+
+        this.stopTimer();
+        this.destroyChart();
+        this.exam = null;
+        this.renderBuilder();
+        this.panel.show();
+    }
+
+    /**
+     * Fecha o painel (descarta o simulado em andamento)
+     */
+    close() {
+        if (!this.elements.panel) return;
+
+        if (this.exam && !this.exam.finishedAt &&
+            !window.confirm('Encerrar o simulado sem corrigir?')) {
+            return;
+        }
+
+        this.stopTimer();
+        this.destroyChart();
+        this.exam = null;
+        this.panel.hide();
+    }
+
+    /**
+     * Formulário de montagem
+     */
+    renderBuilder() {
+        const categories = Object.entries(this.portal.categories)
+            .filter(([, category]) => category.files.length > 0);
+
+        this.elements.panel.innerHTML = `
+            ${this.panel.renderHeader('Monte uma prova com questões de vários cadernos')}
+            <form class="exam-builder" novalidate>
+                <fieldset class="exam-categories">
+                    <legend>Cadernos</legend>
+                    ${categories.map(([key, category]) => `
+                        <label class="exam-category">
+                            <input type="checkbox" name="category" value="${this.portal.escapeHtml(key)}" ${[key, 'todos'].includes(this.portal.activeCategory) ? 'checked' : ''}>
+                            ${this.portal.formatCategoryLabel(category)}
+                            <span class="exam-category-count">${category.files.length} nota${category.files.length !== 1 ? 's' : ''}</span>
+                        </label>
+                    `).join('')}
+                </fieldset>
+                <div class="exam-options">
+                    <label>
+                        Questões
+                        <input type="number" name="count" min="1" max="${EXAM_DEFAULTS.maxCount}" value="${EXAM_DEFAULTS.count}">
+                    </label>
+                    <label>
+                        Tempo limite (min)
+                        <input type="number" name="minutes" min="0" max="600" value="${EXAM_DEFAULTS.minutes}">
+                    </label>
+                    <span class="exam-hint">0 = sem limite de tempo</span>
+                </div>
+                <p class="exam-error" role="alert" hidden></p>
+                <button class="btn btn-primary" type="button" data-exam-action="start">🎲 Gerar simulado</button>
+            </form>
+        `;
+    }
+
+    /**
+     * Lê o formulário, sorteia as questões e inicia a prova
+     */
+    async start() {
+        const form = this.elements.panel.querySelector('.exam-builder');
+        const selected = [...form.querySelectorAll('input[name="category"]:checked')].map(input => input.value);
+        const count = Math.min(EXAM_DEFAULTS.maxCount, parseInt(form.elements.count.value, 10) || 0);
+        const minutes = Math.max(0, parseInt(form.elements.minutes.value, 10) || 0);
+        const error = form.querySelector('.exam-error');
+
+        if (selected.length === 0 || count < 1) {
+            error.textContent = '⚠️ Escolha ao menos um caderno e um número de questões maior que zero.';
+            error.hidden = false;
+            return;
+        }
+
+        this.elements.panel.innerHTML = `
+            ${this.panel.renderHeader()}
+            <div class="loading" role="status">
+                <div class="loading-spinner"></div>
+                <p>Sorteando questões...</p>
+            </div>
+        `;
+
+        try {
+            const pools = {};
+            for (const category of selected) {
+                const files = this.portal.files.filter(file => this.portal.detectFileCategory(file.name) === category);
+                pools[category] = await this.portal.questionLibrary.loadQuestions(files);
+            }
+
+            const questions = ExamMode.assemble(pools, count);
+            if (questions.length === 0) {
+                throw new Error('Nenhuma questão encontrada nos cadernos escolhidos');
+            }
+
+            this.exam = {
+                questions,
+                answers: new Array(questions.length).fill(null),
+                categories: selected,
+                requested: count,
+                limitSeconds: minutes * 60,
+                startedAt: Date.now(),
+                finishedAt: null
+            };
+
+            console.log(`📝 [EXAM] Simulado com ${questions.length} questões de ${selected.join(', ')}`);
+            this.renderExam();
+            this.startTimer();
+        } catch (error) {
+            console.error('❌ [EXAM] Erro ao montar simulado:', error);
+            this.elements.panel.innerHTML = `
+                ${this.panel.renderHeader()}
+                <div class="error" role="alert">⚠️ Não foi possível montar o simulado: ${error.message}</div>
+                <button class="btn btn-primary" type="button" data-exam-action="new">Voltar</button>
+            `;
+        }
+    }
+
+    /**
+     * Prova em página única
+     */
+    renderExam() {
+        const { questions, requested } = this.exam;
+        const shortage = questions.length < requested
+            ? `<p class="exam-hint">Os cadernos escolhidos têm apenas ${questions.length} questões.</p>`
+            : '';
+
+        this.elements.panel.innerHTML = `
+            ${this.panel.renderHeader(`${questions.length} questões`)}
+            <div class="exam-toolbar">
+                <span class="exam-timer" aria-live="off">⏱️ <span data-exam-timer>--:--</span></span>
+                <span class="exam-answered" aria-live="polite"></span>
+                <button class="btn btn-primary" type="button" data-exam-action="finish">✅ Finalizar e corrigir</button>
+            </div>
+            ${shortage}
+            <ol class="exam-questions">
+                ${questions.map((question, position) => this.renderExamQuestion(question, position)).join('')}
+            </ol>
+        `;
+        this.updateAnsweredCount();
+    }
+
+    /**
+     * HTML de uma questão da prova
+     *
+     * @param {Object} question Questão
+     * @param {number} position Posição na prova
+     * @returns {string} HTML
+     */
+    renderExamQuestion(question, position) {
+        const category = this.portal.categories[question.category];
+
+        return `
+            <li class="exam-question" id="exam-question-${position}">
+                <p class="exam-question-meta">
+                    Questão ${position + 1} • ${category ? this.portal.formatCategoryLabel(category) : this.portal.escapeHtml(question.category)}
+                </p>
+                <div class="exam-question-text">${question.question}</div>
+                <div class="exam-options-list" role="radiogroup">
+                    ${question.options.map((option, index) => `
+                        <label class="exam-option" data-option="${index}">
+                            <input type="radio" name="exam-q${position}" value="${index}" data-exam-question="${position}">
+                            <span class="exam-letter">${String.fromCharCode(65 + index)}</span>
+                            <span>${option}</span>
+                        </label>
+                    `).join('')}
+                </div>
+            </li>
+        `;
+    }
+
+    /**
+     * Atualiza o contador de questões respondidas
+     */
+    updateAnsweredCount() {
+        const counter = this.elements.panel.querySelector('.exam-answered');
+        if (!counter || !this.exam) return;
+
+        const answered = this.exam.answers.filter(answer => answer !== null).length;
+        counter.textContent = `${answered}/${this.exam.questions.length} respondidas`;
+    }
+
+    /**
+     * Inicia o cronômetro (regressivo se houver limite)
+     */
+    startTimer() {
+        this.stopTimer();
+        this.tick();
+        this.timer = setInterval(() => this.tick(), 1000);
+    }
+
+    /**
+     * Para o cronômetro
+     */
+    stopTimer() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Atualiza o cronômetro e encerra a prova ao fim do tempo
+     */
+    tick() {
+        if (!this.exam) return;
+
+        const elapsed = Math.floor((Date.now() - this.exam.startedAt) / 1000);
+        const display = this.elements.panel.querySelector('[data-exam-timer]');
+
+        if (this.exam.limitSeconds > 0) {
+            const left = Math.max(0, this.exam.limitSeconds - elapsed);
+            if (display) {
+                display.textContent = ExamMode.formatTime(left);
+                display.parentElement.classList.toggle('warning', left <= 60);
+            }
+            if (left === 0) {
+                console.log('⏰ [EXAM] Tempo esgotado');
+                this.finish(true);
+            }
+        } else if (display) {
+            display.textContent = ExamMode.formatTime(elapsed);
+        }
+    }
+
+    /**
+     * Corrige a prova
+     *
+     * @param {boolean} [timeUp=false] Encerrada por fim do tempo
+     */
+    finish(timeUp = false) {
+        if (!this.exam || this.exam.finishedAt) return;
+
+        const blank = this.exam.answers.filter(answer => answer === null).length;
+        if (!timeUp && blank > 0 &&
+            !window.confirm(`Há ${blank} questão(ões) em branco. Finalizar mesmo assim?`)) {
+            return;
+        }
+
+        this.stopTimer();
+        this.exam.finishedAt = Date.now();
+        this.exam.timeUp = timeUp;
+        this.trackErrors();
+        this.renderReport(this.grade());
+    }
+
+    /**
+     * Leva as respostas ao caderno de erros (questões em branco ficam de fora)
+     */
+    trackErrors() {
+        if (typeof ProgressStore === 'undefined') return;
+
+        const at = new Date(this.exam.finishedAt).toISOString();
+        this.exam.questions.forEach((question, position) => {
+            const selected = this.exam.answers[position];
+            if (selected === null) return;
+            ProgressStore.trackError(question.fileName, question.index, selected, selected === question.answer, at);
+        });
+    }
+
+    /**
+     * Calcula o resultado geral e por matéria
+     *
+     * @returns {Object} { correct, incorrect, blank, total, percent, subjects }
+     */
+    grade() {
+        const { questions, answers } = this.exam;
+        const result = { correct: 0, incorrect: 0, blank: 0, total: questions.length, subjects: {} };
+
+        questions.forEach((question, position) => {
+            const subject = result.subjects[question.category] ||
+                (result.subjects[question.category] = { correct: 0, incorrect: 0, blank: 0, total: 0 });
+            const status = answers[position] === null ? 'blank'
+                : answers[position] === question.answer ? 'correct' : 'incorrect';
+
+            subject[status]++;
+            subject.total++;
+            result[status]++;
+        });
+
+        result.percent = result.total > 0 ? Math.round((result.correct / result.total) * 100) : 0;
+        Object.values(result.subjects).forEach(subject => {
+            subject.percent = Math.round((subject.correct / subject.total) * 100);
+        });
+
+        return result;
+    }
+
+    /**
+     * Relatório final: gráfico, tabela por matéria e gabarito comentado
+     *
+     * @param {Object} result Resultado de grade()
+     */
+    renderReport(result) {
+        const elapsed = Math.min(
+            Math.floor((this.exam.finishedAt - this.exam.startedAt) / 1000),
+            this.exam.limitSeconds || Infinity
+        );
+        const subjects = Object.entries(result.subjects)
+            .sort(([, a], [, b]) => a.percent - b.percent);
+
+        this.elements.panel.innerHTML = `
+            ${this.panel.renderHeader(`Tempo: ${ExamMode.formatTime(elapsed)}${this.exam.timeUp ? ' (tempo esgotado)' : ''}`)}
+            <div class="exam-report">
+                <div class="exam-chart">
+                    <canvas id="exam-chart" aria-label="Gráfico de desempenho do simulado" role="img"></canvas>
+                    <p class="exam-score"><strong>${result.percent}%</strong> de acerto (${result.correct}/${result.total})</p>
+                </div>
+                <table class="exam-subjects">
+                    <thead>
+                        <tr><th>Matéria</th><th>Acertos</th><th>Erros</th><th>Em branco</th><th>Desempenho</th></tr>
+                    </thead>
+                    <tbody>
+                        ${subjects.map(([key, subject]) => {
+                            const category = this.portal.categories[key];
+                            return `
+                                <tr>
+                                    <td>${category ? this.portal.formatCategoryLabel(category) : this.portal.escapeHtml(key)}</td>
+                                    <td>${subject.correct}</td>
+                                    <td>${subject.incorrect}</td>
+                                    <td>${subject.blank}</td>
+                                    <td>
+                                        <div class="progress-bar"><div class="progress-fill" style="width: ${subject.percent}%"></div></div>
+                                        ${subject.percent}%
+                                    </td>
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <h3 class="exam-review-title">Gabarito comentado</h3>
+            <ol class="exam-questions">
+                ${this.exam.questions.map((question, position) => this.renderCorrection(question, position)).join('')}
+            </ol>
+            <button class="btn btn-primary" type="button" data-exam-action="new">🎲 Novo simulado</button>
+        `;
+
+        this.renderChart(result);
+        this.elements.panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    /**
+     * Questão corrigida, com a explicação e o link para a nota
+     *
+     * @param {Object} question Questão
+     * @param {number} position Posição na prova
+     * @returns {string} HTML
+     */
+    renderCorrection(question, position) {
+        const selected = this.exam.answers[position];
+        const status = selected === null ? 'blank' : selected === question.answer ? 'correct' : 'incorrect';
+        const labels = { correct: '✅ Acertou', incorrect: '❌ Errou', blank: '⚪ Em branco' };
+        const letter = index => String.fromCharCode(65 + index);
+
+        return `
+            <li class="exam-question ${status}">
+                <p class="exam-question-meta">
+                    Questão ${position + 1} • ${labels[status]} •
+                    <a href="${question.url}#questao-${question.index + 1}" target="_blank" rel="noopener noreferrer">${question.noteTitle}</a>
+                </p>
+                <div class="exam-question-text">${question.question}</div>
+                <p class="exam-answer">
+                    Gabarito: <strong>${letter(question.answer)}</strong>
+                    ${selected !== null && selected !== question.answer ? ` • Sua resposta: ${letter(selected)}` : ''}
+                </p>
+                <details class="exam-explanation"><summary>Ver explicação</summary>${question.explanation}</details>
+            </li>
+        `;
+    }
+
+    /**
+     * Gráfico de rosca com acertos, erros e questões em branco
+     *
+     * @param {Object} result Resultado de grade()
+     */
+    renderChart(result) {
+        this.destroyChart();
+
+        const canvas = document.getElementById('exam-chart');
+        if (typeof Chart === 'undefined' || !canvas) {
+            console.warn('⚠️ [EXAM] Chart.js indisponível, relatório sem gráfico');
+            return;
+        }
+
+        this.chart = new Chart(canvas.getContext('2d'), {
+            type: 'doughnut',
+            data: {
+                labels: ['Acertos', 'Erros', 'Em branco'],
+                datasets: [{
+                    data: [result.correct, result.incorrect, result.blank],
+                    backgroundColor: ['#10b981', '#ef4444', '#cbd5e1'],
+                    borderColor: '#ffffff',
+                    borderWidth: 4
+                }]
+            },
+            options: {
+                responsive: true,
+                cutout: '70%',
+                plugins: {
+                    legend: { position: 'bottom', labels: { font: { size: 14 }, padding: 20 } },
+                    title: { display: true, text: 'Desempenho no Simulado', font: { size: 18, weight: 'bold' }, padding: { bottom: 20 } }
+                }
+            }
+        });
+    }
+
+    /**
+     * Remove o gráfico anterior (Chart.js exige destruir antes de reutilizar o canvas)
+     */
+    destroyChart() {
+        if (this.chart) {
+            this.chart.destroy();
+            this.chart = null;
+        }
+    }
+}
+
+ExamMode.DEFAULTS = EXAM_DEFAULTS;
+
+if (typeof window !== 'undefined') {
+    window.ExamMode = ExamMode;
+}
+
+/**
+ * Exportação para módulos (se suportado)
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ExamMode };
+}
@@ -0,0 +1,419 @@
+/**
+ * Portal de Notas HTML - Cliente da GitHub API
+ *
+ * Acesso à GitHub REST API usado como complemento (ou fallback) do manifesto:
+ * - Listagem da pasta de notas
+ * - Data real do último commit de cada nota (API de commits)
+ * - Paginação via cabeçalho `Link`
+ * - Requisições condicionais com ETag/If-None-Match (respostas 304 não
+ *   contam no limite da API)
+ * - Token pessoal opcional (limite de 5000 em vez de 60 requisições/hora)
+ * - Erro específico quando o limite de requisições é atingido
+ *
+ * A URL base é configurável para testes com um mock local da API
+ * (`node scripts/mock-github-api.js`).
+ *
+ * Cache (chave `notes-portal-github-cache`, versão 1):
+ * {
+ *   version: 1,
+ *   responses: { "<url>": { etag, data, next, savedAt } },
+ *   commits: { "<sha>": { date, files } }   // commits são imutáveis
+ * }
+ *
+ * @author Portal de Notas HTML
+ * @version 1.0.0
+ * @requires ES6+, Fetch API, LocalStorage
+ */
+
+'use strict';
+
+const GITHUB_API_URL = 'https://api.github.com';
+const GITHUB_CACHE_KEY = 'notes-portal-github-cache';
+const GITHUB_TOKEN_KEY = 'notes-portal-github-token';
+const GITHUB_CACHE_VERSION = 1;
+
+/**
+ * Limites de segurança para não esgotar a cota da API em uma única carga
+ */
+const GITHUB_LIMITS = {
+    perPage: 100,
+    maxPages: 10,
+    maxCommitLookups: 30,          // sem token (cota de 60/hora)
+    maxCommitLookupsWithToken: 500,
+    maxCachedResponses: 50
+};
+
+/**
+ * Erro genérico da GitHub API
+ */
+class GitHubApiError extends Error {
+    /**
+     * @param {string} message Mensagem
+     * @param {number} status Status HTTP
+     */
+    constructor(message, status) {
+        super(message);
+        this.name = 'GitHubApiError';
+        this.status = status;
+    }
+}
+
+/**
+ * Limite de requisições da API atingido
+ */
+class GitHubRateLimitError extends GitHubApiError {
+    /**
+     * @param {Date|null} resetAt Quando o limite é renovado
+     * @param {boolean} authenticated Se a requisição usou token
+     * @param {number} status Status HTTP (403 ou 429)
+     */
+    constructor(resetAt, authenticated, status = 403) {
+        super('Limite de requisições da GitHub API atingido', status);
+        this.name = 'GitHubRateLimitError';
+        this.resetAt = resetAt;
+        this.authenticated = authenticated;
+    }
+}
+
+/**
+ * Cliente da GitHub REST API para um repositório
+ */
+class GitHubClient {
+    /**
+     * @param {Object} options
+     * @param {string} options.owner Dono do repositório
+     * @param {string} options.repo Nome do repositório
+     * @param {string} [options.branch='main'] Branch das notas
+     * @param {string} [options.apiUrl] URL base da API (mock local em testes)
+     * @param {string|null} [options.token] Token pessoal (padrão: o salvo no navegador,
+     *   apenas para a GitHub API ou um mock em localhost)
+     */
+    constructor(options) {
+        this.owner = options.owner;
+        this.repo = options.repo;
+        this.branch = options.branch || 'main';
+        this.apiUrl = (options.apiUrl || GITHUB_API_URL).replace(/\/+$/, '');
+        this.token = options.token !== undefined ? options.token
+            : GitHubClient.isTrustedApi(this.apiUrl) ? GitHubClient.loadToken() : null;
+        this.rateLimit = null; // { limit, remaining, resetAt }
+        this.cache = this.loadCache();
+    }
+
+    /**
+     * Diz se a URL base pode receber o token salvo: a GitHub API ou um
+     * servidor local (mock). Um `?githubApi=` de outro host nunca recebe o token.
+     *
+     * @param {string} apiUrl URL base da API
+     * @returns {boolean} Se o token pode ser enviado
+     */
+    static isTrustedApi(apiUrl) {
+        if (String(apiUrl).replace(/\/+$/, '') === GITHUB_API_URL) return true;
+        try {
+            const { protocol, hostname } = new URL(apiUrl);
+            return /^https?:$/.test(protocol) && ['localhost', '127.0.0.1', '[::1]'].includes(hostname);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * @returns {string|null} Token pessoal salvo no navegador
+     */
+    static loadToken() {
+        try {
+            return localStorage.getItem(GITHUB_TOKEN_KEY) || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Salva (ou remove, se vazio) o token pessoal
+     *
+     * @param {string|null} token Token pessoal do GitHub
+     */
+    static saveToken(token) {
+        try {
+            if (token) {
+                localStorage.setItem(GITHUB_TOKEN_KEY, token.trim());
+            } else {
+                localStorage.removeItem(GITHUB_TOKEN_KEY);
+            }
+        } catch (error) {
+            console.warn('⚠️ [GITHUB] Não foi possível salvar o token:', error);
+        }
+    }
+
+    /**
+     * Extrai a URL da próxima página do cabeçalho `Link`
+     *
+     * @param {string|null} header Valor do cabeçalho
+     * @returns {string|null} URL da próxima página
+     */
+    static parseNextLink(header) {
+        if (!header) return null;
+
+        const match = header.split(',')
+            .map(part => part.match(/<([^>]+)>;\s*rel="([^"]+)"/))
+            .find(parts => parts && parts[2] === 'next');
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Lê o cache de respostas
+     *
+     * @returns {Object} Cache { version, responses, commits }
+     */
+    loadCache() {
+        try {
+            const raw = localStorage.getItem(GITHUB_CACHE_KEY);
+            const data = raw ? JSON.parse(raw) : null;
+            if (data && data.version === GITHUB_CACHE_VERSION) {
+                return { responses: {}, commits: {}, ...data };
+            }
+        } catch (error) {
+            console.warn('⚠️ [GITHUB] Cache ilegível, recomeçando:', error);
+        }
+
+        return { version: GITHUB_CACHE_VERSION, responses: {}, commits: {} };
+    }
+
+    /**
+     * Grava o cache, descartando as respostas mais antigas se necessário
+     */
+    saveCache() {
+        const urls = Object.keys(this.cache.responses);
+        if (urls.length > GITHUB_LIMITS.maxCachedResponses) {
+            urls
+                .sort((a, b) => this.cache.responses[a].savedAt - this.cache.responses[b].savedAt)
+                .slice(0, urls.length - GITHUB_LIMITS.maxCachedResponses)
+                .forEach(url => delete this.cache.responses[url]);
+        }
+
+        try {
+            localStorage.setItem(GITHUB_CACHE_KEY, JSON.stringify(this.cache));
+        } catch (error) {
+            console.warn('⚠️ [GITHUB] Não foi possível salvar o cache:', error);
+        }
+    }
+
+    /**
+     * Monta a URL de um endpoint do repositório
+     *
+     * @param {string} path Caminho relativo ao repositório (ex: "/contents/notes")
+     * @param {Object} [params={}] Parâmetros de consulta
+     * @returns {string} URL completa
+     */
+    buildUrl(path, params = {}) {
+        const query = new URLSearchParams(params).toString();
+        return `${this.apiUrl}/repos/${this.owner}/${this.repo}${path}${query ? `?${query}` : ''}`;
+    }
+
+    /**
+     * Atualiza o estado do limite a partir dos cabeçalhos da resposta
+     *
+     * @param {Headers} headers Cabeçalhos da resposta
+     */
+    updateRateLimit(headers) {
+        const remaining = headers.get('x-ratelimit-remaining');
+        if (remaining === null) return;
+
+        const reset = headers.get('x-ratelimit-reset');
+        this.rateLimit = {
+            limit: parseInt(headers.get('x-ratelimit-limit'), 10) || null,
+            remaining: parseInt(remaining, 10),
+            resetAt: reset ? new Date(parseInt(reset, 10) * 1000) : null
+        };
+    }
+
+    /**
+     * Faz uma requisição GET com ETag/If-None-Match
+     *
+     * @param {string} url URL completa
+     * @param {Function} [transform] Reduz a resposta antes de guardar no cache
+     * @returns {Promise<Object>} { data, next, fromCache }
+     * @throws {GitHubRateLimitError|GitHubApiError}
+     */
+    async request(url, transform = data => data) {
+        const cached = this.cache.responses[url];
+        const headers = { Accept: 'application/vnd.github+json' };
+
+        if (this.token) {
+            headers.Authorization = `Bearer ${this.token}`;
+        }
+        if (cached && cached.etag) {
+            headers['If-None-Match'] = cached.etag;
+        }
+
+        const response = await fetch(url, { headers, cache: 'no-store' });
+        this.updateRateLimit(response.headers);
+
+        if (response.status === 304 && cached) {
+            return { data: cached.data, next: cached.next, fromCache: true };
+        }
+
+        if (!response.ok) {
+            const rateLimited = (response.status === 403 || response.status === 429) &&
+                (response.headers.get('x-ratelimit-remaining') === '0' || response.headers.has('retry-after'));
+
+            if (rateLimited) {
+                throw new GitHubRateLimitError(this.rateLimit && this.rateLimit.resetAt, Boolean(this.token), response.status);
+            }
+            if (response.status === 401) {
+                throw new GitHubApiError('Token do GitHub inválido ou expirado', 401);
+            }
+            if (response.status === 404) {
+                throw new GitHubApiError('Repositório ou pasta não encontrado na GitHub API', 404);
+            }
+            throw new GitHubApiError(`HTTP ${response.status}: ${response.statusText}`, response.status);
+        }
+
+        const data = transform(await response.json());
+        const next = GitHubClient.parseNextLink(response.headers.get('Link'));
+        const etag = response.headers.get('ETag');
+
+        if (etag) {
+            this.cache.responses[url] = { etag, data, next, savedAt: Date.now() };
+            this.saveCache();
+        }
+
+        return { data, next, fromCache: false };
+    }
+
+    /**
+     * Percorre as páginas de um endpoint de listagem
+     * Permite parar antes do fim (ex: quando já encontrou o que precisava)
+     *
+     * @param {string} url URL da primeira página
+     * @param {Function} transform Reduz cada página
+     * @param {Function} onPage Recebe os itens da página; retornar false interrompe
+     */
+    async paginate(url, transform, onPage) {
+        let nextUrl = url;
+        let pages = 0;
+
+        while (nextUrl && pages < GITHUB_LIMITS.maxPages) {
+            const { data, next } = await this.request(nextUrl, transform);
+            pages++;
+
+            if (await onPage(data) === false) return;
+            nextUrl = next;
+        }
+    }
+
+    /**
+     * Lista os arquivos de uma pasta do repositório
+     *
+     * @param {string} directory Pasta (ex: "notes")
+     * @returns {Promise<Array>} Arquivos { name, path, size, sha, download_url }
+     */
+    async listFiles(directory) {
+        const url = this.buildUrl(`/contents/${directory}`, { ref: this.branch });
+        const { data } = await this.request(url, items => items
+            .filter(item => item.type === 'file')
+            .map(item => ({
+                name: item.name,
+                path: item.path,
+                size: item.size,
+                sha: item.sha,
+                download_url: item.download_url
+            })));
+
+        return data;
+    }
+
+    /**
+     * Arquivos alterados por um commit (cache permanente: commits são imutáveis)
+     *
+     * @param {string} sha Hash do commit
+     * @returns {Promise<Object>} { date, files }
+     */
+    async getCommit(sha) {
+        if (!this.cache.commits[sha]) {
+            const { data } = await this.request(this.buildUrl(`/commits/${sha}`), commit => ({
+                date: commit.commit.committer.date,
+                files: (commit.files || []).map(file => file.filename)
+            }));
+            this.cache.commits[sha] = data;
+            this.saveCache();
+        }
+
+        return this.cache.commits[sha];
+    }
+
+    /**
+     * Data do último commit de cada arquivo de uma pasta
+     * Percorre os commits da pasta do mais recente ao mais antigo e para assim
+     * que todos os arquivos pedidos tiverem data. Se o limite da API acabar no
+     * meio do caminho, as datas já obtidas são devolvidas junto com o erro.
+     *
+     * @param {string} directory Pasta (ex: "notes")
+     * @param {string[]} paths Caminhos dos arquivos (ex: "notes/nota.html")
+     * @returns {Promise<Object>} { dates, rateLimitError }: caminho → data ISO (arquivos
+     *   não encontrados ficam de fora) e o GitHubRateLimitError que interrompeu a busca, ou null
+     * @throws {GitHubApiError} Outros erros da API
+     */
+    async getLastCommitDates(directory, paths) {
+        const pending = new Set(paths);
+        const dates = new Map();
+        const maxLookups = this.token ? GITHUB_LIMITS.maxCommitLookupsWithToken : GITHUB_LIMITS.maxCommitLookups;
+        let lookups = 0;
+
+        if (pending.size === 0) return { dates, rateLimitError: null };
+
+        const url = this.buildUrl('/commits', { path: directory, sha: this.branch, per_page: GITHUB_LIMITS.perPage });
+        const toSummary = commits => commits.map(commit => ({
+            sha: commit.sha,
+            date: commit.commit.committer.date
+        }));
+
+        try {
+            await this.paginate(url, toSummary, async (commits) => {
+                for (const { sha, date } of commits) {
+                    if (lookups >= maxLookups) {
+                        console.warn(`⚠️ [GITHUB] Limite de ${lookups} commits consultados; ${pending.size} nota(s) sem data`);
+                        return false;
+                    }
+
+                    const wasCached = Boolean(this.cache.commits[sha]);
+                    const commit = await this.getCommit(sha);
+                    if (!wasCached) lookups++;
+
+                    commit.files
+                        .filter(file => pending.has(file))
+                        .forEach(file => {
+                            dates.set(file, new Date(commit.date || date).toISOString());
+                            pending.delete(file);
+                        });
+
+                    if (pending.size === 0) return false;
+                }
+                return true;
+            });
+        } catch (error) {
+            if (!(error instanceof GitHubRateLimitError)) throw error;
+            console.warn(`⚠️ [GITHUB] Limite da API atingido; ${pending.size} nota(s) sem data`);
+            return { dates, rateLimitError: error };
+        }
+
+        return { dates, rateLimitError: null };
+    }
+}
+
+GitHubClient.API_URL = GITHUB_API_URL;
+GitHubClient.CACHE_KEY = GITHUB_CACHE_KEY;
+GitHubClient.TOKEN_KEY = GITHUB_TOKEN_KEY;
+GitHubClient.LIMITS = GITHUB_LIMITS;
+GitHubClient.ApiError = GitHubApiError;
+GitHubClient.RateLimitError = GitHubRateLimitError;
+
+if (typeof window !== 'undefined') {
+    window.GitHubClient = GitHubClient;
+}
+
+/**
+ * Exportação para módulos (se suportado)
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GitHubClient, GitHubApiError, GitHubRateLimitError };
+}
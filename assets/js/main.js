@@ -5,8 +5,9 @@
  * Implementa auto-descoberta e listagem dinâmica de arquivos HTML
  * 
  * Funcionalidades principais:
- * - Auto-descoberta de arquivos HTML na pasta notes
- * - Sistema de busca em tempo real
+ * - Auto-descoberta de arquivos HTML via manifesto gerado no build
+ * - Sistema de busca em tempo real (nome e conteúdo das notas)
+ * - Progresso dos quizzes por nota (ProgressStore)
  * - Interface responsiva e moderna
  * - Atualização automática da lista
  * - Integração com GitHub API
@@ -38,67 +39,43 @@ class NotesPortal {
         this.files = [];
         this.categorizedFiles = {};
         this.activeCategory = 'todos'; // Categoria ativa atual
-        this.currentRepo = this.extractRepoInfo();
+        this.sortOrder = 'sequence'; // Chave de NoteSorter.SORTS
+        this.groupMode = 'flat'; // Chave de NoteSorter.GROUPS
+        this.router = null; // Estado na URL (#/DP?q=nexo&sort=date)
+        this.noteViewer = null; // Leitor de notas dentro do portal
+        this.currentRepo = this.applyGitHubOverrides(this.extractRepoInfo());
+        this.githubClient = null;
         this.cacheDuration = 5 * 60 * 1000; // 5 minutos
         this.lastUpdate = null;
-        
-        // Configuração dos cadernos/categorias
-        this.categories = {
-            'DC': {
-                name: 'Direito Constitucional',
-                icon: '⚖️',
-                color: '#3498db',
-                files: []
-            },
-            'DA': {
-                name: 'Direito Administrativo', 
-                icon: '🏛️',
-                color: '#9b59b6',
-                files: []
-            },
-            'RLM': {
-                name: 'Raciocínio Lógico',
-                icon: '🧠',
-                color: '#e74c3c',
-                files: []
-            },
-            'PT': {
-                name: 'Língua Portuguesa',
-                icon: '📚',
-                color: '#27ae60',
-                files: []
-            },
-            'MT': {
-                name: 'Matemática',
-                icon: '🔢',
-                color: '#f39c12',
-                files: []
-            },
-            'DPP': {
-                name: 'Processo Penal',
-                icon: '⚔️',
-                color: '#e67e22',
-                files: []
-            },
-            'DP': {
-                name: 'Direito Penal',
-                icon: '🛡️',
-                color: '#c0392b',
-                files: []
-            },
-            'INF': {
-                name: 'Informática',
-                icon: '💻',
-                color: '#2c3e50',
-                files: []
-            },
-            'GERAL': {
-                name: 'Geral',
-                icon: '📋',
-                color: '#95a5a6',
-                files: []
-            }
-        };
+        this.manifestUrl = './notes/manifest.json';
+        this.searchIndexUrl = './notes/search-index.json';
+        this.searchIndexPromise = null;
+        this.minContentSearchLength = 3; // Busca no conteúdo a partir de 3 caracteres
+        this.currentSearchTerm = '';
+        this.fileMetaCache = new Map(); // nome do arquivo → NoteFileName.parse()
+        this.recentLimit = 6; // Notas na faixa "Recentes"
+        this.questionLibrary = typeof QuestionLibrary !== 'undefined'
+            ? new QuestionLibrary({ categoryOf: name => this.detectFileCategory(name) })
+            : null;
+        // Título, questões e tópicos lidos do HTML de cada nota (cache local)
+        this.noteMetadata = typeof NoteMetadata !== 'undefined'
+            ? new NoteMetadata({ onUpdate: () => this.refreshFileList() })
+            : null;
+        this.reviewMode = null;
+        this.errorNotebook = null;
+        this.examMode = null;
+        this.booklet = null;
+        this.statsDashboard = null;
+        this.tagFilter = null;
+        this.studyPlan = null;
+        this.ankiPanel = null;
+        
+        // Cadernos/categorias definidos em assets/config/cadernos.json (+ ajustes locais)
+        this.categoryConfig = new CategoryConfig();
+        this.categories = this.categoryConfig.toCategories();
+        this.categoryEditor = null;
+        this.offlineManager = null;
+        this.backupPanel = null;
         
         // Elementos DOM cache
         this.elements = {
@@ -122,8 +99,23 @@ class NotesPortal {
         try {
             this.cacheElements();
             this.setupEventListeners();
+            await this.loadCategoryConfig();
+            this.setupRouter();
             await this.loadFiles();
+            this.setupNoteViewer();
+            this.setupTagFilter();
+            if (this.router) this.applyRoute(this.router.read());
             this.updateStats();
+            this.setupReviewMode();
+            this.setupErrorNotebook();
+            this.setupExamMode();
+            this.setupBooklet();
+            this.setupStatsDashboard();
+            this.setupStudyPlan();
+            this.setupAnkiPanel();
+            this.setupCategoryEditor();
+            this.setupOfflineManager();
+            this.setupBackupPanel();
             this.setupAutoUpdate();
             
             console.log('🚀 Portal de Notas inicializado com sucesso');
@@ -142,6 +134,10 @@ class NotesPortal {
             searchInput: document.getElementById('search-input'),
             refreshBtn: document.getElementById('refresh-btn'),
             totalFiles: document.getElementById('total-files'),
+            sortSelect: document.getElementById('sort-select'),
+            groupSelect: document.getElementById('group-select'),
+            recentShelf: document.getElementById('recent-shelf'),
+            integrityPanel: document.getElementById('integrity-panel'),
             lastUpdated: document.getElementById('last-updated')
         };
 
@@ -218,6 +214,62 @@ class NotesPortal {
         };
     }
 
+    /**
+     * Aplica ajustes da GitHub API passados na URL
+     * Permite apontar o portal para outro repositório ou para o mock local:
+     * `?githubApi=http://localhost:8787&repo=dono/repositorio&branch=main`
+     * `githubApi` só é aceito para servidores locais (localhost/127.0.0.1),
+     * para que um link compartilhado não desvie as requisições nem o token.
+     * 
+     * @param {Object} repoInfo Informações detectadas por extractRepoInfo()
+     * @returns {Object} Informações com os ajustes aplicados
+     */
+    applyGitHubOverrides(repoInfo) {
+        const params = new URLSearchParams(window.location.search);
+        let apiUrl = params.get('githubApi');
+        const repo = params.get('repo');
+        const branch = params.get('branch');
+        
+        if (apiUrl && !GitHubClient.isTrustedApi(apiUrl)) {
+            console.warn('⚠️ [GITHUB] githubApi ignorado (apenas servidores locais são aceitos):', apiUrl);
+            apiUrl = null;
+        }
+        
+        if (!apiUrl && !repo) {
+            return repoInfo;
+        }
+        
+        const [owner, name] = (repo || '').split('/');
+        const info = {
+            ...repoInfo,
+            owner: owner && name ? owner : repoInfo.owner,
+            repo: owner && name ? name : repoInfo.repo,
+            branch: branch || repoInfo.branch,
+            apiUrl: apiUrl || null,
+            useGitHubAPI: true
+        };
+        
+        console.log('🔧 [GITHUB] Ajustes da URL aplicados:', info);
+        return info;
+    }
+
+    /**
+     * Cliente da GitHub API para o repositório atual (criado sob demanda)
+     * 
+     * @returns {GitHubClient} Cliente configurado
+     */
+    getGitHubClient() {
+        if (!this.githubClient) {
+            this.githubClient = new GitHubClient({
+                owner: this.currentRepo.owner,
+                repo: this.currentRepo.repo,
+                branch: this.currentRepo.branch,
+                apiUrl: this.currentRepo.apiUrl
+            });
+        }
+        return this.githubClient;
+    }
+
     /**
      * Configura os listeners de eventos
      * Implementa debounce para otimizar performance
@@ -230,6 +282,45 @@ class NotesPortal {
             );
         }
 
+        // Menus de ordenação e agrupamento
+        if (this.elements.sortSelect) {
+            this.elements.sortSelect.addEventListener('change', (e) => this.setSortOrder(e.target.value));
+        }
+        if (this.elements.groupSelect) {
+            this.elements.groupSelect.addEventListener('change', (e) => this.setGroupMode(e.target.value));
+        }
+
+        // Registra as notas abertas pelo portal (ordenação "abertas recentemente")
+        // (auxclick cobre o clique do meio, que abre em nova aba)
+        ['click', 'auxclick'].forEach(type => document.addEventListener(type, (e) => {
+            const link = e.target.closest('a[href]');
+            const fileName = link && typeof NoteHistory !== 'undefined'
+                ? NoteHistory.fileNameFromHref(link.getAttribute('href'))
+                : null;
+            if (fileName) {
+                NoteHistory.recordOpen(fileName);
+                setTimeout(() => this.renderRecentShelf(), 0); // Depois da navegação do link
+            }
+        }));
+
+        // Abas dos cadernos (delegação: as abas são recriadas a cada renderização)
+        const categoryTabs = document.querySelector('.category-tabs');
+        if (categoryTabs) {
+            categoryTabs.addEventListener('click', (e) => {
+                const tab = e.target.closest('.category-tab[data-category]');
+                if (tab) this.switchCategory(tab.dataset.category);
+            });
+        }
+
+        // Estrela dos cards: fixa/desafixa a nota
+        this.elements.filesContainer.addEventListener('click', (e) => {
+            const toggle = e.target.closest('[data-favorite-toggle]');
+            if (!toggle || typeof NoteFavorites === 'undefined') return;
+
+            NoteFavorites.toggle(toggle.dataset.favoriteToggle);
+            this.refreshFileList();
+        });
+
         // Event listener para botão de refresh
         if (this.elements.refreshBtn) {
             this.elements.refreshBtn.addEventListener('click', () => {
@@ -257,6 +348,23 @@ class NotesPortal {
 
         window.addEventListener('offline', () => {
             console.log('📵 Conexão perdida');
+            this.renderFiles(); // Destaca as notas disponíveis offline
+        });
+
+        // Atualiza os cards quando uma nota (ou o portal em outra aba) registra
+        // progresso, fixa notas ou abre notas
+        window.addEventListener('storage', (e) => {
+            const watchedKeys = [
+                typeof ProgressStore !== 'undefined' ? ProgressStore.STORAGE_KEY : null,
+                typeof NoteFavorites !== 'undefined' ? NoteFavorites.STORAGE_KEY : null,
+                typeof NoteHistory !== 'undefined' ? NoteHistory.STORAGE_KEY : null
+            ];
+            if (e.key && watchedKeys.includes(e.key)) {
+                this.renderFiles();
+                if (this.currentSearchTerm) {
+                    this.filterFiles(this.currentSearchTerm);
+                }
+            }
         });
     }
 
@@ -286,6 +394,9 @@ class NotesPortal {
      * @param {KeyboardEvent} e Evento de teclado
      */
     handleKeyboardShortcuts(e) {
+        // Com uma nota aberta, os atalhos são os do leitor
+        if (this.noteViewer && this.noteViewer.isOpen()) return;
+
         // Ctrl+R para refresh (override do padrão do navegador)
         if (e.ctrlKey && e.key.toLowerCase() === 'r') {
             e.preventDefault();
@@ -339,32 +450,54 @@ class NotesPortal {
             console.log(`🔄 [DEBUG] Iniciando carregamento de arquivos...`);
             console.log(`🔄 [DEBUG] Configuração do repo:`, this.currentRepo);
             
-            // Estratégia inteligente baseada no ambiente
-            if (this.currentRepo.useGitHubAPI === false || this.currentRepo.isLocal) {
-                console.log('🏠 [DEBUG] Usando método LOCAL (prioridade)');
-                await this.loadLocalFiles();
-            } else {
-                console.log('🌐 [DEBUG] Tentando GitHub API primeiro...');
-                try {
-                    await this.loadFromGitHub();
-                    console.log('✅ [SUCCESS] Arquivos carregados via GitHub API');
-                } catch (githubError) {
-                    console.warn('⚠️ [FALLBACK] GitHub API falhou, usando método local:', githubError.message);
-                    await this.loadLocalFiles();
+            // Estratégia: manifesto gerado no build como fonte principal,
+            // GitHub API apenas como enriquecimento (ou fallback) no GitHub Pages
+            try {
+                await this.loadFromManifest();
+                
+                if (this.currentRepo.useGitHubAPI && navigator.onLine) {
+                    try {
+                        await this.enrichFromGitHub();
+                    } catch (githubError) {
+                        console.warn('⚠️ [GITHUB] Enriquecimento ignorado:', githubError.message);
+                        this.showGitHubNotice(githubError);
+                    }
+                }
+            } catch (manifestError) {
+                if (!this.currentRepo.useGitHubAPI) {
+                    this.debugLocalFiles();
+                    throw manifestError;
                 }
+                
+                console.warn('⚠️ [FALLBACK] Manifesto falhou, usando GitHub API:', manifestError.message);
+                await this.loadFromGitHub();
+                console.log('✅ [SUCCESS] Arquivos carregados via GitHub API');
             }
             
             this.lastUpdate = Date.now();
+            if (forceRefresh) {
+                this.searchIndexPromise = null; // Reconstrói o índice com a nova lista
+                if (this.questionLibrary) this.questionLibrary.clear();
+            }
             this.categorizeFiles();
             this.renderCategoryTabs();
             this.renderFiles();
             this.updateStats();
+            if (this.offlineManager) this.offlineManager.sync();
+            if (this.noteMetadata) this.noteMetadata.update(this.files);
             
             console.log(`📁 Carregados ${this.files.length} arquivos organizados em cadernos`);
             
         } catch (error) {
             console.error('❌ Erro ao carregar arquivos:', error);
-            this.renderError('Erro ao carregar as notas. Verifique a conexão.');
+            if (typeof GitHubClient !== 'undefined' && error instanceof GitHubClient.ApiError) {
+                this.showGitHubNotice(error);
+                this.renderError(error instanceof GitHubClient.RateLimitError
+                    ? 'A GitHub API atingiu o limite de requisições e o manifesto não está disponível.'
+                    : `Erro na GitHub API: ${error.message}`);
+            } else {
+                this.renderError('Erro ao carregar as notas. Verifique a conexão.');
+            }
         } finally {
             this.elements.filesContainer.classList.remove('loading-state');
         }
@@ -382,107 +515,34 @@ class NotesPortal {
     }
 
     /**
-     * Carrega arquivos reais da pasta notes localmente
-     * Implementa descoberta robusta de todos os arquivos HTML
-     */
-    async loadLocalFiles() {
-        console.log('🔍 [LOCAL] Carregando arquivos reais da pasta notes...');
-        
-        // Simula delay de rede
-        await new Promise(resolve => setTimeout(resolve, 500));
-        
-        // Lista de arquivos HTML conhecidos que devem estar na pasta notes
-        // Esta lista será atualizada automaticamente quando novos arquivos forem detectados
-        const knownFiles = [
-
-            //#novos uploads de Raciocinio logico
-            '2025_08_08_RLM_001 - Estruturas logicas .html',
-            '2025_08_08_RLM_002 - Estruturas logicas verdade mentira.html',
-            //=================================================================
-            '2025_06_25_DC_001 - Introducao a teoria geral dos direitos fundamentais fixacao.html',
-            '2025_06_25_DC_002 - Caracteristicas dos direitos fundamentais fixacao.html',
-            '2025_06_25_DC_003 - Classificacao dos direitos fundamentais fixacao.html',
-            '2025_06_25_DC_004 - Eficacia e aplicacao.html',
-            '2025_06_25_DC_005- Teoria dos Direitos Fundamentais Conteúdo e Restrições.html',
-            '2025_06_25_DC_006- Teoria dos Direitos Fundamentais Tratados Internacionais de Direitos Humanos.html',
-            '2025_06_25_DC_007- Direito a vida fixacao.html',
-            '2025_06_25_DC_008- Direito a liberdade fixacao.html',
-            '2025_06_25_DC_009- Direito a liberdade de Expressao fixacao.html',
-            '2025_06_25_DC_010- Direito a liberdade de Expressao fixacao.html',
-            '2025_06_25_DC_011 - Aprofundamento - Eficacia dos direitos fundamentais.html',
-            '2025_06_25_DC_012 - Liberdade religiosa fixacao.html',
-            '2025_06_25_DC_013 - liberdade de locomocao fixacao.html',
-            '2025_06_25_DC_014 - Liberdade de associacao  e reuniaofixacao.html',
-            '2025_06_25_DC_015 - Direito a igualdade fixacao.html',
-            '2025_06_25_DC_016 - igualdade entre homens e mulheres fixacao.html',
-            '2025_06_25_DC_017 - Direito a privacidade fixacao.html',
-            '2025_06_25_DC_018 - Direito a privacidade sigilo ao domicilio fixacao.html',
-            '2025_06_25_DC_019 - Direito a privacidade sigilo de correspondencia fixacao.html',
-            '2025_06_25_DC_020 - Direito a privavidade Sigilo bancario e fiscal fixacao.html',
-            '2025_06_25_DC_021 - Direito a privavidade Sigilo de Dados e Comunicações Telefônicas fixacao.html',
-            '2025_06_25_DC_022 - Direito a propriedade fixacao.html',
-            '2025_06_25_DC_023 - Direitos e Instrumentos de Cidadania perante o Estado e a Justiça fixacao.html',
-            '2025_06_25_DC_024 - Direitos individuais proteção ao Direito Adquirido a Coisa Julgada e ao Ato Jurídico Perfeito juiz natural e juri popular fixacao.html',
-            '2025_07_08_DC_025 - Principios constitucionais legalidade anterioridade fixacao.html',
-            '2025_07_08_DC_026 - mandado de criminalizacao crimes hediondos e equiparaveis fixacao.html',
-            '2025_07_08_DC_027 - Garantias penais relativas as prisões fixacao.html',
-            '2025_07_08_DC_028 - Garantias processuais dos presos fixacao.html',
-            '2025_07_08_DC_029 - Garantias processuais dos presos fixacao.html',
-            '2025_07_08_DC_030- Garantias fundamentais habeas corpus fixacao.html',
-            '2025_07_08_DC_031- Garantias fundamentais habeas data.html',
-            '2025_07_12_DC_032- Garantias fundamentais mandado de segurança parte I fixacao.html',
-            '2025_07_14_DC_033 - Mandado de segurança parte II coletivo fixacao.html',
-            '2025_07_14_DC_034 - Mandado de injuncao fixacao.html',
-            '2025_07_14_DC_035 - Acao popular.html',
-            '2025_07_14_DC_036 - Tratados internacionais sobre direitos humanos.html',
-            '2025_07_15_DP_001 - Infracao penal fixacao.html',
-            '2025_07_15_DP_002 - Fato tipico fixacao.html',
-            '2025_07_15_DP_003 - Fato tipico conduta.html',
-            '2025_07_16_DP_004 - Dolo.html',
-            '2025_07_16_DP_005 - Culpa parte I.html',
-            '2025_07_16_DP_006 - Culpa parte II.html',
-            '2025_07_18_DP_007 - Resultado.html',
-            '2025_07_18_DP_008 - Nexo causal parte I.html',
-            '2025_07_18_DP_009 - Nexo causal parte II Concausas.html',
-            
-        ];
+     * Carrega a lista de notas a partir do manifesto gerado no build
+     * O manifesto (notes/manifest.json) é produzido por scripts/build-manifest.js
+     * e funciona em localhost e em qualquer hospedagem estática
+     */
+    async loadFromManifest() {
+        console.log(`📄 [MANIFEST] Carregando ${this.manifestUrl}...`);
         
-        // Converte a lista de arquivos para o formato esperado
-        this.files = knownFiles.map((fileName, index) => {
-            const baseName = fileName.replace('.html', '');
-            const estimatedSize = 8000 + (index * 1000); // Tamanho estimado baseado no índice
-            
-            // Calcula data baseada no nome do arquivo
-            let lastModified = new Date();
-            if (fileName.includes('2025_06_25')) {
-                lastModified = new Date('2025-06-25');
-            } else if (fileName.includes('2025_07_08')) {
-                lastModified = new Date('2025-07-08');
-            } else if (fileName.includes('2025_07_12')) {
-                lastModified = new Date('2025-07-12');
-            } else if (fileName.includes('2025_07_14')) {
-                lastModified = new Date('2025-07-14');
-            } else if (fileName.includes('2025_07_15')) {
-                lastModified = new Date('2025-07-15');
-            } else if (fileName.includes('2025_07_16')) {
-                lastModified = new Date('2025-07-16');
-            } else if (fileName.includes('2025_07_18')) {
-                lastModified = new Date('2025-07-18');
-
-//com os demais arquivos basta seguir o mesmo padrão, adicionando novos else if conforme necessário
-            } else if (fileName.includes('2025_08_08')) {
-                lastModified = new Date('2025-08-08');
-            }
-// todo esse trecho de codigo fechado por este comentario acima            
-            
-            return {
-                name: fileName,
-                path: `notes/${fileName}`,
-                size: estimatedSize,
-                url: `./notes/${encodeURIComponent(fileName)}`,
-                lastModified: lastModified.toISOString()
-            };
-        });
+        const response = await fetch(this.manifestUrl, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`Manifesto indisponível (HTTP ${response.status})`);
+        }
+        
+        const manifest = await response.json();
+        if (!manifest || !Array.isArray(manifest.files)) {
+            throw new Error('Manifesto inválido: campo "files" ausente');
+        }
+        
+        this.files = manifest.files
+            .filter(file => file && typeof file.name === 'string' && /\.html?$/i.test(file.name))
+            .map(file => ({
+                name: file.name,
+                path: file.path || `notes/${file.name}`,
+                size: file.size || 0,
+                url: `./notes/${encodeURIComponent(file.name)}`,
+                lastModified: file.lastModified || null,
+                meta: file.meta || null,
+                source: 'manifest'
+            }));
         
         // Ordena por numeração crescente (ordem lógica dos arquivos)
         this.files.sort((a, b) => {
@@ -498,24 +558,46 @@ class NotesPortal {
             return a.name.localeCompare(b.name);
         });
         
-        console.log(`✅ [LOCAL] Carregados ${this.files.length} arquivos da pasta notes`);
+        console.log(`✅ [MANIFEST] ${this.files.length} notas (gerado em ${manifest.generatedAt || 'data desconhecida'})`);
         
-        // Validação de segurança
         if (this.files.length === 0) {
-            console.error('❌ [ERROR] Nenhum arquivo foi carregado - verificando problema...');
-            await this.debugLocalFiles();
+            console.error('❌ [ERROR] Manifesto sem notas - verificando problema...');
+            this.debugLocalFiles();
         }
+    }
+
+    /**
+     * Complementa os dados do manifesto com a listagem da GitHub API
+     * Adiciona notas publicadas depois da geração do manifesto (com a data do
+     * último commit) e atualiza tamanhos.
+     * Falhas aqui não são fatais: o manifesto continua valendo.
+     */
+    async enrichFromGitHub() {
+        const githubFiles = await this.fetchGitHubFiles();
+        const filesByName = new Map(this.files.map(file => [file.name, file]));
+        const addedFiles = [];
+        
+        githubFiles.forEach(githubFile => {
+            const known = filesByName.get(githubFile.name);
+            if (known) {
+                known.size = githubFile.size || known.size;
+                known.download_url = githubFile.download_url;
+            } else {
+                this.files.push(githubFile);
+                addedFiles.push(githubFile);
+            }
+        });
         
-        // Tenta descobrir novos arquivos dinamicamente (se necessário)
-        if (this.files.length < 40) { // Esperamos pelo menos 40 arquivos baseado nos logs
-            await this.discoverNewFiles();
-        }
+        // O manifesto já traz as datas do git; só as notas novas precisam da API
+        await this.fillGitHubDates(addedFiles);
+        
+        console.log(`✅ [GITHUB] Manifesto enriquecido (${addedFiles.length} nota(s) nova(s))`);
     }
 
     /**
      * Método de debug para diagnosticar problemas de carregamento local
      */
-    async debugLocalFiles() {
+    debugLocalFiles() {
         console.log('🔧 [DEBUG] Executando diagnóstico do sistema...');
         
         // Informações do ambiente
@@ -523,106 +605,14 @@ class NotesPortal {
             userAgent: navigator.userAgent,
             location: window.location.href,
             baseURI: document.baseURI,
-            protocol: window.location.protocol
-        });
-        
-        // Tenta diferentes estratégias para descobrir arquivos
-        console.log('🔧 [DEBUG] Tentando estratégias alternativas...');
-        
-        // Lista expandida com TODOS os arquivos conhecidos do usuário
-        const allKnownFiles = [
-            // Todos os arquivos de Direito Constitucional
-            '2025_06_25_DC_001 - Introducao a teoria geral dos direitos fundamentais fixacao.html',
-            '2025_06_25_DC_002 - Caracteristicas dos direitos fundamentais fixacao.html',
-            '2025_06_25_DC_003 - Classificacao dos direitos fundamentais fixacao.html',
-            '2025_06_25_DC_004 - Eficacia e aplicacao.html',
-            '2025_06_25_DC_005- Teoria dos Direitos Fundamentais Conteúdo e Restrições.html',
-            '2025_06_25_DC_006- Teoria dos Direitos Fundamentais Tratados Internacionais de Direitos Humanos.html',
-            '2025_06_25_DC_007- Direito a vida fixacao.html',
-            '2025_06_25_DC_008- Direito a liberdade fixacao.html',
-            '2025_06_25_DC_009- Direito a liberdade de Expressao fixacao.html',
-            '2025_06_25_DC_010- Direito a liberdade de Expressao fixacao.html',
-            '2025_06_25_DC_011 - Aprofundamento - Eficacia dos direitos fundamentais.html',
-            '2025_06_25_DC_012 - Liberdade religiosa fixacao.html',
-            '2025_06_25_DC_013 - liberdade de locomocao fixacao.html',
-            '2025_06_25_DC_014 - Liberdade de associacao  e reuniaofixacao.html',
-            '2025_06_25_DC_015 - Direito a igualdade fixacao.html',
-            '2025_06_25_DC_016 - igualdade entre homens e mulheres fixacao.html',
-            '2025_06_25_DC_017 - Direito a privacidade fixacao.html',
-            '2025_06_25_DC_018 - Direito a privacidade sigilo ao domicilio fixacao.html',
-            '2025_06_25_DC_019 - Direito a privacidade sigilo de correspondencia fixacao.html',
-            '2025_06_25_DC_020 - Direito a privavidade Sigilo bancario e fiscal fixacao.html',
-            '2025_06_25_DC_021 - Direito a privavidade Sigilo de Dados e Comunicações Telefônicas fixacao.html',
-            '2025_06_25_DC_022 - Direito a propriedade fixacao.html',
-            '2025_06_25_DC_023 - Direitos e Instrumentos de Cidadania perante o Estado e a Justiça fixacao.html',
-            '2025_06_25_DC_024 - Direitos individuais proteção ao Direito Adquirido a Coisa Julgada e ao Ato Jurídico Perfeito juiz natural e juri popular fixacao.html',
-            '2025_07_08_DC_025 - Principios constitucionais legalidade anterioridade fixacao.html',
-            '2025_07_08_DC_026 - mandado de criminalizacao crimes hediondos e equiparaveis fixacao.html',
-            '2025_07_08_DC_027 - Garantias penais relativas as prisões fixacao.html',
-            '2025_07_08_DC_028 - Garantias processuais dos presos fixacao.html',
-            '2025_07_08_DC_029 - Garantias processuais dos presos fixacao.html',
-            '2025_07_08_DC_030- Garantias fundamentais habeas corpus fixacao.html',
-            '2025_07_08_DC_031- Garantias fundamentais habeas data.html',
-            '2025_07_12_DC_032- Garantias fundamentais mandado de segurança parte I fixacao.html',
-            '2025_07_14_DC_033 - Mandado de segurança parte II coletivo fixacao.html',
-            '2025_07_14_DC_034 - Mandado de injuncao fixacao.html',
-            '2025_07_14_DC_035 - Acao popular.html',
-            '2025_07_14_DC_036 - Tratados internacionais sobre direitos humanos.html',
-            // Todos os arquivos de Direito Penal
-            '2025_07_15_DP_001 - Infracao penal fixacao.html',
-            '2025_07_15_DP_002 - Fato tipico fixacao.html',
-            '2025_07_15_DP_003 - Fato tipico conduta.html',
-            '2025_07_16_DP_004 - Dolo.html',
-            '2025_07_16_DP_005 - Culpa parte I.html',
-            '2025_07_16_DP_006 - Culpa parte II.html',
-            '2025_07_18_DP_007 - Resultado.html',
-            '2025_07_18_DP_008 - Nexo causal parte I.html',
-            '2025_07_18_DP_009 - Nexo causal parte II Concausas.html',
-            // Arquivo de exemplo
-            'exemplo-nota-interativa.html'
-        ];
-        
-        console.log(`🔧 [DEBUG] Lista completa preparada: ${allKnownFiles.length} arquivos`);
-        
-        // Sobrescreve a lista atual com todos os arquivos conhecidos
-        this.files = allKnownFiles.map((fileName, index) => {
-            const baseName = fileName.replace('.html', '');
-            const estimatedSize = 8000 + (index * 500);
-            
-            // Extrai data do nome do arquivo
-            let lastModified = new Date();
-            const dateMatch = fileName.match(/2025_(\d{2})_(\d{2})/);
-            if (dateMatch) {
-                const month = parseInt(dateMatch[1]);
-                const day = parseInt(dateMatch[2]);
-                lastModified = new Date(2025, month - 1, day);
-            }
-            
-            return {
-                name: fileName,
-                path: `notes/${fileName}`,
-                size: estimatedSize,
-                url: `./notes/${encodeURIComponent(fileName)}`,
-                lastModified: lastModified.toISOString(),
-                source: 'local-complete-list'
-            };
+            protocol: window.location.protocol,
+            manifestUrl: this.manifestUrl
         });
         
-        // Ordena por numeração crescente (ordem lógica dos arquivos)
-        this.files.sort((a, b) => {
-            const numA = this.extractFileNumber(a.name);
-            const numB = this.extractFileNumber(b.name);
-            
-            // Primeiro critério: ordem numérica
-            if (numA !== numB) {
-                return numA - numB;
-            }
-            
-            // Segundo critério: ordem alfabética
-            return a.name.localeCompare(b.name);
-        });
-        
-        console.log(`🎉 [DEBUG] Sistema de emergência ativado: ${this.files.length} arquivos carregados`);
+        if (window.location.protocol === 'file:') {
+            console.warn('🔧 [DEBUG] Protocolo file:// bloqueia fetch do manifesto. Sirva a pasta com um servidor local (ex: python3 -m http.server).');
+        }
+        console.log('🔧 [DEBUG] Para regenerar o manifesto execute: node scripts/build-manifest.js');
     }
 
     /**
@@ -692,87 +682,80 @@ class NotesPortal {
         console.log('✅ [CATEGORIZE] Arquivos organizados em cadernos com ordem numérica');
     }
 
+    /**
+     * Carrega a configuração dos cadernos
+     * Se falhar, o portal segue apenas com o caderno padrão
+     */
+    async loadCategoryConfig() {
+        try {
+            await this.categoryConfig.load();
+        } catch (error) {
+            console.warn('⚠️ [CADERNOS] Configuração indisponível, usando apenas o caderno padrão:', error.message);
+        }
+        
+        this.categories = this.categoryConfig.toCategories();
+    }
+
+    /**
+     * Reaplica a configuração dos cadernos (após edição) e reorganiza a lista
+     */
+    applyCategoryConfig() {
+        this.categories = this.categoryConfig.toCategories();
+        
+        if (this.activeCategory !== 'todos' && !this.categories[this.activeCategory]) {
+            this.activeCategory = 'todos';
+        }
+        if (this.questionLibrary) {
+            this.questionLibrary.clear(); // Questões guardam o caderno de origem
+        }
+        
+        this.categorizeFiles();
+        this.renderCategoryTabs();
+        this.renderFiles();
+        this.updateStats();
+    }
+
     /**
      * Detecta a categoria de um arquivo baseado no nome
-     * Prioridade: DPP > DP (para evitar conflito entre Processo Penal e Direito Penal)
+     * As regras vêm da configuração dos cadernos (siglas, aliases e regras extras)
      * 
      * @param {string} fileName Nome do arquivo
      * @returns {string} Chave da categoria
      */
     detectFileCategory(fileName) {
-        const upperFileName = fileName.toUpperCase();
-        
-        // Ordem de verificação importante: DPP antes de DP
-        const categoryPriority = ['DPP', 'DC', 'DA', 'RLM', 'PT', 'MT', 'DP', 'INF'];
-        
-        for (const categoryKey of categoryPriority) {
-            if (upperFileName.includes(`_${categoryKey}_`) || 
-                upperFileName.includes(`-${categoryKey}-`) ||
-                upperFileName.includes(` ${categoryKey} `) ||
-                upperFileName.startsWith(`${categoryKey}_`) ||
-                upperFileName.startsWith(`${categoryKey}-`)) {
-                return categoryKey;
+        return this.categoryConfig.detect(fileName, this.getFileMeta(fileName).subject);
+    }
+
+    /**
+     * Metadados extraídos do nome do arquivo (data, matéria, sequência, título...)
+     * Resultado memorizado: o parser é chamado uma vez por nome
+     * 
+     * @param {string} fileName Nome do arquivo
+     * @returns {Object} Resultado de NoteFileName.parse()
+     */
+    getFileMeta(fileName) {
+        if (!this.fileMetaCache.has(fileName)) {
+            const meta = NoteFileName.parse(fileName);
+            if (NoteFileName.hasErrors(meta)) {
+                console.warn(`⚠️ [META] ${fileName}: ${meta.diagnostics.map(d => d.message).join('; ')}`);
             }
+            this.fileMetaCache.set(fileName, meta);
         }
         
-        // Se não encontrou nenhuma categoria específica, vai para GERAL
-        return 'GERAL';
+        return this.fileMetaCache.get(fileName);
     }
 
     /**
      * Extrai a numeração de um arquivo para ordenação crescente
-     * Suporta diversos padrões de numeração nos nomes dos arquivos
      * 
      * @param {string} fileName Nome do arquivo
-     * @returns {number} Número extraído ou valor alto para arquivos sem numeração
+     * @returns {number} Sequência da nota ou valor alto para arquivos sem numeração
      */
     extractFileNumber(fileName) {
-        // Remove extensão para análise
-        const baseName = fileName.replace(/\.html?$/i, '');
+        const { sequence } = this.getFileMeta(fileName);
         
-        // Padrões de numeração mais comuns (em ordem de prioridade)
-        const patterns = [
-            // Padrão principal: 2025_MM_DD_SIGLA_NNN
-            /_([A-Z]+)_(\d{3,4})/i,
-            
-            // Padrão com hífen: SIGLA-NNN
-            /([A-Z]+)-(\d{3,4})/i,
-            
-            // Padrão com espaço: SIGLA NNN
-            /([A-Z]+)\s+(\d{3,4})/i,
-            
-            // Padrão no final: ...NNN
-            /(\d{3,4})(?:\s|[-_]|$)/,
-            
-            // Padrão simples: qualquer sequência de 3+ dígitos
-            /(\d{3,})/
-        ];
-        
-        for (const pattern of patterns) {
-            const match = baseName.match(pattern);
-            if (match) {
-                // Se o padrão captura categoria e número
-                if (match.length >= 3) {
-                    const number = parseInt(match[2], 10);
-                    return number;
-                }
-                // Se captura apenas o número
-                else if (match.length >= 2) {
-                    const number = parseInt(match[1], 10);
-                    return number;
-                }
-            }
-        }
-        
-        // Se não encontrou numeração, tenta extrair qualquer número no nome
-        const anyNumber = baseName.match(/(\d+)/);
-        if (anyNumber) {
-            const number = parseInt(anyNumber[1], 10);
-            return number;
-        }
-        
-        // Se não encontrou nenhum número, retorna valor alto para ficar no final
-        return 9999;
+        // Sem numeração: valor alto para ficar no final
+        return sequence !== null ? sequence : 9999;
     }
 
     /**
@@ -791,8 +774,7 @@ class NotesPortal {
         // Aba "Todos" sempre primeiro
         let tabsHTML = `
             <button class="category-tab ${this.activeCategory === 'todos' ? 'active' : ''}" 
-                    data-category="todos" 
-                    onclick="window.notesPortal.switchCategory('todos')">
+                    data-category="todos">
                 <span class="tab-icon">📋</span>
                 <span class="tab-name">Todos</span>
                 <span class="tab-count">${this.files.length}</span>
@@ -807,29 +789,49 @@ class NotesPortal {
                 const isActive = this.activeCategory === key;
                 tabsHTML += `
                     <button class="category-tab ${isActive ? 'active' : ''}" 
-                            data-category="${key}" 
-                            style="--category-color: ${category.color}"
-                            onclick="window.notesPortal.switchCategory('${key}')">
-                        <span class="tab-icon">${category.icon}</span>
-                        <span class="tab-name">${category.name}</span>
+                            data-category="${this.escapeHtml(key)}" 
+                            style="--category-color: ${this.escapeHtml(category.color)}">
+                        <span class="tab-icon">${this.escapeHtml(category.icon)}</span>
+                        <span class="tab-name">${this.escapeHtml(category.name)}</span>
                         <span class="tab-count">${category.files.length}</span>
+                        ${this.createIntegrityBadge(category.files)}
                     </button>
                 `;
             });
         
         categoryTabsContainer.innerHTML = tabsHTML;
+        if (this.booklet) this.booklet.update(); // Nome ou notas do caderno podem ter mudado
         console.log('✅ [UI] Abas de cadernos renderizadas');
     }
 
+    /**
+     * Alerta da aba quando a numeração do caderno tem problemas
+     * 
+     * @param {Array} files Arquivos do caderno
+     * @returns {string} HTML do alerta (vazio se a numeração estiver íntegra)
+     */
+    createIntegrityBadge(files) {
+        if (typeof CadernoIntegrity === 'undefined') return '';
+        
+        const issues = CadernoIntegrity.countIssues(CadernoIntegrity.check(files, name => this.getFileMeta(name)));
+        return issues > 0
+            ? `<span class="tab-alert" title="${issues} problema(s) na numeração do caderno" aria-label="${issues} problema(s) na numeração">⚠️</span>`
+            : '';
+    }
+
     /**
      * Troca a categoria ativa e atualiza a visualização
      * 
      * @param {string} categoryKey Chave da categoria
+     * @param {Object} [options]
+     * @param {boolean} [options.updateRoute=true] Registra a troca no histórico (URL)
+     * @param {string} [options.sort] Ordenação vinda da URL (padrão: a lembrada para o caderno)
      */
-    switchCategory(categoryKey) {
+    switchCategory(categoryKey, options = {}) {
         console.log(`🔄 [SWITCH] Mudando para caderno: ${categoryKey}`);
         
         this.activeCategory = categoryKey;
+        this.applyViewPreference(options.sort);
         
         // Atualiza abas visuais
         document.querySelectorAll('.category-tab').forEach(tab => {
@@ -844,147 +846,168 @@ class NotesPortal {
         // Atualiza visualização dos arquivos
         this.renderFiles();
         this.updateStats();
+        if (this.booklet) this.booklet.update();
         
         // Limpa busca se estiver ativa
         if (this.elements.searchInput) {
             this.elements.searchInput.value = '';
         }
+        this.clearSearchResults();
+        
+        if (options.updateRoute !== false) {
+            this.updateRoute();
+        }
         
         console.log(`✅ [SWITCH] Caderno ${categoryKey} ativado`);
     }
 
     /**
-     * Retorna os arquivos da categoria ativa
+     * Aplica a ordenação e o agrupamento lembrados para o caderno ativo
      * 
-     * @returns {Array} Lista de arquivos filtrados por categoria
+     * @param {string} [sortOverride] Ordenação explícita (ex: vinda da URL)
      */
-    getActiveFiles() {
-        if (this.activeCategory === 'todos') {
-            return this.files;
-        }
-        
-        return this.categories[this.activeCategory]?.files || [];
+    applyViewPreference(sortOverride) {
+        const preference = NoteSorter.getPreference(this.activeCategory);
+        this.sortOrder = NoteSorter.SORTS[sortOverride] ? sortOverride : preference.sort;
+        this.groupMode = preference.group;
     }
 
     /**
-     * Descobre novos arquivos dinamicamente testando padrões comuns
-     * Atualiza a lista automaticamente quando encontra novos arquivos
+     * Troca a ordenação da lista de notas e a lembra para o caderno ativo
+     * 
+     * @param {string} sortOrder Chave de NoteSorter.SORTS
      */
-    async discoverNewFiles() {
-        console.log('🔍 Procurando por novos arquivos...');
+    setSortOrder(sortOrder) {
+        if (!NoteSorter.SORTS[sortOrder] || sortOrder === this.sortOrder) return;
         
-        const currentFileNames = this.files.map(f => f.name);
-        const newFiles = [];
-        
-        // Padrões de nomes de arquivo para tentar descobrir
-        const patterns = [
-            // Padrão Direito Constitucional
-            { prefix: '2025_', suffix: '_DC_', range: [37, 50], postfix: ' - ' },
-            // Padrão Direito Penal  
-            { prefix: '2025_', suffix: '_DP_', range: [10, 30], postfix: ' - ' },
-            // Outros padrões possíveis
-            { prefix: '2025_', suffix: '_CC_', range: [1, 20], postfix: ' - ' },
-            { prefix: '2025_', suffix: '_CP_', range: [1, 20], postfix: ' - ' }
-        ];
-        
-        // Testa alguns arquivos possíveis de forma assíncrona
-        const testPromises = [];
+        this.sortOrder = sortOrder;
+        NoteSorter.setPreference(this.activeCategory, { sort: sortOrder });
+        this.updateRoute();
+        this.refreshFileList();
+    }
+
+    /**
+     * Troca o agrupamento da lista de notas e o lembra para o caderno ativo
+     * 
+     * @param {string} groupMode Chave de NoteSorter.GROUPS
+     */
+    setGroupMode(groupMode) {
+        if (!NoteSorter.GROUPS[groupMode] || groupMode === this.groupMode) return;
         
-        for (const pattern of patterns) {
-            for (let i = pattern.range[0]; i <= pattern.range[1]; i++) {
-                const paddedNum = i.toString().padStart(3, '0');
-                const testFileName = `${pattern.prefix}*${pattern.suffix}${paddedNum}${pattern.postfix}*.html`;
-                
-                // Não testa arquivos que já conhecemos
-                const exists = currentFileNames.some(name => 
-                    name.includes(pattern.suffix + paddedNum)
-                );
-                
-                if (!exists) {
-                    testPromises.push(this.testFileExists(pattern, paddedNum));
-                }
-            }
+        this.groupMode = groupMode;
+        NoteSorter.setPreference(this.activeCategory, { group: groupMode });
+        this.refreshFileList();
+    }
+
+    /**
+     * Redesenha a lista mantendo a busca ativa
+     */
+    refreshFileList() {
+        this.renderFiles();
+        if (this.currentSearchTerm) {
+            this.filterFiles(this.elements.searchInput ? this.elements.searchInput.value : this.currentSearchTerm);
         }
+        if (this.studyPlan) this.studyPlan.refresh(); // Tópicos novos podem cobrir itens do edital
+    }
+
+    /**
+     * Dados usados pelas ordenações (lidos uma vez por renderização)
+     * 
+     * @returns {Object} Contexto para NoteSorter.sort()/group()
+     */
+    getSortContext() {
+        const opened = typeof NoteHistory !== 'undefined' ? NoteHistory.load().opened : {};
+        const progress = typeof ProgressStore !== 'undefined' ? ProgressStore.load().notes : {};
         
-        // Executa testes em paralelo (limitado para não sobrecarregar)
-        const results = await Promise.allSettled(testPromises.slice(0, 10));
-        
-        for (const result of results) {
-            if (result.status === 'fulfilled' && result.value) {
-                newFiles.push(result.value);
+        return {
+            getMeta: name => this.getFileMeta(name),
+            getLastOpened: name => (opened[name] ? opened[name].lastOpenedAt : null),
+            getScore: name => (progress[name] && progress[name].lastResult ? progress[name].lastResult.percent : null),
+            formatDate: isoDate => this.formatStudyDate(isoDate)
+        };
+    }
+
+    /**
+     * Sincroniza os menus de ordenação e agrupamento com o estado atual
+     */
+    renderListControls() {
+        const { sortSelect, groupSelect } = this.elements;
+        const fill = (select, options, value) => {
+            if (!select) return;
+            if (select.options.length === 0) {
+                select.innerHTML = Object.entries(options)
+                    .map(([key, label]) => `<option value="${key}">${label}</option>`)
+                    .join('');
             }
-        }
+            select.value = value;
+        };
         
-        if (newFiles.length > 0) {
-            console.log(`🎉 Encontrados ${newFiles.length} novos arquivos!`);
-            this.files.push(...newFiles);
-            this.files.sort((a, b) => new Date(b.lastModified) - new Date(a.lastModified));
+        fill(sortSelect, NoteSorter.SORTS, this.sortOrder);
+        fill(groupSelect, NoteSorter.GROUPS, this.groupMode);
+    }
+
+    /**
+     * Retorna os arquivos da categoria ativa
+     * 
+     * @returns {Array} Lista de arquivos filtrados por categoria
+     */
+    getActiveFiles() {
+        if (this.activeCategory === 'todos') {
+            return this.files;
         }
+        
+        return this.categories[this.activeCategory]?.files || [];
     }
 
     /**
-     * Testa se um arquivo existe tentando fazer uma requisição HEAD
-     * @param {Object} pattern Padrão do arquivo
-     * @param {string} num Número do arquivo
-     * @returns {Promise<Object|null>} Objeto do arquivo se existir, null caso contrário
+     * Carrega arquivos do GitHub via API
+     * Usado como fallback quando o manifesto não está disponível
      */
-    async testFileExists(pattern, num) {
+    async loadFromGitHub() {
+        this.files = (await this.fetchGitHubFiles())
+            .sort((a, b) => this.extractFileNumber(a.name) - this.extractFileNumber(b.name));
+        
         try {
-            // Como não podemos fazer requisições HEAD facilmente no browser local,
-            // retornamos null por enquanto. Este método pode ser expandido
-            // para usar outras estratégias de descoberta
-            return null;
+            await this.fillGitHubDates(this.files);
         } catch (error) {
-            return null;
+            // Sem datas a lista continua utilizável
+            console.warn('⚠️ [GITHUB] Datas dos commits indisponíveis:', error.message);
+            this.showGitHubNotice(error);
         }
+        
+        console.log(`✅ [GITHUB] Processados ${this.files.length} arquivos HTML`);
     }
 
     /**
-     * Carrega arquivos do GitHub via API  
-     * Implementa fallback para diferentes cenários de erro
+     * Lista as notas HTML do repositório via GitHub API
+     * Requisições condicionais (ETag) evitam gastar a cota em recargas
+     * 
+     * @returns {Promise<Array>} Arquivos no formato do portal
+     * @throws {GitHubApiError} Erro da API (GitHubRateLimitError se o limite acabou)
      */
-    async loadFromGitHub() {
-        const apiUrl = `https://api.github.com/repos/${this.currentRepo.owner}/${this.currentRepo.repo}/contents/notes`;
+    async fetchGitHubFiles() {
+        if (typeof GitHubClient === 'undefined') {
+            throw new Error('Cliente da GitHub API indisponível');
+        }
         
-        console.log(`🌐 [GITHUB] Tentando API: ${apiUrl}`);
+        const client = this.getGitHubClient();
+        console.log(`🌐 [GITHUB] Listando ${client.owner}/${client.repo}@${client.branch} via ${client.apiUrl}`);
         
         try {
-            const response = await fetch(apiUrl, {
-                headers: {
-                    'Accept': 'application/vnd.github.v3+json',
-                    'User-Agent': 'Portal-Notas-HTML',
-                    'Cache-Control': 'no-cache'
-                }
-            });
-            
-            console.log(`🌐 [GITHUB] Response status: ${response.status}`);
-            
-            if (!response.ok) {
-                if (response.status === 404) {
-                    console.warn('📁 [GITHUB] Pasta notes não encontrada no repositório');
-                    throw new Error('Pasta notes não encontrada - usando método local');
-                }
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-            
-            const data = await response.json();
+            const data = await client.listFiles('notes');
             console.log(`🌐 [GITHUB] Dados recebidos: ${data.length} itens`);
             
-            // Filtra apenas arquivos HTML e processa dados
-            this.files = data
-                .filter(file => file.type === 'file' && file.name.endsWith('.html'))
+            return data
+                .filter(file => file.name.endsWith('.html'))
                 .map(file => ({
                     name: file.name,
                     path: file.path,
                     size: file.size,
-                    url: `https://${this.currentRepo.owner}.github.io/${this.currentRepo.repo}/${file.path}`,
+                    url: `./notes/${encodeURIComponent(file.name)}`,
                     download_url: file.download_url,
-                    lastModified: new Date().toISOString(), // GitHub API não retorna lastModified para contents
+                    lastModified: null, // Preenchido por fillGitHubDates()
                     source: 'github-api'
-                }))
-                .sort((a, b) => new Date(b.lastModified) - new Date(a.lastModified));
-            
-            console.log(`✅ [GITHUB] Processados ${this.files.length} arquivos HTML`);
+                }));
                 
         } catch (error) {
             console.error('❌ [GITHUB] Erro na API:', error.message);
@@ -992,6 +1015,27 @@ class NotesPortal {
         }
     }
 
+    /**
+     * Preenche lastModified com a data do último commit de cada nota
+     * Com o limite da API atingido, as datas já obtidas são aplicadas antes
+     * de o erro seguir para quem mostra o aviso.
+     * 
+     * @param {Array} files Arquivos sem data
+     * @throws {GitHubRateLimitError} Se a busca foi interrompida pelo limite da API
+     */
+    async fillGitHubDates(files) {
+        const pending = files.filter(file => !file.lastModified);
+        if (pending.length === 0) return;
+        
+        const { dates, rateLimitError } = await this.getGitHubClient().getLastCommitDates('notes', pending.map(file => file.path));
+        pending.forEach(file => {
+            file.lastModified = dates.get(file.path) || null;
+        });
+        
+        console.log(`📅 [GITHUB] Datas de commit obtidas para ${dates.size}/${pending.length} nota(s)`);
+        if (rateLimitError) throw rateLimitError;
+    }
+
     /**
      * Renderiza a lista de arquivos no DOM
      * Aplica filtros de categoria e animações
@@ -999,19 +1043,60 @@ class NotesPortal {
     renderFiles() {
         if (!this.elements.filesContainer) return;
 
-        // Pega arquivos da categoria ativa
-        const activeFiles = this.getActiveFiles();
+        this.renderListControls();
+
+        // Pega arquivos da categoria ativa (e dos tópicos escolhidos) na ordenação e no agrupamento escolhidos
+        const context = this.getSortContext();
+        const tagged = this.tagFilter ? this.getActiveFiles().filter(file => this.tagFilter.matches(file.name)) : this.getActiveFiles();
+        const activeFiles = NoteSorter.sort(tagged, this.sortOrder, context);
+        if (this.tagFilter) this.tagFilter.render();
+        
+        const integrity = typeof CadernoIntegrity !== 'undefined'
+            ? CadernoIntegrity.check(this.getActiveFiles(), name => this.getFileMeta(name))
+            : null;
+        this.renderIntegrityPanel(integrity);
         
         if (activeFiles.length === 0) {
             this.renderEmptyState();
+            this.renderRecentShelf();
             return;
         }
 
-        const filesGrid = activeFiles
-            .map(file => this.createFileCard(file))
-            .join('');
+        // Notas fixadas ficam em uma seção própria, acima dos grupos
+        const pinnedNames = typeof NoteFavorites !== 'undefined' ? NoteFavorites.names() : new Set();
+        const pinnedFiles = activeFiles.filter(file => pinnedNames.has(file.name));
+        const otherFiles = activeFiles.filter(file => !pinnedNames.has(file.name));
+        const groups = otherFiles.length > 0 ? NoteSorter.group(otherFiles, this.groupMode, context) : [];
+        
+        if (pinnedFiles.length > 0) {
+            if (groups.length === 1 && !groups[0].title) {
+                groups[0].title = '📄 Demais notas';
+                groups[0].subtitle = `${otherFiles.length} nota${otherFiles.length !== 1 ? 's' : ''}`;
+            }
+            groups.unshift({
+                key: 'pinned',
+                title: '⭐ Fixadas',
+                subtitle: `${pinnedFiles.length} nota${pinnedFiles.length !== 1 ? 's' : ''}`,
+                files: pinnedFiles
+            });
+        }
+        
+        // Lacunas na numeração viram marcadores na grade (só na ordem de sequência, sem grupos)
+        const showGaps = integrity && integrity.gaps.length > 0 && this.activeCategory !== 'todos' &&
+            this.sortOrder === 'sequence' && this.groupMode === 'flat' && !(this.tagFilter && this.tagFilter.isActive());
+        const renderGrid = (files, gaps = []) => `<div class="files-grid">${this.createGridItems(files, gaps)}</div>`;
+        const gapsOf = group => (showGaps && group.key !== 'pinned' ? integrity.gaps : []);
             
-        this.elements.filesContainer.innerHTML = `<div class="files-grid">${filesGrid}</div>`;
+        this.elements.filesContainer.innerHTML = groups.length === 1 && !groups[0].title
+            ? renderGrid(groups[0].files, gapsOf(groups[0]))
+            : groups.map(group => `
+                <section class="file-group${group.key === 'pinned' ? ' file-group-pinned' : ''}" aria-label="${group.title}">
+                    <h3 class="file-group-title">${group.title} <span class="file-group-count">· ${group.subtitle}</span></h3>
+                    ${renderGrid(group.files, gapsOf(group))}
+                </section>
+            `).join('');
+        if (this.offlineManager) this.offlineManager.render();
+        this.renderRecentShelf();
         
         // Aplica animações de entrada
         this.animateFileCards();
@@ -1026,13 +1111,29 @@ class NotesPortal {
      * Renderiza estado vazio quando não há arquivos na categoria
      */
     renderEmptyState() {
-        const categoryName = this.activeCategory === 'todos' 
+        const category = this.categories[this.activeCategory];
+        const categoryName = this.escapeHtml(this.activeCategory === 'todos' 
             ? 'total' 
-            : this.categories[this.activeCategory]?.name || 'categoria';
+            : category?.name || 'categoria');
             
-        const categoryIcon = this.activeCategory === 'todos' 
+        const categoryIcon = this.escapeHtml(this.activeCategory === 'todos' 
             ? '📝' 
-            : this.categories[this.activeCategory]?.icon || '📋';
+            : category?.icon || '📋');
+        
+        if (this.tagFilter && this.tagFilter.isActive() && this.getActiveFiles().length > 0) {
+            this.elements.filesContainer.innerHTML = `
+                <div class="empty-state fade-in">
+                    <div class="empty-state-icon">🏷️</div>
+                    <h3>Nenhuma nota em ${categoryName} com ${this.tagFilter.mode === 'or' ? 'algum dos' : 'todos os'} tópicos selecionados</h3>
+                    <p>Remova uma etiqueta ou troque para "Qualquer tópico (OU)".</p>
+                </div>
+            `;
+            return;
+        }
+        
+        const siglas = category
+            ? [this.activeCategory, ...category.aliases].map(sigla => `<strong>${this.escapeHtml(sigla)}</strong>`).join(', ')
+            : `<strong>${this.escapeHtml(this.activeCategory)}</strong>`;
             
         this.elements.filesContainer.innerHTML = `
             <div class="empty-state fade-in">
@@ -1040,13 +1141,124 @@ class NotesPortal {
                 <h3>Nenhuma nota encontrada em ${categoryName}</h3>
                 ${this.activeCategory === 'todos' 
                     ? '<p>Adicione arquivos HTML na pasta <code>notes/</code> para começar.</p>' 
-                    : `<p>Não há arquivos com a sigla <strong>${this.activeCategory}</strong> ainda.</p>`
+                    : `<p>Não há arquivos com a sigla ${siglas} ainda.</p>`
                 }
                 <p>Os arquivos aparecerão automaticamente após o próximo push.</p>
             </div>
         `;
     }
 
+    /**
+     * Monta os cards da grade, intercalando marcadores onde faltam aulas
+     * 
+     * @param {Array} files Arquivos já ordenados por sequência
+     * @param {Array} gaps Lacunas de CadernoIntegrity.check() ({ subject, from, to })
+     * @returns {string} HTML dos itens da grade
+     */
+    createGridItems(files, gaps) {
+        const pending = [...gaps];
+        const placeholder = gap => {
+            const range = gap.from === gap.to
+                ? CadernoIntegrity.label(gap.subject, gap.from)
+                : `${CadernoIntegrity.label(gap.subject, gap.from)}–${String(gap.to).padStart(3, '0')}`;
+            const count = gap.to - gap.from + 1;
+            return `
+                <div class="file-placeholder" role="note">
+                    <span class="file-placeholder-range">🕳️ ${range}</span>
+                    <span>${count === 1 ? 'Aula ausente' : `${count} aulas ausentes`} na numeração</span>
+                </div>
+            `;
+        };
+        
+        const items = files.map(file => {
+            const meta = this.getFileMeta(file.name);
+            let before = '';
+            while (pending.length > 0 && pending[0].subject === meta.subject && pending[0].to < meta.sequence) {
+                before += placeholder(pending.shift());
+            }
+            return before + this.createFileCard(file);
+        });
+        
+        return items.join('') + pending.map(placeholder).join('');
+    }
+
+    /**
+     * Renderiza o painel "Integridade do caderno" (lacunas, duplicadas e datas fora de ordem)
+     * 
+     * @param {Object|null} report Resultado de CadernoIntegrity.check()
+     */
+    renderIntegrityPanel(report) {
+        const panel = this.elements.integrityPanel;
+        if (!panel) return;
+        
+        if (!report || report.subjects.length === 0) {
+            panel.hidden = true;
+            panel.innerHTML = '';
+            return;
+        }
+        
+        const label = (subject, sequence) => CadernoIntegrity.label(subject, sequence);
+        const noteTitle = name => this.escapeHtml(this.getFileMeta(name).title);
+        const issues = CadernoIntegrity.countIssues(report);
+        const ranges = report.subjects
+            .map(entry => `${label(entry.subject, entry.first)}–${String(entry.last).padStart(3, '0')} (${entry.count} nota${entry.count !== 1 ? 's' : ''})`)
+            .join(' · ');
+        
+        const items = [
+            ...report.gaps.map(gap => `<li class="integrity-gap">🕳️ ${gap.from === gap.to
+                ? `Falta ${label(gap.subject, gap.from)}`
+                : `Faltam ${label(gap.subject, gap.from)} a ${label(gap.subject, gap.to)}`}</li>`),
+            ...report.duplicates.map(duplicate => `<li class="integrity-duplicate">👯 ${label(duplicate.subject, duplicate.sequence)} usada ${duplicate.files.length} vezes: ${duplicate.files.map(noteTitle).join(', ')}</li>`),
+            ...report.outOfOrder.map(entry => `<li class="integrity-date">📅 ${label(entry.subject, entry.sequence)} (${this.formatStudyDate(entry.date)}) tem data anterior a ${label(entry.subject, entry.previous.sequence)} (${this.formatStudyDate(entry.previous.date)})</li>`)
+        ];
+        const summary = [
+            report.gaps.length ? `${report.gaps.length} lacuna(s)` : '',
+            report.duplicates.length ? `${report.duplicates.length} duplicada(s)` : '',
+            report.outOfOrder.length ? `${report.outOfOrder.length} data(s) fora de ordem` : ''
+        ].filter(Boolean).join(', ');
+        
+        panel.hidden = false;
+        panel.classList.toggle('has-issues', issues > 0);
+        panel.innerHTML = `
+            <details ${issues > 0 && issues <= 5 ? 'open' : ''}>
+                <summary>
+                    <span class="integrity-title">🧮 Integridade do caderno:</span>
+                    ${issues === 0 ? '✅ numeração completa' : `⚠️ ${summary}`}
+                    <span class="integrity-ranges">${ranges}</span>
+                </summary>
+                ${items.length > 0 ? `<ul class="integrity-list">${items.join('')}</ul>` : '<p class="integrity-ok">Nenhuma lacuna, duplicada ou data fora de ordem.</p>'}
+                ${report.unnumbered.length > 0 ? `<p class="integrity-unnumbered">${report.unnumbered.length} nota(s) sem sigla e sequência no nome não entram na verificação.</p>` : ''}
+            </details>
+        `;
+    }
+
+    /**
+     * Renderiza a faixa "Recentes" com as últimas notas abertas do caderno ativo
+     */
+    renderRecentShelf() {
+        const shelf = this.elements.recentShelf;
+        if (!shelf || typeof NoteHistory === 'undefined') return;
+        
+        const activeNames = new Set(this.getActiveFiles().map(file => file.name));
+        const filesByName = new Map(this.files.map(file => [file.name, file]));
+        const recent = NoteHistory.recent()
+            .filter(entry => activeNames.has(entry.name))
+            .slice(0, this.recentLimit);
+        
+        shelf.hidden = recent.length === 0;
+        shelf.innerHTML = recent.length === 0 ? '' : `
+            <span class="recent-shelf-title">🕘 Recentes</span>
+            ${recent.map(entry => {
+                const file = filesByName.get(entry.name);
+                const meta = this.getFileMeta(entry.name);
+                const label = meta.subject && meta.sequence !== null
+                    ? `${meta.subject} ${String(meta.sequence).padStart(3, '0')} · ${meta.title}`
+                    : meta.title;
+                return `<a href="${file.url}" class="recent-link" target="_blank" rel="noopener noreferrer" data-note-open="${this.escapeHtml(file.name)}" title="Aberta em ${this.formatDate(entry.lastOpenedAt)}">${this.escapeHtml(label)}</a>`;
+            }).join('')}
+        `;
+    }
+
     /**
      * Cria um card HTML para cada arquivo
      * 
@@ -1055,23 +1267,118 @@ class NotesPortal {
      */
     createFileCard(file) {
         const fileName = file.name.replace('.html', '');
-        const fileSize = this.formatFileSize(file.size);
+        const meta = this.getFileMeta(file.name);
+        const details = this.noteMetadata ? this.noteMetadata.get(file.name) : null;
+        const fileSize = this.formatFileSize(details ? details.size : file.size);
         const lastModified = this.formatDate(file.lastModified);
+        const studyDate = this.formatStudyDate(meta.date);
+        
+        const unavailable = !navigator.onLine && this.offlineManager && !this.offlineManager.isAvailable(file);
+        const pinned = typeof NoteFavorites !== 'undefined' && NoteFavorites.isPinned(file.name);
         
         return `
-            <div class="file-card" data-file-name="${file.name.toLowerCase()}" role="article" aria-label="Nota: ${fileName}">
-                <a href="${file.url}" class="file-name" target="_blank" rel="noopener noreferrer" aria-describedby="file-info-${fileName}">
-                    📝 ${fileName}
+            <div class="file-card${unavailable ? ' file-card-unavailable' : ''}" data-file-name="${file.name.toLowerCase()}" role="article" aria-label="Nota: ${meta.title}" title="${unavailable ? 'Indisponível sem conexão' : this.escapeHtml(details && details.heading ? `${details.heading}\n${file.name}` : file.name)}">
+                ${typeof NoteFavorites !== 'undefined' ? `
+                    <button type="button" class="favorite-toggle${pinned ? ' is-pinned' : ''}" data-favorite-toggle="${this.escapeHtml(file.name)}" aria-pressed="${pinned}" aria-label="${pinned ? 'Desafixar' : 'Fixar'} ${meta.title}" title="${pinned ? 'Desafixar nota' : 'Fixar nota no topo'}">${pinned ? '★' : '☆'}</button>
+                ` : ''}
+                <a href="${file.url}" class="file-name" target="_blank" rel="noopener noreferrer" data-note-open="${this.escapeHtml(file.name)}" aria-describedby="file-info-${fileName}">
+                    📝 ${meta.title}
                 </a>
+                ${this.createMetaTags(meta, file)}
+                ${this.createSummaryBlock(details)}
                 <div class="file-info" id="file-info-${fileName}">
+                    ${studyDate ? `<span>📅 Estudo: ${studyDate}</span> • ` : ''}
                     <span>Tamanho: ${fileSize}</span>
                     ${lastModified ? ` • Modificado: ${lastModified}` : ''}
+                    ${details && details.dependencies.length > 0
+                        ? ` • <span class="file-dependencies" title="${this.escapeHtml(details.dependencies.join('\n'))}">🌐 ${details.dependencies.length} dependência(s) externa(s)</span>`
+                        : ''}
                 </div>
+                ${this.createProgressBlock(file)}
                 <div class="file-actions">
-                    <a href="${file.url}" class="btn btn-primary" target="_blank" rel="noopener noreferrer" aria-label="Abrir ${fileName} em nova aba">
-                        🔗 Abrir Nota
+                    <a href="${file.url}" class="btn btn-primary" target="_blank" rel="noopener noreferrer" data-note-open="${this.escapeHtml(file.name)}" aria-label="Abrir ${meta.title} no leitor">
+                        📖 Abrir Nota
                     </a>
+                    <a href="${file.url}" class="btn" target="_blank" rel="noopener noreferrer" aria-label="Abrir ${meta.title} em nova aba" title="Abrir em nova aba">↗</a>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Cria as etiquetas do card (sigla/sequência, fixação e disponibilidade offline)
+     * 
+     * @param {Object} meta Metadados de NoteFileName.parse()
+     * @param {Object} file Objeto com dados do arquivo
+     * @returns {string} HTML das etiquetas
+     */
+    createMetaTags(meta, file) {
+        const tags = [];
+        
+        if (meta.subject && meta.sequence !== null) {
+            tags.push(`<span class="file-tag file-tag-sequence">${meta.subject} ${String(meta.sequence).padStart(3, '0')}</span>`);
+        }
+        if (meta.isFixacao) {
+            tags.push('<span class="file-tag file-tag-fixacao">✍️ Fixação</span>');
+        }
+        if (this.offlineManager && this.offlineManager.isAvailable(file)) {
+            tags.push('<span class="file-tag file-tag-offline">📥 Offline</span>');
+        }
+        
+        return tags.length > 0 ? `<div class="file-tags">${tags.join('')}</div>` : '';
+    }
+
+    /**
+     * Cria o resumo do conteúdo da nota (questões e tópicos)
+     * 
+     * @param {Object|null} details Metadados de NoteMetadata
+     * @returns {string} HTML do resumo (vazio enquanto a nota não foi lida)
+     */
+    createSummaryBlock(details) {
+        const summary = details ? NoteMetadata.summarize(details) : '';
+        if (!summary) return '';
+        
+        const heading = details.heading || details.title;
+        const topics = details.topics.join(' · ');
+        
+        return `
+            <div class="file-summary">
+                ${heading ? `<p class="file-heading">${this.escapeHtml(heading)}</p>` : ''}
+                <p class="file-topics"${topics ? ` title="${this.escapeHtml(topics)}"` : ''}>📋 ${this.escapeHtml(summary)}</p>
+            </div>
+        `;
+    }
+
+    /**
+     * Cria o bloco de progresso do quiz exibido no card
+     * Lê o registro gravado pelas próprias notas (ProgressStore)
+     * 
+     * @param {Object} file Objeto com dados do arquivo
+     * @returns {string} HTML do bloco (vazio se o progresso não estiver disponível)
+     */
+    createProgressBlock(file) {
+        if (typeof ProgressStore === 'undefined') return '';
+        
+        const summary = ProgressStore.summarize(ProgressStore.get(file.name));
+        const statusLabels = {
+            [ProgressStore.STATUS.NOT_STARTED]: '⚪ Não iniciada',
+            [ProgressStore.STATUS.IN_PROGRESS]: '🟡 Em andamento',
+            [ProgressStore.STATUS.DONE]: '🟢 Concluída'
+        };
+        const lastResult = summary.lastResult;
+        
+        return `
+            <div class="file-progress status-${summary.status}">
+                <div class="progress-header">
+                    <span class="progress-status">${statusLabels[summary.status]}</span>
+                    ${lastResult ? `<span class="progress-score">Última nota: ${lastResult.percent}% (${lastResult.correct}/${lastResult.total})</span>` : ''}
                 </div>
+                <div class="progress-bar" role="progressbar" aria-valuenow="${summary.percent}" aria-valuemin="0" aria-valuemax="100" aria-label="Progresso no quiz">
+                    <div class="progress-fill" style="width: ${summary.percent}%"></div>
+                </div>
+                ${summary.total > 0 
+                    ? `<div class="progress-meta">${summary.answered}/${summary.total} respondidas • ${summary.attempts} tentativa(s)</div>` 
+                    : ''}
             </div>
         `;
     }
@@ -1087,6 +1394,31 @@ class NotesPortal {
         });
     }
 
+    /**
+     * Escapa texto vindo das notas para uso em HTML e atributos
+     * 
+     * @param {string} text Texto puro
+     * @returns {string} Texto escapado
+     */
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Ícone e nome de um caderno, escapados para HTML
+     * (nome e ícone podem ser editados pelo usuário ou vir de um backup)
+     * 
+     * @param {Object} category Caderno { icon, name }
+     * @returns {string} HTML do rótulo
+     */
+    formatCategoryLabel(category) {
+        return `${this.escapeHtml(category.icon || '📁')} ${this.escapeHtml(category.name)}`;
+    }
+
     /**
      * Formata o tamanho do arquivo para exibição
      * 
@@ -1103,6 +1435,19 @@ class NotesPortal {
         return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
     }
 
+    /**
+     * Formata a data de estudo (AAAA-MM-DD, sem fuso horário) para exibição
+     * 
+     * @param {string|null} isoDate Data do nome do arquivo
+     * @returns {string} Data no formato DD/MM/AAAA
+     */
+    formatStudyDate(isoDate) {
+        if (!isoDate) return '';
+        
+        const [year, month, day] = isoDate.split('-');
+        return `${day}/${month}/${year}`;
+    }
+
     /**
      * Formata data para exibição
      * 
@@ -1126,13 +1471,17 @@ class NotesPortal {
 
     /**
      * Filtra arquivos baseado no termo de busca dentro da categoria ativa
-     * Implementa busca fuzzy inteligente por categoria
+     * Combina o filtro dos cards (nome/texto visível) com a busca no
+     * conteúdo das notas (questões, alternativas, tópicos e explicações)
      * 
      * @param {string} searchTerm Termo de busca
      */
-    filterFiles(searchTerm) {
+    async filterFiles(searchTerm) {
         const cards = document.querySelectorAll('.file-card');
         const term = searchTerm.toLowerCase().trim();
+        this.currentSearchTerm = term;
+        this.elements.filesContainer.classList.toggle('is-searching', Boolean(term)); // Esconde os marcadores de lacunas
+        this.updateRoute({ replace: true }); // Digitar não cria entradas no histórico
 
         if (!term) {
             // Se não há termo, mostra todos da categoria ativa
@@ -1140,23 +1489,26 @@ class NotesPortal {
                 card.style.display = 'block';
                 card.classList.remove('hidden');
             });
+            this.updateGroupVisibility();
             
-            // Remove feedback de busca anterior
-            const existingFeedback = document.querySelector('.search-feedback');
-            if (existingFeedback) {
-                existingFeedback.remove();
-            }
+            this.clearSearchResults();
             return;
         }
 
+        const contentResults = await this.searchContent(term);
+        
+        // Outra busca começou enquanto o índice carregava
+        if (term !== this.currentSearchTerm) return;
+        
+        const notesWithContentHits = new Set(contentResults.map(result => result.name.toLowerCase()));
         let visibleCount = 0;
         
         cards.forEach(card => {
             const fileName = card.getAttribute('data-file-name');
             const fileContent = card.textContent.toLowerCase();
             
-            // Busca fuzzy: verifica se o termo está contido no nome ou conteúdo
-            const isVisible = fileName.includes(term) || fileContent.includes(term);
+            // Busca fuzzy: verifica se o termo está contido no nome, no card ou no conteúdo da nota
+            const isVisible = fileName.includes(term) || fileContent.includes(term) || notesWithContentHits.has(fileName);
             
             if (isVisible) {
                 card.style.display = 'block';
@@ -1168,8 +1520,136 @@ class NotesPortal {
             }
         });
 
+        this.updateGroupVisibility();
+        
         // Feedback visual para resultados da busca com contexto de categoria
         this.showSearchFeedback(term, visibleCount);
+        this.renderSearchResults(term, contentResults);
+    }
+
+    /**
+     * Esconde os grupos da lista sem nenhum card visível
+     */
+    updateGroupVisibility() {
+        document.querySelectorAll('.file-group').forEach(group => {
+            group.hidden = ![...group.querySelectorAll('.file-card')].some(card => card.style.display !== 'none');
+        });
+    }
+
+    /**
+     * Busca o termo no conteúdo das notas da categoria ativa
+     * 
+     * @param {string} term Termo de busca
+     * @returns {Promise<Array>} Resultados ranqueados (vazio se indisponível)
+     */
+    async searchContent(term) {
+        if (term.length < this.minContentSearchLength || typeof SearchIndex === 'undefined') {
+            return [];
+        }
+        
+        try {
+            const index = await this.ensureSearchIndex();
+            const names = new Set(this.getActiveFiles().map(file => file.name));
+            return index.search(term, { names, limit: 30 });
+        } catch (error) {
+            console.warn('⚠️ [SEARCH] Busca no conteúdo indisponível:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Carrega o índice de busca uma única vez
+     * Usa o índice gerado no build; sem ele, monta o índice baixando as notas
+     * 
+     * @returns {Promise<SearchIndex>} Índice pronto para uso
+     */
+    ensureSearchIndex() {
+        if (!this.searchIndexPromise) {
+            this.searchIndexPromise = SearchIndex.load(this.searchIndexUrl)
+                .catch(error => {
+                    console.warn('⚠️ [SEARCH] Índice do build indisponível, montando no navegador:', error.message);
+                    return SearchIndex.build(this.files);
+                })
+                .then(index => {
+                    console.log(`🔎 [SEARCH] Índice pronto: ${index.documents.length} documentos`);
+                    return index;
+                })
+                .catch(error => {
+                    this.searchIndexPromise = null; // Permite nova tentativa
+                    throw error;
+                });
+        }
+        
+        return this.searchIndexPromise;
+    }
+
+    /**
+     * Renderiza os resultados da busca no conteúdo das notas
+     * Cada resultado abre a nota já rolada até a questão correspondente
+     * 
+     * @param {string} term Termo buscado
+     * @param {Array} results Resultados do SearchIndex
+     */
+    renderSearchResults(term, results) {
+        const existing = document.getElementById('search-results');
+        if (existing) {
+            existing.remove();
+        }
+        
+        if (results.length === 0) return;
+        
+        const filesByName = new Map(this.files.map(file => [file.name, file]));
+        const items = results
+            .filter(result => filesByName.has(result.name))
+            .map(result => {
+                const file = filesByName.get(result.name);
+                const href = result.n > 0 ? `${file.url}#questao-${result.n}` : file.url;
+                const location = result.n > 0 
+                    ? `Questão ${result.n}${result.topic ? ` · ${SearchIndex.escapeHtml(result.topic)}` : ''}` 
+                    : 'Título da nota';
+                
+                return `
+                    <li>
+                        <a href="${href}" class="search-result" target="_blank" rel="noopener noreferrer" data-note-open="${SearchIndex.escapeHtml(result.name)}">
+                            <span class="search-result-title">📝 ${SearchIndex.escapeHtml(result.title)}</span>
+                            <span class="search-result-location">${location}</span>
+                            <span class="search-result-snippet">${result.snippet}</span>
+                        </a>
+                    </li>
+                `;
+            })
+            .join('');
+        
+        const panel = document.createElement('section');
+        panel.id = 'search-results';
+        panel.className = 'search-results fade-in';
+        panel.setAttribute('aria-label', 'Resultados no conteúdo das notas');
+        panel.innerHTML = `
+            <h3 class="search-results-title">📖 Encontrado no conteúdo das notas (${results.length})</h3>
+            <ol class="search-results-list">${items}</ol>
+        `;
+        
+        const filesSection = document.querySelector('.files-section');
+        if (filesSection && this.elements.filesContainer) {
+            filesSection.insertBefore(panel, this.elements.filesContainer);
+        }
+    }
+
+    /**
+     * Remove feedback e resultados da busca anterior
+     */
+    clearSearchResults() {
+        this.currentSearchTerm = '';
+        
+        const existingFeedback = document.querySelector('.search-feedback');
+        if (existingFeedback) {
+            existingFeedback.remove();
+        }
+        
+        const existingResults = document.getElementById('search-results');
+        if (existingResults) {
+            existingResults.remove();
+        }
     }
 
     /**
@@ -1193,14 +1673,14 @@ class NotesPortal {
         const feedback = document.createElement('div');
         feedback.className = 'search-feedback';
         feedback.innerHTML = `
-            <p>🔍 Busca por "<strong>${term}</strong>" em <em>${categoryName}</em>: 
+            <p>🔍 Busca por "<strong>${this.escapeHtml(term)}</strong>" em <em>${this.escapeHtml(categoryName)}</em>: 
                <strong>${count}</strong> resultado(s) encontrado(s)</p>
         `;
         
         // Insere feedback
         const filesSection = document.querySelector('.files-section');
-        if (filesSection) {
-            filesSection.insertBefore(feedback, filesSection.querySelector('.files-grid') || filesSection.firstChild);
+        if (filesSection && this.elements.filesContainer) {
+            filesSection.insertBefore(feedback, this.elements.filesContainer);
         }
     }
 
@@ -1243,6 +1723,311 @@ class NotesPortal {
         `;
     }
 
+    /**
+     * Mostra um aviso sobre a GitHub API (limite atingido, token inválido)
+     * com formulário para salvar ou remover o token pessoal
+     * 
+     * @param {Error} error Erro vindo do GitHubClient
+     */
+    showGitHubNotice(error) {
+        const notice = document.getElementById('github-notice');
+        if (!notice || typeof GitHubClient === 'undefined' || !(error instanceof GitHubClient.ApiError)) return;
+        
+        let message;
+        if (error instanceof GitHubClient.RateLimitError) {
+            const resetTime = error.resetAt
+                ? error.resetAt.toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' })
+                : null;
+            message = `<strong>Limite de requisições da GitHub API atingido</strong>${resetTime ? ` — renova às ${resetTime}` : ''}.
+                ${error.authenticated
+                    ? 'Mesmo com token, a cota acabou; aguarde a renovação.'
+                    : 'Sem token, o GitHub permite 60 requisições por hora. Um token pessoal (somente leitura) eleva o limite para 5000.'}`;
+        } else if (error.status === 401) {
+            message = '<strong>Token do GitHub inválido ou expirado.</strong> Informe outro token ou remova o atual.';
+        } else {
+            message = `<strong>GitHub API indisponível:</strong> ${error.message}.`;
+        }
+        
+        const hasToken = Boolean(GitHubClient.loadToken());
+        notice.hidden = false;
+        notice.innerHTML = `
+            <p>⏳ ${message}</p>
+            <form class="github-token-form">
+                <label>Token pessoal do GitHub
+                    <input type="password" name="token" autocomplete="off" placeholder="${hasToken ? 'Token salvo neste navegador' : 'github_pat_...'}">
+                </label>
+                <button class="btn btn-primary" type="submit">💾 Salvar e recarregar</button>
+                ${hasToken ? '<button class="btn" type="button" data-github-action="clear">🗑️ Remover token</button>' : ''}
+                <button class="btn" type="button" data-github-action="dismiss">Fechar</button>
+            </form>
+        `;
+        
+        const form = notice.querySelector('form');
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const token = form.elements.token.value.trim();
+            if (!token) return;
+            
+            GitHubClient.saveToken(token);
+            this.githubClient = null;
+            notice.hidden = true;
+            this.loadFiles(true);
+        });
+        form.addEventListener('click', (e) => {
+            const action = e.target.dataset.githubAction;
+            if (action === 'clear') {
+                GitHubClient.saveToken(null);
+                this.githubClient = null;
+                notice.hidden = true;
+                this.loadFiles(true);
+            }
+            if (action === 'dismiss') {
+                notice.hidden = true;
+            }
+        });
+    }
+
+    /**
+     * Inicializa as rotas na URL e lê o estado inicial (caderno e ordenação)
+     * A busca é restaurada depois da carga das notas, em applyRoute()
+     */
+    setupRouter() {
+        if (typeof PortalRouter === 'undefined') {
+            console.warn('⚠️ [ROUTER] Rotas na URL indisponíveis');
+            return;
+        }
+
+        this.router = new PortalRouter({ onChange: route => this.applyRoute(route) });
+
+        const route = this.router.read();
+        this.activeCategory = this.resolveCategory(route.category);
+        this.applyViewPreference(route.sort);
+    }
+
+    /**
+     * Aplica uma rota: nota aberta no leitor, caderno, ordenação e busca
+     * Valores inválidos são corrigidos na URL (sem nova entrada no histórico)
+     * 
+     * @param {Object} route Rota de PortalRouter ({ category, query, sort, note, tags, mode, topic })
+     */
+    applyRoute(route) {
+        // Só a nota ou a página de tópico mudou: a lista continua como está,
+        // com a mesma rolagem
+        const listOf = item => PortalRouter.format({ ...item, note: null, topic: null });
+        const listChanged = listOf(route) !== listOf(this.getRoute());
+
+        if (this.noteViewer) this.noteViewer.applyRoute(route);
+        if (this.tagFilter) this.tagFilter.applyRoute(route);
+        if (!listChanged) return;
+
+        this.switchCategory(this.resolveCategory(route.category), { updateRoute: false, sort: route.sort });
+
+        if (route.query && this.elements.searchInput) {
+            this.elements.searchInput.value = route.query;
+            this.filterFiles(route.query);
+        } else {
+            this.updateRoute({ replace: true });
+        }
+    }
+
+    /**
+     * Converte a sigla da URL em um caderno existente
+     * Aceita a sigla principal ou um alias, sem diferenciar maiúsculas
+     * 
+     * @param {string} code Sigla vinda da URL
+     * @returns {string} Chave do caderno ou "todos" se não existir
+     */
+    resolveCategory(code) {
+        if (!code || code === 'todos') return 'todos';
+        
+        const upper = code.toUpperCase();
+        const match = Object.keys(this.categories).find(key =>
+            key === upper || (this.categories[key].aliases || []).some(alias => alias.toUpperCase() === upper));
+        
+        if (!match) {
+            console.warn(`⚠️ [ROUTER] Caderno "${code}" não encontrado, mostrando todos`);
+            return 'todos';
+        }
+        return match;
+    }
+
+    /**
+     * Estado atual do portal como rota
+     * A ordenação só é omitida quando é a sequência e o caderno não tem outra
+     * preferência, para que o link reproduza a mesma lista em outro navegador
+     * 
+     * @returns {Object} Rota { category, query, sort, note, tags, mode, topic }
+     */
+    getRoute() {
+        const isDefaultSort = this.sortOrder === NoteSorter.DEFAULTS.sort &&
+            NoteSorter.getPreference(this.activeCategory).sort === NoteSorter.DEFAULTS.sort;
+        
+        return {
+            category: this.activeCategory,
+            query: this.elements.searchInput ? this.elements.searchInput.value.trim() : '',
+            sort: isDefaultSort ? null : this.sortOrder,
+            note: this.noteViewer ? this.noteViewer.fileName : null,
+            ...(this.tagFilter ? this.tagFilter.getRoute() : {})
+        };
+    }
+
+    /**
+     * Grava o estado atual (caderno, busca, ordenação, nota aberta e tópicos) na URL
+     * 
+     * @param {Object} [options] { replace: substitui a entrada atual do histórico }
+     */
+    updateRoute(options = {}) {
+        if (!this.router) return;
+        
+        this.router.navigate(this.getRoute(), options);
+    }
+
+    /**
+     * Inicializa o leitor de notas (notas abertas dentro do portal)
+     */
+    setupNoteViewer() {
+        if (typeof NoteViewer === 'undefined') {
+            console.warn('⚠️ [VIEWER] Leitor de notas indisponível, notas abrem em nova aba');
+            return;
+        }
+
+        this.noteViewer = new NoteViewer(this);
+    }
+
+    /**
+     * Inicializa o filtro por tópicos (etiquetas montadas a partir do índice de busca)
+     */
+    setupTagFilter() {
+        if (typeof TagFilter === 'undefined' || typeof TopicIndex === 'undefined') {
+            console.warn('⚠️ [TAGS] Filtro por tópicos indisponível');
+            return;
+        }
+
+        this.tagFilter = new TagFilter(this);
+        this.tagFilter.load();
+    }
+
+    /**
+     * Inicializa o painel "Revisão de hoje" (revisão espaçada)
+     */
+    setupReviewMode() {
+        if (typeof ReviewMode === 'undefined' || !this.questionLibrary) {
+            console.warn('⚠️ [REVIEW] Módulo de revisão indisponível');
+            return;
+        }
+
+        this.reviewMode = new ReviewMode(this);
+    }
+
+    /**
+     * Inicializa o caderno de erros
+     */
+    setupErrorNotebook() {
+        if (typeof ErrorNotebook === 'undefined' || typeof ProgressStore === 'undefined' || !this.questionLibrary) {
+            console.warn('⚠️ [ERRORS] Caderno de erros indisponível');
+            return;
+        }
+
+        this.errorNotebook = new ErrorNotebook(this);
+    }
+
+    /**
+     * Inicializa o editor de cadernos
+     */
+    setupCategoryEditor() {
+        if (typeof CategoryEditor === 'undefined') {
+            console.warn('⚠️ [CADERNOS] Editor de cadernos indisponível');
+            return;
+        }
+
+        this.categoryEditor = new CategoryEditor(this);
+    }
+
+    /**
+     * Inicializa o uso offline (cadernos salvos no cache do navegador)
+     */
+    setupOfflineManager() {
+        if (typeof OfflineManager === 'undefined' || !OfflineManager.isSupported()) {
+            console.warn('⚠️ [OFFLINE] Uso offline indisponível neste navegador');
+            return;
+        }
+
+        this.offlineManager = new OfflineManager(this);
+        this.offlineManager.sync();
+    }
+
+    /**
+     * Inicializa o painel de backup (exportar/importar dados locais)
+     */
+    setupBackupPanel() {
+        if (typeof BackupPanel === 'undefined' || typeof DataBackup === 'undefined') {
+            console.warn('⚠️ [BACKUP] Painel de backup indisponível');
+            return;
+        }
+
+        this.backupPanel = new BackupPanel(this);
+    }
+
+    /**
+     * Inicializa o montador de simulados
+     */
+    setupExamMode() {
+        if (typeof ExamMode === 'undefined' || !this.questionLibrary) {
+            console.warn('⚠️ [EXAM] Módulo de simulado indisponível');
+            return;
+        }
+
+        this.examMode = new ExamMode(this);
+    }
+
+    /**
+     * Inicializa a apostila para impressão do caderno ativo
+     */
+    setupBooklet() {
+        if (typeof CadernoBooklet === 'undefined' || !this.questionLibrary) {
+            console.warn('⚠️ [BOOKLET] Apostila para impressão indisponível');
+            return;
+        }
+
+        this.booklet = new CadernoBooklet(this);
+    }
+
+    /**
+     * Inicializa o painel de estatísticas de estudo
+     */
+    setupStatsDashboard() {
+        if (typeof StatsDashboard === 'undefined' || typeof StudyStats === 'undefined' || typeof ProgressStore === 'undefined') {
+            console.warn('⚠️ [STATS] Módulo de estatísticas indisponível');
+            return;
+        }
+
+        this.statsDashboard = new StatsDashboard(this);
+    }
+
+    /**
+     * Inicializa o plano de estudo (edital)
+     */
+    setupStudyPlan() {
+        if (typeof StudyPlan === 'undefined' || typeof Syllabus === 'undefined') {
+            console.warn('⚠️ [PLAN] Módulo de plano de estudo indisponível');
+            return;
+        }
+
+        this.studyPlan = new StudyPlan(this);
+    }
+
+    /**
+     * Inicializa a exportação das questões para o Anki
+     */
+    setupAnkiPanel() {
+        if (typeof AnkiPanel === 'undefined' || typeof AnkiExport === 'undefined') {
+            console.warn('⚠️ [ANKI] Módulo de exportação para o Anki indisponível');
+            return;
+        }
+
+        this.ankiPanel = new AnkiPanel(this);
+    }
+
     /**
      * Configura atualização automática
      */
@@ -1407,17 +2192,18 @@ document.addEventListener('DOMContentLoaded', () => {
 });
 
 /**
- * Service Worker registration (opcional)
- * Para funcionalidades offline futuras
+ * Service Worker registration
+ * Shell do portal e notas marcadas ficam disponíveis sem conexão (sw.js)
+ * Exige contexto seguro: HTTPS ou localhost
  */
-if ('serviceWorker' in navigator && window.location.protocol === 'https:') {
+if ('serviceWorker' in navigator && window.isSecureContext) {
     window.addEventListener('load', async () => {
         try {
-            // Registra service worker se disponível
-            // const registration = await navigator.serviceWorker.register('/sw.js');
-            // console.log('🔧 Service Worker registrado:', registration);
+            // Caminho relativo: funciona também em username.github.io/repositorio/
+            const registration = await navigator.serviceWorker.register('sw.js');
+            console.log('🔧 Service Worker registrado:', registration.scope);
         } catch (error) {
-            // console.log('⚠️ Service Worker não disponível:', error);
+            console.log('⚠️ Service Worker não disponível:', error);
         }
     });
 }
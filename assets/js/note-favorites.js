@@ -0,0 +1,110 @@
+/**
+ * Portal de Notas HTML - Notas Fixadas
+ *
+ * Guarda as notas marcadas com a estrela nos cards. As notas fixadas
+ * aparecem em uma seção própria acima da grade do caderno ativo.
+ *
+ * Esquema (chave `notes-portal-favorites`, versão 1):
+ * {
+ *   version: 1,
+ *   pinned: {
+ *     "<nome-do-arquivo>.html": { pinnedAt }
+ *   }
+ * }
+ *
+ * @author Portal de Notas HTML
+ * @version 1.0.0
+ * @requires ES6+, LocalStorage
+ */
+
+'use strict';
+
+const FAVORITES_STORAGE_KEY = 'notes-portal-favorites';
+const FAVORITES_SCHEMA_VERSION = 1;
+
+/**
+ * Acesso às notas fixadas
+ */
+class NoteFavorites {
+    /**
+     * Lê o registro completo
+     *
+     * @returns {Object} Registro { version, pinned }
+     */
+    static load() {
+        try {
+            const data = JSON.parse(localStorage.getItem(FAVORITES_STORAGE_KEY));
+            if (data && typeof data.pinned === 'object' && data.pinned !== null) {
+                return data;
+            }
+        } catch (error) {
+            console.warn('⚠️ [FAVORITES] Notas fixadas ilegíveis, recomeçando:', error);
+        }
+        return { version: FAVORITES_SCHEMA_VERSION, pinned: {} };
+    }
+
+    /**
+     * Grava o registro completo
+     *
+     * @param {Object} data Registro { version, pinned }
+     */
+    static save(data) {
+        try {
+            localStorage.setItem(FAVORITES_STORAGE_KEY, JSON.stringify(data));
+        } catch (error) {
+            console.warn('⚠️ [FAVORITES] Não foi possível salvar as notas fixadas:', error);
+        }
+    }
+
+    /**
+     * @param {string} fileName Nome do arquivo da nota
+     * @returns {boolean} true se a nota está fixada
+     */
+    static isPinned(fileName) {
+        return Boolean(NoteFavorites.load().pinned[fileName]);
+    }
+
+    /**
+     * Fixa ou desafixa uma nota
+     *
+     * @param {string} fileName Nome do arquivo da nota
+     * @param {Date} [now] Momento da alteração
+     * @returns {boolean} true se a nota ficou fixada
+     */
+    static toggle(fileName, now = new Date()) {
+        const data = NoteFavorites.load();
+
+        if (data.pinned[fileName]) {
+            delete data.pinned[fileName];
+        } else {
+            data.pinned[fileName] = { pinnedAt: now.toISOString() };
+        }
+
+        NoteFavorites.save(data);
+        console.log(`⭐ [FAVORITES] ${fileName} ${data.pinned[fileName] ? 'fixada' : 'desafixada'}`);
+        return Boolean(data.pinned[fileName]);
+    }
+
+    /**
+     * Nomes das notas fixadas
+     *
+     * @returns {Set<string>} Nomes dos arquivos
+     */
+    static names() {
+        return new Set(Object.keys(NoteFavorites.load().pinned));
+    }
+}
+
+NoteFavorites.STORAGE_KEY = FAVORITES_STORAGE_KEY;
+NoteFavorites.VERSION = FAVORITES_SCHEMA_VERSION;
+
+if (typeof window !== 'undefined') {
+    window.NoteFavorites = NoteFavorites;
+}
+
+/**
+ * Exportação para módulos (se suportado)
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { NoteFavorites };
+}
@@ -0,0 +1,217 @@
+/**
+ * Portal de Notas HTML - Interpretação do Nome das Notas
+ *
+ * Fonte única dos metadados que vêm do nome do arquivo. Usado pelo portal
+ * (cards, ordenação, cadernos) e pelos scripts de build (manifesto).
+ *
+ * Padrão: `AAAA_MM_DD_SIGLA_NNN - Título[ parte N][ fixacao].html`
+ * - AAAA_MM_DD: data de estudo
+ * - SIGLA: matéria (caderno), ex: DC, DP, RLM
+ * - NNN: sequência dentro do caderno
+ * - "fixacao" no fim (com ou sem espaço) marca nota de questões de fixação
+ * - "parte I" / "parte 2" indica série em várias partes
+ *
+ * Nomes fora do padrão são interpretados no melhor esforço e recebem
+ * diagnósticos (`error` quando falta informação, `warning` para desvios
+ * toleráveis, como `DC_005- Título` sem espaço antes do hífen).
+ *
+ * @author Portal de Notas HTML
+ * @version 1.0.0
+ * @requires ES6+
+ */
+
+'use strict';
+
+/**
+ * Expressões do padrão de nome
+ */
+const NOTE_FILENAME_PATTERNS = {
+    strict: /^(\d{4})_(\d{2})_(\d{2})_([A-Za-z]+)_(\d{3,4}) - (.+)$/,
+    loose: /^(\d{4})_(\d{2})_(\d{2})_([A-Za-z]+)_(\d{1,4})\s*-?\s*(.*)$/,
+    date: /(\d{4})[_-](\d{2})[_-](\d{2})/,
+    subjectSequence: /(?:^|[_\s-])([A-Za-z]{2,})[_\s-](\d{1,4})(?=$|[_\s-])/,
+    fixacao: /\s*fixa[cç][aã]o\s*$/i,
+    part: /\bparte\s+([IVX]+|\d+)\b/i
+};
+
+/**
+ * Metadados extraídos do nome das notas
+ */
+class NoteFileName {
+    /**
+     * Interpreta o nome de uma nota
+     *
+     * @param {string} fileName Nome do arquivo (com ou sem .html)
+     * @returns {Object} { date, subject, sequence, title, isFixacao, part, diagnostics }
+     */
+    static parse(fileName) {
+        const baseName = String(fileName || '').replace(/\.html?$/i, '');
+        const diagnostics = [];
+        const result = {
+            date: null,
+            subject: null,
+            sequence: null,
+            title: '',
+            isFixacao: false,
+            part: null,
+            diagnostics
+        };
+
+        let rawTitle;
+        const strict = baseName.match(NOTE_FILENAME_PATTERNS.strict);
+        const loose = strict || baseName.match(NOTE_FILENAME_PATTERNS.loose);
+
+        if (loose) {
+            const [, year, month, day, subject, sequence, title] = loose;
+            result.date = NoteFileName.toIsoDate(year, month, day, diagnostics);
+            result.subject = subject.toUpperCase();
+            result.sequence = parseInt(sequence, 10);
+            rawTitle = title;
+
+            if (!strict) {
+                diagnostics.push({
+                    level: 'warning',
+                    message: `Separador fora do padrão "${result.subject}_${sequence} - Título"`
+                });
+            }
+            if (subject !== result.subject) {
+                diagnostics.push({ level: 'warning', message: `Sigla "${subject}" deveria estar em maiúsculas` });
+            }
+            if (sequence.length < 3) {
+                diagnostics.push({ level: 'warning', message: `Sequência "${sequence}" deveria ter 3 dígitos` });
+            }
+        } else {
+            diagnostics.push({
+                level: 'error',
+                message: 'Nome fora do padrão AAAA_MM_DD_SIGLA_NNN - Título.html'
+            });
+
+            // Melhor esforço: aproveita o que for reconhecível
+            let rest = baseName;
+            const date = rest.match(NOTE_FILENAME_PATTERNS.date);
+            if (date) {
+                result.date = NoteFileName.toIsoDate(date[1], date[2], date[3], diagnostics);
+                rest = rest.replace(date[0], ' ');
+            }
+            const subjectSequence = rest.match(NOTE_FILENAME_PATTERNS.subjectSequence);
+            if (subjectSequence) {
+                result.subject = subjectSequence[1].toUpperCase();
+                result.sequence = parseInt(subjectSequence[2], 10);
+                rest = rest.replace(subjectSequence[0], ' ');
+            }
+            rawTitle = rest.replace(/[_-]+/g, ' ');
+        }
+
+        let title = NoteFileName.cleanWhitespace(rawTitle);
+
+        if (NOTE_FILENAME_PATTERNS.fixacao.test(title)) {
+            result.isFixacao = true;
+            if (!/\sfixa[cç][aã]o$/i.test(title)) {
+                diagnostics.push({ level: 'warning', message: '"fixacao" colado à palavra anterior' });
+            }
+            title = title.replace(NOTE_FILENAME_PATTERNS.fixacao, '');
+        }
+
+        const part = title.match(NOTE_FILENAME_PATTERNS.part);
+        if (part) {
+            result.part = NoteFileName.parsePartNumber(part[1]);
+        }
+
+        if (!title) {
+            diagnostics.push({ level: 'error', message: 'Título ausente' });
+            title = result.subject && result.sequence !== null
+                ? `${result.subject} ${String(result.sequence).padStart(3, '0')}`
+                : baseName;
+        }
+
+        result.title = title.charAt(0).toUpperCase() + title.slice(1);
+        return result;
+    }
+
+    /**
+     * Remove espaços duplicados e nas pontas
+     *
+     * @param {string} text Texto original
+     * @returns {string} Texto limpo
+     */
+    static cleanWhitespace(text) {
+        return String(text || '').replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Monta e valida uma data AAAA-MM-DD
+     *
+     * @param {string} year Ano
+     * @param {string} month Mês
+     * @param {string} day Dia
+     * @param {Array} diagnostics Lista que recebe o erro, se houver
+     * @returns {string|null} Data ISO ou null se inválida
+     */
+    static toIsoDate(year, month, day, diagnostics) {
+        const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+        const valid = date.getUTCFullYear() === Number(year) &&
+            date.getUTCMonth() === Number(month) - 1 &&
+            date.getUTCDate() === Number(day);
+
+        if (!valid) {
+            diagnostics.push({ level: 'error', message: `Data inválida ${year}_${month}_${day}` });
+            return null;
+        }
+        return `${year}-${month}-${day}`;
+    }
+
+    /**
+     * Converte o número da parte (romano ou arábico)
+     *
+     * @param {string} value "II", "3"...
+     * @returns {number|null} Número da parte
+     */
+    static parsePartNumber(value) {
+        if (/^\d+$/.test(value)) {
+            return parseInt(value, 10);
+        }
+
+        const numerals = { I: 1, V: 5, X: 10 };
+        const digits = value.toUpperCase().split('').map(char => numerals[char]);
+        return digits.reduce((total, digit, index) =>
+            (digits[index + 1] > digit ? total - digit : total + digit), 0) || null;
+    }
+
+    /**
+     * Indica se a interpretação teve erros (não apenas avisos)
+     *
+     * @param {Object} parsed Resultado de parse()
+     * @returns {boolean} true se houver diagnóstico de erro
+     */
+    static hasErrors(parsed) {
+        return parsed.diagnostics.some(diagnostic => diagnostic.level === 'error');
+    }
+
+    /**
+     * Monta o nome de arquivo no padrão (inverso de parse())
+     *
+     * @param {Object} meta { date, subject, sequence, title, isFixacao }
+     * @returns {string} Ex: "2025_07_16_DP_005 - Culpa parte I.html"
+     */
+    static format(meta) {
+        const date = String(meta.date || '').replace(/-/g, '_');
+        const sequence = String(meta.sequence).padStart(3, '0');
+        // Caracteres proibidos em nomes de arquivo (Windows) viram espaço
+        const title = NoteFileName.cleanWhitespace(String(meta.title || '').replace(/[\\/:*?"<>|]/g, ' '));
+
+        return `${date}_${String(meta.subject).toUpperCase()}_${sequence} - ${title}${meta.isFixacao ? ' fixacao' : ''}.html`;
+    }
+}
+
+NoteFileName.PATTERNS = NOTE_FILENAME_PATTERNS;
+
+if (typeof window !== 'undefined') {
+    window.NoteFileName = NoteFileName;
+}
+
+/**
+ * Exportação para módulos (se suportado)
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { NoteFileName };
+}
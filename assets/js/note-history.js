@@ -0,0 +1,130 @@
+/**
+ * Portal de Notas HTML - Histórico de Notas Abertas
+ *
+ * Registra quando cada nota foi aberta a partir do portal (cards, resultados
+ * da busca, links dos painéis). Usado para ordenar por "abertas recentemente".
+ *
+ * Esquema (chave `notes-portal-history`, versão 1):
+ * {
+ *   version: 1,
+ *   opened: {
+ *     "<nome-do-arquivo>.html": { lastOpenedAt, count }
+ *   }
+ * }
+ *
+ * @author Portal de Notas HTML
+ * @version 1.0.0
+ * @requires ES6+, LocalStorage
+ */
+
+'use strict';
+
+const HISTORY_STORAGE_KEY = 'notes-portal-history';
+const HISTORY_SCHEMA_VERSION = 1;
+
+/**
+ * Acesso ao histórico de aberturas
+ */
+class NoteHistory {
+    /**
+     * Lê o registro completo
+     *
+     * @returns {Object} Registro { version, opened }
+     */
+    static load() {
+        try {
+            const data = JSON.parse(localStorage.getItem(HISTORY_STORAGE_KEY));
+            if (data && typeof data.opened === 'object' && data.opened !== null) {
+                return data;
+            }
+        } catch (error) {
+            console.warn('⚠️ [HISTORY] Histórico ilegível, recomeçando:', error);
+        }
+        return { version: HISTORY_SCHEMA_VERSION, opened: {} };
+    }
+
+    /**
+     * Grava o registro completo
+     *
+     * @param {Object} data Registro { version, opened }
+     */
+    static save(data) {
+        try {
+            localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(data));
+        } catch (error) {
+            console.warn('⚠️ [HISTORY] Não foi possível salvar o histórico:', error);
+        }
+    }
+
+    /**
+     * Registra a abertura de uma nota
+     *
+     * @param {string} fileName Nome do arquivo da nota
+     * @param {Date} [now] Momento da abertura
+     * @returns {Object} Entrada atualizada { lastOpenedAt, count }
+     */
+    static recordOpen(fileName, now = new Date()) {
+        const data = NoteHistory.load();
+        const previous = data.opened[fileName];
+
+        data.opened[fileName] = {
+            lastOpenedAt: now.toISOString(),
+            count: ((previous && previous.count) || 0) + 1
+        };
+        NoteHistory.save(data);
+        return data.opened[fileName];
+    }
+
+    /**
+     * @param {string} fileName Nome do arquivo da nota
+     * @returns {string|null} Data ISO da última abertura
+     */
+    static getLastOpened(fileName) {
+        const entry = NoteHistory.load().opened[fileName];
+        return entry ? entry.lastOpenedAt : null;
+    }
+
+    /**
+     * Notas abertas, da mais recente para a mais antiga
+     *
+     * @param {number} [limit=Infinity] Quantidade máxima
+     * @returns {Array} [{ name, lastOpenedAt, count }]
+     */
+    static recent(limit = Infinity) {
+        return Object.entries(NoteHistory.load().opened)
+            .map(([name, entry]) => ({ name, ...entry }))
+            .sort((a, b) => b.lastOpenedAt.localeCompare(a.lastOpenedAt))
+            .slice(0, limit);
+    }
+
+    /**
+     * Extrai o nome do arquivo de um link para uma nota
+     *
+     * @param {string} href Endereço do link (ex: "./notes/Nota%20X.html#questao-3")
+     * @returns {string|null} Nome do arquivo ou null se não for uma nota
+     */
+    static fileNameFromHref(href) {
+        const match = String(href || '').match(/(?:^|\/)notes\/([^/?#]+\.html?)(?:[?#]|$)/i);
+        if (!match) return null;
+
+        try {
+            return decodeURIComponent(match[1]);
+        } catch (error) {
+            return match[1];
+        }
+    }
+}
+
+NoteHistory.STORAGE_KEY = HISTORY_STORAGE_KEY;
+NoteHistory.VERSION = HISTORY_SCHEMA_VERSION;
+
+if (typeof window !== 'undefined') {
+    window.NoteHistory = NoteHistory;
+}
+
+/**
+ * Exportação para módulos (se suportado)
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { NoteHistory };
+}
@@ -0,0 +1,92 @@
+/**
+ * Portal de Notas HTML - Links Diretos para Questões
+ *
+ * Script compartilhado incluído em cada nota. Lê o fragmento
+ * `#questao-N` da URL (gerado pela busca do portal) e rola a página até
+ * a questão N, destacando-a por alguns segundos.
+ *
+ * Suporta os layouts de nota existentes:
+ * - Notas montadas pelo QuizEngine (lista ou uma questão por vez)
+ * - Lista com cards `#question-<índice>` (cadernos DP)
+ * - Lista com cards `#q-<índice>` (cadernos DC)
+ * - Uma questão por vez via `loadQuestion()` (cadernos RLM)
+ *
+ * @author Portal de Notas HTML
+ * @version 1.0.0
+ * @requires ES6+
+ */
+
+'use strict';
+
+const NoteLink = {
+    /**
+     * Duração do destaque visual em ms
+     */
+    highlightDuration: 2500,
+
+    /**
+     * Lê o número da questão do fragmento da URL
+     *
+     * @returns {number|null} Índice (base 0) ou null se ausente
+     */
+    getRequestedIndex() {
+        const match = /^#questao-(\d+)$/.exec(window.location.hash);
+        if (!match) return null;
+
+        const number = parseInt(match[1], 10);
+        return number > 0 ? number - 1 : null;
+    },
+
+    /**
+     * Localiza (ou exibe, no layout de uma questão por vez) a questão pedida
+     *
+     * @param {number} index Índice da questão (base 0)
+     * @returns {HTMLElement|null} Elemento da questão
+     */
+    findQuestion(index) {
+        // Notas do QuizEngine: o motor exibe a questão em qualquer layout
+        if (typeof QuizEngine !== 'undefined' && QuizEngine.current) {
+            return QuizEngine.current.goTo(index);
+        }
+
+        const card = document.getElementById(`question-${index}`) ||
+            document.getElementById(`q-${index}`);
+        if (card) return card;
+
+        // Layout RLM: `currentQuestionIndex` e `loadQuestion` são globais da nota
+        if (typeof loadQuestion === 'function' && typeof currentQuestionIndex !== 'undefined') {
+            currentQuestionIndex = index;
+            loadQuestion(index);
+            return document.querySelector('.question-card');
+        }
+
+        return null;
+    },
+
+    /**
+     * Aplica o link direto da URL atual
+     */
+    apply() {
+        const index = NoteLink.getRequestedIndex();
+        if (index === null) return;
+
+        const target = NoteLink.findQuestion(index);
+        if (!target) {
+            console.warn(`⚠️ [NOTE-LINK] Questão ${index + 1} não encontrada nesta nota`);
+            return;
+        }
+
+        target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+        const previousOutline = target.style.outline;
+        target.style.outline = '3px solid #f1c40f';
+        target.style.outlineOffset = '4px';
+        setTimeout(() => {
+            target.style.outline = previousOutline;
+        }, NoteLink.highlightDuration);
+    }
+};
+
+// `load` dispara depois dos handlers DOMContentLoaded que renderizam as questões
+window.addEventListener('load', NoteLink.apply);
+window.addEventListener('hashchange', NoteLink.apply);
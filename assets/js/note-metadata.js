@@ -0,0 +1,302 @@
+/**
+ * Portal de Notas HTML - Metadados das Notas
+ *
+ * Baixa cada nota uma única vez e extrai do HTML os dados exibidos nos
+ * cards: <title>, <h1>, número de questões, tópicos (campo `topic`),
+ * dependências externas (scripts e folhas de estilo de CDNs) e o tamanho
+ * real em bytes. Entende os dois formatos de banco (`questions` e
+ * `quizData`) por meio do QuestionBank.
+ *
+ * O resultado fica no localStorage (chave `notes-portal-metadata`, versão 1):
+ * {
+ *   version: 1,
+ *   notes: {
+ *     "<nome-do-arquivo>.html": {
+ *       signature: "30235@2026-10-19T17:38:52.000Z",  // tamanho@data da listagem
+ *       title, heading, format, questionCount, topics, dependencies, size,
+ *       extractedAt
+ *     }
+ *   }
+ * }
+ *
+ * Uma nota só é baixada de novo quando a assinatura (tamanho e data vindos do
+ * manifesto ou da GitHub API) muda.
+ *
+ * @author Portal de Notas HTML
+ * @version 1.0.0
+ * @requires ES6+, QuestionBank, LocalStorage
+ */
+
+'use strict';
+
+const METADATA_STORAGE_KEY = 'notes-portal-metadata';
+const METADATA_SCHEMA_VERSION = 1;
+const METADATA_CONCURRENCY = 3; // Downloads simultâneos
+
+/**
+ * Extração e cache dos metadados das notas
+ */
+class NoteMetadata {
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.onUpdate] Chamado quando novos metadados ficam prontos
+     */
+    constructor(options = {}) {
+        this.onUpdate = options.onUpdate || (() => {});
+        this.state = NoteMetadata.load();
+        this.running = null; // Promise da extração em andamento
+    }
+
+    /**
+     * Extrai os metadados de uma nota
+     *
+     * @param {string} html Código-fonte da nota
+     * @param {Object} [options]
+     * @param {number} [options.size] Tamanho em bytes (calculado do HTML se ausente)
+     * @returns {Object} { title, heading, format, questionCount, topics, dependencies, size }
+     */
+    static extract(html, options = {}) {
+        const source = String(html || '');
+        let bank;
+
+        try {
+            bank = QuestionBank.parse(source);
+        } catch (error) {
+            // Banco ilegível: mantém título e cabeçalho, sem questões
+            console.warn('⚠️ [META] Banco de questões ilegível:', error.message);
+            bank = {
+                title: QuestionBank.extractTag(source, 'title'),
+                heading: QuestionBank.extractTag(source, 'h1'),
+                format: null,
+                questions: []
+            };
+        }
+
+        const topics = [];
+        bank.questions.forEach(question => {
+            const topic = typeof question.topic === 'string' ? question.topic.trim() : '';
+            if (topic && !topics.includes(topic)) topics.push(topic);
+        });
+
+        return {
+            title: bank.title,
+            heading: bank.heading,
+            format: bank.format,
+            questionCount: bank.questions.filter(question => question.question && question.options.length > 0).length,
+            topics,
+            dependencies: NoteMetadata.extractDependencies(source),
+            size: typeof options.size === 'number' ? options.size : NoteMetadata.byteLength(source)
+        };
+    }
+
+    /**
+     * Scripts e folhas de estilo carregados de outras origens
+     *
+     * @param {string} html Código-fonte da nota
+     * @returns {string[]} URLs absolutas, sem repetição
+     */
+    static extractDependencies(html) {
+        const urls = new Set();
+        const patterns = [
+            /<script\b[^>]*\bsrc=["']([^"']+)["']/gi,
+            /<link\b(?=[^>]*\brel=["']?stylesheet)[^>]*\bhref=["']([^"']+)["']/gi
+        ];
+
+        patterns.forEach(pattern => {
+            for (const match of html.matchAll(pattern)) {
+                const url = match[1].trim();
+                if (/^(https?:)?\/\//i.test(url)) {
+                    urls.add(url.startsWith('//') ? `https:${url}` : url);
+                }
+            }
+        });
+
+        return [...urls];
+    }
+
+    /**
+     * Tamanho em bytes (UTF-8) de um texto
+     *
+     * @param {string} text Texto
+     * @returns {number} Bytes
+     */
+    static byteLength(text) {
+        if (typeof TextEncoder !== 'undefined') return new TextEncoder().encode(text).length;
+        return Buffer.byteLength(text, 'utf8');
+    }
+
+    /**
+     * Assinatura da versão listada de uma nota
+     *
+     * @param {Object} file Arquivo do portal ({ size, lastModified })
+     * @returns {string} Assinatura `tamanho@data`
+     */
+    static signatureOf(file) {
+        return `${file.size || 0}@${file.lastModified || ''}`;
+    }
+
+    /**
+     * Resumo do card: "12 questões · Dolo direto, Dolo eventual…"
+     *
+     * @param {Object} metadata Metadados extraídos
+     * @param {number} [maxTopics=2] Tópicos exibidos antes das reticências
+     * @returns {string} Resumo (vazio se a nota não tem questões)
+     */
+    static summarize(metadata, maxTopics = 2) {
+        if (!metadata || metadata.questionCount === 0) return '';
+
+        const count = `${metadata.questionCount} ${metadata.questionCount === 1 ? 'questão' : 'questões'}`;
+        if (metadata.topics.length === 0) return count;
+
+        const shown = metadata.topics.slice(0, maxTopics).join(', ');
+        return `${count} · ${shown}${metadata.topics.length > maxTopics ? '…' : ''}`;
+    }
+
+    /**
+     * @returns {Object} Registro { version, notes }
+     */
+    static load() {
+        try {
+            const data = JSON.parse(localStorage.getItem(METADATA_STORAGE_KEY));
+            if (data && data.version === METADATA_SCHEMA_VERSION && typeof data.notes === 'object' && data.notes !== null) {
+                return data;
+            }
+        } catch (error) {
+            console.warn('⚠️ [META] Cache de metadados ilegível, recomeçando:', error);
+        }
+        return { version: METADATA_SCHEMA_VERSION, notes: {} };
+    }
+
+    /**
+     * Grava o registro completo
+     */
+    save() {
+        try {
+            localStorage.setItem(METADATA_STORAGE_KEY, JSON.stringify(this.state));
+        } catch (error) {
+            console.warn('⚠️ [META] Não foi possível salvar os metadados:', error);
+        }
+    }
+
+    /**
+     * Metadados de uma nota (mesmo de uma versão anterior, enquanto a nova
+     * não é baixada)
+     *
+     * @param {string} fileName Nome do arquivo da nota
+     * @returns {Object|null} Metadados ou null se a nota nunca foi lida
+     */
+    get(fileName) {
+        return this.state.notes[fileName] || null;
+    }
+
+    /**
+     * @param {Object} file Arquivo do portal
+     * @returns {boolean} true se os metadados estão em dia com a listagem
+     */
+    isFresh(file) {
+        const entry = this.state.notes[file.name];
+        return Boolean(entry) && entry.signature === NoteMetadata.signatureOf(file);
+    }
+
+    /**
+     * Baixa as notas novas ou alteradas e remove do cache as que sumiram
+     *
+     * @param {Array} files Arquivos do portal
+     * @returns {Promise<number>} Quantidade de notas lidas
+     */
+    update(files) {
+        if (this.running) return this.running;
+
+        this.running = this.extractAll(files).finally(() => {
+            this.running = null;
+        });
+        return this.running;
+    }
+
+    /**
+     * @param {Array} files Arquivos do portal
+     * @returns {Promise<number>} Quantidade de notas lidas
+     */
+    async extractAll(files) {
+        const known = new Set(files.map(file => file.name));
+        let removed = 0;
+        Object.keys(this.state.notes).forEach(name => {
+            if (!known.has(name)) {
+                delete this.state.notes[name];
+                removed++;
+            }
+        });
+
+        const pending = files.filter(file => !this.isFresh(file));
+        if (pending.length === 0 || !navigator.onLine) {
+            if (removed > 0) this.save();
+            return 0;
+        }
+
+        console.log(`🧾 [META] Lendo ${pending.length} nota(s)...`);
+        const queue = [...pending];
+        let extracted = 0;
+
+        const worker = async () => {
+            while (queue.length > 0) {
+                const file = queue.shift();
+                try {
+                    this.state.notes[file.name] = await this.fetchMetadata(file);
+                    extracted++;
+                } catch (error) {
+                    console.warn(`⚠️ [META] Falha ao ler ${file.name}:`, error.message);
+                }
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(METADATA_CONCURRENCY, pending.length) }, worker));
+
+        this.save();
+        console.log(`✅ [META] Metadados de ${extracted}/${pending.length} nota(s) atualizados`);
+        if (extracted > 0) this.onUpdate();
+        return extracted;
+    }
+
+    /**
+     * Baixa uma nota e extrai os metadados
+     *
+     * @param {Object} file Arquivo do portal
+     * @returns {Promise<Object>} Entrada do cache
+     */
+    async fetchMetadata(file) {
+        const response = await fetch(file.url, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const buffer = await response.arrayBuffer();
+        const html = new TextDecoder('utf-8').decode(buffer);
+
+        return {
+            signature: NoteMetadata.signatureOf(file),
+            ...NoteMetadata.extract(html, { size: buffer.byteLength }),
+            extractedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Esquece todos os metadados (serão baixados de novo)
+     */
+    clear() {
+        this.state = { version: METADATA_SCHEMA_VERSION, notes: {} };
+        this.save();
+    }
+}
+
+NoteMetadata.STORAGE_KEY = METADATA_STORAGE_KEY;
+NoteMetadata.VERSION = METADATA_SCHEMA_VERSION;
+
+if (typeof window !== 'undefined') {
+    window.NoteMetadata = NoteMetadata;
+}
+
+/**
+ * Exportação para módulos (se suportado)
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { NoteMetadata };
+}
@@ -0,0 +1,246 @@
+/**
+ * Portal de Notas HTML - Ordenação e Agrupamento da Lista
+ *
+ * Funções puras usadas pelo portal para montar a grade de notas:
+ * - Ordenações: sequência, data de estudo, título, tamanho, abertas
+ *   recentemente e menor nota no quiz
+ * - Agrupamentos: sem grupos, por lote de estudo (mesma data, ex: as aulas
+ *   de 25/06/2025) ou por série em várias partes ("parte I", "parte II"...)
+ *
+ * A escolha é lembrada por caderno (chave `notes-portal-view`, versão 1):
+ * {
+ *   version: 1,
+ *   cadernos: { "DC": { sort: "date", group: "batch" }, "todos": {...} }
+ * }
+ *
+ * @author Portal de Notas HTML
+ * @version 1.0.0
+ * @requires ES6+, LocalStorage
+ */
+
+'use strict';
+
+const VIEW_STORAGE_KEY = 'notes-portal-view';
+const VIEW_SCHEMA_VERSION = 1;
+
+/**
+ * Ordenações disponíveis (chave usada na URL → rótulo do menu)
+ */
+const NOTE_SORTS = {
+    sequence: 'Sequência',
+    date: 'Data de estudo',
+    title: 'Título',
+    size: 'Tamanho',
+    opened: 'Abertas recentemente',
+    score: 'Menor nota no quiz'
+};
+
+/**
+ * Agrupamentos disponíveis
+ */
+const NOTE_GROUPS = {
+    flat: 'Sem grupos',
+    batch: 'Lote de estudo (data)',
+    series: 'Séries em partes'
+};
+
+const VIEW_DEFAULTS = { sort: 'sequence', group: 'flat' };
+
+/**
+ * Ordenação e agrupamento das notas
+ */
+class NoteSorter {
+    /**
+     * Ordena as notas
+     * A lista recebida deve estar em ordem de sequência, que serve de desempate
+     *
+     * @param {Array} files Arquivos do portal
+     * @param {string} order Chave de NOTE_SORTS
+     * @param {Object} context Acesso aos dados de cada nota
+     * @param {Function} context.getMeta Nome → NoteFileName.parse()
+     * @param {Function} [context.getLastOpened] Nome → data ISO ou null
+     * @param {Function} [context.getScore] Nome → percentual da última tentativa ou null
+     * @returns {Array} Nova lista ordenada
+     */
+    static sort(files, order, context) {
+        const position = new Map(files.map((file, index) => [file.name, index]));
+        const tieBreak = (a, b) => position.get(a.name) - position.get(b.name);
+        // Valores ausentes (null) sempre no fim da lista
+        const nullsLast = (valueOf, compare) => (a, b) => {
+            const valueA = valueOf(a);
+            const valueB = valueOf(b);
+            if (valueA === null && valueB === null) return tieBreak(a, b);
+            if (valueA === null) return 1;
+            if (valueB === null) return -1;
+            return compare(valueA, valueB) || tieBreak(a, b);
+        };
+
+        const comparators = {
+            date: nullsLast(file => context.getMeta(file.name).date, (a, b) => b.localeCompare(a)),
+            title: (a, b) => context.getMeta(a.name).title.localeCompare(context.getMeta(b.name).title, 'pt-BR') || tieBreak(a, b),
+            size: (a, b) => (b.size || 0) - (a.size || 0) || tieBreak(a, b),
+            opened: nullsLast(file => (context.getLastOpened ? context.getLastOpened(file.name) : null), (a, b) => b.localeCompare(a)),
+            score: nullsLast(file => (context.getScore ? context.getScore(file.name) : null), (a, b) => a - b)
+        };
+
+        const comparator = comparators[order];
+        return comparator ? [...files].sort(comparator) : [...files];
+    }
+
+    /**
+     * Agrupa as notas já ordenadas
+     * Os grupos aparecem na ordem da primeira nota de cada um
+     *
+     * @param {Array} files Arquivos já ordenados
+     * @param {string} mode Chave de NOTE_GROUPS
+     * @param {Object} context { getMeta, formatDate }
+     * @returns {Array} Grupos [{ key, title, subtitle, files }]
+     */
+    static group(files, mode, context) {
+        if (mode === 'batch') {
+            return NoteSorter.collect(files, file => context.getMeta(file.name).date || 'sem-data', (key, members) => ({
+                title: key === 'sem-data' ? '📅 Sem data de estudo' : `📅 ${context.formatDate(key)}`,
+                subtitle: `${members.length} nota${members.length !== 1 ? 's' : ''}`
+            }));
+        }
+
+        if (mode === 'series') {
+            const series = NoteSorter.detectSeries(files, context.getMeta);
+            const groups = NoteSorter.collect(files, file => series.get(file.name) || 'avulsas', (key, members) => (key === 'avulsas'
+                ? { title: '📄 Notas avulsas', subtitle: `${members.length} nota${members.length !== 1 ? 's' : ''}` }
+                : { title: `📚 ${NoteSorter.baseTitle(context.getMeta(key).title)}`, subtitle: `${members.length} partes` }));
+
+            // Notas avulsas sempre depois das séries
+            return [...groups.filter(group => group.key !== 'avulsas'), ...groups.filter(group => group.key === 'avulsas')];
+        }
+
+        return [{ key: 'all', title: null, subtitle: null, files }];
+    }
+
+    /**
+     * Junta as notas por chave, preservando a ordem
+     *
+     * @param {Array} files Arquivos
+     * @param {Function} keyOf Arquivo → chave do grupo
+     * @param {Function} describe (chave, membros) → { title, subtitle }
+     * @returns {Array} Grupos
+     */
+    static collect(files, keyOf, describe) {
+        const groups = new Map();
+        files.forEach(file => {
+            const key = keyOf(file);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(file);
+        });
+
+        return [...groups.entries()].map(([key, members]) => ({ key, ...describe(key, members), files: members }));
+    }
+
+    /**
+     * Título sem o trecho "parte N" (e o que vem depois)
+     *
+     * @param {string} title Título da nota
+     * @returns {string} Título da série
+     */
+    static baseTitle(title) {
+        return title.replace(/\s*\bparte\s+([IVX]+|\d+)\b.*$/i, '').trim() || title;
+    }
+
+    /**
+     * Identifica séries em várias partes
+     * A parte N entra na série da nota com a parte N-1 do mesmo caderno,
+     * seja a sequência imediatamente anterior (títulos podem mudar entre
+     * partes) ou uma nota com o mesmo título-base.
+     *
+     * @param {Array} files Arquivos
+     * @param {Function} getMeta Nome → NoteFileName.parse()
+     * @returns {Map} Nome do arquivo → nome da primeira nota da série (só séries com 2+ partes)
+     */
+    static detectSeries(files, getMeta) {
+        const parts = files
+            .map(file => ({ name: file.name, meta: getMeta(file.name) }))
+            .filter(({ meta }) => meta.part !== null && meta.subject)
+            .sort((a, b) => a.meta.subject.localeCompare(b.meta.subject) ||
+                (a.meta.sequence ?? 0) - (b.meta.sequence ?? 0) || a.meta.part - b.meta.part);
+
+        const seriesOf = new Map();
+        parts.forEach(current => {
+            const previous = parts.find(candidate =>
+                candidate.meta.subject === current.meta.subject &&
+                candidate.meta.part === current.meta.part - 1 &&
+                (candidate.meta.sequence === current.meta.sequence - 1 ||
+                    NoteSorter.baseTitle(candidate.meta.title).toLowerCase() === NoteSorter.baseTitle(current.meta.title).toLowerCase()));
+
+            seriesOf.set(current.name, previous ? seriesOf.get(previous.name) : current.name);
+        });
+
+        const sizes = new Map();
+        seriesOf.forEach(first => sizes.set(first, (sizes.get(first) || 0) + 1));
+        seriesOf.forEach((first, name) => {
+            if (sizes.get(first) < 2) seriesOf.delete(name);
+        });
+        return seriesOf;
+    }
+
+    /**
+     * Lê a ordenação e o agrupamento lembrados para um caderno
+     *
+     * @param {string} code Sigla do caderno ou "todos"
+     * @returns {Object} { sort, group }
+     */
+    static getPreference(code) {
+        const saved = NoteSorter.loadPreferences().cadernos[code] || {};
+        return {
+            sort: NOTE_SORTS[saved.sort] ? saved.sort : VIEW_DEFAULTS.sort,
+            group: NOTE_GROUPS[saved.group] ? saved.group : VIEW_DEFAULTS.group
+        };
+    }
+
+    /**
+     * Lembra a ordenação e o agrupamento de um caderno
+     *
+     * @param {string} code Sigla do caderno ou "todos"
+     * @param {Object} preference { sort, group }
+     */
+    static setPreference(code, preference) {
+        const data = NoteSorter.loadPreferences();
+        data.cadernos[code] = { ...NoteSorter.getPreference(code), ...preference };
+
+        try {
+            localStorage.setItem(VIEW_STORAGE_KEY, JSON.stringify(data));
+        } catch (error) {
+            console.warn('⚠️ [VIEW] Não foi possível salvar a preferência:', error);
+        }
+    }
+
+    /**
+     * @returns {Object} Registro { version, cadernos }
+     */
+    static loadPreferences() {
+        try {
+            const data = JSON.parse(localStorage.getItem(VIEW_STORAGE_KEY));
+            if (data && typeof data.cadernos === 'object' && data.cadernos !== null) {
+                return data;
+            }
+        } catch (error) {
+            console.warn('⚠️ [VIEW] Preferências ilegíveis, recomeçando:', error);
+        }
+        return { version: VIEW_SCHEMA_VERSION, cadernos: {} };
+    }
+}
+
+NoteSorter.SORTS = NOTE_SORTS;
+NoteSorter.GROUPS = NOTE_GROUPS;
+NoteSorter.DEFAULTS = VIEW_DEFAULTS;
+NoteSorter.STORAGE_KEY = VIEW_STORAGE_KEY;
+
+if (typeof window !== 'undefined') {
+    window.NoteSorter = NoteSorter;
+}
+
+/**
+ * Exportação para módulos (se suportado)
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { NoteSorter };
+}
@@ -0,0 +1,1223 @@
+/**
+ * Portal de Notas HTML - Fontes das Notas (Markdown/JSON)
+ *
+ * Formato de autoria das notas de questões: em vez de montar strings HTML
+ * dentro de um array JavaScript, a nota é escrita em Markdown (ou JSON) e
+ * convertida na página HTML que usa o QuizEngine.
+ *
+ * Fonte em Markdown:
+ *
+ *   ---
+ *   subject: DP
+ *   sequence: 4
+ *   date: 2025-07-16
+ *   title: Dolo
+ *   heading: "Questões de Fixação: Fato Típico - Dolo"
+ *   ---
+ *
+ *   ## Questão 1: Teorias do Dolo
+ *
+ *   Enunciado da questão...
+ *
+ *   - [ ] Alternativa A
+ *   - [x] Alternativa B (correta)
+ *
+ *   ### Explicação
+ *
+ *   Explicação em **Markdown**.
+ *
+ * Campos do front-matter: subject, sequence, date e title (obrigatórios, formam
+ * o nome do arquivo), fixacao, file (nome do arquivo, quando foge do padrão),
+ * pageTitle (<title>, padrão: heading), heading, description, layout
+ * (`list`/`stepper`), sidebar, sidebarText, footer, dependencies (URLs de
+ * scripts/folhas de estilo externos) e messages (textos do QuizEngine, uma
+ * subchave por linha: `  report: Relatório Final`). Um bloco ```css antes da
+ * primeira questão vira o <style> da nota.
+ *
+ * A fonte JSON tem os mesmos campos, mais `styles` e `questions`
+ * ({ topic, question, options, answer, explanation }); `answer` aceita a letra
+ * ("B") ou o índice (1). Explicações são Markdown nos dois formatos.
+ *
+ * O caminho inverso (fromNote) lê uma nota HTML existente e produz a fonte,
+ * incluindo o <title>, a barra lateral e os textos do feedback e do relatório.
+ * Explicações que o Markdown não reproduz com fidelidade ficam como HTML
+ * entre `<!-- html -->` e `<!-- /html -->`.
+ *
+ * Funciona no navegador (window.NoteSource) e no Node.js (require).
+ *
+ * @author Portal de Notas HTML
+ * @version 1.1.0
+ * @requires ES6+, QuestionBank, NoteFileName
+ */
+
+'use strict';
+
+/**
+ * Layouts aceitos (os mesmos do QuizEngine)
+ */
+const NOTE_SOURCE_LAYOUTS = ['list', 'stepper'];
+
+/**
+ * Marcadores de HTML literal dentro do Markdown
+ */
+const NOTE_SOURCE_RAW = {
+    start: '<!-- html -->',
+    end: '<!-- /html -->'
+};
+
+/**
+ * Comentário que identifica páginas geradas (o build não sobrescreve notas escritas à mão)
+ */
+const NOTE_SOURCE_GENERATED_MARK = 'Gerado por scripts/build-notes.js';
+
+/**
+ * Dependência incluída em toda nota (gráfico do relatório)
+ */
+const NOTE_SOURCE_CHART_URL = 'https://cdn.jsdelivr.net/npm/chart.js';
+
+/**
+ * Campos do front-matter, na ordem em que são escritos
+ */
+const NOTE_SOURCE_FIELDS = ['subject', 'sequence', 'date', 'title', 'fixacao', 'file', 'pageTitle', 'heading', 'description', 'layout', 'sidebar', 'sidebarText', 'footer', 'dependencies', 'messages'];
+
+/**
+ * Textos das notas antigas que viram mensagens do QuizEngine (grupo `text`)
+ */
+const NOTE_SOURCE_MESSAGE_PATTERNS = {
+    correct: [
+        /classList\.add\('correct'\);\s*\w+\.innerHTML\s*=\s*`<strong>(?<text>[^<]+)<\/strong>/,
+        /isCorrect\s*\?\s*'(?<text>Resposta[^']*)'\s*:/
+    ],
+    incorrect: [
+        /classList\.add\('incorrect'\);\s*\w+\.innerHTML\s*=\s*`<strong>(?<text>[^<]+)<\/strong>/,
+        /isCorrect\s*\?\s*'Resposta[^']*'\s*:\s*'(?<text>[^']*)'/
+    ],
+    next: [/\?\s*'(?<text>Próxima Questão)'\s*:/],
+    finish: [
+        /id="submit-btn"[^>]*>(?<text>[^<]+)</,
+        /\?\s*'Próxima Questão'\s*:\s*'(?<text>[^']+)'/
+    ],
+    report: [/id="(?:results-container|report-section|report-container)"[^>]*>\s*<h2\b[^>]*>(?<text>[\s\S]*?)<\/h2>/],
+    review: [
+        /id="remedial-lesson"[^>]*>\s*<h3\b[^>]*>(?<text>[\s\S]*?)<\/h3>/,
+        /reviewHTML\s*=\s*[`']<h3\b[^>]*>(?<text>[^<]*)<\/h3>/
+    ],
+    reviewIntro: [/id="remedial-lesson"[^>]*>\s*<h3\b[^>]*>[\s\S]*?<\/h3>\s*<p>(?<text>[\s\S]*?)<\/p>/],
+    perfect: [
+        /(?:!hasErrors|incorrectQuestions\.length\s*===\s*0)\s*\)\s*\{\s*\w+\s*\+=\s*(["'`])<p\b[^>]*>(?<text>[\s\S]*?)<\/p>\1/,
+        /remedialList\.innerHTML\s*=\s*(["'`])<p\b[^>]*>(?<text>[\s\S]*?)<\/p>\1/
+    ],
+    yourAnswer: [/<strong>(?<text>[^<:]+):<\/strong>\s*<span class="user-answer">/],
+    rightAnswer: [/<strong>(?<text>[^<:]+):<\/strong>\s*<span class="correct-answer">/],
+    chartTitle: [/title:\s*\{[^}]*?\btext:\s*(["'])(?<text>[^'"]+)\1/]
+};
+
+/**
+ * Tags HTML que o conversor para Markdown sabe reproduzir
+ */
+const NOTE_SOURCE_MARKDOWN_TAGS = new Set(['p', 'strong', 'em', 'code', 'a', 'br', 'ul', 'ol', 'li', 'h3', 'h4', 'h5', 'h6', 'blockquote']);
+
+/**
+ * Tags de bloco entre as suportadas pelo Markdown
+ */
+const NOTE_SOURCE_BLOCK_TAGS = new Set(['p', 'ul', 'ol', 'li', 'h3', 'h4', 'h5', 'h6', 'blockquote']);
+
+/**
+ * Tags que iniciam um bloco HTML literal no Markdown
+ */
+const NOTE_SOURCE_HTML_BLOCKS = /^<\/?(div|p|ul|ol|li|table|thead|tbody|tr|td|th|h[1-6]|blockquote|pre|section|article|aside|figure|details|summary|hr|dl|dt|dd)\b|^<!--/i;
+
+/**
+ * Erro de leitura ou validação de uma fonte
+ */
+class NoteSourceError extends Error {
+    /**
+     * @param {string} message Descrição do problema
+     * @param {number} [line] Linha da fonte (base 1)
+     */
+    constructor(message, line) {
+        super(line === undefined ? message : `${message} (linha ${line})`);
+        this.name = 'NoteSourceError';
+        this.line = line;
+    }
+}
+
+/**
+ * Conversor de Markdown para HTML (subconjunto usado nas notas)
+ *
+ * Blocos: parágrafos, títulos (#), listas, citações (>), código (```),
+ * linha horizontal, blocos HTML e HTML literal entre marcadores.
+ * Inline: **negrito**, *itálico*, `código`, [links](url), quebra com dois
+ * espaços no fim da linha e HTML inline, que passa sem alteração.
+ */
+class NoteMarkdown {
+    /**
+     * Converte um texto Markdown em HTML
+     *
+     * @param {string} markdown Texto Markdown
+     * @returns {string} HTML
+     */
+    static toHtml(markdown) {
+        const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+        const blocks = [];
+        let i = 0;
+
+        const isBlank = line => !line.trim();
+        const isListItem = line => /^\s{0,3}([-*+]|\d+[.)])\s+/.test(line);
+        const startsBlock = line => /^\s{0,3}(#{1,6}\s|>|```)/.test(line) || isListItem(line) ||
+            line.trim() === NOTE_SOURCE_RAW.start || NOTE_SOURCE_HTML_BLOCKS.test(line.trim());
+
+        while (i < lines.length) {
+            const line = lines[i];
+            const trimmed = line.trim();
+
+            if (isBlank(line)) {
+                i++;
+                continue;
+            }
+
+            // HTML literal: copiado sem alteração
+            if (trimmed === NOTE_SOURCE_RAW.start) {
+                const raw = [];
+                i++;
+                while (i < lines.length && lines[i].trim() !== NOTE_SOURCE_RAW.end) raw.push(lines[i++]);
+                i++;
+                blocks.push(raw.join('\n'));
+                continue;
+            }
+
+            const fence = /^\s{0,3}```\s*([\w-]*)/.exec(line);
+            if (fence) {
+                const code = [];
+                i++;
+                while (i < lines.length && !/^\s{0,3}```\s*$/.test(lines[i])) code.push(lines[i++]);
+                i++;
+                const language = fence[1] ? ` class="language-${fence[1]}"` : '';
+                blocks.push(`<pre><code${language}>${NoteMarkdown.escapeHtml(code.join('\n'))}</code></pre>`);
+                continue;
+            }
+
+            const heading = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/.exec(line);
+            if (heading) {
+                const level = heading[1].length;
+                blocks.push(`<h${level}>${NoteMarkdown.inline(heading[2])}</h${level}>`);
+                i++;
+                continue;
+            }
+
+            if (/^\s{0,3}(-{3,}|\*{3,})\s*$/.test(line)) {
+                blocks.push('<hr>');
+                i++;
+                continue;
+            }
+
+            if (/^\s{0,3}>/.test(line)) {
+                const quoted = [];
+                while (i < lines.length && /^\s{0,3}>/.test(lines[i])) quoted.push(lines[i++].replace(/^\s{0,3}>\s?/, ''));
+                blocks.push(`<blockquote>\n${NoteMarkdown.toHtml(quoted.join('\n'))}\n</blockquote>`);
+                continue;
+            }
+
+            if (isListItem(line)) {
+                const ordered = /^\s{0,3}\d+[.)]/.test(line);
+                const items = [];
+                while (i < lines.length && (isListItem(lines[i]) || (items.length > 0 && /^\s{2,}\S/.test(lines[i])))) {
+                    if (isListItem(lines[i])) {
+                        items.push(lines[i].replace(/^\s{0,3}([-*+]|\d+[.)])\s+/, ''));
+                    } else {
+                        items[items.length - 1] += `\n${lines[i].trim()}`; // Continuação do item
+                    }
+                    i++;
+                }
+                const tag = ordered ? 'ol' : 'ul';
+                blocks.push(`<${tag}>\n${items.map(item => `<li>${NoteMarkdown.inline(item)}</li>`).join('\n')}\n</${tag}>`);
+                continue;
+            }
+
+            if (NOTE_SOURCE_HTML_BLOCKS.test(trimmed)) {
+                const html = [];
+                while (i < lines.length && !isBlank(lines[i])) html.push(lines[i++]);
+                blocks.push(html.join('\n'));
+                continue;
+            }
+
+            const paragraph = [];
+            while (i < lines.length && !isBlank(lines[i]) && (paragraph.length === 0 || !startsBlock(lines[i]))) {
+                paragraph.push(lines[i++]);
+            }
+            blocks.push(`<p>${NoteMarkdown.inline(paragraph.join('\n'))}</p>`);
+        }
+
+        // Um único parágrafo vira texto corrido, como nas explicações escritas à mão
+        if (blocks.length === 1 && /^<p>[\s\S]*<\/p>$/.test(blocks[0]) && !/<\/?p>/.test(blocks[0].slice(3, -4))) {
+            return blocks[0].slice(3, -4);
+        }
+        return blocks.join('\n');
+    }
+
+    /**
+     * Converte a marcação inline de um trecho
+     *
+     * @param {string} text Trecho Markdown
+     * @returns {string} HTML
+     */
+    static inline(text) {
+        const kept = [];
+        const keep = html => `\u0000${kept.push(html) - 1}\u0000`;
+
+        let html = String(text || '')
+            .replace(/\\([\\`*_[\]()#+\-.!>])/g, (_, char) => keep(char))
+            .replace(/`([^`\n]+)`/g, (_, code) => keep(`<code>${NoteMarkdown.escapeHtml(code)}</code>`))
+            .replace(/<[^<>\n]+>/g, tag => keep(tag)); // HTML inline passa sem alteração
+
+        html = html
+            .replace(/\[([^\]\n]+)\]\(([^)\s]+)\)/g, (_, label, href) => `<a href="${href.replace(/"/g, '&quot;')}">${label}</a>`)
+            .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+            .replace(/\*(?=[^\s*])([^*]*?[^\s*])\*|\*([^\s*])\*/g, (_, long, short) => `<em>${long || short}</em>`)
+            .replace(/ {2,}\n/g, '<br>\n');
+
+        // Trechos guardados podem conter outros (ex: escape dentro de uma tag)
+        while (/\u0000\d+\u0000/.test(html)) {
+            html = html.replace(/\u0000(\d+)\u0000/g, (_, index) => kept[Number(index)]);
+        }
+        return html;
+    }
+
+    /**
+     * Escapa os caracteres que o Markdown interpretaria em um texto
+     *
+     * @param {string} text Texto (pode conter HTML inline)
+     * @returns {string} Texto seguro para o Markdown
+     */
+    static escapeText(text) {
+        return String(text || '').replace(/[\\`*[]/g, '\\$&');
+    }
+
+    /**
+     * @param {string} text Texto puro
+     * @returns {string} Texto com &, < e > escapados
+     */
+    static escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
+    /**
+     * Converte HTML em Markdown quando a conversão é fiel
+     *
+     * @param {string} html Trecho HTML (explicação de uma questão)
+     * @returns {string|null} Markdown, ou null se o HTML usar algo que o Markdown não reproduz
+     */
+    static fromHtml(html) {
+        const tree = NoteMarkdown.parseHtml(String(html || '').trim());
+        if (!tree) return null;
+
+        // Só texto e marcação inline: um parágrafo sem <p>
+        const inlineOnly = tree.every(node => typeof node === 'string' || !NOTE_SOURCE_BLOCK_TAGS.has(node.tag));
+        const markdown = inlineOnly ? NoteMarkdown.serializeParagraph(tree) : NoteMarkdown.serializeBlocks(tree);
+        if (markdown === null) return null;
+
+        return NoteMarkdown.normalizeHtml(NoteMarkdown.toHtml(markdown)) === NoteMarkdown.normalizeHtml(html)
+            ? markdown
+            : null;
+    }
+
+    /**
+     * Lê HTML simples em uma árvore { tag, href, children } / string
+     *
+     * @param {string} html Trecho HTML
+     * @returns {Array|null} Nós de topo, ou null se houver tag/atributo não suportado
+     */
+    static parseHtml(html) {
+        const root = { tag: null, children: [] };
+        const stack = [root];
+        const pattern = /<(\/?)([a-zA-Z][\w-]*)([^>]*)>|([^<]+)|(<)/g;
+        let match;
+
+        while ((match = pattern.exec(html)) !== null) {
+            const [, closing, rawTag, attributes, text, strayLt] = match;
+            const parent = stack[stack.length - 1];
+
+            if (strayLt) return null;
+            if (text !== undefined) {
+                parent.children.push(text);
+                continue;
+            }
+
+            const tag = rawTag.toLowerCase();
+            if (!NOTE_SOURCE_MARKDOWN_TAGS.has(tag)) return null;
+
+            if (closing) {
+                if (parent.tag !== tag) return null;
+                stack.pop();
+                continue;
+            }
+
+            const node = { tag, children: [] };
+            const attrs = attributes.replace(/\/\s*$/, '').trim();
+            if (tag === 'a') {
+                const href = /^href="([^"]*)"$/.exec(attrs);
+                if (!href) return null;
+                node.href = href[1];
+            } else if (attrs) {
+                return null;
+            }
+
+            parent.children.push(node);
+            if (tag !== 'br') stack.push(node);
+        }
+
+        return stack.length === 1 ? root.children : null;
+    }
+
+    /**
+     * Serializa nós de bloco
+     *
+     * @param {Array} nodes Nós
+     * @returns {string|null} Markdown ou null se não representável
+     */
+    static serializeBlocks(nodes) {
+        const blocks = [];
+
+        for (const node of nodes) {
+            if (typeof node === 'string') {
+                if (node.trim()) return null; // Texto solto fora de parágrafo
+                continue;
+            }
+
+            let block = null;
+            if (node.tag === 'p') {
+                block = NoteMarkdown.serializeParagraph(node.children);
+            } else if (/^h[3-6]$/.test(node.tag)) {
+                const text = NoteMarkdown.serializeInline(node.children);
+                block = text === null ? null : `${'#'.repeat(Number(node.tag[1]))} ${text}`;
+            } else if (node.tag === 'ul' || node.tag === 'ol') {
+                const items = node.children.filter(child => typeof child !== 'string' || child.trim());
+                if (items.some(item => typeof item === 'string' || item.tag !== 'li')) return null;
+                const lines = items.map((item, index) => {
+                    const text = NoteMarkdown.serializeInline(item.children);
+                    return text === null ? null : `${node.tag === 'ol' ? `${index + 1}.` : '-'} ${text}`;
+                });
+                block = lines.includes(null) ? null : lines.join('\n');
+            } else if (node.tag === 'blockquote') {
+                const inner = NoteMarkdown.serializeBlocks(node.children);
+                block = inner === null ? null : inner.split('\n').map(line => `> ${line}`.trimEnd()).join('\n');
+            }
+
+            if (block === null) return null;
+            blocks.push(block);
+        }
+
+        return blocks.join('\n\n');
+    }
+
+    /**
+     * Serializa o conteúdo de um parágrafo
+     *
+     * @param {Array} nodes Nós inline
+     * @returns {string|null} Markdown ou null se não representável
+     */
+    static serializeParagraph(nodes) {
+        const text = NoteMarkdown.serializeInline(nodes);
+        // Início de parágrafo que o Markdown leria como título, citação ou lista
+        return text === null ? null : text.replace(/^(#|>|[-+](?=\s))/, '\\$1').replace(/^(\d+)([.)])(?=\s)/, '$1\\$2');
+    }
+
+    /**
+     * Serializa nós inline
+     *
+     * @param {Array} nodes Nós
+     * @returns {string|null} Markdown ou null se houver bloco dentro do trecho
+     */
+    static serializeInline(nodes) {
+        let result = '';
+
+        for (const node of nodes) {
+            if (typeof node === 'string') {
+                result += NoteMarkdown.escapeText(node.replace(/\s+/g, ' '));
+                continue;
+            }
+
+            const inner = node.tag === 'br' ? '' : NoteMarkdown.serializeInline(node.children);
+            if (inner === null) return null;
+
+            if (node.tag === 'strong') result += `**${inner}**`;
+            else if (node.tag === 'em') result += `*${inner}*`;
+            else if (node.tag === 'code') result += `\`${NoteMarkdown.decodeEntities(node.children.join(''))}\``;
+            else if (node.tag === 'a') result += `[${inner}](${node.href})`;
+            else if (node.tag === 'br') result += '  \n';
+            else return null;
+        }
+
+        return result.trim();
+    }
+
+    /**
+     * @param {string} text Texto com entidades básicas
+     * @returns {string} Texto decodificado
+     */
+    static decodeEntities(text) {
+        return String(text).replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+    }
+
+    /**
+     * Normaliza HTML para comparação (espaços e quebras entre tags)
+     *
+     * @param {string} html Trecho HTML
+     * @returns {string} HTML normalizado
+     */
+    static normalizeHtml(html) {
+        return String(html || '').replace(/>\s+</g, '><').replace(/\s+/g, ' ').trim();
+    }
+}
+
+/**
+ * API pública das fontes das notas
+ */
+class NoteSource {
+    /**
+     * Lê uma fonte a partir do conteúdo e do nome do arquivo
+     *
+     * @param {string} text Conteúdo da fonte
+     * @param {string} [fileName] Nome do arquivo (.md ou .json)
+     * @returns {Object} Fonte normalizada (ver normalize())
+     * @throws {NoteSourceError} Se a fonte for inválida
+     */
+    static parse(text, fileName = '') {
+        const source = /\.json$/i.test(fileName) || /^\s*\{/.test(text)
+            ? NoteSource.parseJson(text)
+            : NoteSource.parseMarkdown(text);
+
+        return NoteSource.validate(source);
+    }
+
+    /**
+     * Lê uma fonte JSON
+     *
+     * @param {string} text Conteúdo JSON
+     * @returns {Object} Fonte normalizada
+     */
+    static parseJson(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new NoteSourceError(`JSON inválido: ${error.message}`);
+        }
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new NoteSourceError('A fonte JSON deve ser um objeto');
+        }
+
+        const questions = Array.isArray(data.questions) ? data.questions : [];
+        return NoteSource.normalize({
+            ...data,
+            questions: questions.map(item => ({
+                topic: item.topic,
+                question: item.question,
+                options: item.options,
+                answer: NoteSource.parseAnswer(item.answer),
+                explanation: item.explanation
+            }))
+        });
+    }
+
+    /**
+     * Lê uma fonte Markdown
+     *
+     * @param {string} text Conteúdo Markdown
+     * @returns {Object} Fonte normalizada
+     */
+    static parseMarkdown(text) {
+        const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+        if (lines[0].trim() !== '---') {
+            throw new NoteSourceError('A fonte deve começar com o front-matter entre linhas "---"', 1);
+        }
+
+        const end = lines.indexOf('---', 1);
+        if (end === -1) throw new NoteSourceError('Front-matter sem a linha "---" de fechamento', 1);
+
+        const meta = NoteSource.parseFrontMatter(lines.slice(1, end), 2);
+        const body = lines.slice(end + 1);
+        const questions = [];
+        let styles = '';
+        let current = null;
+        let section = 'preamble';
+
+        const finish = () => {
+            if (current) questions.push(NoteSource.finishQuestion(current));
+        };
+
+        body.forEach((line, offset) => {
+            const lineNumber = end + 2 + offset;
+            const heading = /^##\s+Questão\s+\d+\s*(?:[:—–-]\s*(.*))?$/i.exec(line);
+
+            if (heading) {
+                finish();
+                current = { line: lineNumber, topic: (heading[1] || '').trim(), question: [], options: [], explanation: [] };
+                section = 'question';
+                return;
+            }
+
+            if (!current) {
+                // Antes da primeira questão só entra o bloco ```css com os estilos da nota
+                if (section === 'preamble' && /^```css\s*$/i.test(line.trim())) section = 'styles';
+                else if (section === 'styles' && /^```\s*$/.test(line.trim())) section = 'preamble';
+                else if (section === 'styles') styles += `${line}\n`;
+                return;
+            }
+
+            if (section === 'explanation') {
+                current.explanation.push(line);
+                return;
+            }
+
+            if (/^###\s+Explica[çc][ãa]o\s*$/i.test(line)) {
+                section = 'explanation';
+                return;
+            }
+
+            const option = /^\s*[-*]\s+\[([ xX])\]\s+(.*)$/.exec(line);
+            if (option && section !== 'after-options') {
+                section = 'options';
+                current.options.push({ text: option[2], correct: option[1] !== ' ', line: lineNumber });
+                return;
+            }
+
+            if (section === 'options' || section === 'after-options') {
+                if (line.trim()) throw new NoteSourceError('Texto entre as alternativas e "### Explicação"', lineNumber);
+                section = 'after-options';
+                return;
+            }
+
+            current.question.push(line);
+        });
+        finish();
+
+        return NoteSource.normalize({ ...meta, styles: styles.trim(), questions });
+    }
+
+    /**
+     * Lê o front-matter (subconjunto de YAML: `chave: valor`, listas com "-" e
+     * um nível de `  subchave: valor`, usado em messages)
+     *
+     * @param {string[]} lines Linhas entre os "---"
+     * @param {number} firstLine Número da primeira linha (para mensagens)
+     * @returns {Object} Campos lidos
+     */
+    static parseFrontMatter(lines, firstLine) {
+        const meta = {};
+        let blockKey = null;
+
+        lines.forEach((line, offset) => {
+            if (!line.trim() || /^\s*#/.test(line)) return;
+
+            const item = /^\s+-\s+(.*)$/.exec(line);
+            const entry = /^\s+([A-Za-z][\w-]*)\s*:\s*(.*)$/.exec(line);
+            if (blockKey && (item || entry)) {
+                const block = meta[blockKey] || (meta[blockKey] = item ? [] : {});
+                if (Array.isArray(block) !== Boolean(item)) {
+                    throw new NoteSourceError(`"${blockKey}" mistura itens de lista e subchaves`, firstLine + offset);
+                }
+                if (item) block.push(NoteSource.parseScalar(item[1]));
+                else block[entry[1]] = NoteSource.parseScalar(entry[2]);
+                return;
+            }
+
+            const pair = /^([A-Za-z][\w-]*)\s*:\s*(.*)$/.exec(line);
+            if (!pair) throw new NoteSourceError(`Linha do front-matter não reconhecida: "${line.trim()}"`, firstLine + offset);
+
+            const [, key, value] = pair;
+            if (value.trim() === '') {
+                meta[key] = null; // lista ou subchaves, conforme as linhas seguintes
+                blockKey = key;
+            } else {
+                meta[key] = NoteSource.parseScalar(value);
+                blockKey = null;
+            }
+        });
+
+        return meta;
+    }
+
+    /**
+     * @param {string} value Valor do front-matter
+     * @returns {*} String, número ou booleano
+     */
+    static parseScalar(value) {
+        const text = value.trim();
+        if (/^"/.test(text)) {
+            try {
+                return JSON.parse(text);
+            } catch (error) {
+                throw new NoteSourceError(`Texto entre aspas inválido: ${text}`);
+            }
+        }
+        if (/^'.*'$/.test(text)) return text.slice(1, -1).replace(/''/g, "'");
+        if (text === 'true' || text === 'false') return text === 'true';
+        if (/^-?\d+$/.test(text)) return Number(text);
+        return text;
+    }
+
+    /**
+     * Fecha uma questão lida do Markdown
+     *
+     * @param {Object} current Questão em montagem
+     * @returns {Object} Questão { topic, question, options, answer, explanation }
+     */
+    static finishQuestion(current) {
+        const marked = current.options.filter(option => option.correct);
+        if (marked.length > 1) {
+            throw new NoteSourceError('Mais de uma alternativa marcada com [x]', marked[1].line);
+        }
+
+        return {
+            line: current.line,
+            topic: current.topic,
+            question: current.question.join('\n').trim(),
+            options: current.options.map(option => option.text),
+            answer: marked.length === 1 ? current.options.indexOf(marked[0]) : null,
+            explanation: current.explanation.join('\n').trim()
+        };
+    }
+
+    /**
+     * Converte o gabarito (letra ou índice) em índice
+     *
+     * @param {string|number} answer "B", "b" ou 1
+     * @returns {number|null} Índice da alternativa
+     */
+    static parseAnswer(answer) {
+        if (Number.isInteger(answer)) return answer;
+        if (typeof answer === 'string' && /^[A-Za-z]$/.test(answer.trim())) {
+            return answer.trim().toUpperCase().charCodeAt(0) - 65;
+        }
+        return null;
+    }
+
+    /**
+     * Padroniza os campos da fonte
+     *
+     * @param {Object} data Campos lidos
+     * @returns {Object} { subject, sequence, date, title, fixacao, file, pageTitle, heading, description, layout,
+     *   sidebar, sidebarText, footer, dependencies, messages, styles, questions }
+     */
+    static normalize(data) {
+        const text = value => (value === undefined || value === null ? '' : String(value).trim());
+        const messages = data.messages && typeof data.messages === 'object' && !Array.isArray(data.messages) ? data.messages : {};
+
+        return {
+            subject: text(data.subject).toUpperCase(),
+            sequence: Number.isInteger(data.sequence) ? data.sequence : parseInt(data.sequence, 10),
+            date: text(data.date),
+            title: text(data.title),
+            fixacao: data.fixacao === true,
+            file: text(data.file),
+            pageTitle: text(data.pageTitle),
+            heading: text(data.heading),
+            description: text(data.description),
+            layout: text(data.layout) || 'list',
+            sidebar: text(data.sidebar),
+            sidebarText: text(data.sidebarText),
+            footer: text(data.footer),
+            dependencies: (Array.isArray(data.dependencies) ? data.dependencies : []).map(text).filter(Boolean),
+            messages: Object.fromEntries(Object.entries(messages).map(([key, value]) => [key, text(value)]).filter(([, value]) => value)),
+            styles: text(data.styles),
+            questions: (data.questions || []).map(item => ({
+                line: item.line,
+                topic: text(item.topic),
+                question: text(item.question),
+                options: Array.isArray(item.options) ? item.options.map(text) : [],
+                answer: Number.isInteger(item.answer) ? item.answer : null,
+                explanation: text(item.explanation)
+            }))
+        };
+    }
+
+    /**
+     * Verifica os campos obrigatórios e as questões
+     *
+     * @param {Object} source Fonte normalizada
+     * @returns {Object} A própria fonte
+     * @throws {NoteSourceError} Com a lista de problemas encontrados
+     */
+    static validate(source) {
+        const problems = [];
+
+        if (!/^[A-Z]+$/.test(source.subject)) problems.push('subject: sigla do caderno ausente ou inválida (ex: DP)');
+        if (!Number.isInteger(source.sequence) || source.sequence < 1) problems.push('sequence: número da aula ausente ou inválido');
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(source.date) || Number.isNaN(Date.parse(source.date))) problems.push('date: data no formato AAAA-MM-DD');
+        if (!source.title) problems.push('title: título ausente');
+        if (source.file && !/^[^/\\]+\.html$/.test(source.file)) problems.push('file: nome de arquivo .html, sem pastas');
+        Object.keys(source.messages).filter(key => !/^[A-Za-z]\w*$/.test(key))
+            .forEach(key => problems.push(`messages: chave inválida "${key}"`));
+        if (!NOTE_SOURCE_LAYOUTS.includes(source.layout)) problems.push(`layout: use ${NOTE_SOURCE_LAYOUTS.join(' ou ')}`);
+        if (source.questions.length === 0) problems.push('nenhuma questão ("## Questão 1")');
+
+        source.questions.forEach((item, index) => {
+            const label = `questão ${index + 1}${item.line ? ` (linha ${item.line})` : ''}`;
+            if (!item.question) problems.push(`${label}: sem enunciado`);
+            if (item.options.length < 2) problems.push(`${label}: menos de duas alternativas`);
+            if (item.answer === null) problems.push(`${label}: nenhuma alternativa marcada como correta`);
+            else if (item.answer < 0 || item.answer >= item.options.length) problems.push(`${label}: gabarito fora das alternativas`);
+        });
+
+        if (problems.length > 0) {
+            throw new NoteSourceError(`Fonte inválida:\n  - ${problems.join('\n  - ')}`);
+        }
+        return source;
+    }
+
+    /**
+     * Nome do arquivo HTML: o campo `file` (notas antigas fora do padrão, cujo
+     * progresso salvo usa o nome atual) ou o nome no padrão do portal
+     *
+     * @param {Object} source Fonte normalizada
+     * @returns {string} Ex: "2025_07_16_DP_004 - Dolo.html"
+     */
+    static fileName(source) {
+        return source.file || NoteSource.getNoteFileName().format({
+            date: source.date,
+            subject: source.subject,
+            sequence: source.sequence,
+            title: source.title,
+            isFixacao: source.fixacao
+        });
+    }
+
+    /**
+     * Gera a página HTML da nota
+     *
+     * @param {Object} source Fonte normalizada
+     * @param {Object} [options]
+     * @param {string} [options.sourcePath] Caminho da fonte (citado no comentário do topo)
+     * @returns {string} HTML completo
+     */
+    static render(source, options = {}) {
+        const escape = value => NoteMarkdown.escapeHtml(value).replace(/"/g, '&quot;');
+        const heading = source.heading || source.title;
+        const questions = source.questions.map(item => ({
+            question: NoteMarkdown.inline(item.question),
+            options: item.options.map(option => NoteMarkdown.inline(option)),
+            answer: item.answer,
+            explanation: NoteMarkdown.toHtml(item.explanation),
+            topic: item.topic
+        }));
+
+        // `</` escapado para o banco não fechar a tag <script>
+        const bank = JSON.stringify(questions, null, 4)
+            .replace(/<\//g, '<\\/')
+            .replace(/\u2028/g, '\\u2028')
+            .replace(/\u2029/g, '\\u2029')
+            .split('\n')
+            .join('\n    ');
+
+        const dependencies = [NOTE_SOURCE_CHART_URL, ...source.dependencies.filter(url => url !== NOTE_SOURCE_CHART_URL)]
+            .map(url => (/\.css(\?|$)|fonts\.googleapis/.test(url)
+                ? `    <link href="${escape(url)}" rel="stylesheet">`
+                : `    <script src="${escape(url)}"></script>`))
+            .join('\n');
+
+        const styles = source.styles
+            ? `\n\n        ${source.styles.split('\n').join('\n        ')}`
+            : '';
+
+        const init = {
+            questions: 'questions',
+            layout: source.layout,
+            ...(source.sidebar ? { sidebarTitle: source.sidebar } : {}),
+            ...(source.sidebarText ? { sidebarText: NoteMarkdown.inline(source.sidebarText) } : {}),
+            ...(source.footer ? { footer: NoteMarkdown.inline(source.footer) } : {}),
+            ...(Object.keys(source.messages).length > 0 ? { messages: source.messages } : {})
+        };
+        const literal = value => `'${String(value)
+            .replace(/\\/g, '\\\\')
+            .replace(/'/g, "\\'")
+            .replace(/\n/g, '\\n')
+            .replace(/<\//g, '<\\/')}'`;
+        const initArgs = Object.entries(init)
+            .map(([key, value]) => {
+                if (key === 'questions') return '        questions';
+                if (key !== 'messages') return `        ${key}: ${literal(value)}`;
+                const entries = Object.entries(value).map(([name, text]) => `            ${name}: ${literal(NoteMarkdown.inline(text))}`);
+                return `        messages: {\n${entries.join(',\n')}\n        }`;
+            })
+            .join(',\n');
+
+        return `<!DOCTYPE html>
+<!-- ${NOTE_SOURCE_GENERATED_MARK}${options.sourcePath ? ` a partir de ${options.sourcePath}` : ''}. Edite a fonte, não este arquivo. -->
+<html lang="pt-BR">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escape(source.pageTitle || heading)}</title>
+${dependencies}
+    <link href="../assets/css/quiz-engine.css" rel="stylesheet">
+    <style>
+        body {
+            margin: 0;
+            font-family: 'Inter', system-ui, sans-serif;
+        }${styles}
+    </style>
+</head>
+<body>
+
+    <div id="quiz-app">
+        <header class="qe-header">
+            <h1 class="qe-title">${escape(heading)}</h1>
+            ${source.description ? `<p class="qe-subtitle">${NoteMarkdown.inline(source.description)}</p>` : ''}
+        </header>
+    </div>
+
+    <script src="../assets/js/progress-store.js"></script>
+    <script src="../assets/js/quiz-engine.js"></script>
+    <script>
+    const questions = ${bank};
+
+    QuizEngine.init({
+${initArgs}
+    });
+    </script>
+
+    <script src="../assets/js/note-link.js"></script>
+</body>
+</html>
+`.replace(/\n\s+\n(\s+<\/header>)/, '\n$1');
+    }
+
+    /**
+     * @param {string} html Código-fonte de uma nota
+     * @returns {boolean} true se a página foi gerada a partir de uma fonte
+     */
+    static isGenerated(html) {
+        return String(html || '').includes(NOTE_SOURCE_GENERATED_MARK);
+    }
+
+    /**
+     * Lê uma nota HTML existente e monta a fonte equivalente
+     *
+     * Além do banco, leva para a fonte o que a página mostra fora das questões:
+     * <title>, textos da barra lateral, rodapé e os textos do feedback e do
+     * relatório (messages do QuizEngine).
+     *
+     * @param {string} html Código-fonte da nota
+     * @param {string} fileName Nome do arquivo da nota
+     * @returns {Object} { source, warnings, questions } (questions: banco lido da
+     *   nota, já sem os títulos de feedback movidos para messages)
+     */
+    static fromNote(html, fileName) {
+        const QuestionBankRef = NoteSource.getQuestionBank();
+        const parsedName = NoteSource.getNoteFileName().parse(fileName);
+        const bank = QuestionBankRef.parse(html);
+        const warnings = parsedName.diagnostics.map(diagnostic => `Nome do arquivo: ${diagnostic.message}`);
+        const { messages, explanations } = NoteSource.extractMessages(html, bank.questions);
+        const original = bank.questions.map((item, index) => ({ ...item, explanation: explanations[index] }));
+
+        const questions = original.map((item, index) => {
+            if (item.answer === null || item.answer < 0 || item.answer >= item.options.length) {
+                warnings.push(`Questão ${index + 1}: gabarito fora das alternativas, marque a correta na fonte`);
+            }
+            const explanation = NoteSource.dedent(item.explanation);
+            const markdown = NoteMarkdown.fromHtml(explanation);
+
+            return {
+                topic: item.topic ? QuestionBankRef.stripHtml(item.topic) : '',
+                question: NoteMarkdown.escapeText(item.question.trim()),
+                options: item.options.map(option => NoteMarkdown.escapeText(option.trim().replace(/\n/g, ' '))),
+                answer: item.answer,
+                explanation: markdown !== null || !explanation
+                    ? (markdown || '')
+                    : `${NOTE_SOURCE_RAW.start}\n${explanation}\n${NOTE_SOURCE_RAW.end}`
+            };
+        });
+
+        const inner = pattern => {
+            const match = pattern.exec(html);
+            return match ? NoteMarkdown.escapeText(match[1].replace(/\s+/g, ' ').trim()) : '';
+        };
+        const heading = bank.heading || bank.title;
+        const sidebar = /<(?:aside|div|nav)\b[^>]*(?:id|class)="[^"]*sidebar[^"]*"[^>]*>[\s\S]*?<h[12]\b[^>]*>([\s\S]*?)<\/h[12]>/i.exec(html);
+        // Notas já migradas para o QuizEngine: opções da chamada QuizEngine.init()
+        const engine = /QuizEngine\.init\(\s*\{([\s\S]*?)\}\s*\)/.exec(html);
+        const engineOption = name => {
+            const match = engine && new RegExp(`\\b${name}\\s*:\\s*(['"])((?:\\\\.|(?!\\1).)*)\\1`).exec(engine[1]);
+            return match ? match[2].replace(/\\(.)/g, '$1') : null;
+        };
+
+        const source = NoteSource.normalize({
+            subject: parsedName.subject,
+            sequence: parsedName.sequence,
+            date: parsedName.date,
+            title: parsedName.title,
+            fixacao: parsedName.isFixacao,
+            pageTitle: bank.title && bank.title !== heading ? bank.title : '',
+            heading,
+            description: inner(/<h1\b[^>]*>[\s\S]*?<\/h1>\s*<p\b[^>]*>([\s\S]*?)<\/p>/i),
+            layout: engineOption('layout') ||
+                (bank.format === 'quizData' || /function\s+loadQuestion\b/.test(html) ? 'stepper' : 'list'),
+            sidebar: engineOption('sidebarTitle') || (sidebar ? QuestionBankRef.stripHtml(sidebar[1]) : ''),
+            sidebarText: NoteMarkdown.escapeText(engineOption('sidebarText') || '') || inner(/<div class="logo">\s*<h2\b[^>]*>[\s\S]*?<\/h2>\s*<p\b[^>]*>([\s\S]*?)<\/p>/i),
+            footer: NoteMarkdown.escapeText(engineOption('footer') || '') || inner(/<div class="footer">\s*<p\b[^>]*>([\s\S]*?)<\/p>/i),
+            dependencies: NoteSource.extractDependencies(html),
+            messages,
+            styles: NoteSource.extractStyles(html, original),
+            questions
+        });
+
+        // Nomes fora do padrão ficam como estão (o progresso salvo usa o nome do arquivo)
+        if (NoteSource.fileName({ ...source, file: '' }) !== fileName) source.file = fileName;
+
+        return { source, warnings, questions: original };
+    }
+
+    /**
+     * Textos da nota que correspondem às mensagens do QuizEngine
+     *
+     * Nas notas em que toda explicação começa com o próprio título de feedback
+     * ("Análise da Resposta Correta"), o título sai da explicação e vira as
+     * mensagens correct/incorrect.
+     *
+     * @param {string} html Código-fonte da nota
+     * @param {Array} questions Questões do banco
+     * @returns {Object} { messages, explanations }
+     */
+    static extractMessages(html, questions) {
+        const messages = {};
+        let explanations = questions.map(item => item.explanation);
+
+        const titlePattern = /^\s*<(div|p)\s+class="feedback-title[^"]*"[^>]*>([^<]*)<\/\1>/;
+        const titles = explanations.map(explanation => titlePattern.exec(explanation));
+        if (titles.length > 0 && titles.every(title => title && title[2] === titles[0][2])) {
+            const correct = titles[0][2].trim();
+            const swap = new RegExp(`\\.replace\\((['"])${correct.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\1,\\s*(['"])([^'"]+)\\2\\)`).exec(html);
+            Object.assign(messages, { correct, incorrect: swap ? swap[3] : correct });
+            explanations = explanations.map(explanation => explanation.replace(titlePattern, ''));
+        }
+
+        Object.entries(NOTE_SOURCE_MESSAGE_PATTERNS).forEach(([key, patterns]) => {
+            const text = patterns.map(pattern => pattern.exec(html)).find(Boolean)?.groups.text;
+            if (text && !text.includes('${') && !messages[key]) messages[key] = NoteMarkdown.escapeText(text.replace(/\s+/g, ' ').trim());
+        });
+
+        // Notas já migradas: messages da chamada QuizEngine.init()
+        const engine = /QuizEngine\.init\(\s*\{[\s\S]*?\bmessages\s*:\s*\{([\s\S]*?)\}/.exec(html);
+        if (engine) {
+            const pattern = /\b([A-Za-z]\w*)\s*:\s*(['"])((?:\\.|(?!\2).)*)\2/g;
+            let match;
+            while ((match = pattern.exec(engine[1])) !== null) {
+                messages[match[1]] = NoteMarkdown.escapeText(match[3].replace(/\\(.)/g, '$1'));
+            }
+        }
+
+        return { messages, explanations };
+    }
+
+    /**
+     * URLs externas de scripts e folhas de estilo da nota (exceto o Chart.js)
+     *
+     * @param {string} html Código-fonte da nota
+     * @returns {string[]} URLs
+     */
+    static extractDependencies(html) {
+        const urls = [];
+        const pattern = /<script\b[^>]*\bsrc="(https?:[^"]+)"|<link\b[^>]*\bhref="(https?:[^"]+)"/gi;
+        let match;
+        while ((match = pattern.exec(html)) !== null) {
+            const url = match[1] || match[2];
+            if (url !== NOTE_SOURCE_CHART_URL && !urls.includes(url)) urls.push(url);
+        }
+        return urls;
+    }
+
+    /**
+     * Regras CSS da nota usadas pelas questões e explicações
+     * (o layout do quiz agora vem do quiz-engine.css)
+     *
+     * @param {string} html Código-fonte da nota
+     * @param {Array} questions Questões do banco
+     * @returns {string} CSS
+     */
+    static extractStyles(html, questions) {
+        const content = questions.map(item => [item.question, ...item.options, item.explanation].join(' ')).join(' ');
+        const used = new Set();
+        content.replace(/class="([^"]*)"/g, (_, names) => names.split(/\s+/).forEach(name => name && used.add(name)));
+
+        const css = [];
+        const stylePattern = /<style\b[^>]*>([\s\S]*?)<\/style>/gi;
+        let style;
+        while ((style = stylePattern.exec(html)) !== null) {
+            NoteSource.splitCssRules(style[1]).forEach(rule => {
+                const selectors = rule.slice(0, rule.indexOf('{'));
+                const classes = selectors.match(/\.[\w-]+/g) || [];
+                if (classes.some(name => used.has(name.slice(1)))) css.push(rule);
+            });
+        }
+
+        if (css.some(rule => rule.includes('var(--'))) {
+            const root = NoteSource.splitCssRules(html.match(stylePattern)?.join('\n') || '')
+                .find(rule => /^\s*:root\s*\{/.test(rule));
+            if (root) css.unshift(root);
+        }
+
+        return css.join('\n\n');
+    }
+
+    /**
+     * Separa as regras de topo de uma folha de estilo (sem @media, @import, @keyframes)
+     *
+     * @param {string} css Folha de estilo
+     * @returns {string[]} Regras "seletor { ... }" reindentadas
+     */
+    static splitCssRules(css) {
+        const text = String(css).replace(/<\/?style[^>]*>/gi, '').replace(/\/\*[\s\S]*?\*\//g, '');
+        const rules = [];
+        let depth = 0;
+        let start = 0;
+
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === ';' && depth === 0) {
+                start = i + 1; // @import e afins
+            } else if (text[i] === '{') {
+                depth++;
+            } else if (text[i] === '}') {
+                depth--;
+                if (depth === 0) {
+                    const rule = text.slice(start, i + 1).trim();
+                    if (!rule.startsWith('@')) {
+                        const [selector, body] = [rule.slice(0, rule.indexOf('{')).trim(), rule.slice(rule.indexOf('{') + 1, -1)];
+                        const declarations = body.split(';').map(part => part.trim()).filter(Boolean);
+                        rules.push(`${selector.replace(/\s+/g, ' ')} {\n${declarations.map(part => `    ${part};`).join('\n')}\n}`);
+                    }
+                    start = i + 1;
+                }
+            }
+        }
+
+        return rules;
+    }
+
+    /**
+     * Remove a indentação comum das linhas (explicações em template literals)
+     *
+     * @param {string} text Texto
+     * @returns {string} Texto sem a indentação comum e sem linhas vazias nas pontas
+     */
+    static dedent(text) {
+        const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+        while (lines.length && !lines[0].trim()) lines.shift();
+        while (lines.length && !lines[lines.length - 1].trim()) lines.pop();
+
+        const indent = Math.min(...lines.filter(line => line.trim()).map(line => /^\s*/.exec(line)[0].length));
+        return lines.map(line => line.slice(Number.isFinite(indent) ? indent : 0).trimEnd()).join('\n');
+    }
+
+    /**
+     * Escreve a fonte em Markdown
+     *
+     * @param {Object} source Fonte normalizada
+     * @returns {string} Conteúdo .md
+     */
+    static toMarkdown(source) {
+        const quote = value => (/^[\s"'[{>|*&!%@`#-]|:\s|\s#|\s$|^(true|false|-?\d+)$/.test(value) ? JSON.stringify(value) : value);
+        const front = ['---'];
+
+        NOTE_SOURCE_FIELDS.forEach(key => {
+            const value = source[key];
+            if (key === 'dependencies') {
+                if (value.length > 0) front.push('dependencies:', ...value.map(url => `  - ${quote(url)}`));
+            } else if (key === 'fixacao') {
+                if (value) front.push('fixacao: true');
+            } else if (key === 'layout') {
+                if (value !== 'list') front.push(`layout: ${value}`);
+            } else if (key === 'messages') {
+                const entries = Object.entries(value);
+                if (entries.length > 0) front.push('messages:', ...entries.map(([name, text]) => `  ${name}: ${quote(text)}`));
+            } else if (value !== '' && value !== null && value !== undefined) {
+                front.push(`${key}: ${typeof value === 'string' ? quote(value) : value}`);
+            }
+        });
+        front.push('---', '');
+
+        const parts = [front.join('\n')];
+        if (source.styles) parts.push(`\`\`\`css\n${source.styles}\n\`\`\`\n`);
+
+        source.questions.forEach((item, index) => {
+            const options = item.options.map((option, optionIndex) => `- [${optionIndex === item.answer ? 'x' : ' '}] ${option}`);
+            parts.push([
+                `## Questão ${index + 1}${item.topic ? `: ${item.topic}` : ''}`,
+                '',
+                item.question,
+                '',
+                ...options,
+                '',
+                '### Explicação',
+                '',
+                item.explanation,
+                ''
+            ].join('\n'));
+        });
+
+        return parts.join('\n').replace(/\n{3,}/g, '\n\n');
+    }
+
+    /**
+     * Escreve a fonte em JSON
+     *
+     * @param {Object} source Fonte normalizada
+     * @returns {string} Conteúdo .json
+     */
+    static toJson(source) {
+        const data = {};
+        NOTE_SOURCE_FIELDS.forEach(key => {
+            data[key] = source[key];
+        });
+        data.styles = source.styles;
+        data.questions = source.questions.map(item => ({
+            topic: item.topic,
+            question: item.question,
+            options: item.options,
+            answer: item.answer !== null && item.answer >= 0 && item.answer < item.options.length
+                ? String.fromCharCode(65 + item.answer)
+                : item.answer,
+            explanation: item.explanation
+        }));
+        return `${JSON.stringify(data, null, 2)}\n`;
+    }
+
+    /**
+     * Resolve a dependência QuestionBank no navegador ou no Node
+     *
+     * @returns {Function} Classe QuestionBank
+     */
+    static getQuestionBank() {
+        if (typeof QuestionBank !== 'undefined') return QuestionBank;
+        return require('./question-bank.js').QuestionBank;
+    }
+
+    /**
+     * Resolve a dependência NoteFileName no navegador ou no Node
+     *
+     * @returns {Function} Classe NoteFileName
+     */
+    static getNoteFileName() {
+        if (typeof NoteFileName !== 'undefined') return NoteFileName;
+        return require('./note-filename.js').NoteFileName;
+    }
+}
+
+NoteSource.Markdown = NoteMarkdown;
+NoteSource.Error = NoteSourceError;
+NoteSource.LAYOUTS = NOTE_SOURCE_LAYOUTS;
+NoteSource.RAW = NOTE_SOURCE_RAW;
+
+if (typeof window !== 'undefined') {
+    window.NoteSource = NoteSource;
+}
+
+/**
+ * Exportação para módulos (se suportado)
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { NoteSource, NoteSourceError, NoteMarkdown };
+}
@@ -0,0 +1,274 @@
+/**
+ * Portal de Notas HTML - Leitor de Notas
+ *
+ * Abre as notas dentro do portal (iframe em tela cheia), em vez de uma aba
+ * por nota. O leitor mostra o caminho (Notas › Caderno › Nota), a posição da
+ * nota no caderno e botões de anterior/próxima na ordem de sequência.
+ *
+ * A nota aberta fica na URL (`#/DP?q=nexo&note=<arquivo>`), então o botão
+ * "voltar" do navegador e os links diretos funcionam. Ao voltar para a lista,
+ * a rolagem e a busca são restauradas.
+ *
+ * Ctrl/⌘ + clique ou clique do meio continuam abrindo a nota em nova aba.
+ *
+ * @author Portal de Notas HTML
+ * @version 1.0.0
+ * @requires ES6+, NoteSorter, PortalRouter
+ */
+
+'use strict';
+
+/**
+ * Controlador do leitor de notas
+ */
+class NoteViewer {
+    /**
+     * @param {NotesPortal} portal Instância do portal
+     */
+    constructor(portal) {
+        this.portal = portal;
+        this.fileName = null; // Nota aberta
+        this.hash = ''; // Âncora da nota (ex: #questao-3)
+        this.listScroll = 0; // Rolagem da lista ao abrir o leitor
+        this.pushedHistory = false; // O leitor criou a entrada atual do histórico
+
+        this.elements = {
+            panel: document.getElementById('note-viewer')
+        };
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Configura os links de abertura e os botões do leitor (delegação de eventos)
+     */
+    setupEventListeners() {
+        if (!this.elements.panel) return;
+
+        // Links marcados com data-note-open (cards, recentes, resultados da busca)
+        document.addEventListener('click', (e) => {
+            const link = e.target.closest('a[data-note-open]');
+            if (!link || e.button !== 0 || e.ctrlKey || e.metaKey || e.shiftKey || e.altKey) return;
+
+            e.preventDefault();
+            // O portal já registra a abertura no histórico pelo clique no link
+            this.open(link.dataset.noteOpen, { hash: link.hash, record: false });
+        });
+
+        this.elements.panel.addEventListener('click', (e) => {
+            const target = e.target.closest('[data-viewer-action]');
+            if (!target) return;
+
+            const action = target.dataset.viewerAction;
+            if (action === 'close') this.back();
+            if (action === 'prev') this.step(-1);
+            if (action === 'next') this.step(1);
+            if (action === 'caderno') this.back(target.dataset.category);
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (!this.isOpen()) return;
+            if (e.key === 'Escape') this.back();
+            if (e.altKey && e.key === 'ArrowLeft') {
+                e.preventDefault();
+                this.step(-1);
+            }
+            if (e.altKey && e.key === 'ArrowRight') {
+                e.preventDefault();
+                this.step(1);
+            }
+        });
+    }
+
+    /**
+     * @returns {boolean} true se há uma nota aberta no leitor
+     */
+    isOpen() {
+        return this.fileName !== null;
+    }
+
+    /**
+     * Notas do caderno da nota, na ordem de sequência
+     *
+     * @param {string} fileName Nome da nota
+     * @returns {Object} { category, files }
+     */
+    getSequence(fileName) {
+        const category = this.portal.detectFileCategory(fileName);
+        const files = (this.portal.categories[category] && this.portal.categories[category].files) || [];
+        return {
+            category,
+            files: NoteSorter.sort(files, 'sequence', this.portal.getSortContext())
+        };
+    }
+
+    /**
+     * Abre uma nota no leitor
+     *
+     * @param {string} fileName Nome do arquivo
+     * @param {Object} [options]
+     * @param {string} [options.hash=''] Âncora na nota (ex: "#questao-3")
+     * @param {boolean} [options.record=true] Registra a abertura no histórico de notas
+     * @param {boolean} [options.updateRoute=true] Grava a nota na URL
+     * @returns {boolean} false se a nota não estiver na lista
+     */
+    open(fileName, options = {}) {
+        const { hash = '', record = true, updateRoute = true } = options;
+        const file = this.portal.files.find(item => item.name === fileName);
+        if (!file || !this.elements.panel) {
+            console.warn(`⚠️ [VIEWER] Nota "${fileName}" não encontrada na lista`);
+            return false;
+        }
+
+        if (!this.isOpen()) {
+            this.listScroll = window.scrollY;
+            document.body.classList.add('viewer-open');
+        }
+
+        const wasOpen = this.isOpen();
+        this.fileName = fileName;
+        this.hash = hash;
+        this.render(file);
+
+        if (record && typeof NoteHistory !== 'undefined') {
+            NoteHistory.recordOpen(fileName);
+            this.portal.renderRecentShelf();
+        }
+
+        // Abrir a partir da lista cria uma entrada no histórico; trocar de nota no leitor, não
+        if (updateRoute) {
+            if (!wasOpen) this.pushedHistory = true;
+            this.portal.updateRoute({ replace: wasOpen });
+        }
+
+        console.log(`📖 [VIEWER] Nota aberta no leitor: ${fileName}`);
+        return true;
+    }
+
+    /**
+     * Abre a nota anterior ou a próxima do caderno
+     *
+     * @param {number} direction -1 (anterior) ou 1 (próxima)
+     */
+    step(direction) {
+        if (!this.isOpen()) return;
+
+        const { files } = this.getSequence(this.fileName);
+        const index = files.findIndex(file => file.name === this.fileName);
+        const target = files[index + direction];
+        if (target) this.open(target.name);
+    }
+
+    /**
+     * Volta para a lista
+     * Se o leitor criou a entrada do histórico, volta pelo histórico (a rota
+     * fecha o leitor); senão fecha e corrige a URL.
+     *
+     * @param {string} [category] Caderno a exibir na lista (breadcrumb)
+     */
+    back(category) {
+        if (!this.isOpen()) return;
+
+        if (category) {
+            this.close();
+            this.portal.switchCategory(category);
+            return;
+        }
+
+        if (this.pushedHistory) {
+            history.back();
+            return;
+        }
+
+        this.close();
+        this.portal.updateRoute({ replace: true });
+    }
+
+    /**
+     * Fecha o leitor e restaura a rolagem da lista
+     */
+    close() {
+        if (!this.isOpen()) return;
+
+        const fileName = this.fileName;
+        this.fileName = null;
+        this.hash = '';
+        this.pushedHistory = false;
+        this.elements.panel.hidden = true;
+        this.elements.panel.innerHTML = ''; // Descarrega a nota
+        document.body.classList.remove('viewer-open');
+        window.scrollTo(0, this.listScroll);
+
+        // Devolve o foco ao card da nota (teclado)
+        const card = [...document.querySelectorAll('.file-card a[data-note-open]')]
+            .find(link => link.dataset.noteOpen === fileName);
+        if (card) card.focus({ preventScroll: true });
+    }
+
+    /**
+     * Aplica a nota da URL (navegação pelo histórico ou link direto)
+     *
+     * @param {Object} route Rota de PortalRouter ({ note, ... })
+     */
+    applyRoute(route) {
+        if (route.note && route.note !== this.fileName) {
+            if (!this.open(route.note, { updateRoute: false })) {
+                this.close();
+                this.portal.updateRoute({ replace: true }); // Remove a nota inexistente da URL
+            }
+        } else if (!route.note && this.isOpen()) {
+            this.close();
+        }
+    }
+
+    /**
+     * Renderiza o leitor (barra com caminho e navegação + iframe da nota)
+     *
+     * @param {Object} file Arquivo da nota
+     */
+    render(file) {
+        const escape = text => this.portal.escapeHtml(text);
+        const { category, files } = this.getSequence(file.name);
+        const caderno = this.portal.categories[category] || { name: category, icon: '📁' };
+        const index = files.findIndex(item => item.name === file.name);
+        const previous = files[index - 1];
+        const next = files[index + 1];
+        const meta = this.portal.getFileMeta(file.name);
+        const label = name => {
+            const info = this.portal.getFileMeta(name);
+            return info.sequence !== null ? `${String(info.sequence).padStart(3, '0')} · ${info.title}` : info.title;
+        };
+
+        this.elements.panel.hidden = false;
+        this.elements.panel.innerHTML = `
+            <header class="viewer-bar">
+                <button type="button" class="btn" data-viewer-action="close" title="Voltar para a lista (Esc)">← Lista</button>
+                <nav class="viewer-breadcrumb" aria-label="Caminho da nota">
+                    <ol>
+                        <li><button type="button" data-viewer-action="close">📚 Notas</button></li>
+                        <li><button type="button" data-viewer-action="caderno" data-category="${escape(category)}">${escape(caderno.icon)} ${escape(caderno.name)}</button></li>
+                        <li aria-current="page">${escape(label(file.name))}</li>
+                    </ol>
+                </nav>
+                <span class="viewer-position">${index + 1} de ${files.length}</span>
+                <div class="viewer-actions">
+                    <button type="button" class="btn" data-viewer-action="prev" ${previous ? `title="Anterior: ${escape(label(previous.name))} (Alt+←)"` : 'disabled'}>‹ Anterior</button>
+                    <button type="button" class="btn" data-viewer-action="next" ${next ? `title="Próxima: ${escape(label(next.name))} (Alt+→)"` : 'disabled'}>Próxima ›</button>
+                    <a href="${file.url}${escape(this.hash)}" class="btn btn-primary" target="_blank" rel="noopener noreferrer" title="Abrir em nova aba">↗</a>
+                </div>
+            </header>
+            <iframe class="viewer-frame" src="${file.url}${escape(this.hash)}" title="${escape(meta.title)}"></iframe>
+        `;
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.NoteViewer = NoteViewer;
+}
+
+/**
+ * Exportação para módulos (se suportado)
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { NoteViewer };
+}
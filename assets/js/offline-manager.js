@@ -0,0 +1,348 @@
+/**
+ * Portal de Notas HTML - Uso Offline
+ *
+ * Permite marcar cadernos para uso sem conexão. As notas marcadas (e as
+ * dependências externas delas: Chart.js, Tailwind, folhas de estilo) são
+ * gravadas com a Cache API nos mesmos caches que o service worker (sw.js)
+ * usa para responder quando não há rede.
+ *
+ * Estrutura no localStorage (chave `notes-portal-offline`, versão 1):
+ * {
+ *   version: 1,
+ *   cadernos: ["DC", "DP"]   // "todos" marca todas as notas
+ * }
+ *
+ * Cadernos marcados são sincronizados a cada carga da lista: notas novas
+ * entram no cache automaticamente.
+ *
+ * @author Portal de Notas HTML
+ * @version 1.0.0
+ * @requires ES6+, Cache API, LocalStorage
+ */
+
+'use strict';
+
+const OFFLINE_STORAGE_KEY = 'notes-portal-offline';
+const OFFLINE_STORAGE_VERSION = 1;
+
+/**
+ * Caches compartilhados com o service worker (sw.js)
+ */
+const OFFLINE_CACHES = {
+    notes: 'notes-portal-notes',
+    cdn: 'notes-portal-cdn'
+};
+
+/**
+ * Controlador da barra "Disponível offline" e do cache das notas
+ */
+class OfflineManager {
+    /**
+     * @param {NotesPortal} portal Instância do portal
+     */
+    constructor(portal) {
+        this.portal = portal;
+        this.state = this.load();
+        this.cachedUrls = new Set();
+        this.progress = null; // { done, total } durante o download
+        this.lastErrors = 0;
+
+        this.elements = {
+            bar: document.getElementById('offline-bar')
+        };
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * @returns {boolean} true se o navegador oferece a Cache API
+     */
+    static isSupported() {
+        return typeof window !== 'undefined' && 'caches' in window;
+    }
+
+    /**
+     * Encontra scripts e folhas de estilo referenciados por uma nota
+     *
+     * @param {string} html Conteúdo da nota
+     * @param {string} baseUrl URL da nota (para resolver caminhos relativos)
+     * @returns {string[]} URLs absolutas, sem repetição
+     */
+    static extractDependencies(html, baseUrl) {
+        const urls = new Set();
+        const patterns = [
+            /<script\b[^>]*\bsrc=["']([^"']+)["']/gi,
+            /<link\b(?=[^>]*\brel=["']?stylesheet)[^>]*\bhref=["']([^"']+)["']/gi
+        ];
+
+        patterns.forEach(pattern => {
+            for (const match of html.matchAll(pattern)) {
+                try {
+                    urls.add(new URL(match[1], baseUrl).href);
+                } catch (error) {
+                    // URL inválida: ignora
+                }
+            }
+        });
+
+        return [...urls];
+    }
+
+    /**
+     * Lê os cadernos marcados
+     *
+     * @returns {Object} Estado { version, cadernos }
+     */
+    load() {
+        try {
+            const data = JSON.parse(localStorage.getItem(OFFLINE_STORAGE_KEY));
+            if (data && data.version === OFFLINE_STORAGE_VERSION && Array.isArray(data.cadernos)) {
+                return data;
+            }
+        } catch (error) {
+            console.warn('⚠️ [OFFLINE] Estado ilegível, recomeçando:', error);
+        }
+        return { version: OFFLINE_STORAGE_VERSION, cadernos: [] };
+    }
+
+    /**
+     * Grava os cadernos marcados
+     */
+    save() {
+        try {
+            localStorage.setItem(OFFLINE_STORAGE_KEY, JSON.stringify(this.state));
+        } catch (error) {
+            console.warn('⚠️ [OFFLINE] Não foi possível salvar:', error);
+        }
+    }
+
+    /**
+     * Configura o botão da barra (delegação de eventos)
+     */
+    setupEventListeners() {
+        if (!this.elements.bar) return;
+
+        this.elements.bar.addEventListener('click', (e) => {
+            const target = e.target.closest('[data-offline-action]');
+            if (!target || this.progress) return;
+
+            const code = this.portal.activeCategory;
+            if (target.dataset.offlineAction === 'mark') this.markCaderno(code);
+            if (target.dataset.offlineAction === 'unmark') this.unmarkCaderno(code);
+        });
+    }
+
+    /**
+     * URL absoluta de uma nota (chave no cache)
+     *
+     * @param {Object} file Arquivo do portal
+     * @returns {string} URL
+     */
+    urlOf(file) {
+        return new URL(file.url, window.location.href).href;
+    }
+
+    /**
+     * @param {Object} file Arquivo do portal
+     * @returns {boolean} true se a nota está salva para uso offline
+     */
+    isAvailable(file) {
+        return this.cachedUrls.has(this.urlOf(file));
+    }
+
+    /**
+     * @param {string} code Sigla do caderno ou "todos"
+     * @returns {boolean} true se o caderno está marcado (diretamente ou via "todos")
+     */
+    isMarked(code) {
+        return this.state.cadernos.includes(code) || this.state.cadernos.includes('todos');
+    }
+
+    /**
+     * Notas de um caderno
+     *
+     * @param {string} code Sigla do caderno ou "todos"
+     * @returns {Array} Arquivos do portal
+     */
+    getFilesOf(code) {
+        if (code === 'todos') return this.portal.files;
+        return this.portal.categories[code]?.files || [];
+    }
+
+    /**
+     * Relê o cache de notas
+     */
+    async refresh() {
+        if (!OfflineManager.isSupported()) return;
+
+        const cache = await caches.open(OFFLINE_CACHES.notes);
+        const requests = await cache.keys();
+        this.cachedUrls = new Set(requests.map(request => request.url));
+    }
+
+    /**
+     * Marca um caderno e baixa as notas dele
+     *
+     * @param {string} code Sigla do caderno ou "todos"
+     */
+    async markCaderno(code) {
+        if (!this.state.cadernos.includes(code)) {
+            this.state.cadernos.push(code);
+            this.save();
+        }
+
+        console.log(`📥 [OFFLINE] Caderno ${code} marcado para uso offline`);
+        await this.cacheFiles(this.getFilesOf(code));
+    }
+
+    /**
+     * Desmarca um caderno e remove do cache as notas que nenhum outro
+     * caderno marcado usa
+     *
+     * @param {string} code Sigla do caderno ou "todos"
+     */
+    async unmarkCaderno(code) {
+        this.state.cadernos = code === 'todos'
+            ? []
+            : this.state.cadernos.filter(marked => marked !== code && marked !== 'todos');
+        this.save();
+
+        const keep = new Set(this.state.cadernos
+            .flatMap(marked => this.getFilesOf(marked))
+            .map(file => this.urlOf(file)));
+        const cache = await caches.open(OFFLINE_CACHES.notes);
+
+        await Promise.all(this.getFilesOf(code)
+            .map(file => this.urlOf(file))
+            .filter(url => !keep.has(url))
+            .map(url => cache.delete(url)));
+
+        console.log(`🗑️ [OFFLINE] Caderno ${code} removido do uso offline`);
+        await this.refresh();
+        this.portal.renderFiles();
+    }
+
+    /**
+     * Baixa notas (e dependências) que ainda não estão no cache
+     *
+     * @param {Array} files Arquivos do portal
+     */
+    async cacheFiles(files) {
+        if (!OfflineManager.isSupported()) return;
+
+        const pending = files.filter(file => !this.isAvailable(file));
+        if (pending.length === 0) {
+            this.render();
+            return;
+        }
+
+        const notesCache = await caches.open(OFFLINE_CACHES.notes);
+        const cdnCache = await caches.open(OFFLINE_CACHES.cdn);
+        const dependencies = new Set();
+        this.progress = { done: 0, total: pending.length };
+        this.lastErrors = 0;
+        this.render();
+
+        for (const file of pending) {
+            const url = this.urlOf(file);
+            try {
+                const response = await fetch(url, { cache: 'no-cache' });
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+                const html = await response.clone().text();
+                OfflineManager.extractDependencies(html, url)
+                    .filter(dependency => new URL(dependency).origin !== window.location.origin)
+                    .forEach(dependency => dependencies.add(dependency));
+
+                await notesCache.put(url, response);
+                this.cachedUrls.add(url);
+            } catch (error) {
+                this.lastErrors++;
+                console.warn(`⚠️ [OFFLINE] Falha ao salvar ${file.name}:`, error.message);
+            }
+
+            this.progress.done++;
+            this.render();
+        }
+
+        // Dependências externas: respostas opacas (sem CORS) também servem
+        await Promise.allSettled([...dependencies].map(async (dependency) => {
+            if (await cdnCache.match(dependency)) return;
+            await cdnCache.put(dependency, await fetch(dependency, { mode: 'no-cors' }));
+        }));
+
+        console.log(`📥 [OFFLINE] ${pending.length - this.lastErrors}/${pending.length} nota(s) salvas, ${dependencies.size} dependência(s) externa(s)`);
+        this.progress = null;
+        this.portal.renderFiles();
+    }
+
+    /**
+     * Baixa as notas novas dos cadernos marcados
+     * Chamado depois de cada carga da lista de notas
+     */
+    async sync() {
+        if (!OfflineManager.isSupported() || this.progress) return;
+
+        await this.refresh();
+
+        if (navigator.onLine && this.state.cadernos.length > 0) {
+            const files = [...new Set(this.state.cadernos.flatMap(code => this.getFilesOf(code)))];
+            await this.cacheFiles(files);
+        } else {
+            this.portal.renderFiles();
+        }
+    }
+
+    /**
+     * Atualiza a barra com o estado do caderno ativo
+     */
+    render() {
+        const bar = this.elements.bar;
+        if (!bar) return;
+
+        if (!OfflineManager.isSupported()) {
+            bar.hidden = true;
+            return;
+        }
+
+        const code = this.portal.activeCategory;
+        const files = this.getFilesOf(code);
+        const available = files.filter(file => this.isAvailable(file)).length;
+        const label = code === 'todos' ? 'todas as notas' : `caderno ${this.portal.escapeHtml(this.portal.categories[code]?.name || code)}`;
+        const online = navigator.onLine;
+
+        let action;
+        if (this.progress) {
+            action = `<span class="offline-progress" role="status">⏳ Salvando ${this.progress.done}/${this.progress.total}...</span>`;
+        } else if (this.state.cadernos.includes(code)) {
+            action = `<button class="btn" type="button" data-offline-action="unmark">🗑️ Remover ${label} do offline</button>`;
+        } else if (this.isMarked(code)) {
+            action = '<span class="offline-hint">Incluído em "todas as notas"</span>';
+        } else {
+            action = `<button class="btn" type="button" data-offline-action="mark" ${online ? '' : 'disabled'}>📥 Salvar ${label} para offline</button>`;
+        }
+
+        bar.hidden = false;
+        bar.classList.toggle('is-offline', !online);
+        bar.innerHTML = `
+            <span class="offline-status">${online ? '🟢 Online' : '📵 Sem conexão — notas salvas continuam disponíveis'}</span>
+            <span class="offline-count">📥 ${available} de ${files.length} nota${files.length !== 1 ? 's' : ''} disponíve${files.length !== 1 ? 'is' : 'l'} offline</span>
+            ${this.lastErrors > 0 && !this.progress ? `<span class="offline-errors">⚠️ ${this.lastErrors} falha(s) no último download</span>` : ''}
+            ${action}
+        `;
+    }
+}
+
+OfflineManager.STORAGE_KEY = OFFLINE_STORAGE_KEY;
+OfflineManager.CACHES = OFFLINE_CACHES;
+
+if (typeof window !== 'undefined') {
+    window.OfflineManager = OfflineManager;
+}
+
+/**
+ * Exportação para módulos (se suportado)
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { OfflineManager };
+}
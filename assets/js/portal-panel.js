@@ -0,0 +1,146 @@
+/**
+ * Portal de Notas HTML - Painel do Portal
+ *
+ * Base comum dos painéis que abrem acima da lista de notas (revisão, caderno
+ * de erros, simulado, estatísticas, plano de estudo, Anki, backup, editor de
+ * cadernos e página de tópico): mostrar e esconder a <section>, cabeçalho com
+ * título e botão de fechar e delegação dos cliques em `data-<nome>-action`.
+ * Cada painel fica só com o próprio conteúdo.
+ *
+ * @author Portal de Notas HTML
+ * @version 1.0.0
+ * @requires ES6+
+ */
+
+'use strict';
+
+/**
+ * Controlador genérico de um painel
+ */
+class PortalPanel {
+    /**
+     * @param {Object} options
+     * @param {string} options.id id da <section> do painel
+     * @param {string} [options.button] id do botão que abre o painel
+     * @param {string} options.name Nome das ações: `data-<name>-action="close"`
+     * @param {string} options.title Título com ícone (ex: "📝 Simulado")
+     * @param {string} options.titleId id do título (aria-labelledby da seção)
+     * @param {string} options.closeLabel Rótulo acessível do botão de fechar
+     * @param {Function} [options.onOpen] Chamada pelo botão que abre o painel
+     * @param {Object} [options.actions] Ação → função(target, event)
+     */
+    constructor(options) {
+        this.options = { actions: {}, ...options };
+        this.element = document.getElementById(options.id);
+        this.button = options.button ? document.getElementById(options.button) : null;
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Configura o botão de abrir e a delegação das ações do painel
+     */
+    setupEventListeners() {
+        const { name, actions, onOpen } = this.options;
+
+        if (this.button && onOpen) {
+            this.button.addEventListener('click', () => onOpen());
+        }
+
+        if (!this.element) return;
+
+        this.element.addEventListener('click', (e) => {
+            const target = e.target.closest(`[data-${name}-action]`);
+            if (!target) return;
+
+            const handler = actions[target.dataset[`${name}Action`]];
+            if (handler) handler(target, e);
+        });
+    }
+
+    /**
+     * @returns {boolean} true se o painel está aberto
+     */
+    isOpen() {
+        return Boolean(this.element && !this.element.hidden);
+    }
+
+    /**
+     * Exibe o painel e rola até ele
+     *
+     * @param {string} [html] Conteúdo (mantém o atual se omitido)
+     */
+    show(html) {
+        if (!this.element) return;
+
+        this.element.hidden = false;
+        if (html !== undefined) this.element.innerHTML = html;
+        this.element.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    /**
+     * Esconde o painel e descarta o conteúdo
+     */
+    hide() {
+        if (!this.element) return;
+
+        this.element.hidden = true;
+        this.element.innerHTML = '';
+    }
+
+    /**
+     * Cabeçalho: título, subtítulo e botão de fechar
+     *
+     * @param {string} [subtitle] Texto à direita do título (HTML)
+     * @param {string} [title] Título (padrão: o das opções)
+     * @returns {string} HTML do cabeçalho
+     */
+    renderHeader(subtitle = '', title = this.options.title) {
+        const { name, titleId, closeLabel } = this.options;
+
+        return `
+            <div class="portal-panel-header">
+                <h2 id="${titleId}" class="portal-panel-title">${title}</h2>
+                <span class="portal-panel-subtitle">${subtitle}</span>
+                <button class="portal-panel-close" type="button" data-${name}-action="close" aria-label="${closeLabel}">✕</button>
+            </div>
+        `;
+    }
+
+    /**
+     * @param {string} message Texto exibido durante o carregamento
+     * @returns {string} HTML do indicador de carregamento
+     */
+    renderLoading(message) {
+        return `
+            <div class="loading" role="status">
+                <div class="loading-spinner"></div>
+                <p>${message}</p>
+            </div>
+        `;
+    }
+
+    /**
+     * @param {string} message Descrição do erro
+     * @returns {string} HTML do erro, com botão de fechar
+     */
+    renderError(message) {
+        return `
+            <div class="error" role="alert">
+                ⚠️ ${message}
+                <button class="btn btn-primary" data-${this.options.name}-action="close" type="button">Fechar</button>
+            </div>
+        `;
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.PortalPanel = PortalPanel;
+}
+
+/**
+ * Exportação para módulos (se suportado)
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PortalPanel };
+}
@@ -0,0 +1,150 @@
+/**
+ * Portal de Notas HTML - Rotas na URL
+ *
+ * Guarda o estado da listagem no fragmento da URL para permitir links diretos
+ * e o botão "voltar" do navegador, sem depender de reescrita no servidor
+ * (GitHub Pages serve apenas arquivos estáticos):
+ *
+ *   #/                        todos os cadernos
+ *   #/DP                      caderno Direito Penal
+ *   #/DP?q=nexo&sort=date     caderno + busca + ordenação
+ *   #/DP?note=<arquivo>.html  nota aberta no leitor do portal
+ *   #/DP?tag=dolo&tag=culpa   notas com os tópicos (tag=...&mode=or: qualquer um)
+ *   #/?topic=concausas        página de um tópico (questões de todas as notas)
+ *
+ * Trocar de caderno ou de ordenação cria uma entrada no histórico; digitar
+ * na busca apenas substitui a entrada atual.
+ *
+ * @author Portal de Notas HTML
+ * @version 1.0.0
+ * @requires ES6+, History API
+ */
+
+'use strict';
+
+/**
+ * Valores padrão (omitidos da URL)
+ */
+const ROUTE_DEFAULTS = {
+    category: 'todos',
+    query: '',
+    sort: null, // sem ordenação na URL: vale a preferência do caderno
+    note: null, // nenhuma nota aberta no leitor
+    tags: [], // tópicos selecionados no filtro (chaves do TopicIndex)
+    mode: 'and', // combinação dos tópicos: 'and' ou 'or'
+    topic: null // página de tópico aberta
+};
+
+/**
+ * Sincroniza o estado do portal com o fragmento da URL
+ */
+class PortalRouter {
+    /**
+     * @param {Object} options
+     * @param {Function} options.onChange Recebe a rota quando o usuário navega
+     *   pelo histórico ou edita a URL ({ category, query, sort, note, tags, mode, topic })
+     */
+    constructor(options) {
+        this.onChange = options.onChange;
+
+        window.addEventListener('hashchange', () => {
+            console.log(`🧭 [ROUTER] Navegação: ${window.location.hash || '#/'}`);
+            this.onChange(this.read());
+        });
+    }
+
+    /**
+     * Interpreta um fragmento de URL
+     *
+     * @param {string} hash Fragmento (ex: "#/DP?q=nexo&sort=date")
+     * @returns {Object} Rota { category, query, sort, note, tags, mode, topic }
+     *   (a rota padrão se o fragmento estiver malformado, ex: "#/%E0")
+     */
+    static parse(hash) {
+        const route = { ...ROUTE_DEFAULTS };
+        const match = String(hash || '').match(/^#?\/([^?]*)(?:\?(.*))?$/);
+        if (!match) return route;
+
+        let category;
+        try {
+            category = decodeURIComponent(match[1]).replace(/\/+$/, '').trim();
+        } catch (error) {
+            console.warn(`⚠️ [ROUTER] Fragmento malformado, usando a rota padrão: ${hash}`);
+            return route;
+        }
+        if (category) {
+            route.category = category.toLowerCase() === 'todos' ? 'todos' : category.toUpperCase();
+        }
+
+        const params = new URLSearchParams(match[2] || '');
+        route.query = (params.get('q') || '').trim();
+        route.sort = params.get('sort') || ROUTE_DEFAULTS.sort;
+        route.note = params.get('note') || ROUTE_DEFAULTS.note;
+        route.tags = [...new Set(params.getAll('tag').map(tag => tag.trim()).filter(Boolean))];
+        route.mode = params.get('mode') === 'or' ? 'or' : ROUTE_DEFAULTS.mode;
+        route.topic = params.get('topic') || ROUTE_DEFAULTS.topic;
+        return route;
+    }
+
+    /**
+     * Monta o fragmento de uma rota, omitindo os valores padrão
+     *
+     * @param {Object} route Rota { category, query, sort, note, tags, mode, topic }
+     * @returns {string} Fragmento (ex: "#/DP?q=nexo")
+     */
+    static format(route) {
+        const category = route.category && route.category !== ROUTE_DEFAULTS.category
+            ? encodeURIComponent(route.category)
+            : '';
+        const params = new URLSearchParams();
+
+        if (route.query) params.set('q', route.query);
+        if (route.sort) params.set('sort', route.sort);
+        if (route.note) params.set('note', route.note);
+        (route.tags || []).forEach(tag => params.append('tag', tag));
+        if (route.tags && route.tags.length > 0 && route.mode === 'or') params.set('mode', 'or');
+        if (route.topic) params.set('topic', route.topic);
+
+        const query = params.toString();
+        return `#/${category}${query ? `?${query}` : ''}`;
+    }
+
+    /**
+     * @returns {Object} Rota da URL atual
+     */
+    read() {
+        return PortalRouter.parse(window.location.hash);
+    }
+
+    /**
+     * Atualiza a URL sem disparar onChange
+     *
+     * @param {Object} route Rota { category, query, sort, note, tags, mode, topic }
+     * @param {Object} [options]
+     * @param {boolean} [options.replace=false] Substitui a entrada atual do histórico
+     */
+    navigate(route, options = {}) {
+        const hash = PortalRouter.format(route);
+        const current = window.location.hash || '#/';
+        if (hash === current) return;
+
+        if (options.replace) {
+            history.replaceState(history.state, '', hash);
+        } else {
+            history.pushState(null, '', hash);
+        }
+    }
+}
+
+PortalRouter.DEFAULTS = ROUTE_DEFAULTS;
+
+if (typeof window !== 'undefined') {
+    window.PortalRouter = PortalRouter;
+}
+
+/**
+ * Exportação para módulos (se suportado)
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PortalRouter };
+}
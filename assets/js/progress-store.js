@@ -0,0 +1,528 @@
+/**
+ * Portal de Notas HTML - Progresso dos Quizzes
+ *
+ * Armazenamento compartilhado (localStorage) entre as notas e o portal.
+ * Cada nota registra suas respostas aqui; o portal lê o mesmo registro para
+ * mostrar o andamento nos cards.
+ *
+ * Esquema (chave `notes-portal-progress`, versão 1):
+ * {
+ *   version: 1,
+ *   notes: {
+ *     "<nome-do-arquivo>.html": {
+ *       total,          // número de questões da nota
+ *       answers,        // { "<índice>": { selected, correct, answeredAt } } da tentativa atual
+ *       attempts,       // tentativas iniciadas
+ *       startedAt,      // início da tentativa atual (ISO)
+ *       updatedAt,      // última resposta (ISO)
+ *       completedAt,    // conclusão da tentativa atual (ISO) ou null
+ *       lastResult      // { correct, total, percent, at } da última tentativa concluída
+ *     }
+ *   }
+ * }
+ *
+ * Cada resposta também entra no registro de atividade (chave
+ * `notes-portal-activity`, versão 1), que alimenta as estatísticas de estudo
+ * e não é apagado quando a nota recomeça:
+ * {
+ *   version: 1,
+ *   answers: {
+ *     "<answeredAt>|<arquivo>#<índice>": { note, question, correct, at, seconds }
+ *   }
+ * }
+ * `seconds` é o tempo desde a resposta anterior (ou desde a abertura da nota),
+ * limitado a ACTIVITY_MAX_SECONDS para não contar a aba esquecida aberta.
+ *
+ * Respostas erradas entram no caderno de erros (chave `notes-portal-errors`,
+ * versão 1); a questão sai dele após `settings.streak` acertos seguidos:
+ * {
+ *   version: 1,
+ *   settings: { streak: 3 },
+ *   entries: {
+ *     "<arquivo>#<índice>": { note, question, selected, wrongCount, streak, firstWrongAt, lastWrongAt, updatedAt }
+ *   }
+ * }
+ * `selected` é a última alternativa errada escolhida e `streak` os acertos
+ * seguidos desde o último erro.
+ *
+ * @author Portal de Notas HTML
+ * @version 1.0.0
+ * @requires ES6+, LocalStorage
+ */
+
+'use strict';
+
+const PROGRESS_STORAGE_KEY = 'notes-portal-progress';
+const PROGRESS_SCHEMA_VERSION = 1;
+const ACTIVITY_STORAGE_KEY = 'notes-portal-activity';
+const ACTIVITY_SCHEMA_VERSION = 1;
+const ACTIVITY_MAX_ENTRIES = 3000; // As mais antigas saem primeiro
+const ACTIVITY_MAX_SECONDS = 600; // Tempo máximo contado por resposta
+const ERRORS_STORAGE_KEY = 'notes-portal-errors';
+const ERRORS_SCHEMA_VERSION = 1;
+const ERRORS_DEFAULT_STREAK = 3; // Acertos seguidos para a questão sair do caderno de erros
+const ERRORS_MAX_STREAK = 10;
+
+/**
+ * Estados possíveis de uma nota
+ */
+const PROGRESS_STATUS = {
+    NOT_STARTED: 'not-started',
+    IN_PROGRESS: 'in-progress',
+    DONE: 'done'
+};
+
+/**
+ * Acesso ao progresso dos quizzes
+ */
+class ProgressStore {
+    /**
+     * Lê o registro completo, migrando versões antigas se necessário
+     *
+     * @returns {Object} Registro { version, notes }
+     */
+    static load() {
+        try {
+            const raw = localStorage.getItem(PROGRESS_STORAGE_KEY);
+            if (!raw) return ProgressStore.createEmpty();
+
+            return ProgressStore.migrate(JSON.parse(raw));
+        } catch (error) {
+            console.warn('⚠️ [PROGRESS] Registro de progresso ilegível, recomeçando:', error);
+            return ProgressStore.createEmpty();
+        }
+    }
+
+    /**
+     * Grava o registro completo
+     *
+     * @param {Object} data Registro { version, notes }
+     */
+    static save(data) {
+        try {
+            localStorage.setItem(PROGRESS_STORAGE_KEY, JSON.stringify(data));
+        } catch (error) {
+            console.warn('⚠️ [PROGRESS] Não foi possível salvar o progresso:', error);
+        }
+    }
+
+    /**
+     * @returns {Object} Registro vazio na versão atual
+     */
+    static createEmpty() {
+        return { version: PROGRESS_SCHEMA_VERSION, notes: {} };
+    }
+
+    /**
+     * Converte registros de versões anteriores para a versão atual
+     *
+     * @param {Object} data Registro lido do localStorage
+     * @returns {Object} Registro na versão atual
+     */
+    static migrate(data) {
+        if (!data || typeof data !== 'object' || typeof data.notes !== 'object') {
+            return ProgressStore.createEmpty();
+        }
+
+        if (data.version > PROGRESS_SCHEMA_VERSION) {
+            console.warn(`⚠️ [PROGRESS] Registro na versão ${data.version}, mais nova que a suportada`);
+        }
+
+        return data;
+    }
+
+    /**
+     * Nome do arquivo da nota aberta (a partir da URL)
+     *
+     * @returns {string} Nome do arquivo, decodificado
+     */
+    static currentFileName() {
+        const lastSegment = window.location.pathname.split('/').pop() || '';
+        try {
+            return decodeURIComponent(lastSegment);
+        } catch (error) {
+            return lastSegment;
+        }
+    }
+
+    /**
+     * Retorna o progresso de uma nota
+     *
+     * @param {string} fileName Nome do arquivo da nota
+     * @returns {Object|null} Entrada da nota ou null se nunca respondida
+     */
+    static get(fileName) {
+        return ProgressStore.load().notes[fileName] || null;
+    }
+
+    /**
+     * Registra a resposta de uma questão na tentativa atual
+     * Reabrir a nota continua a tentativa em andamento; uma nova só começa
+     * depois de uma tentativa concluída ou de ProgressStore.restartAttempt()
+     *
+     * @param {Object} answer
+     * @param {number} answer.question Índice da questão (base 0)
+     * @param {number} answer.selected Índice da alternativa escolhida
+     * @param {boolean} answer.correct Se a resposta está correta
+     * @param {number} answer.total Número de questões da nota
+     * @param {string} [fileName] Nome do arquivo (padrão: nota aberta)
+     * @returns {Object} Entrada atualizada
+     */
+    static recordAnswer(answer, fileName = ProgressStore.currentFileName()) {
+        const data = ProgressStore.load();
+        const now = new Date().toISOString();
+        let entry = data.notes[fileName];
+
+        const resume = entry && !entry.completedAt && !ProgressStore.restarts.has(fileName);
+        if (!entry || (!ProgressStore.sessionAttempts.has(fileName) && !resume)) {
+            entry = ProgressStore.startAttempt(entry, answer.total, now);
+        }
+        ProgressStore.sessionAttempts.add(fileName);
+        ProgressStore.restarts.delete(fileName);
+
+        entry.total = answer.total;
+        entry.answers[Number(answer.question)] = {
+            selected: Number(answer.selected),
+            correct: Boolean(answer.correct),
+            answeredAt: now
+        };
+        entry.updatedAt = now;
+
+        const answered = Object.values(entry.answers);
+        if (answered.length >= entry.total && !entry.completedAt) {
+            ProgressStore.complete(entry, answered.filter(a => a.correct).length, entry.total, now);
+        }
+
+        data.notes[fileName] = entry;
+        ProgressStore.save(data);
+        ProgressStore.logAnswer(fileName, Number(answer.question), Boolean(answer.correct), now);
+        ProgressStore.trackError(fileName, Number(answer.question), Number(answer.selected), Boolean(answer.correct), now);
+        return entry;
+    }
+
+    /**
+     * Pede uma nova tentativa: a próxima resposta da nota recomeça do zero
+     * (botão "Refazer" do quiz; a tentativa em andamento não é continuada)
+     *
+     * @param {string} [fileName] Nome do arquivo (padrão: nota aberta)
+     */
+    static restartAttempt(fileName = ProgressStore.currentFileName()) {
+        ProgressStore.sessionAttempts.delete(fileName);
+        ProgressStore.restarts.add(fileName);
+    }
+
+    /**
+     * Lê o registro de atividade
+     * Sem registro ainda, parte das respostas guardadas no progresso (sem tempo)
+     *
+     * @returns {Object} Registro { version, answers }
+     */
+    static loadActivity() {
+        try {
+            const data = JSON.parse(localStorage.getItem(ACTIVITY_STORAGE_KEY));
+            if (data && typeof data.answers === 'object' && data.answers !== null) {
+                return data;
+            }
+        } catch (error) {
+            console.warn('⚠️ [PROGRESS] Registro de atividade ilegível, recomeçando:', error);
+        }
+
+        const answers = {};
+        Object.entries(ProgressStore.load().notes).forEach(([note, entry]) => {
+            Object.entries(entry.answers || {}).forEach(([question, answer]) => {
+                if (!answer.answeredAt) return;
+                answers[`${answer.answeredAt}|${note}#${question}`] = {
+                    note,
+                    question: Number(question),
+                    correct: Boolean(answer.correct),
+                    at: answer.answeredAt,
+                    seconds: null
+                };
+            });
+        });
+        return { version: ACTIVITY_SCHEMA_VERSION, answers };
+    }
+
+    /**
+     * Acrescenta uma resposta ao registro de atividade
+     *
+     * @param {string} fileName Nome do arquivo da nota
+     * @param {number} question Índice da questão
+     * @param {boolean} correct Se a resposta está correta
+     * @param {string} at Data ISO da resposta
+     */
+    static logAnswer(fileName, question, correct, at) {
+        const now = Date.parse(at);
+        const since = ProgressStore.lastActivity.get(fileName) || ProgressStore.openedAt;
+        ProgressStore.lastActivity.set(fileName, now);
+
+        const data = ProgressStore.loadActivity();
+        data.answers[`${at}|${fileName}#${question}`] = {
+            note: fileName,
+            question,
+            correct,
+            at,
+            seconds: Math.max(0, Math.min(ACTIVITY_MAX_SECONDS, Math.round((now - since) / 1000)))
+        };
+
+        const keys = Object.keys(data.answers);
+        if (keys.length > ACTIVITY_MAX_ENTRIES) {
+            keys.sort().slice(0, keys.length - ACTIVITY_MAX_ENTRIES).forEach(key => delete data.answers[key]);
+        }
+
+        try {
+            localStorage.setItem(ACTIVITY_STORAGE_KEY, JSON.stringify(data));
+        } catch (error) {
+            console.warn('⚠️ [PROGRESS] Não foi possível salvar a atividade:', error);
+        }
+    }
+
+    /**
+     * Lê o caderno de erros
+     * Sem caderno ainda, parte das respostas erradas guardadas no progresso
+     *
+     * @returns {Object} Caderno { version, settings, entries }
+     */
+    static loadErrors() {
+        try {
+            const data = JSON.parse(localStorage.getItem(ERRORS_STORAGE_KEY));
+            if (data && typeof data.entries === 'object' && data.entries !== null) {
+                data.settings = { streak: ERRORS_DEFAULT_STREAK, ...(data.settings || {}) };
+                return data;
+            }
+        } catch (error) {
+            console.warn('⚠️ [PROGRESS] Caderno de erros ilegível, recomeçando:', error);
+        }
+
+        const entries = {};
+        Object.entries(ProgressStore.load().notes).forEach(([note, entry]) => {
+            Object.entries(entry.answers || {}).forEach(([question, answer]) => {
+                if (answer.correct) return;
+                const at = answer.answeredAt || entry.updatedAt || null;
+                entries[`${note}#${question}`] = {
+                    note,
+                    question: Number(question),
+                    selected: Number(answer.selected),
+                    wrongCount: 1,
+                    streak: 0,
+                    firstWrongAt: at,
+                    lastWrongAt: at,
+                    updatedAt: at
+                };
+            });
+        });
+        return { version: ERRORS_SCHEMA_VERSION, settings: { streak: ERRORS_DEFAULT_STREAK }, entries };
+    }
+
+    /**
+     * Grava o caderno de erros
+     *
+     * @param {Object} data Caderno { version, settings, entries }
+     */
+    static saveErrors(data) {
+        try {
+            localStorage.setItem(ERRORS_STORAGE_KEY, JSON.stringify(data));
+        } catch (error) {
+            console.warn('⚠️ [PROGRESS] Não foi possível salvar o caderno de erros:', error);
+        }
+    }
+
+    /**
+     * Atualiza o caderno de erros com uma resposta
+     * Erro: a questão entra (ou volta a zerar a sequência). Acerto: soma um
+     * à sequência e a questão sai ao atingir `settings.streak`.
+     *
+     * @param {string} fileName Nome do arquivo da nota
+     * @param {number} question Índice da questão
+     * @param {number} selected Alternativa escolhida
+     * @param {boolean} correct Se a resposta está correta
+     * @param {string} [at] Data ISO da resposta
+     * @returns {Object|null} { status: 'added'|'wrong'|'streak'|'cleared', entry } ou null se a questão não está no caderno
+     */
+    static trackError(fileName, question, selected, correct, at = new Date().toISOString()) {
+        const data = ProgressStore.loadErrors();
+        const id = `${fileName}#${question}`;
+        const entry = data.entries[id];
+        let status;
+
+        if (!correct) {
+            status = entry ? 'wrong' : 'added';
+            data.entries[id] = {
+                note: fileName,
+                question,
+                selected,
+                wrongCount: ((entry && entry.wrongCount) || 0) + 1,
+                streak: 0,
+                firstWrongAt: (entry && entry.firstWrongAt) || at,
+                lastWrongAt: at,
+                updatedAt: at
+            };
+        } else if (entry) {
+            entry.streak = (entry.streak || 0) + 1;
+            entry.updatedAt = at;
+            status = entry.streak >= data.settings.streak ? 'cleared' : 'streak';
+            if (status === 'cleared') delete data.entries[id];
+        } else {
+            return null;
+        }
+
+        ProgressStore.saveErrors(data);
+        return { status, entry: data.entries[id] || entry };
+    }
+
+    /**
+     * Tira uma questão do caderno de erros
+     *
+     * @param {string} id Identificador `<arquivo>#<índice>`
+     */
+    static removeError(id) {
+        const data = ProgressStore.loadErrors();
+        delete data.entries[id];
+        ProgressStore.saveErrors(data);
+    }
+
+    /**
+     * Define quantos acertos seguidos tiram a questão do caderno
+     * Questões que já atingem a nova meta saem na hora
+     *
+     * @param {number} streak Acertos seguidos (1 a ERRORS_MAX_STREAK)
+     * @returns {number} Valor aplicado
+     */
+    static setErrorStreak(streak) {
+        const value = Math.min(ERRORS_MAX_STREAK, Math.max(1, parseInt(streak, 10) || ERRORS_DEFAULT_STREAK));
+        const data = ProgressStore.loadErrors();
+        data.settings.streak = value;
+        Object.entries(data.entries).forEach(([id, entry]) => {
+            if ((entry.streak || 0) >= value) delete data.entries[id];
+        });
+        ProgressStore.saveErrors(data);
+        return value;
+    }
+
+    /**
+     * Registra o resultado final exibido pelo relatório da nota
+     * Idempotente: chamar de novo na mesma tentativa apenas atualiza o placar
+     *
+     * @param {Object} result
+     * @param {number} result.correct Acertos
+     * @param {number} result.total Total de questões
+     * @param {string} [fileName] Nome do arquivo (padrão: nota aberta)
+     * @returns {Object|null} Entrada atualizada ou null se não houver tentativa
+     */
+    static recordResult(result, fileName = ProgressStore.currentFileName()) {
+        const data = ProgressStore.load();
+        const entry = data.notes[fileName];
+        if (!entry) return null;
+
+        ProgressStore.complete(entry, result.correct, result.total, entry.completedAt || new Date().toISOString());
+
+        data.notes[fileName] = entry;
+        ProgressStore.save(data);
+        return entry;
+    }
+
+    /**
+     * Cria (ou reinicia) a entrada para uma nova tentativa
+     *
+     * @param {Object|null} previous Entrada anterior
+     * @param {number} total Número de questões
+     * @param {string} now Data ISO
+     * @returns {Object} Entrada pronta para receber respostas
+     */
+    static startAttempt(previous, total, now) {
+        return {
+            total,
+            answers: {},
+            attempts: ((previous && previous.attempts) || 0) + 1,
+            startedAt: now,
+            updatedAt: now,
+            completedAt: null,
+            lastResult: (previous && previous.lastResult) || null
+        };
+    }
+
+    /**
+     * Marca a tentativa como concluída e guarda o placar
+     *
+     * @param {Object} entry Entrada da nota
+     * @param {number} correct Acertos
+     * @param {number} total Total de questões
+     * @param {string} at Data ISO da conclusão
+     */
+    static complete(entry, correct, total, at) {
+        entry.completedAt = at;
+        entry.lastResult = {
+            correct,
+            total,
+            percent: total > 0 ? Math.round((correct / total) * 100) : 0,
+            at
+        };
+    }
+
+    /**
+     * Calcula o estado de uma nota
+     *
+     * @param {Object|null} entry Entrada da nota
+     * @returns {string} Um dos valores de PROGRESS_STATUS
+     */
+    static getStatus(entry) {
+        if (!entry) return PROGRESS_STATUS.NOT_STARTED;
+
+        const answered = Object.keys(entry.answers || {}).length;
+        if (entry.completedAt || (entry.total > 0 && answered >= entry.total)) {
+            return PROGRESS_STATUS.DONE;
+        }
+        return answered > 0 ? PROGRESS_STATUS.IN_PROGRESS : PROGRESS_STATUS.NOT_STARTED;
+    }
+
+    /**
+     * Resumo pronto para exibição
+     *
+     * @param {Object|null} entry Entrada da nota
+     * @returns {Object} { status, answered, total, percent, lastResult, attempts }
+     */
+    static summarize(entry) {
+        const answered = entry ? Object.keys(entry.answers || {}).length : 0;
+        const total = entry ? entry.total || 0 : 0;
+
+        return {
+            status: ProgressStore.getStatus(entry),
+            answered,
+            total,
+            percent: total > 0 ? Math.round((answered / total) * 100) : 0,
+            lastResult: entry ? entry.lastResult : null,
+            attempts: entry ? entry.attempts || 0 : 0
+        };
+    }
+}
+
+/**
+ * Notas que já responderam nesta página e notas com "Refazer" pedido
+ */
+ProgressStore.sessionAttempts = new Set();
+ProgressStore.restarts = new Set();
+/**
+ * Momento em que a página foi aberta e última resposta de cada nota (tempo de estudo)
+ */
+ProgressStore.openedAt = Date.now();
+ProgressStore.lastActivity = new Map();
+ProgressStore.STORAGE_KEY = PROGRESS_STORAGE_KEY;
+ProgressStore.VERSION = PROGRESS_SCHEMA_VERSION;
+ProgressStore.ACTIVITY_KEY = ACTIVITY_STORAGE_KEY;
+ProgressStore.ACTIVITY_VERSION = ACTIVITY_SCHEMA_VERSION;
+ProgressStore.ERRORS_KEY = ERRORS_STORAGE_KEY;
+ProgressStore.ERRORS_VERSION = ERRORS_SCHEMA_VERSION;
+ProgressStore.ERRORS_STREAK = ERRORS_DEFAULT_STREAK;
+ProgressStore.ERRORS_MAX_STREAK = ERRORS_MAX_STREAK;
+ProgressStore.STATUS = PROGRESS_STATUS;
+
+if (typeof window !== 'undefined') {
+    window.ProgressStore = ProgressStore;
+}
+
+/**
+ * Exportação para módulos (se suportado)
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ProgressStore };
+}
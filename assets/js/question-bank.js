@@ -0,0 +1,411 @@
+/**
+ * Portal de Notas HTML - Leitor de Bancos de Questões
+ *
+ * Extrai o banco de questões embutido em cada nota HTML sem executar a página.
+ * Entende os dois formatos usados nas notas:
+ * - `const questions = [...]` (cadernos DC/DP) com `explanation` e `topic`
+ * - `const quizData = [...]` (cadernos RLM) com `justification`
+ *
+ * O array é lido por um parser de literais JavaScript restrito (strings,
+ * concatenação com +, números, booleanos, objetos e arrays). Nada é avaliado.
+ *
+ * Funciona no navegador (window.QuestionBank) e no Node.js (require).
+ *
+ * @author Portal de Notas HTML
+ * @version 1.0.0
+ * @requires ES6+
+ */
+
+'use strict';
+
+/**
+ * Erro de leitura do banco de questões
+ * Carrega a posição no código-fonte para facilitar o diagnóstico
+ */
+class QuestionBankError extends Error {
+    /**
+     * @param {string} message Descrição do problema
+     * @param {number} position Posição (índice) no código-fonte
+     */
+    constructor(message, position) {
+        super(position === undefined ? message : `${message} (posição ${position})`);
+        this.name = 'QuestionBankError';
+        this.position = position;
+    }
+}
+
+/**
+ * Parser de literais JavaScript restrito
+ * Lê apenas o subconjunto usado nos bancos de questões das notas
+ */
+class LiteralParser {
+    /**
+     * @param {string} source Código-fonte completo
+     * @param {number} start Índice onde o literal começa
+     */
+    constructor(source, start) {
+        this.source = source;
+        this.pos = start;
+    }
+
+    /**
+     * Lê um valor completo (incluindo concatenações com +)
+     *
+     * @returns {*} Valor lido
+     */
+    parseExpression() {
+        let value = this.parseValue();
+
+        this.skipWhitespace();
+        while (this.source[this.pos] === '+') {
+            this.pos++;
+            const next = this.parseValue();
+            value = String(value) + String(next);
+            this.skipWhitespace();
+        }
+
+        return value;
+    }
+
+    /**
+     * Lê um valor simples
+     *
+     * @returns {*} Valor lido
+     */
+    parseValue() {
+        this.skipWhitespace();
+        const char = this.source[this.pos];
+
+        if (char === '[') return this.parseArray();
+        if (char === '{') return this.parseObject();
+        if (char === '"' || char === "'") return this.parseString(char);
+        if (char === '`') return this.parseTemplate();
+        if (char === '-' || /\d/.test(char || '')) return this.parseNumber();
+
+        const word = this.readIdentifier();
+        if (word === 'true') return true;
+        if (word === 'false') return false;
+        if (word === 'null') return null;
+        if (word === 'undefined') return undefined;
+
+        throw new QuestionBankError(`Valor não suportado: "${word || char}"`, this.pos);
+    }
+
+    /**
+     * Lê um array literal
+     *
+     * @returns {Array} Array lido
+     */
+    parseArray() {
+        const result = [];
+        this.pos++; // [
+
+        for (;;) {
+            this.skipWhitespace();
+            if (this.source[this.pos] === ']') {
+                this.pos++;
+                return result;
+            }
+
+            result.push(this.parseExpression());
+
+            this.skipWhitespace();
+            if (this.source[this.pos] === ',') {
+                this.pos++;
+            } else if (this.source[this.pos] !== ']') {
+                throw new QuestionBankError('Esperado "," ou "]"', this.pos);
+            }
+        }
+    }
+
+    /**
+     * Lê um objeto literal
+     *
+     * @returns {Object} Objeto lido
+     */
+    parseObject() {
+        const result = {};
+        this.pos++; // {
+
+        for (;;) {
+            this.skipWhitespace();
+            if (this.source[this.pos] === '}') {
+                this.pos++;
+                return result;
+            }
+
+            const char = this.source[this.pos];
+            const key = (char === '"' || char === "'") ? this.parseString(char) : this.readIdentifier();
+            if (!key) {
+                throw new QuestionBankError('Chave de objeto inválida', this.pos);
+            }
+
+            this.skipWhitespace();
+            if (this.source[this.pos] !== ':') {
+                throw new QuestionBankError(`Esperado ":" após "${key}"`, this.pos);
+            }
+            this.pos++;
+
+            result[key] = this.parseExpression();
+
+            this.skipWhitespace();
+            if (this.source[this.pos] === ',') {
+                this.pos++;
+            } else if (this.source[this.pos] !== '}') {
+                throw new QuestionBankError('Esperado "," ou "}"', this.pos);
+            }
+        }
+    }
+
+    /**
+     * Lê uma string com aspas simples ou duplas
+     *
+     * @param {string} quote Caractere de abertura
+     * @returns {string} Conteúdo da string
+     */
+    parseString(quote) {
+        let result = '';
+        this.pos++; // aspas de abertura
+
+        while (this.pos < this.source.length) {
+            const char = this.source[this.pos];
+            if (char === quote) {
+                this.pos++;
+                return result;
+            }
+            if (char === '\\') {
+                result += this.readEscape();
+                continue;
+            }
+            if (char === '\n') {
+                throw new QuestionBankError('Quebra de linha dentro de string', this.pos);
+            }
+            result += char;
+            this.pos++;
+        }
+
+        throw new QuestionBankError('String não terminada', this.pos);
+    }
+
+    /**
+     * Lê um template literal sem interpolação
+     *
+     * @returns {string} Conteúdo do template
+     */
+    parseTemplate() {
+        let result = '';
+        this.pos++; // `
+
+        while (this.pos < this.source.length) {
+            const char = this.source[this.pos];
+            if (char === '`') {
+                this.pos++;
+                return result;
+            }
+            if (char === '$' && this.source[this.pos + 1] === '{') {
+                throw new QuestionBankError('Interpolação ${...} não suportada', this.pos);
+            }
+            if (char === '\\') {
+                result += this.readEscape();
+                continue;
+            }
+            result += char;
+            this.pos++;
+        }
+
+        throw new QuestionBankError('Template literal não terminado', this.pos);
+    }
+
+    /**
+     * Lê uma sequência de escape dentro de strings
+     *
+     * @returns {string} Caractere resultante
+     */
+    readEscape() {
+        const next = this.source[this.pos + 1];
+        this.pos += 2;
+
+        switch (next) {
+            case 'n': return '\n';
+            case 't': return '\t';
+            case 'r': return '\r';
+            case 'b': return '\b';
+            case 'f': return '\f';
+            case 'v': return '\v';
+            case '0': return '\0';
+            case '\n': return '';
+            case 'u': {
+                const hex = this.source.substr(this.pos, 4);
+                this.pos += 4;
+                return String.fromCharCode(parseInt(hex, 16));
+            }
+            case 'x': {
+                const hex = this.source.substr(this.pos, 2);
+                this.pos += 2;
+                return String.fromCharCode(parseInt(hex, 16));
+            }
+            default: return next;
+        }
+    }
+
+    /**
+     * Lê um número
+     *
+     * @returns {number} Número lido
+     */
+    parseNumber() {
+        const match = /^-?\d+(\.\d+)?/.exec(this.source.slice(this.pos, this.pos + 32));
+        if (!match) {
+            throw new QuestionBankError('Número inválido', this.pos);
+        }
+        this.pos += match[0].length;
+        return Number(match[0]);
+    }
+
+    /**
+     * Lê um identificador (chaves de objeto e palavras reservadas)
+     *
+     * @returns {string} Identificador lido (vazio se não houver)
+     */
+    readIdentifier() {
+        const match = /^[A-Za-z_$][\w$]*/.exec(this.source.slice(this.pos, this.pos + 64));
+        if (!match) return '';
+        this.pos += match[0].length;
+        return match[0];
+    }
+
+    /**
+     * Avança sobre espaços em branco e comentários
+     */
+    skipWhitespace() {
+        for (;;) {
+            const char = this.source[this.pos];
+            if (char === ' ' || char === '\n' || char === '\r' || char === '\t') {
+                this.pos++;
+            } else if (char === '/' && this.source[this.pos + 1] === '/') {
+                const end = this.source.indexOf('\n', this.pos);
+                this.pos = end === -1 ? this.source.length : end + 1;
+            } else if (char === '/' && this.source[this.pos + 1] === '*') {
+                const end = this.source.indexOf('*/', this.pos + 2);
+                if (end === -1) throw new QuestionBankError('Comentário não terminado', this.pos);
+                this.pos = end + 2;
+            } else {
+                return;
+            }
+        }
+    }
+}
+
+/**
+ * API pública do leitor de bancos de questões
+ */
+class QuestionBank {
+    /**
+     * Lê uma nota HTML e devolve título e questões normalizadas
+     *
+     * Cada questão tem o formato:
+     * { index, question, options, answer, explanation, topic }
+     *
+     * @param {string} html Código-fonte da nota
+     * @returns {Object} { title, heading, format, questions }
+     * @throws {QuestionBankError} Se o banco existir mas não puder ser lido
+     */
+    static parse(html) {
+        const source = String(html || '');
+        const located = QuestionBank.locate(source);
+
+        let questions = [];
+        if (located) {
+            const raw = new LiteralParser(source, located.start).parseArray();
+            questions = raw.map((item, index) => QuestionBank.normalizeQuestion(item, index));
+        }
+
+        return {
+            title: QuestionBank.extractTag(source, 'title'),
+            heading: QuestionBank.extractTag(source, 'h1'),
+            format: located ? located.format : null,
+            questions
+        };
+    }
+
+    /**
+     * Localiza a declaração do banco de questões no código-fonte
+     *
+     * @param {string} source Código-fonte da nota
+     * @returns {Object|null} { format, start } ou null se não houver banco
+     */
+    static locate(source) {
+        const match = /\b(?:const|let|var)\s+(questions|quizData)\s*=\s*\[/.exec(source);
+        if (!match) return null;
+
+        return {
+            format: match[1],
+            start: match.index + match[0].length - 1
+        };
+    }
+
+    /**
+     * Converte uma questão bruta (qualquer formato) para o formato comum
+     *
+     * @param {Object} item Questão como declarada na nota
+     * @param {number} index Posição no banco
+     * @returns {Object} Questão normalizada
+     */
+    static normalizeQuestion(item, index) {
+        const data = item || {};
+        return {
+            index,
+            question: typeof data.question === 'string' ? data.question : '',
+            options: Array.isArray(data.options) ? data.options.map(String) : [],
+            answer: typeof data.answer === 'number' ? data.answer : null,
+            explanation: data.explanation || data.justification || '',
+            topic: data.topic || null
+        };
+    }
+
+    /**
+     * Extrai o texto da primeira ocorrência de uma tag
+     *
+     * @param {string} source Código-fonte HTML
+     * @param {string} tagName Nome da tag
+     * @returns {string} Texto sem marcação (vazio se ausente)
+     */
+    static extractTag(source, tagName) {
+        const match = new RegExp(`<${tagName}\\b[^>]*>([\\s\\S]*?)</${tagName}>`, 'i').exec(source);
+        return match ? QuestionBank.stripHtml(match[1]) : '';
+    }
+
+    /**
+     * Remove marcação HTML e normaliza espaços
+     *
+     * @param {string} html Trecho HTML
+     * @returns {string} Texto puro
+     */
+    static stripHtml(html) {
+        return String(html || '')
+            .replace(/<(script|style)\b[\s\S]*?<\/\1>/gi, ' ')
+            .replace(/<br\s*\/?>|<\/(p|div|li|h\d|tr)>/gi, ' ')
+            .replace(/<[^>]+>/g, '')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;/g, "'")
+            .replace(/&amp;/g, '&')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+}
+
+QuestionBank.Error = QuestionBankError;
+
+if (typeof window !== 'undefined') {
+    window.QuestionBank = QuestionBank;
+}
+
+/**
+ * Exportação para módulos (se suportado)
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { QuestionBank, QuestionBankError };
+}
@@ -0,0 +1,157 @@
+/**
+ * Portal de Notas HTML - Biblioteca de Questões
+ *
+ * Carrega, sob demanda, o banco de questões de cada nota (via QuestionBank)
+ * e o mantém em memória. Base comum para os modos que trabalham com as
+ * questões fora das notas (revisão espaçada, simulados, exportações...).
+ *
+ * Cada questão recebe um identificador estável `<arquivo>#<índice>` e o
+ * contexto da nota de origem (nome, título, caderno).
+ *
+ * @author Portal de Notas HTML
+ * @version 1.0.0
+ * @requires ES6+, QuestionBank
+ */
+
+'use strict';
+
+/**
+ * Biblioteca de questões das notas do portal
+ */
+class QuestionLibrary {
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.categoryOf] Resolve o caderno a partir do nome do arquivo
+     */
+    constructor(options = {}) {
+        this.categoryOf = options.categoryOf || (() => 'GERAL');
+        this.cache = new Map(); // nome do arquivo → Promise<Object>
+    }
+
+    /**
+     * Monta o identificador estável de uma questão
+     *
+     * @param {string} fileName Nome do arquivo da nota
+     * @param {number} index Índice da questão (base 0)
+     * @returns {string} Identificador `<arquivo>#<índice>`
+     */
+    static questionId(fileName, index) {
+        return `${fileName}#${index}`;
+    }
+
+    /**
+     * Separa um identificador de questão em arquivo e índice
+     *
+     * @param {string} id Identificador `<arquivo>#<índice>`
+     * @returns {Object} { fileName, index }
+     */
+    static parseQuestionId(id) {
+        const separator = id.lastIndexOf('#');
+        return {
+            fileName: id.slice(0, separator),
+            index: parseInt(id.slice(separator + 1), 10)
+        };
+    }
+
+    /**
+     * Carrega o banco de questões de uma nota
+     *
+     * @param {Object} file Arquivo do portal ({ name, url })
+     * @returns {Promise<Object>} { name, url, title, category, questions }
+     */
+    loadNote(file) {
+        if (!this.cache.has(file.name)) {
+            const promise = this.fetchNote(file).catch(error => {
+                this.cache.delete(file.name); // Permite nova tentativa
+                throw error;
+            });
+            this.cache.set(file.name, promise);
+        }
+
+        return this.cache.get(file.name);
+    }
+
+    /**
+     * Carrega várias notas, ignorando as que falharem
+     *
+     * @param {Array} files Arquivos do portal
+     * @returns {Promise<Array>} Notas carregadas (na ordem recebida)
+     */
+    async loadNotes(files) {
+        const results = await Promise.allSettled(files.map(file => this.loadNote(file)));
+
+        return results
+            .map((result, index) => {
+                if (result.status === 'rejected') {
+                    console.warn(`⚠️ [QUESTIONS] Falha ao ler ${files[index].name}:`, result.reason && result.reason.message);
+                    return null;
+                }
+                return result.value;
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Carrega as questões de várias notas em uma lista única
+     *
+     * @param {Array} files Arquivos do portal
+     * @returns {Promise<Array>} Questões com contexto da nota
+     */
+    async loadQuestions(files) {
+        const notes = await this.loadNotes(files);
+        return notes.reduce((all, note) => all.concat(note.questions), []);
+    }
+
+    /**
+     * Baixa e interpreta uma nota
+     *
+     * @param {Object} file Arquivo do portal
+     * @returns {Promise<Object>} Nota interpretada
+     */
+    async fetchNote(file) {
+        const response = await fetch(file.url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        const bank = QuestionBank.parse(await response.text());
+        const category = this.categoryOf(file.name);
+        const title = bank.heading || bank.title || file.name.replace(/\.html?$/i, '');
+
+        return {
+            name: file.name,
+            url: file.url,
+            title,
+            category,
+            format: bank.format,
+            questions: bank.questions
+                .filter(q => q.question && q.options.length > 0)
+                .map(q => ({
+                    ...q,
+                    id: QuestionLibrary.questionId(file.name, q.index),
+                    fileName: file.name,
+                    url: file.url,
+                    noteTitle: title,
+                    category
+                }))
+        };
+    }
+
+    /**
+     * Descarta o cache (ex: após atualizar a lista de notas)
+     */
+    clear() {
+        this.cache.clear();
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.QuestionLibrary = QuestionLibrary;
+}
+
+/**
+ * Exportação para módulos (se suportado)
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { QuestionLibrary };
+}
@@ -0,0 +1,699 @@
+/**
+ * Portal de Notas HTML - Motor de Quiz
+ *
+ * Biblioteca compartilhada pelas notas: recebe o banco de questões
+ * declarativo e monta o quiz completo (navegação lateral, alternativas com
+ * eliminação por tesoura, feedback com a explicação, relatório com gráfico
+ * e plano de revisão). Com ela uma nota se resume aos dados e a uma chamada:
+ *
+ *   const questions = [{ question, options, answer, explanation, topic }, ...];
+ *   QuizEngine.init({ questions, layout: 'list', sidebarTitle: 'Direito Penal' });
+ *
+ * Layouts:
+ * - `list`: todas as questões em sequência, com navegação que acompanha a rolagem
+ *   (cards `#question-<índice>`, como nos cadernos DP)
+ * - `stepper`: uma questão por vez, com botões de avanço (como nos cadernos RLM)
+ *
+ * Aceita `explanation` ou `justification` (formato RLM) como explicação.
+ * As respostas são registradas no ProgressStore quando ele está carregado,
+ * e o gráfico do relatório usa o Chart.js quando a nota o inclui.
+ *
+ * Versão: segue semver. Mudanças que quebram notas existentes (opções
+ * removidas, marcação ou classes CSS renomeadas) só entram em versão maior.
+ * A versão fica em `QuizEngine.VERSION` e no atributo
+ * `data-quiz-engine-version` do container.
+ *
+ * @author Portal de Notas HTML
+ * @version 1.0.0
+ * @requires ES6+, assets/css/quiz-engine.css
+ */
+
+'use strict';
+
+const QUIZ_ENGINE_VERSION = '1.1.0';
+
+/**
+ * Layouts suportados
+ */
+const QUIZ_ENGINE_LAYOUTS = ['list', 'stepper'];
+
+/**
+ * Textos exibidos pelo motor (podem ser trocados por nota via `messages`)
+ */
+const QUIZ_ENGINE_MESSAGES = {
+    questions: 'Questões',
+    question: 'Questão',
+    of: 'de',
+    answered: 'respondidas',
+    eliminate: 'Eliminar alternativa',
+    restore: 'Restaurar alternativa',
+    correct: 'Resposta correta! Análise da questão:',
+    incorrect: 'Resposta incorreta. Análise da questão:',
+    previous: '← Anterior',
+    next: 'Próxima questão →',
+    finish: 'Ver relatório final',
+    report: 'Relatório de Desempenho',
+    score: 'Você acertou',
+    review: 'Pontos para revisão',
+    reviewIntro: 'Revise as explicações das questões que você errou:',
+    perfect: 'Parabéns! Você acertou todas as questões. Continue neste ritmo.',
+    yourAnswer: 'Sua resposta',
+    rightAnswer: 'Resposta correta',
+    restart: '🔄 Refazer o quiz',
+    chartTitle: 'Seu desempenho',
+    chartCorrect: 'Acertos',
+    chartIncorrect: 'Erros'
+};
+
+/**
+ * Opções padrão de QuizEngine.init()
+ */
+const QUIZ_ENGINE_DEFAULTS = {
+    questions: null,        // Banco de questões (obrigatório)
+    layout: 'list',         // 'list' ou 'stepper'
+    container: '#quiz-app', // Seletor ou elemento onde o quiz é montado (o conteúdo dele vira a introdução)
+    title: '',              // Título exibido acima das questões (alternativa a um <h1> no container)
+    subtitle: '',           // Texto de apoio abaixo do título (aceita HTML)
+    sidebarTitle: '',       // Título da barra lateral (padrão: "Questões")
+    sidebarText: '',        // Texto abaixo do título da barra lateral (aceita HTML)
+    footer: '',             // Rodapé da barra lateral (aceita HTML, ex: "&copy; 2024 - Preparação Elite")
+    autoReport: true,       // Layout lista: mostra o relatório ao responder a última questão
+    chart: true,            // Gráfico de rosca no relatório (se o Chart.js estiver carregado)
+    recordProgress: true,   // Registra as respostas no ProgressStore (se carregado)
+    scrollOffset: 150,      // Altura (px) usada para marcar a questão ativa na rolagem
+    messages: {}
+};
+
+/**
+ * Erro de configuração do quiz (banco inválido, container ausente)
+ */
+class QuizEngineError extends Error {
+    /**
+     * @param {string} message Descrição do problema
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'QuizEngineError';
+    }
+}
+
+/**
+ * Motor de quiz de uma nota
+ */
+class QuizEngine {
+    /**
+     * @param {Object} options Ver QUIZ_ENGINE_DEFAULTS
+     */
+    constructor(options = {}) {
+        this.options = { ...QUIZ_ENGINE_DEFAULTS, ...options };
+        this.messages = { ...QUIZ_ENGINE_MESSAGES, ...(options.messages || {}) };
+
+        if (!QUIZ_ENGINE_LAYOUTS.includes(this.options.layout)) {
+            throw new QuizEngineError(`Layout desconhecido: "${this.options.layout}" (use ${QUIZ_ENGINE_LAYOUTS.join(' ou ')})`);
+        }
+
+        this.questions = QuizEngine.normalize(this.options.questions);
+        this.answers = this.questions.map(() => null); // { selected, correct } por questão
+        this.eliminated = this.questions.map(() => new Set());
+        this.currentIndex = 0;
+        this.reportVisible = false;
+        this.chart = null;
+        this.root = null;
+        this.elements = {};
+
+        this.handleClick = this.handleClick.bind(this);
+        this.handleScroll = this.handleScroll.bind(this);
+    }
+
+    /**
+     * Cria o quiz e o monta assim que o DOM estiver pronto
+     *
+     * @param {Object} options Ver QUIZ_ENGINE_DEFAULTS
+     * @returns {QuizEngine} Instância criada (também em QuizEngine.current)
+     */
+    static init(options) {
+        const engine = new QuizEngine(options);
+        QuizEngine.current = engine;
+
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => engine.mount());
+        } else {
+            engine.mount();
+        }
+
+        return engine;
+    }
+
+    /**
+     * Valida o banco e padroniza os campos das questões
+     *
+     * @param {Array} questions Banco declarado na nota
+     * @returns {Array} Questões { question, options, answer, explanation, topic }
+     * @throws {QuizEngineError} Se o banco não for uma lista de questões
+     */
+    static normalize(questions) {
+        if (!Array.isArray(questions) || questions.length === 0) {
+            throw new QuizEngineError('O banco de questões deve ser uma lista com ao menos uma questão');
+        }
+
+        return questions.map((item, index) => {
+            const problems = QuizEngine.validateQuestion(item);
+            if (problems.length > 0) {
+                console.warn(`⚠️ [QUIZ] Questão ${index + 1}: ${problems.join('; ')}`);
+            }
+
+            return {
+                question: String((item && item.question) || ''),
+                options: Array.isArray(item && item.options) ? item.options.map(String) : [],
+                answer: Number(item && item.answer),
+                explanation: String((item && (item.explanation || item.justification)) || ''),
+                topic: String((item && item.topic) || '')
+            };
+        });
+    }
+
+    /**
+     * Problemas de uma questão (não impedem a montagem do quiz)
+     *
+     * @param {Object} item Questão do banco
+     * @returns {string[]} Descrição dos problemas encontrados
+     */
+    static validateQuestion(item) {
+        if (!item || typeof item !== 'object') return ['não é um objeto'];
+
+        const problems = [];
+        if (!item.question) problems.push('sem enunciado');
+        if (!Array.isArray(item.options) || item.options.length < 2) problems.push('menos de duas alternativas');
+        if (!Number.isInteger(item.answer)) {
+            problems.push('sem gabarito');
+        } else if (Array.isArray(item.options) && (item.answer < 0 || item.answer >= item.options.length)) {
+            problems.push(`gabarito ${item.answer} fora das alternativas`);
+        }
+        if (!item.explanation && !item.justification) problems.push('sem explicação');
+        return problems;
+    }
+
+    /**
+     * @param {number} index Índice da alternativa
+     * @returns {string} Letra da alternativa (A, B, C...)
+     */
+    static letter(index) {
+        return String.fromCharCode(65 + index);
+    }
+
+    /**
+     * Monta o quiz no container
+     *
+     * @throws {QuizEngineError} Se o container não existir
+     */
+    mount() {
+        const container = typeof this.options.container === 'string'
+            ? document.querySelector(this.options.container)
+            : this.options.container;
+        if (!container) {
+            throw new QuizEngineError(`Container do quiz não encontrado: ${this.options.container}`);
+        }
+
+        // Conteúdo estático da nota no container (ex: <header> com o <h1>) fica acima das questões
+        const intro = [...container.childNodes].filter(node => node.nodeType === 1 || node.textContent.trim());
+
+        this.root = container;
+        this.root.classList.add('qe', `qe-layout-${this.options.layout}`);
+        this.root.dataset.quizEngineVersion = QUIZ_ENGINE_VERSION;
+        this.root.innerHTML = this.renderShell();
+        this.root.querySelector('.qe-intro').append(...intro);
+
+        this.elements = {
+            nav: this.root.querySelector('.qe-nav'),
+            progress: this.root.querySelector('.qe-progress'),
+            questions: this.root.querySelector('.qe-questions'),
+            report: this.root.querySelector('.qe-report')
+        };
+
+        this.root.addEventListener('click', this.handleClick);
+        if (this.options.layout === 'list') {
+            window.addEventListener('scroll', this.handleScroll, { passive: true });
+        }
+
+        this.render();
+        console.log(`🧩 [QUIZ] Quiz v${QUIZ_ENGINE_VERSION} montado: ${this.questions.length} questões (${this.options.layout})`);
+    }
+
+    /**
+     * Remove os listeners e o conteúdo do quiz
+     */
+    destroy() {
+        if (!this.root) return;
+
+        this.root.removeEventListener('click', this.handleClick);
+        window.removeEventListener('scroll', this.handleScroll);
+        if (this.chart) this.chart.destroy();
+        this.root.innerHTML = '';
+        this.root = null;
+        if (QuizEngine.current === this) QuizEngine.current = null;
+    }
+
+    /**
+     * Estrutura fixa: barra lateral, questões e relatório
+     *
+     * @returns {string} HTML
+     */
+    renderShell() {
+        const { title, subtitle, sidebarTitle, sidebarText, footer } = this.options;
+
+        return `
+            <aside class="qe-sidebar">
+                <h2 class="qe-sidebar-title">${sidebarTitle || this.messages.questions}</h2>
+                ${sidebarText ? `<p class="qe-sidebar-text">${sidebarText}</p>` : ''}
+                <p class="qe-progress" aria-live="polite"></p>
+                <nav aria-label="${this.messages.questions}"><ol class="qe-nav"></ol></nav>
+                ${footer ? `<p class="qe-sidebar-footer">${footer}</p>` : ''}
+            </aside>
+            <main class="qe-main">
+                <div class="qe-intro">
+                    ${title || subtitle ? `
+                        <header class="qe-header">
+                            ${title ? `<h1 class="qe-title">${title}</h1>` : ''}
+                            ${subtitle ? `<p class="qe-subtitle">${subtitle}</p>` : ''}
+                        </header>
+                    ` : ''}
+                </div>
+                <div class="qe-questions"></div>
+                <section class="qe-report" id="report-section" hidden></section>
+            </main>
+        `;
+    }
+
+    /**
+     * Redesenha questões, navegação e progresso a partir do estado
+     */
+    render() {
+        const indexes = this.options.layout === 'list'
+            ? this.questions.map((_, index) => index)
+            : (this.reportVisible ? [] : [this.currentIndex]);
+
+        this.elements.questions.innerHTML = indexes.map(index => this.renderQuestion(index)).join('');
+        this.elements.questions.hidden = indexes.length === 0;
+        this.renderNav();
+        this.renderProgress();
+    }
+
+    /**
+     * Card de uma questão
+     *
+     * @param {number} index Índice da questão
+     * @returns {string} HTML
+     */
+    renderQuestion(index) {
+        const item = this.questions[index];
+        const answer = this.answers[index];
+        const total = this.questions.length;
+
+        const options = item.options.map((option, optionIndex) => {
+            const eliminated = this.eliminated[index].has(optionIndex);
+            const classes = ['qe-option'];
+            if (eliminated) classes.push('is-eliminated');
+            if (answer) {
+                classes.push('is-locked');
+                if (optionIndex === item.answer) classes.push('is-correct');
+                if (optionIndex === answer.selected && !answer.correct) classes.push('is-incorrect');
+            }
+
+            return `
+                <li class="${classes.join(' ')}">
+                    <button type="button" class="qe-option-select" data-qe-action="select" data-qe-question="${index}" data-qe-option="${optionIndex}" ${answer || eliminated ? 'disabled' : ''}>
+                        <span class="qe-option-letter">${QuizEngine.letter(optionIndex)}</span>
+                        <span class="qe-option-text">${option}</span>
+                    </button>
+                    ${answer ? '' : `
+                        <button type="button" class="qe-scissor" data-qe-action="eliminate" data-qe-question="${index}" data-qe-option="${optionIndex}"
+                            title="${eliminated ? this.messages.restore : this.messages.eliminate}" aria-pressed="${eliminated}">✂️</button>
+                    `}
+                </li>
+            `;
+        }).join('');
+
+        return `
+            <article class="qe-question${answer ? (answer.correct ? ' is-answered-correct' : ' is-answered-incorrect') : ''}" id="question-${index}" data-qe-index="${index}">
+                <p class="qe-question-number">${this.messages.question} ${index + 1} ${this.messages.of} ${total}</p>
+                <h3 class="qe-question-text">${item.question}</h3>
+                <ul class="qe-options">${options}</ul>
+                ${answer ? this.renderFeedback(index) : ''}
+                ${this.options.layout === 'stepper' ? this.renderStepActions(index) : ''}
+            </article>
+        `;
+    }
+
+    /**
+     * Feedback de uma questão respondida
+     *
+     * @param {number} index Índice da questão
+     * @returns {string} HTML
+     */
+    renderFeedback(index) {
+        const answer = this.answers[index];
+
+        return `
+            <div class="qe-feedback ${answer.correct ? 'is-correct' : 'is-incorrect'}" role="status">
+                <p class="qe-feedback-title">${answer.correct ? this.messages.correct : this.messages.incorrect}</p>
+                <div class="qe-explanation">${this.questions[index].explanation}</div>
+            </div>
+        `;
+    }
+
+    /**
+     * Botões de avanço do layout stepper
+     *
+     * @param {number} index Índice da questão exibida
+     * @returns {string} HTML
+     */
+    renderStepActions(index) {
+        const isLast = index === this.questions.length - 1;
+
+        return `
+            <div class="qe-step-actions">
+                ${index > 0 ? `<button type="button" class="qe-button qe-button-secondary" data-qe-action="previous">${this.messages.previous}</button>` : ''}
+                ${!isLast && this.answers[index] ? `<button type="button" class="qe-button" data-qe-action="next">${this.messages.next}</button>` : ''}
+                ${this.isComplete() ? `<button type="button" class="qe-button" data-qe-action="report">${this.messages.finish}</button>` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Navegação lateral: links com rolagem (lista) ou botões por questão (stepper)
+     */
+    renderNav() {
+        const items = this.questions.map((_, index) => {
+            const answer = this.answers[index];
+            const classes = ['qe-nav-item'];
+            if (answer) classes.push(answer.correct ? 'is-correct' : 'is-incorrect');
+            if (!this.reportVisible && index === this.currentIndex) classes.push('is-active');
+
+            return `
+                <li class="${classes.join(' ')}">
+                    <a href="#question-${index}" data-qe-action="goto" data-qe-question="${index}">${this.messages.question} ${index + 1}</a>
+                </li>
+            `;
+        });
+
+        if (this.reportVisible || this.isComplete()) {
+            items.push(`
+                <li class="qe-nav-item qe-nav-report${this.reportVisible && this.options.layout === 'stepper' ? ' is-active' : ''}">
+                    <a href="#report-section" data-qe-action="report">${this.messages.report}</a>
+                </li>
+            `);
+        }
+
+        this.elements.nav.innerHTML = items.join('');
+    }
+
+    /**
+     * Contador de questões respondidas
+     */
+    renderProgress() {
+        const answered = this.answers.filter(Boolean).length;
+        this.elements.progress.textContent = `${answered} ${this.messages.of} ${this.questions.length} ${this.messages.answered}`;
+    }
+
+    /**
+     * Delegação dos cliques do quiz
+     *
+     * @param {MouseEvent} e Evento de clique
+     */
+    handleClick(e) {
+        const target = e.target.closest('[data-qe-action]');
+        if (!target || !this.root.contains(target)) return;
+
+        const action = target.dataset.qeAction;
+        const question = Number(target.dataset.qeQuestion);
+        const option = Number(target.dataset.qeOption);
+
+        if (action === 'goto' || action === 'report') e.preventDefault();
+
+        if (action === 'select') this.select(question, option);
+        if (action === 'eliminate') this.toggleEliminated(question, option);
+        if (action === 'goto') this.goTo(question);
+        if (action === 'previous') this.goTo(this.currentIndex - 1);
+        if (action === 'next') this.goTo(this.currentIndex + 1);
+        if (action === 'report') this.showReport();
+        if (action === 'restart') this.restart();
+    }
+
+    /**
+     * Responde uma questão
+     *
+     * @param {number} index Índice da questão
+     * @param {number} option Índice da alternativa escolhida
+     * @returns {boolean|null} Se acertou, ou null se a resposta foi ignorada
+     */
+    select(index, option) {
+        if (this.answers[index] || this.eliminated[index].has(option)) return null;
+
+        const correct = option === this.questions[index].answer;
+        this.answers[index] = { selected: option, correct };
+        this.currentIndex = index;
+
+        if (this.options.recordProgress && typeof ProgressStore !== 'undefined') {
+            ProgressStore.recordAnswer({ question: index, selected: option, correct, total: this.questions.length });
+        }
+
+        this.render();
+
+        if (this.options.layout === 'list' && this.isComplete() && this.options.autoReport) {
+            this.showReport();
+        }
+
+        return correct;
+    }
+
+    /**
+     * Elimina (ou restaura) uma alternativa com a tesoura
+     *
+     * @param {number} index Índice da questão
+     * @param {number} option Índice da alternativa
+     */
+    toggleEliminated(index, option) {
+        if (this.answers[index]) return;
+
+        const eliminated = this.eliminated[index];
+        if (eliminated.has(option)) {
+            eliminated.delete(option);
+        } else {
+            eliminated.add(option);
+        }
+
+        this.render();
+    }
+
+    /**
+     * Leva até uma questão (rolagem na lista, troca de questão no stepper)
+     *
+     * @param {number} index Índice da questão
+     * @returns {HTMLElement|null} Card da questão
+     */
+    goTo(index) {
+        if (index < 0 || index >= this.questions.length) return null;
+
+        this.currentIndex = index;
+        if (this.options.layout === 'stepper') {
+            this.reportVisible = false;
+            this.elements.report.hidden = true;
+            this.render();
+        } else {
+            this.renderNav();
+        }
+
+        const card = this.root.querySelector(`#question-${index}`);
+        if (card) card.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        return card;
+    }
+
+    /**
+     * @returns {boolean} true se todas as questões foram respondidas
+     */
+    isComplete() {
+        return this.answers.every(Boolean);
+    }
+
+    /**
+     * Resultado da tentativa atual
+     *
+     * @returns {Object} { correct, incorrect, total, percent }
+     */
+    getResult() {
+        const correct = this.answers.filter(answer => answer && answer.correct).length;
+        const total = this.questions.length;
+
+        return {
+            correct,
+            incorrect: total - correct,
+            total,
+            percent: Math.round((correct / total) * 100)
+        };
+    }
+
+    /**
+     * Mostra o relatório com placar, gráfico e revisão dos erros
+     */
+    showReport() {
+        if (!this.isComplete()) return;
+
+        const result = this.getResult();
+        if (this.options.recordProgress && typeof ProgressStore !== 'undefined') {
+            ProgressStore.recordResult({ correct: result.correct, total: result.total });
+        }
+
+        this.reportVisible = true;
+        this.elements.report.hidden = false;
+        this.elements.report.innerHTML = this.renderReport(result);
+        if (this.options.layout === 'stepper') this.render();
+        else this.renderNav();
+
+        this.renderChart(result);
+        this.elements.report.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    /**
+     * Conteúdo do relatório
+     *
+     * @param {Object} result Resultado de getResult()
+     * @returns {string} HTML
+     */
+    renderReport(result) {
+        const wrong = this.questions
+            .map((item, index) => ({ item, index, answer: this.answers[index] }))
+            .filter(entry => !entry.answer.correct);
+        const showChart = this.options.chart && typeof Chart !== 'undefined';
+
+        const review = wrong.length === 0
+            ? `<p class="qe-perfect">${this.messages.perfect}</p>`
+            : `
+                <p class="qe-review-intro">${this.messages.reviewIntro}</p>
+                ${wrong.map(({ item, index, answer }) => `
+                    <div class="qe-review-item">
+                        ${item.topic ? `<h4 class="qe-review-topic">${item.topic}</h4>` : ''}
+                        <p class="qe-review-question"><a href="#question-${index}" data-qe-action="goto" data-qe-question="${index}">${this.messages.question} ${index + 1}</a>: ${item.question}</p>
+                        <p class="qe-review-answer is-incorrect"><strong>${this.messages.yourAnswer}:</strong> ${QuizEngine.letter(answer.selected)}) ${item.options[answer.selected]}</p>
+                        <p class="qe-review-answer is-correct"><strong>${this.messages.rightAnswer}:</strong> ${QuizEngine.letter(item.answer)}) ${item.options[item.answer] || ''}</p>
+                        <div class="qe-explanation">${item.explanation}</div>
+                    </div>
+                `).join('')}
+            `;
+
+        return `
+            <h2 class="qe-report-title">${this.messages.report}</h2>
+            <p class="qe-score">${this.messages.score} <strong>${result.correct} ${this.messages.of} ${result.total}</strong> (${result.percent}%)</p>
+            ${showChart ? '<div class="qe-chart"><canvas></canvas></div>' : ''}
+            <div class="qe-review">
+                <h3 class="qe-review-title">${this.messages.review}</h3>
+                ${review}
+            </div>
+            <div class="qe-report-actions">
+                <button type="button" class="qe-button" data-qe-action="restart">${this.messages.restart}</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Gráfico de rosca de acertos e erros
+     *
+     * @param {Object} result Resultado de getResult()
+     */
+    renderChart(result) {
+        const canvas = this.elements.report.querySelector('.qe-chart canvas');
+        if (!canvas || typeof Chart === 'undefined') return;
+
+        if (this.chart) this.chart.destroy();
+
+        const styles = getComputedStyle(this.root);
+        const color = (name, fallback) => styles.getPropertyValue(name).trim() || fallback;
+
+        this.chart = new Chart(canvas.getContext('2d'), {
+            type: 'doughnut',
+            data: {
+                labels: [this.messages.chartCorrect, this.messages.chartIncorrect],
+                datasets: [{
+                    data: [result.correct, result.incorrect],
+                    backgroundColor: [color('--qe-correct', '#10B981'), color('--qe-incorrect', '#EF4444')],
+                    borderColor: '#FFFFFF',
+                    borderWidth: 3
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                cutout: '65%',
+                plugins: {
+                    legend: { position: 'bottom' },
+                    title: { display: true, text: this.messages.chartTitle }
+                }
+            }
+        });
+    }
+
+    /**
+     * Recomeça o quiz do zero (uma nova tentativa no ProgressStore)
+     */
+    restart() {
+        this.answers = this.questions.map(() => null);
+        this.eliminated = this.questions.map(() => new Set());
+        this.currentIndex = 0;
+        this.reportVisible = false;
+        this.elements.report.hidden = true;
+        this.elements.report.innerHTML = '';
+        if (this.chart) {
+            this.chart.destroy();
+            this.chart = null;
+        }
+
+        // A próxima resposta abre uma nova tentativa
+        if (typeof ProgressStore !== 'undefined') {
+            ProgressStore.restartAttempt();
+        }
+
+        this.render();
+        this.root.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    /**
+     * Layout lista: marca na navegação a questão visível
+     */
+    handleScroll() {
+        if (!this.root) return;
+
+        const offset = this.options.scrollOffset;
+        const cards = this.elements.questions.querySelectorAll('.qe-question');
+        let visible = null;
+        cards.forEach(card => {
+            const rect = card.getBoundingClientRect();
+            if (rect.top <= offset && rect.bottom >= offset) visible = Number(card.dataset.qeIndex);
+        });
+
+        const reportRect = this.elements.report.hidden ? null : this.elements.report.getBoundingClientRect();
+        const onReport = Boolean(reportRect && reportRect.top <= offset);
+
+        this.elements.nav.querySelectorAll('.qe-nav-item').forEach((item, index) => {
+            const isReport = item.classList.contains('qe-nav-report');
+            item.classList.toggle('is-active', isReport ? onReport : !onReport && index === visible);
+        });
+        if (visible !== null) this.currentIndex = visible;
+    }
+}
+
+QuizEngine.VERSION = QUIZ_ENGINE_VERSION;
+QuizEngine.LAYOUTS = QUIZ_ENGINE_LAYOUTS;
+QuizEngine.MESSAGES = QUIZ_ENGINE_MESSAGES;
+QuizEngine.DEFAULTS = QUIZ_ENGINE_DEFAULTS;
+QuizEngine.current = null; // Último quiz criado (usado pelo note-link.js)
+
+if (typeof window !== 'undefined') {
+    window.QuizEngine = QuizEngine;
+    window.QuizEngineError = QuizEngineError;
+}
+
+/**
+ * Exportação para módulos (se suportado)
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { QuizEngine, QuizEngineError };
+}
@@ -0,0 +1,334 @@
+/**
+ * Portal de Notas HTML - Modo Revisão
+ *
+ * Painel "Revisão de hoje": reúne as questões de todas as notas (ou de um
+ * caderno) e as apresenta conforme o agendamento SM-2 do ReviewScheduler.
+ *
+ * Fluxo:
+ * - Escolha do caderno e resumo da fila (vencidas + novas)
+ * - Uma questão por vez; errar reagenda para amanhã automaticamente
+ * - Ao acertar, o usuário avalia a dificuldade (Difícil / Bom / Fácil)
+ * - Resumo da sessão ao final
+ * - Erros (e acertos de questões já anotadas) vão para o caderno de erros
+ *
+ * @author Portal de Notas HTML
+ * @version 1.0.0
+ * @requires ES6+, PortalPanel, ReviewScheduler, QuestionLibrary, ProgressStore (opcional, caderno de erros)
+ */
+
+'use strict';
+
+/**
+ * Controlador do painel de revisão espaçada
+ */
+class ReviewMode {
+    /**
+     * @param {NotesPortal} portal Instância do portal
+     */
+    constructor(portal) {
+        this.portal = portal;
+        this.scheduler = new ReviewScheduler();
+        this.category = 'todos';
+        this.questions = [];
+        this.queue = [];
+        this.position = 0;
+        this.session = { reviewed: 0, correct: 0 };
+        this.answered = false;
+
+        this.panel = new PortalPanel({
+            id: 'review-panel',
+            button: 'review-btn',
+            name: 'review',
+            title: '🧠 Revisão de hoje',
+            titleId: 'review-title',
+            closeLabel: 'Fechar revisão',
+            onOpen: () => this.open(),
+            actions: {
+                close: () => this.close(),
+                start: () => this.start(),
+                answer: target => this.answer(parseInt(target.dataset.option, 10)),
+                grade: target => this.grade(parseInt(target.dataset.quality, 10)),
+                next: () => this.next(),
+                restart: () => this.open(this.category)
+            }
+        });
+        this.elements = { panel: this.panel.element, button: this.panel.button };
+
+        this.setupEventListeners();
+        this.updateBadge();
+    }
+
+    /**
+     * Configura os filtros do painel (os cliques ficam com o PortalPanel)
+     */
+    setupEventListeners() {
+        if (!this.elements.panel) return;
+
+        this.elements.panel.addEventListener('change', (e) => {
+            if (e.target.matches('[data-review-filter]')) {
+                this.open(e.target.value);
+            }
+            if (e.target.matches('[data-review-new-per-day]')) {
+                this.scheduler.setNewPerDay(e.target.value);
+                this.open(this.category);
+            }
+        });
+    }
+
+    /**
+     * Atualiza o contador de questões vencidas no botão
+     * Usa apenas o registro local (não precisa baixar as notas)
+     */
+    updateBadge() {
+        if (!this.elements.button) return;
+
+        const today = ReviewScheduler.toDay();
+        const dueCount = Object.values(this.scheduler.data.cards)
+            .filter(card => card.due <= today).length;
+
+        let badge = this.elements.button.querySelector('.review-badge');
+        if (!badge) {
+            badge = document.createElement('span');
+            badge.className = 'review-badge';
+            this.elements.button.appendChild(badge);
+        }
+        badge.textContent = dueCount;
+        badge.hidden = dueCount === 0;
+    }
+
+    /**
+     * Abre o painel e prepara a fila do caderno escolhido
+     *
+     * @param {string} [category] Caderno ('todos' para todos)
+     */
+    async open(category = this.category) {
+        if (!this.elements.panel) return;
+
+        this.category = category;
+        this.panel.show(this.panel.renderLoading('Reunindo questões dos cadernos...'));
+
+        try {
+            this.questions = await this.portal.questionLibrary.loadQuestions(this.getFiles());
+            this.renderIntro();
+        } catch (error) {
+            console.error('❌ [REVIEW] Erro ao preparar revisão:', error);
+            this.elements.panel.innerHTML = this.panel.renderError('Não foi possível carregar as questões.');
+        }
+    }
+
+    /**
+     * Fecha o painel
+     */
+    close() {
+        this.panel.hide();
+        this.updateBadge();
+    }
+
+    /**
+     * Arquivos do caderno selecionado
+     *
+     * @returns {Array} Arquivos do portal
+     */
+    getFiles() {
+        if (this.category === 'todos') {
+            return this.portal.files;
+        }
+        return this.portal.files.filter(file => this.portal.detectFileCategory(file.name) === this.category);
+    }
+
+    /**
+     * Opções do filtro de caderno
+     *
+     * @returns {string} HTML das <option>
+     */
+    renderCategoryOptions() {
+        const options = [`<option value="todos" ${this.category === 'todos' ? 'selected' : ''}>📋 Todos os cadernos</option>`];
+
+        Object.entries(this.portal.categories)
+            .filter(([, category]) => category.files.length > 0)
+            .forEach(([key, category]) => {
+                options.push(`<option value="${this.portal.escapeHtml(key)}" ${this.category === key ? 'selected' : ''}>${this.portal.formatCategoryLabel(category)}</option>`);
+            });
+
+        return options.join('');
+    }
+
+    /**
+     * Tela inicial: filtro de caderno e tamanho da fila
+     */
+    renderIntro() {
+        const { due, fresh, queue } = this.scheduler.buildQueue(this.questions);
+        this.queue = queue;
+
+        this.elements.panel.innerHTML = `
+            ${this.panel.renderHeader(`${this.questions.length} questões no caderno`)}
+            <div class="review-controls">
+                <label>
+                    Caderno
+                    <select data-review-filter>${this.renderCategoryOptions()}</select>
+                </label>
+                <label>
+                    Novas por dia
+                    <input type="number" min="0" max="200" value="${this.scheduler.data.settings.newPerDay}" data-review-new-per-day>
+                </label>
+            </div>
+            <div class="review-summary">
+                <div><strong>${due.length}</strong><span>para revisar</span></div>
+                <div><strong>${fresh.length}</strong><span>novas</span></div>
+                <div><strong>${queue.length}</strong><span>na fila de hoje</span></div>
+            </div>
+            ${queue.length > 0
+                ? '<button class="btn btn-primary" type="button" data-review-action="start">▶️ Começar revisão</button>'
+                : '<p class="review-empty">🎉 Nada para revisar neste caderno hoje. Volte amanhã!</p>'}
+        `;
+    }
+
+    /**
+     * Inicia a sessão com a fila atual
+     */
+    start() {
+        this.position = 0;
+        this.session = { reviewed: 0, correct: 0 };
+        this.renderQuestion();
+    }
+
+    /**
+     * Exibe a questão atual da fila
+     */
+    renderQuestion() {
+        const question = this.queue[this.position];
+        if (!question) {
+            this.renderFinished();
+            return;
+        }
+
+        this.answered = false;
+        const card = this.scheduler.getCard(question.id);
+        const category = this.portal.categories[question.category];
+
+        this.elements.panel.innerHTML = `
+            ${this.panel.renderHeader(`Questão ${this.position + 1} de ${this.queue.length}`)}
+            <article class="review-card">
+                <p class="review-source">
+                    ${category ? `${this.portal.formatCategoryLabel(category)} • ` : ''}
+                    <a href="${question.url}#questao-${question.index + 1}" target="_blank" rel="noopener noreferrer">${question.noteTitle}</a>
+                    ${card ? '' : ' • <span class="review-new">nova</span>'}
+                </p>
+                <div class="review-question">${question.question}</div>
+                <ol class="review-options">
+                    ${question.options.map((option, index) => `
+                        <li>
+                            <button class="review-option" type="button" data-review-action="answer" data-option="${index}">
+                                <span class="review-letter">${String.fromCharCode(65 + index)}</span>
+                                <span>${option}</span>
+                            </button>
+                        </li>
+                    `).join('')}
+                </ol>
+                <div class="review-feedback" aria-live="polite"></div>
+            </article>
+        `;
+    }
+
+    /**
+     * Trata a escolha de uma alternativa
+     *
+     * @param {number} optionIndex Alternativa escolhida
+     */
+    answer(optionIndex) {
+        if (this.answered) return;
+        this.answered = true;
+
+        const question = this.queue[this.position];
+        const isCorrect = optionIndex === question.answer;
+        const buttons = this.elements.panel.querySelectorAll('.review-option');
+
+        buttons.forEach((button, index) => {
+            button.disabled = true;
+            if (index === question.answer) button.classList.add('correct');
+            if (index === optionIndex && !isCorrect) button.classList.add('incorrect');
+        });
+
+        this.session.reviewed++;
+        if (isCorrect) this.session.correct++;
+        if (typeof ProgressStore !== 'undefined') {
+            ProgressStore.trackError(question.fileName, question.index, optionIndex, isCorrect);
+        }
+
+        const feedback = this.elements.panel.querySelector('.review-feedback');
+        const { QUALITY } = ReviewScheduler;
+
+        if (isCorrect) {
+            feedback.innerHTML = `
+                <p class="review-verdict correct">✅ Resposta correta! Como foi lembrar?</p>
+                <div class="review-grades">
+                    <button class="btn" type="button" data-review-action="grade" data-quality="${QUALITY.HARD}">😓 Difícil</button>
+                    <button class="btn" type="button" data-review-action="grade" data-quality="${QUALITY.GOOD}">🙂 Bom</button>
+                    <button class="btn" type="button" data-review-action="grade" data-quality="${QUALITY.EASY}">😎 Fácil</button>
+                </div>
+                <details class="review-explanation"><summary>Ver explicação</summary>${question.explanation}</details>
+            `;
+        } else {
+            this.scheduler.review(question.id, QUALITY.WRONG);
+            feedback.innerHTML = `
+                <p class="review-verdict incorrect">❌ Resposta incorreta — a questão volta amanhã.</p>
+                <div class="review-explanation">${question.explanation}</div>
+                <button class="btn btn-primary" type="button" data-review-action="next">Próxima ➡️</button>
+            `;
+        }
+    }
+
+    /**
+     * Registra a avaliação de dificuldade e avança
+     *
+     * @param {number} quality Qualidade SM-2
+     */
+    grade(quality) {
+        const question = this.queue[this.position];
+        this.scheduler.review(question.id, quality);
+        this.next();
+    }
+
+    /**
+     * Avança para a próxima questão
+     */
+    next() {
+        this.position++;
+        this.renderQuestion();
+    }
+
+    /**
+     * Resumo ao final da sessão
+     */
+    renderFinished() {
+        const { reviewed, correct } = this.session;
+        const percent = reviewed > 0 ? Math.round((correct / reviewed) * 100) : 0;
+        const tomorrow = ReviewScheduler.addDays(ReviewScheduler.toDay(), 1);
+        const dueTomorrow = this.questions.filter(q => {
+            const card = this.scheduler.getCard(q.id);
+            return card && card.due <= tomorrow;
+        }).length;
+
+        this.elements.panel.innerHTML = `
+            ${this.panel.renderHeader('Sessão concluída')}
+            <div class="review-summary">
+                <div><strong>${reviewed}</strong><span>revisadas</span></div>
+                <div><strong>${percent}%</strong><span>de acerto</span></div>
+                <div><strong>${dueTomorrow}</strong><span>para amanhã</span></div>
+            </div>
+            <button class="btn btn-primary" type="button" data-review-action="restart">🔁 Ver fila novamente</button>
+        `;
+        this.updateBadge();
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.ReviewMode = ReviewMode;
+}
+
+/**
+ * Exportação para módulos (se suportado)
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ReviewMode };
+}
@@ -0,0 +1,239 @@
+/**
+ * Portal de Notas HTML - Agendador de Revisão Espaçada
+ *
+ * Implementa o algoritmo SM-2 (SuperMemo 2) sobre as questões das notas.
+ * Guarda, por questão, a facilidade (ease), o intervalo, as repetições e a
+ * próxima data de revisão.
+ *
+ * Esquema (chave `notes-portal-review`, versão 1):
+ * {
+ *   version: 1,
+ *   settings: { newPerDay },
+ *   cards: {
+ *     "<arquivo>#<índice>": {
+ *       ease, interval, repetitions, lapses,
+ *       due,            // próxima revisão (AAAA-MM-DD)
+ *       introducedOn,   // dia em que a questão entrou na revisão
+ *       lastReviewed    // dia da última revisão (AAAA-MM-DD)
+ *     }
+ *   }
+ * }
+ *
+ * @author Portal de Notas HTML
+ * @version 1.0.0
+ * @requires ES6+, LocalStorage
+ */
+
+'use strict';
+
+const REVIEW_STORAGE_KEY = 'notes-portal-review';
+const REVIEW_SCHEMA_VERSION = 1;
+
+/**
+ * Parâmetros do SM-2
+ */
+const SM2_DEFAULTS = {
+    initialEase: 2.5,
+    minimumEase: 1.3,
+    passingQuality: 3
+};
+
+/**
+ * Notas de qualidade usadas pela interface (escala SM-2 de 0 a 5)
+ */
+const REVIEW_QUALITY = {
+    WRONG: 1,
+    HARD: 3,
+    GOOD: 4,
+    EASY: 5
+};
+
+/**
+ * Agendador de revisões (SM-2) com persistência local
+ */
+class ReviewScheduler {
+    constructor() {
+        this.data = this.load();
+    }
+
+    /**
+     * Data local no formato AAAA-MM-DD
+     *
+     * @param {Date} [date=new Date()] Data de referência
+     * @returns {string} Dia formatado
+     */
+    static toDay(date = new Date()) {
+        const year = date.getFullYear();
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${year}-${month}-${day}`;
+    }
+
+    /**
+     * Soma dias a um dia AAAA-MM-DD
+     *
+     * @param {string} day Dia de referência
+     * @param {number} amount Quantidade de dias
+     * @returns {string} Novo dia
+     */
+    static addDays(day, amount) {
+        const [year, month, date] = day.split('-').map(Number);
+        return ReviewScheduler.toDay(new Date(year, month - 1, date + amount));
+    }
+
+    /**
+     * Aplica uma revisão a um cartão (SM-2)
+     *
+     * @param {Object|null} card Estado atual (null = questão nova)
+     * @param {number} quality Qualidade da resposta (0 a 5)
+     * @param {string} [today] Dia da revisão
+     * @returns {Object} Novo estado do cartão
+     */
+    static applyReview(card, quality, today = ReviewScheduler.toDay()) {
+        const next = {
+            ease: SM2_DEFAULTS.initialEase,
+            interval: 0,
+            repetitions: 0,
+            lapses: 0,
+            introducedOn: today,
+            ...card
+        };
+
+        if (quality < SM2_DEFAULTS.passingQuality) {
+            next.repetitions = 0;
+            next.interval = 1;
+            next.lapses += 1;
+        } else {
+            next.repetitions += 1;
+            if (next.repetitions === 1) {
+                next.interval = 1;
+            } else if (next.repetitions === 2) {
+                next.interval = 6;
+            } else {
+                next.interval = Math.round(next.interval * next.ease);
+            }
+
+            // No lapso o SM-2 só recomeça as repetições; a facilidade fica como está
+            const distance = 5 - quality;
+            next.ease = Math.max(
+                SM2_DEFAULTS.minimumEase,
+                next.ease + (0.1 - distance * (0.08 + distance * 0.02))
+            );
+            next.ease = Math.round(next.ease * 100) / 100;
+        }
+
+        next.due = ReviewScheduler.addDays(today, next.interval);
+        next.lastReviewed = today;
+
+        return next;
+    }
+
+    /**
+     * Lê o estado salvo
+     *
+     * @returns {Object} Registro { version, settings, cards }
+     */
+    load() {
+        try {
+            const raw = localStorage.getItem(REVIEW_STORAGE_KEY);
+            const data = raw ? JSON.parse(raw) : null;
+            if (data && data.version === REVIEW_SCHEMA_VERSION && typeof data.cards === 'object') {
+                return { settings: { newPerDay: 20 }, ...data };
+            }
+        } catch (error) {
+            console.warn('⚠️ [REVIEW] Registro de revisão ilegível, recomeçando:', error);
+        }
+
+        return { version: REVIEW_SCHEMA_VERSION, settings: { newPerDay: 20 }, cards: {} };
+    }
+
+    /**
+     * Grava o estado atual
+     */
+    save() {
+        try {
+            localStorage.setItem(REVIEW_STORAGE_KEY, JSON.stringify(this.data));
+        } catch (error) {
+            console.warn('⚠️ [REVIEW] Não foi possível salvar a revisão:', error);
+        }
+    }
+
+    /**
+     * @param {string} id Identificador da questão
+     * @returns {Object|null} Estado do cartão ou null se nunca revisado
+     */
+    getCard(id) {
+        return this.data.cards[id] || null;
+    }
+
+    /**
+     * Registra a resposta a uma questão e reagenda
+     *
+     * @param {string} id Identificador da questão
+     * @param {number} quality Qualidade (use REVIEW_QUALITY)
+     * @returns {Object} Novo estado do cartão
+     */
+    review(id, quality) {
+        const card = ReviewScheduler.applyReview(this.getCard(id), quality);
+        this.data.cards[id] = card;
+        this.save();
+        return card;
+    }
+
+    /**
+     * Monta a fila de revisão do dia
+     * Inclui as questões vencidas e um lote limitado de questões novas
+     *
+     * @param {Array} questions Questões disponíveis (com `id`)
+     * @param {string} [today] Dia de referência
+     * @returns {Object} { due, fresh, queue }
+     */
+    buildQueue(questions, today = ReviewScheduler.toDay()) {
+        const due = [];
+        const unseen = [];
+
+        questions.forEach(question => {
+            const card = this.getCard(question.id);
+            if (!card) {
+                unseen.push(question);
+            } else if (card.due <= today) {
+                due.push(question);
+            }
+        });
+
+        // Vencidas há mais tempo primeiro
+        due.sort((a, b) => this.getCard(a.id).due.localeCompare(this.getCard(b.id).due));
+
+        const introducedToday = Object.values(this.data.cards)
+            .filter(card => card.introducedOn === today).length;
+        const newSlots = Math.max(0, this.data.settings.newPerDay - introducedToday);
+        const fresh = unseen.slice(0, newSlots);
+
+        return { due, fresh, queue: due.concat(fresh) };
+    }
+
+    /**
+     * Altera o limite diário de questões novas
+     *
+     * @param {number} amount Quantidade por dia
+     */
+    setNewPerDay(amount) {
+        this.data.settings.newPerDay = Math.max(0, parseInt(amount, 10) || 0);
+        this.save();
+    }
+}
+
+ReviewScheduler.STORAGE_KEY = REVIEW_STORAGE_KEY;
+ReviewScheduler.VERSION = REVIEW_SCHEMA_VERSION;
+ReviewScheduler.QUALITY = REVIEW_QUALITY;
+
+if (typeof window !== 'undefined') {
+    window.ReviewScheduler = ReviewScheduler;
+}
+
+/**
+ * Exportação para módulos (se suportado)
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ReviewScheduler };
+}
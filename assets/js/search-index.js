@@ -0,0 +1,399 @@
+/**
+ * Portal de Notas HTML - Índice de Busca Textual
+ *
+ * Busca dentro do conteúdo das notas: título, enunciado das questões,
+ * alternativas, tópicos (`topic`) e explicações/justificativas.
+ *
+ * O índice é gerado no build (scripts/build-search-index.js →
+ * notes/search-index.json). Se o arquivo não existir, o portal monta o
+ * índice no navegador baixando as notas.
+ *
+ * Funcionalidades:
+ * - Busca sem acentos e sem diferenciar maiúsculas
+ * - Ranking por campo (tópico e enunciado pesam mais que explicação)
+ * - Bônus para a frase exata
+ * - Trechos (snippets) com os termos destacados
+ *
+ * @author Portal de Notas HTML
+ * @version 1.0.0
+ * @requires ES6+, QuestionBank
+ */
+
+'use strict';
+
+const SEARCH_INDEX_VERSION = 1;
+
+/**
+ * Pesos de cada campo no ranking
+ */
+const SEARCH_FIELD_WEIGHTS = {
+    title: 3,
+    topic: 4,
+    question: 3,
+    options: 1.5,
+    explanation: 1
+};
+
+/**
+ * Palavras muito comuns ignoradas na busca
+ */
+const SEARCH_STOPWORDS = new Set([
+    'a', 'o', 'as', 'os', 'de', 'da', 'do', 'das', 'dos', 'e', 'em', 'no', 'na',
+    'nos', 'nas', 'um', 'uma', 'por', 'para', 'com', 'que', 'se', 'ao', 'aos'
+]);
+
+/**
+ * Índice de busca textual sobre os bancos de questões
+ */
+class SearchIndex {
+    /**
+     * @param {Object} data Dados do índice ({ version, notes })
+     */
+    constructor(data) {
+        this.notes = (data && Array.isArray(data.notes)) ? data.notes : [];
+        this.documents = this.buildDocuments();
+    }
+
+    /**
+     * Carrega o índice gerado no build
+     *
+     * @param {string} url Caminho do search-index.json
+     * @returns {Promise<SearchIndex>} Índice carregado
+     */
+    static async load(url) {
+        const response = await fetch(url, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`Índice de busca indisponível (HTTP ${response.status})`);
+        }
+
+        const data = await response.json();
+        if (!data || data.version !== SEARCH_INDEX_VERSION) {
+            throw new Error('Versão do índice de busca incompatível');
+        }
+
+        return new SearchIndex(data);
+    }
+
+    /**
+     * Monta o índice no navegador baixando cada nota
+     * Usado quando notes/search-index.json não está disponível
+     *
+     * @param {Array} files Arquivos do portal ({ name, url })
+     * @returns {Promise<SearchIndex>} Índice montado
+     */
+    static async build(files) {
+        const results = await Promise.allSettled(files.map(async file => {
+            const response = await fetch(file.url);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return SearchIndex.buildEntry(file.name, await response.text());
+        }));
+
+        const notes = results
+            .filter(result => result.status === 'fulfilled')
+            .map(result => result.value);
+
+        return new SearchIndex({ version: SEARCH_INDEX_VERSION, notes });
+    }
+
+    /**
+     * Gera a entrada do índice para uma nota
+     * Compartilhado entre o navegador e o script de build
+     *
+     * @param {string} fileName Nome do arquivo da nota
+     * @param {string} html Código-fonte da nota
+     * @returns {Object} Entrada do índice
+     */
+    static buildEntry(fileName, html) {
+        const QuestionBankRef = SearchIndex.getQuestionBank();
+        let bank;
+
+        try {
+            bank = QuestionBankRef.parse(html);
+        } catch (error) {
+            console.warn(`⚠️ [SEARCH] Banco de questões ilegível em ${fileName}:`, error.message);
+            bank = { title: QuestionBankRef.extractTag(html, 'title'), heading: '', questions: [] };
+        }
+
+        return {
+            name: fileName,
+            title: bank.heading || bank.title || fileName.replace(/\.html?$/i, ''),
+            questions: bank.questions.map(q => ({
+                n: q.index + 1,
+                question: QuestionBankRef.stripHtml(q.question),
+                options: q.options.map(option => QuestionBankRef.stripHtml(option)),
+                topic: q.topic ? QuestionBankRef.stripHtml(q.topic) : '',
+                explanation: QuestionBankRef.stripHtml(q.explanation)
+            }))
+        };
+    }
+
+    /**
+     * Resolve a dependência QuestionBank no navegador ou no Node
+     *
+     * @returns {Function} Classe QuestionBank
+     */
+    static getQuestionBank() {
+        if (typeof QuestionBank !== 'undefined') return QuestionBank;
+        return require('./question-bank.js').QuestionBank;
+    }
+
+    /**
+     * Normaliza texto para comparação (sem acentos, minúsculo)
+     *
+     * @param {string} text Texto original
+     * @returns {string} Texto normalizado
+     */
+    static normalize(text) {
+        // Caractere a caractere para manter o mesmo comprimento do original
+        // (os trechos destacados usam as mesmas posições nos dois textos)
+        return String(text || '')
+            .replace(/[^\x00-\x7f]/g, char => {
+                const base = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+                return base.length === 1 ? base : char;
+            })
+            .toLowerCase();
+    }
+
+    /**
+     * Quebra a busca em termos relevantes
+     *
+     * @param {string} query Texto digitado
+     * @returns {Array<string>} Termos normalizados
+     */
+    static tokenize(query) {
+        return SearchIndex.normalize(query)
+            .split(/[^a-z0-9º°]+/)
+            .filter(token => token.length >= 2 && !SEARCH_STOPWORDS.has(token));
+    }
+
+    /**
+     * Expande as notas em documentos pesquisáveis (um por questão)
+     *
+     * @returns {Array} Documentos com campos normalizados
+     */
+    buildDocuments() {
+        const documents = [];
+
+        this.notes.forEach(note => {
+            const makeField = (name, text) => ({ name, text, normalized: SearchIndex.normalize(text) });
+
+            // Documento da própria nota (título), para notas sem questões
+            documents.push({
+                name: note.name,
+                title: note.title,
+                n: 0,
+                topic: '',
+                fields: [makeField('title', note.title)]
+            });
+
+            note.questions.forEach(q => {
+                documents.push({
+                    name: note.name,
+                    title: note.title,
+                    n: q.n,
+                    topic: q.topic,
+                    fields: [
+                        makeField('topic', q.topic),
+                        makeField('question', q.question),
+                        makeField('options', q.options.join(' • ')),
+                        makeField('explanation', q.explanation)
+                    ]
+                });
+            });
+        });
+
+        return documents;
+    }
+
+    /**
+     * Executa a busca
+     *
+     * @param {string} query Texto digitado
+     * @param {Object} [options]
+     * @param {Set<string>} [options.names] Restringe às notas com esses nomes
+     * @param {number} [options.limit=30] Número máximo de resultados
+     * @returns {Array} Resultados ordenados por relevância
+     */
+    search(query, options = {}) {
+        const tokens = SearchIndex.tokenize(query);
+        if (tokens.length === 0) return [];
+
+        const phrase = SearchIndex.normalize(query).trim().replace(/\s+/g, ' ');
+        const limit = options.limit || 30;
+        const results = [];
+
+        this.documents.forEach(doc => {
+            if (options.names && !options.names.has(doc.name)) return;
+
+            const score = this.scoreDocument(doc, tokens, phrase);
+            if (score <= 0) return;
+
+            results.push({
+                name: doc.name,
+                title: doc.title,
+                n: doc.n,
+                topic: doc.topic,
+                score,
+                snippet: this.buildSnippet(doc, tokens, phrase)
+            });
+        });
+
+        // Questões vencem o documento de título da mesma nota
+        const notesWithQuestionHits = new Set(results.filter(r => r.n > 0).map(r => r.name));
+
+        return results
+            .filter(result => result.n > 0 || !notesWithQuestionHits.has(result.name))
+            .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name) || a.n - b.n)
+            .slice(0, limit);
+    }
+
+    /**
+     * Calcula a relevância de um documento
+     * Todos os termos precisam aparecer em algum campo (AND)
+     *
+     * @param {Object} doc Documento
+     * @param {Array<string>} tokens Termos da busca
+     * @param {string} phrase Busca normalizada completa
+     * @returns {number} Pontuação (0 = não corresponde)
+     */
+    scoreDocument(doc, tokens, phrase) {
+        let score = 0;
+
+        for (const token of tokens) {
+            let tokenScore = 0;
+            doc.fields.forEach(field => {
+                const count = this.countOccurrences(field.normalized, token);
+                if (count > 0) {
+                    tokenScore += SEARCH_FIELD_WEIGHTS[field.name] * (1 + Math.log(count));
+                }
+            });
+            if (tokenScore === 0) return 0;
+            score += tokenScore;
+        }
+
+        if (tokens.length > 1) {
+            doc.fields.forEach(field => {
+                if (field.normalized.includes(phrase)) {
+                    score += SEARCH_FIELD_WEIGHTS[field.name] * 5;
+                }
+            });
+        }
+
+        return score;
+    }
+
+    /**
+     * Conta ocorrências de um termo em um texto
+     *
+     * @param {string} text Texto normalizado
+     * @param {string} token Termo normalizado
+     * @returns {number} Quantidade de ocorrências
+     */
+    countOccurrences(text, token) {
+        let count = 0;
+        let index = text.indexOf(token);
+        while (index !== -1) {
+            count++;
+            index = text.indexOf(token, index + token.length);
+        }
+        return count;
+    }
+
+    /**
+     * Monta o trecho exibido no resultado, com os termos destacados
+     *
+     * @param {Object} doc Documento
+     * @param {Array<string>} tokens Termos da busca
+     * @param {string} phrase Busca normalizada completa
+     * @param {number} [radius=80] Caracteres de contexto antes do termo
+     * @returns {string} HTML seguro do trecho (com <mark>)
+     */
+    buildSnippet(doc, tokens, phrase, radius = 80) {
+        // Prioriza o campo que contém a frase; depois o de maior peso com algum termo
+        const field = doc.fields.find(f => f.normalized.includes(phrase)) ||
+            doc.fields
+                .filter(f => tokens.some(token => f.normalized.includes(token)))
+                .sort((a, b) => SEARCH_FIELD_WEIGHTS[b.name] - SEARCH_FIELD_WEIGHTS[a.name])[0];
+
+        if (!field) return '';
+
+        const phraseHit = field.normalized.indexOf(phrase);
+        const firstHit = phraseHit !== -1 ? phraseHit : Math.max(0, Math.min(...tokens
+            .map(token => field.normalized.indexOf(token))
+            .filter(index => index !== -1)));
+
+        const start = Math.max(0, firstHit - radius);
+        const end = Math.min(field.text.length, firstHit + radius * 2);
+        const ranges = this.findRanges(field.normalized.slice(start, end), tokens);
+        const text = field.text.slice(start, end);
+
+        let html = '';
+        let cursor = 0;
+        ranges.forEach(([from, to]) => {
+            html += SearchIndex.escapeHtml(text.slice(cursor, from));
+            html += `<mark>${SearchIndex.escapeHtml(text.slice(from, to))}</mark>`;
+            cursor = to;
+        });
+        html += SearchIndex.escapeHtml(text.slice(cursor));
+
+        return (start > 0 ? '… ' : '') + html.trim() + (end < field.text.length ? ' …' : '');
+    }
+
+    /**
+     * Encontra os intervalos a destacar (sem sobreposição)
+     *
+     * @param {string} normalized Texto normalizado
+     * @param {Array<string>} tokens Termos da busca
+     * @returns {Array<Array<number>>} Intervalos [início, fim) ordenados
+     */
+    findRanges(normalized, tokens) {
+        const ranges = [];
+        tokens.forEach(token => {
+            let index = normalized.indexOf(token);
+            while (index !== -1) {
+                ranges.push([index, index + token.length]);
+                index = normalized.indexOf(token, index + token.length);
+            }
+        });
+
+        ranges.sort((a, b) => a[0] - b[0]);
+
+        const merged = [];
+        ranges.forEach(range => {
+            const last = merged[merged.length - 1];
+            if (last && range[0] <= last[1]) {
+                last[1] = Math.max(last[1], range[1]);
+            } else {
+                merged.push(range.slice());
+            }
+        });
+        return merged;
+    }
+
+    /**
+     * Escapa texto para inserção segura em HTML
+     *
+     * @param {string} text Texto puro
+     * @returns {string} Texto escapado
+     */
+    static escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+SearchIndex.VERSION = SEARCH_INDEX_VERSION;
+
+if (typeof window !== 'undefined') {
+    window.SearchIndex = SearchIndex;
+}
+
+/**
+ * Exportação para módulos (se suportado)
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SearchIndex };
+}
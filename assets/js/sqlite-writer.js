@@ -0,0 +1,519 @@
+/**
+ * Portal de Notas HTML - Gravador de Banco SQLite
+ *
+ * Monta, sem dependências, um arquivo de banco SQLite (formato 3) a partir de
+ * tabelas e índices já preenchidos. Usado pela exportação para o Anki, cujo
+ * pacote (.apkg) leva a coleção em um banco SQLite.
+ *
+ * Escopo (suficiente para a coleção do Anki):
+ * - Apenas criação de um arquivo novo, sem páginas livres
+ * - Valores inteiros, texto UTF-8, blobs e NULL
+ * - Registros grandes seguem em páginas de estouro (overflow)
+ * - Índices apenas sobre colunas inteiras
+ *
+ * Formato: https://www.sqlite.org/fileformat2.html
+ *
+ * @author Portal de Notas HTML
+ * @version 1.0.0
+ * @requires ES2020+ (BigInt, TextEncoder)
+ */
+
+'use strict';
+
+const SQLITE_PAGE_SIZE = 4096;
+const SQLITE_HEADER_SIZE = 100; // Cabeçalho do arquivo, no início da página 1
+const SQLITE_VERSION_NUMBER = 3045000;
+
+/**
+ * Tipos de página da árvore B
+ */
+const SQLITE_PAGE_TYPES = {
+    interiorIndex: 2,
+    interiorTable: 5,
+    leafIndex: 10,
+    leafTable: 13
+};
+
+/**
+ * Erro na montagem do banco
+ */
+class SqliteWriterError extends Error {
+    /**
+     * @param {string} message Descrição do problema
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'SqliteWriterError';
+    }
+}
+
+/**
+ * Montador de um arquivo SQLite em memória
+ */
+class SqliteWriter {
+    /**
+     * @param {number} [pageSize=4096] Tamanho da página (potência de 2 entre 512 e 65536)
+     */
+    constructor(pageSize = SQLITE_PAGE_SIZE) {
+        this.pageSize = pageSize;
+        this.tables = [];
+        this.indexes = [];
+        this.pages = [];
+    }
+
+    /**
+     * Declara uma tabela
+     *
+     * @param {string} name Nome da tabela
+     * @param {string} sql Comando CREATE TABLE (gravado no sqlite_master)
+     * @param {Object} options
+     * @param {string[]} options.columns Colunas, na ordem do CREATE TABLE
+     * @param {string} [options.rowid] Coluna INTEGER PRIMARY KEY (vira o rowid)
+     */
+    addTable(name, sql, { columns, rowid = null }) {
+        this.tables.push({ name, sql, columns, rowid, rows: [] });
+    }
+
+    /**
+     * Acrescenta uma linha a uma tabela
+     *
+     * @param {string} name Nome da tabela
+     * @param {Object} row Valores por coluna (ausentes viram NULL)
+     */
+    insert(name, row) {
+        const table = this.tables.find(entry => entry.name === name);
+        if (!table) throw new SqliteWriterError(`Tabela desconhecida: ${name}`);
+        table.rows.push(row);
+    }
+
+    /**
+     * Declara um índice
+     *
+     * @param {string} name Nome do índice
+     * @param {string} table Tabela indexada
+     * @param {string[]} columns Colunas (inteiras) do índice
+     * @param {string} sql Comando CREATE INDEX (gravado no sqlite_master)
+     */
+    addIndex(name, table, columns, sql) {
+        this.indexes.push({ name, table, columns, sql });
+    }
+
+    /**
+     * Gera o arquivo do banco
+     *
+     * @returns {Uint8Array} Conteúdo do arquivo .sqlite
+     */
+    toBytes() {
+        this.pages = [null]; // Página 1: sqlite_master, montada por último
+        const master = [];
+
+        const rowsByTable = new Map();
+        this.tables.forEach(table => {
+            const rows = table.rows
+                .map((row, position) => ({
+                    rowid: table.rowid ? row[table.rowid] : position + 1,
+                    // A coluna INTEGER PRIMARY KEY é gravada como NULL: o valor é o rowid
+                    values: table.columns.map(column => (column === table.rowid ? null : SqliteWriter.value(row[column])))
+                }))
+                .sort((a, b) => a.rowid - b.rowid);
+            rowsByTable.set(table.name, rows);
+
+            const root = this.buildTree(rows.map(row => ({
+                cell: this.tableLeafCell(row.rowid, SqliteWriter.encodeRecord(row.values)),
+                key: row.rowid
+            })), 'table');
+            master.push(['table', table.name, table.name, root, table.sql]);
+        });
+
+        this.indexes.forEach(index => {
+            const table = this.tables.find(entry => entry.name === index.table);
+            if (!table) throw new SqliteWriterError(`Índice ${index.name} em tabela desconhecida: ${index.table}`);
+
+            const positions = index.columns.map(column => table.columns.indexOf(column));
+            const entries = rowsByTable.get(table.name)
+                .map(row => [...positions.map(position => (table.columns[position] === table.rowid ? row.rowid : row.values[position])), row.rowid])
+                .sort(SqliteWriter.compareKeys);
+
+            const root = this.buildTree(entries.map(entry => ({
+                cell: this.payloadCell(SqliteWriter.encodeRecord(entry), this.maxLocal('index'))
+            })), 'index');
+            master.push(['index', index.name, index.table, root, index.sql]);
+        });
+
+        const masterCells = master.map((values, position) =>
+            this.tableLeafCell(position + 1, SqliteWriter.encodeRecord(values)));
+        if (SqliteWriter.pageUsage(masterCells, 8) > this.pageSize - SQLITE_HEADER_SIZE) {
+            throw new SqliteWriterError('Esquema grande demais para a primeira página');
+        }
+        this.pages[0] = this.writePage(SQLITE_PAGE_TYPES.leafTable, masterCells, 0, SQLITE_HEADER_SIZE);
+        this.writeHeader(this.pages[0]);
+
+        const bytes = new Uint8Array(this.pages.length * this.pageSize);
+        this.pages.forEach((page, position) => bytes.set(page, position * this.pageSize));
+        return bytes;
+    }
+
+    /**
+     * Monta uma árvore B a partir das células das folhas, já em ordem
+     * Tabelas: as chaves dos nós internos são o maior rowid à esquerda.
+     * Índices: cada entrada aparece uma só vez, e as divisórias sobem para os nós internos.
+     *
+     * @param {Array} items Células { cell, key? } em ordem
+     * @param {string} kind 'table' ou 'index'
+     * @returns {number} Página raiz
+     */
+    buildTree(items, kind) {
+        const isIndex = kind === 'index';
+        const leafType = isIndex ? SQLITE_PAGE_TYPES.leafIndex : SQLITE_PAGE_TYPES.leafTable;
+        const interiorType = isIndex ? SQLITE_PAGE_TYPES.interiorIndex : SQLITE_PAGE_TYPES.interiorTable;
+
+        // Folhas
+        let children = [];
+        let dividers = [];
+        let current = [];
+        items.forEach((item, position) => {
+            const fits = SqliteWriter.pageUsage([...current, item.cell], 8) <= this.pageSize;
+            if (current.length > 0 && !fits) {
+                if (isIndex) {
+                    // A entrada seguinte sobe como divisória; na última, sobe a anterior
+                    const divider = position < items.length - 1 ? item.cell : current.pop();
+                    children.push(this.addPage(this.writePage(leafType, current)));
+                    dividers.push(divider);
+                    current = [];
+                    if (divider === item.cell) return;
+                } else {
+                    children.push(this.addPage(this.writePage(leafType, current)));
+                    dividers.push(items[position - 1].key);
+                    current = [];
+                }
+            }
+            current.push(item.cell);
+        });
+        children.push(this.addPage(this.writePage(leafType, current)));
+
+        // Níveis internos até sobrar a raiz
+        while (children.length > 1) {
+            const parents = [];
+            const parentDividers = [];
+            let cells = [];
+
+            children.forEach((child, position) => {
+                if (position === children.length - 1) {
+                    parents.push(this.addPage(this.writePage(interiorType, cells, child)));
+                    return;
+                }
+
+                const cell = isIndex
+                    ? SqliteWriter.concat([SqliteWriter.uint32(child), dividers[position]])
+                    : SqliteWriter.concat([SqliteWriter.uint32(child), SqliteWriter.varint(dividers[position])]);
+
+                if (cells.length > 0 && SqliteWriter.pageUsage([...cells, cell], 12) > this.pageSize) {
+                    parents.push(this.addPage(this.writePage(interiorType, cells, child)));
+                    parentDividers.push(dividers[position]);
+                    cells = [];
+                    return;
+                }
+                cells.push(cell);
+            });
+
+            children = parents;
+            dividers = parentDividers;
+        }
+
+        return children[0];
+    }
+
+    /**
+     * Maior parte do registro que fica na própria página
+     *
+     * @param {string} kind 'table' (folha de tabela) ou 'index'
+     * @returns {number} Bytes
+     */
+    maxLocal(kind) {
+        return kind === 'table'
+            ? this.pageSize - 35
+            : Math.floor((this.pageSize - 12) * 64 / 255) - 23;
+    }
+
+    /**
+     * Célula de folha de tabela: tamanho, rowid e registro
+     *
+     * @param {number} rowid Rowid da linha
+     * @param {Uint8Array} record Registro codificado
+     * @returns {Uint8Array} Célula
+     */
+    tableLeafCell(rowid, record) {
+        const cell = this.payloadCell(record, this.maxLocal('table'));
+        const size = SqliteWriter.varint(record.length);
+        // Insere o rowid logo após o tamanho do registro
+        return SqliteWriter.concat([size, SqliteWriter.varint(rowid), cell.subarray(size.length)]);
+    }
+
+    /**
+     * Tamanho do registro seguido da parte local e, se preciso, da primeira
+     * página de estouro (as páginas são reservadas aqui)
+     *
+     * @param {Uint8Array} payload Registro codificado
+     * @param {number} maxLocal Maior parte local permitida
+     * @returns {Uint8Array} Célula sem o cabeçalho específico do tipo de página
+     */
+    payloadCell(payload, maxLocal) {
+        const size = SqliteWriter.varint(payload.length);
+        if (payload.length <= maxLocal) {
+            return SqliteWriter.concat([size, payload]);
+        }
+
+        const usable = this.pageSize;
+        const minLocal = Math.floor((usable - 12) * 32 / 255) - 23;
+        const candidate = minLocal + ((payload.length - minLocal) % (usable - 4));
+        const local = candidate <= maxLocal ? candidate : minLocal;
+
+        const first = this.pages.length + 1;
+        let rest = payload.subarray(local);
+        while (rest.length > 0) {
+            const page = new Uint8Array(this.pageSize);
+            const chunk = rest.subarray(0, usable - 4);
+            rest = rest.subarray(chunk.length);
+            page.set(SqliteWriter.uint32(rest.length > 0 ? this.pages.length + 2 : 0), 0);
+            page.set(chunk, 4);
+            this.pages.push(page);
+        }
+
+        return SqliteWriter.concat([size, payload.subarray(0, local), SqliteWriter.uint32(first)]);
+    }
+
+    /**
+     * @param {Uint8Array} page Página pronta
+     * @returns {number} Número da página (a partir de 1)
+     */
+    addPage(page) {
+        this.pages.push(page);
+        return this.pages.length;
+    }
+
+    /**
+     * Monta uma página da árvore B
+     *
+     * @param {number} type Tipo (SQLITE_PAGE_TYPES)
+     * @param {Uint8Array[]} cells Células em ordem
+     * @param {number} [rightmost=0] Filho mais à direita (páginas internas)
+     * @param {number} [offset=0] Início do cabeçalho da página (100 na página 1)
+     * @returns {Uint8Array} Página
+     */
+    writePage(type, cells, rightmost = 0, offset = 0) {
+        const page = new Uint8Array(this.pageSize);
+        const view = new DataView(page.buffer);
+        const interior = type === SQLITE_PAGE_TYPES.interiorIndex || type === SQLITE_PAGE_TYPES.interiorTable;
+        const headerSize = interior ? 12 : 8;
+
+        let content = this.pageSize;
+        cells.forEach((cell, position) => {
+            content -= cell.length;
+            page.set(cell, content);
+            view.setUint16(offset + headerSize + position * 2, content);
+        });
+
+        page[offset] = type;
+        view.setUint16(offset + 1, 0); // Sem blocos livres
+        view.setUint16(offset + 3, cells.length);
+        view.setUint16(offset + 5, content === 65536 ? 0 : content);
+        page[offset + 7] = 0;
+        if (interior) view.setUint32(offset + 8, rightmost);
+
+        return page;
+    }
+
+    /**
+     * Grava o cabeçalho do arquivo no início da página 1
+     *
+     * @param {Uint8Array} page Página 1
+     */
+    writeHeader(page) {
+        const view = new DataView(page.buffer);
+
+        page.set(new TextEncoder().encode('SQLite format 3\0'), 0);
+        view.setUint16(16, this.pageSize === 65536 ? 1 : this.pageSize);
+        page[18] = 1; // Versão de escrita (journal clássico)
+        page[19] = 1; // Versão de leitura
+        page[20] = 0; // Bytes reservados por página
+        page[21] = 64;
+        page[22] = 32;
+        page[23] = 32;
+        view.setUint32(24, 1); // Contador de alterações
+        view.setUint32(28, this.pages.length);
+        view.setUint32(40, 1); // Cookie do esquema
+        view.setUint32(44, 4); // Formato do esquema
+        view.setUint32(56, 1); // UTF-8
+        view.setUint32(92, 1); // Tamanho válido para o contador atual
+        view.setUint32(96, SQLITE_VERSION_NUMBER);
+    }
+
+    /**
+     * Bytes ocupados por um conjunto de células em uma página
+     *
+     * @param {Uint8Array[]} cells Células
+     * @param {number} headerSize Cabeçalho da página (8 folha, 12 interna)
+     * @returns {number} Bytes
+     */
+    static pageUsage(cells, headerSize) {
+        return headerSize + cells.reduce((sum, cell) => sum + cell.length + 2, 0);
+    }
+
+    /**
+     * Normaliza um valor para gravação
+     *
+     * @param {*} value Valor da coluna
+     * @returns {number|string|Uint8Array|null} Valor suportado
+     */
+    static value(value) {
+        if (value === undefined || value === null) return null;
+        if (typeof value === 'boolean') return value ? 1 : 0;
+        if (typeof value === 'number') {
+            if (!Number.isSafeInteger(value)) throw new SqliteWriterError(`Apenas inteiros são suportados: ${value}`);
+            return value;
+        }
+        if (value instanceof Uint8Array) return value;
+        return String(value);
+    }
+
+    /**
+     * Compara chaves de índice (inteiros), coluna a coluna
+     *
+     * @param {number[]} a Chave
+     * @param {number[]} b Chave
+     * @returns {number} Negativo, zero ou positivo
+     */
+    static compareKeys(a, b) {
+        for (let i = 0; i < a.length; i++) {
+            if (a[i] !== b[i]) return a[i] < b[i] ? -1 : 1;
+        }
+        return 0;
+    }
+
+    /**
+     * Codifica um registro (cabeçalho com os tipos seguido dos valores)
+     *
+     * @param {Array} values Valores das colunas
+     * @returns {Uint8Array} Registro
+     */
+    static encodeRecord(values) {
+        const types = [];
+        const bodies = [];
+
+        values.map(SqliteWriter.value).forEach(value => {
+            if (value === null) {
+                types.push(0);
+            } else if (typeof value === 'number') {
+                if (value === 0 || value === 1) {
+                    types.push(8 + value); // Constantes 0 e 1, sem corpo
+                    return;
+                }
+                const [type, size] = SqliteWriter.integerType(value);
+                types.push(type);
+                bodies.push(SqliteWriter.integer(value, size));
+            } else if (value instanceof Uint8Array) {
+                types.push(12 + value.length * 2);
+                bodies.push(value);
+            } else {
+                const text = new TextEncoder().encode(value);
+                types.push(13 + text.length * 2);
+                bodies.push(text);
+            }
+        });
+
+        const typeBytes = SqliteWriter.concat(types.map(SqliteWriter.varint));
+        let headerSize = typeBytes.length + 1;
+        while (SqliteWriter.varint(headerSize).length + typeBytes.length !== headerSize) headerSize++;
+
+        return SqliteWriter.concat([SqliteWriter.varint(headerSize), typeBytes, ...bodies]);
+    }
+
+    /**
+     * Menor tipo inteiro que comporta o valor
+     *
+     * @param {number} value Inteiro
+     * @returns {number[]} [tipo serial, bytes]
+     */
+    static integerType(value) {
+        const limits = [[1, 1], [2, 2], [3, 3], [4, 4], [5, 6]];
+        for (const [type, size] of limits) {
+            const max = 2 ** (size * 8 - 1);
+            if (value >= -max && value < max) return [type, size];
+        }
+        return [6, 8];
+    }
+
+    /**
+     * Inteiro em complemento de dois, big-endian
+     *
+     * @param {number} value Inteiro
+     * @param {number} size Bytes
+     * @returns {Uint8Array} Bytes
+     */
+    static integer(value, size) {
+        let bits = BigInt.asUintN(size * 8, BigInt(value));
+        const bytes = new Uint8Array(size);
+        for (let i = size - 1; i >= 0; i--) {
+            bytes[i] = Number(bits & 0xffn);
+            bits >>= 8n;
+        }
+        return bytes;
+    }
+
+    /**
+     * Varint do SQLite (big-endian, 7 bits por byte) para valores até 2^53
+     *
+     * @param {number} value Inteiro não negativo
+     * @returns {Uint8Array} Bytes
+     */
+    static varint(value) {
+        const bytes = [];
+        let rest = value;
+        do {
+            bytes.unshift(rest % 128);
+            rest = Math.floor(rest / 128);
+        } while (rest > 0);
+
+        return Uint8Array.from(bytes, (byte, position) => (position < bytes.length - 1 ? byte | 0x80 : byte));
+    }
+
+    /**
+     * @param {number} value Inteiro sem sinal
+     * @returns {Uint8Array} 4 bytes big-endian
+     */
+    static uint32(value) {
+        const bytes = new Uint8Array(4);
+        new DataView(bytes.buffer).setUint32(0, value);
+        return bytes;
+    }
+
+    /**
+     * Junta listas de bytes
+     *
+     * @param {Uint8Array[]} parts Partes
+     * @returns {Uint8Array} Bytes concatenados
+     */
+    static concat(parts) {
+        const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let offset = 0;
+        parts.forEach(part => {
+            result.set(part, offset);
+            offset += part.length;
+        });
+        return result;
+    }
+}
+
+SqliteWriter.PAGE_SIZE = SQLITE_PAGE_SIZE;
+
+if (typeof window !== 'undefined') {
+    window.SqliteWriter = SqliteWriter;
+    window.SqliteWriterError = SqliteWriterError;
+}
+
+/**
+ * Exportação para módulos (se suportado)
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SqliteWriter, SqliteWriterError };
+}
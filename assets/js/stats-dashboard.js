@@ -0,0 +1,390 @@
+/**
+ * Portal de Notas HTML - Painel de Estatísticas
+ *
+ * Painel "Estatísticas de estudo": acerto por caderno e por tópico, questões
+ * respondidas por dia, tempo de estudo e tópicos mais fracos, em um período
+ * escolhido (últimos 7/30/90 dias, tudo ou datas personalizadas).
+ *
+ * Os dados vêm do registro de atividade do ProgressStore (respostas dadas nas
+ * notas); os tópicos são lidos das próprias notas pela QuestionLibrary.
+ *
+ * @author Portal de Notas HTML
+ * @version 1.0.0
+ * @requires ES6+, PortalPanel, StudyStats, ProgressStore, QuestionLibrary, Chart.js (opcional, apenas para os gráficos)
+ */
+
+'use strict';
+
+/**
+ * Cores dos gráficos (as mesmas do relatório do simulado)
+ */
+const STATS_COLORS = {
+    correct: '#10b981',
+    incorrect: '#ef4444',
+    fallback: '#6366f1'
+};
+
+/**
+ * Controlador do painel de estatísticas
+ */
+class StatsDashboard {
+    /**
+     * @param {NotesPortal} portal Instância do portal
+     */
+    constructor(portal) {
+        this.portal = portal;
+        this.range = '30'; // Chave de StudyStats.RANGES
+        this.custom = StudyStats.rangeFor(30); // Datas do período personalizado
+        this.topics = new Map(); // "<arquivo>#<índice>" → tópico
+        this.charts = [];
+
+        this.panel = new PortalPanel({
+            id: 'stats-panel',
+            button: 'stats-btn',
+            name: 'stats',
+            title: '📊 Estatísticas de estudo',
+            titleId: 'stats-title-panel',
+            closeLabel: 'Fechar estatísticas',
+            onOpen: () => this.open(),
+            actions: { close: () => this.close() }
+        });
+        this.elements = {
+            panel: this.panel.element,
+            button: this.panel.button,
+            summary: document.getElementById('stats-accuracy')
+        };
+
+        this.setupEventListeners();
+        this.updateSummary();
+    }
+
+    /**
+     * Configura a atualização e os filtros do painel (os cliques ficam com o PortalPanel)
+     */
+    setupEventListeners() {
+        // Respostas dadas em outra aba (nota aberta em nova aba)
+        window.addEventListener('storage', (e) => {
+            if (e.key !== ProgressStore.ACTIVITY_KEY) return;
+            this.updateSummary();
+            if (this.panel.isOpen()) this.open();
+        });
+
+        if (!this.elements.panel) return;
+
+        this.elements.panel.addEventListener('change', (e) => {
+            if (e.target.matches('[data-stats-range]')) {
+                this.range = e.target.value;
+                this.render();
+            }
+            if (e.target.matches('[data-stats-from], [data-stats-to]')) {
+                const field = e.target.matches('[data-stats-from]') ? 'from' : 'to';
+                this.custom[field] = e.target.value || null;
+                this.range = 'custom';
+                this.render();
+            }
+        });
+    }
+
+    /**
+     * Respostas registradas, em ordem cronológica
+     *
+     * @returns {Array} Respostas de StudyStats.fromActivity()
+     */
+    getAnswers() {
+        return StudyStats.fromActivity(ProgressStore.loadActivity());
+    }
+
+    /**
+     * Intervalo do período escolhido
+     *
+     * @returns {Object} { from, to }
+     */
+    getRange() {
+        return this.range === 'custom' ? { ...this.custom } : StudyStats.rangeFor(this.range);
+    }
+
+    /**
+     * Acerto dos últimos 7 dias no cartão de estatísticas do portal
+     */
+    updateSummary() {
+        if (!this.elements.summary) return;
+
+        const stats = StudyStats.compute(this.getAnswers(), StudyStats.rangeFor(7));
+        this.elements.summary.textContent = stats.total > 0 ? `${stats.accuracy}%` : '--';
+        this.elements.summary.title = `${stats.correct} acerto(s) em ${stats.total} resposta(s) nos últimos 7 dias`;
+    }
+
+    /**
+     * Abre o painel (lê os tópicos das notas respondidas antes de calcular)
+     */
+    async open() {
+        if (!this.elements.panel) return;
+
+        this.panel.show(`
+            ${this.panel.renderHeader()}
+            ${this.panel.renderLoading('Lendo os tópicos das notas respondidas...')}
+        `);
+
+        await this.loadTopics(this.getAnswers());
+        if (this.panel.isOpen()) this.render();
+    }
+
+    /**
+     * Fecha o painel
+     */
+    close() {
+        this.destroyCharts();
+        this.panel.hide();
+    }
+
+    /**
+     * Carrega os tópicos das questões das notas que têm respostas
+     * Notas que não estão mais na lista ou que falharem ficam "Sem tópico"
+     *
+     * @param {Array} answers Respostas
+     */
+    async loadTopics(answers) {
+        if (!this.portal.questionLibrary) return;
+
+        const names = new Set(answers.map(answer => answer.note));
+        const files = this.portal.files.filter(file => names.has(file.name));
+        const notes = await this.portal.questionLibrary.loadNotes(files);
+
+        notes.forEach(note => note.questions.forEach(question => {
+            const topic = question.topic ? QuestionBank.stripHtml(question.topic).trim() : '';
+            if (topic) this.topics.set(question.id, topic);
+        }));
+    }
+
+    /**
+     * Seletor do período
+     *
+     * @returns {string} HTML do seletor
+     */
+    renderRangeSelector() {
+        const escape = text => this.portal.escapeHtml(text);
+        const range = this.getRange();
+
+        return `
+            <div class="stats-range">
+                <label>📅 Período
+                    <select class="list-select" data-stats-range>
+                        ${Object.entries(StudyStats.RANGES).map(([key, label]) =>
+                            `<option value="${key}" ${key === this.range ? 'selected' : ''}>${label}</option>`).join('')}
+                    </select>
+                </label>
+                <label>de <input type="date" data-stats-from value="${escape(range.from || '')}"></label>
+                <label>até <input type="date" data-stats-to value="${escape(range.to || '')}"></label>
+            </div>
+        `;
+    }
+
+    /**
+     * Renderiza o painel com as estatísticas do período
+     */
+    render() {
+        this.destroyCharts();
+
+        const range = this.getRange();
+        const stats = StudyStats.compute(this.getAnswers(), {
+            ...range,
+            categoryOf: name => this.portal.detectFileCategory(name),
+            topicOf: (name, index) => this.topics.get(QuestionLibrary.questionId(name, index)) || null
+        });
+
+        if (stats.total === 0) {
+            this.elements.panel.innerHTML = `
+                ${this.panel.renderHeader()}
+                ${this.renderRangeSelector()}
+                <p class="stats-empty">Nenhuma resposta neste período. As respostas dadas nas notas aparecem aqui.</p>
+            `;
+            return;
+        }
+
+        this.elements.panel.innerHTML = `
+            ${this.panel.renderHeader(`${stats.total} resposta(s) em ${stats.activeDays} dia(s) de estudo`)}
+            ${this.renderRangeSelector()}
+            <div class="stats-summary">
+                <div class="stats-card"><strong>${stats.total}</strong><span>questões respondidas</span></div>
+                <div class="stats-card"><strong>${stats.accuracy}%</strong><span>de acerto (${stats.correct}/${stats.total})</span></div>
+                <div class="stats-card"><strong>${StudyStats.formatDuration(stats.seconds)}</strong><span>de estudo nas notas</span></div>
+                <div class="stats-card"><strong>${stats.activeDays}</strong><span>dia(s) com estudo</span></div>
+            </div>
+            <div class="stats-charts">
+                <div class="stats-chart">
+                    <canvas id="stats-days-chart" role="img" aria-label="Questões respondidas por dia"></canvas>
+                </div>
+                <div class="stats-chart">
+                    <canvas id="stats-categories-chart" role="img" aria-label="Acerto por caderno"></canvas>
+                </div>
+            </div>
+            ${this.renderWeakest(stats.weakest)}
+            <h3 class="exam-review-title">📚 Por caderno</h3>
+            ${this.renderTable(stats.byCategory, 'Caderno', bucket => this.categoryLabel(bucket.key))}
+            <details class="stats-topics">
+                <summary>🏷️ Todos os tópicos (${stats.byTopic.length})</summary>
+                ${this.renderTable(stats.byTopic, 'Tópico', bucket => `${this.portal.escapeHtml(bucket.topic)} <span class="stats-muted">· ${this.portal.escapeHtml(bucket.category)}</span>`)}
+            </details>
+        `;
+
+        this.renderCharts(stats);
+    }
+
+    /**
+     * Tópicos com menor acerto (com links para as notas)
+     *
+     * @param {Array} weakest Tópicos de StudyStats.compute().weakest
+     * @returns {string} HTML da lista
+     */
+    renderWeakest(weakest) {
+        const escape = text => this.portal.escapeHtml(text);
+        const filesByName = new Map(this.portal.files.map(file => [file.name, file]));
+
+        if (weakest.length === 0) {
+            return `<p class="stats-muted">Ainda não há tópicos com ${StudyStats.DEFAULTS.minAnswers}+ respostas no período para apontar os mais fracos.</p>`;
+        }
+
+        return `
+            <h3 class="exam-review-title">🎯 Tópicos mais fracos</h3>
+            <ol class="stats-weakest">
+                ${weakest.map(bucket => `
+                    <li>
+                        <div class="stats-weakest-head">
+                            <strong>${escape(bucket.topic)}</strong>
+                            <span class="stats-muted">${this.categoryLabel(bucket.category)} · ${bucket.correct}/${bucket.total} · ${bucket.accuracy}%</span>
+                        </div>
+                        <div class="progress-bar"><div class="progress-fill" style="width: ${bucket.accuracy}%"></div></div>
+                        <div class="stats-weakest-notes">
+                            ${bucket.notes.filter(name => filesByName.has(name)).map(name => {
+                                const meta = this.portal.getFileMeta(name);
+                                return `<a href="${filesByName.get(name).url}" target="_blank" rel="noopener noreferrer" data-note-open="${escape(name)}">📝 ${escape(meta.title)}</a>`;
+                            }).join('')}
+                        </div>
+                    </li>
+                `).join('')}
+            </ol>
+        `;
+    }
+
+    /**
+     * Tabela de acerto (cadernos ou tópicos)
+     *
+     * @param {Array} buckets Grupos de StudyStats.compute()
+     * @param {string} title Título da primeira coluna
+     * @param {Function} label Grupo → HTML da primeira coluna
+     * @returns {string} HTML da tabela
+     */
+    renderTable(buckets, title, label) {
+        return `
+            <table class="exam-subjects stats-table">
+                <thead>
+                    <tr><th>${title}</th><th>Respostas</th><th>Acertos</th><th>Tempo</th><th>Desempenho</th></tr>
+                </thead>
+                <tbody>
+                    ${buckets.map(bucket => `
+                        <tr>
+                            <td>${label(bucket)}</td>
+                            <td>${bucket.total}</td>
+                            <td>${bucket.correct}</td>
+                            <td>${StudyStats.formatDuration(bucket.seconds)}</td>
+                            <td>
+                                <div class="progress-bar"><div class="progress-fill" style="width: ${bucket.accuracy}%"></div></div>
+                                ${bucket.accuracy}%
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * @param {string} key Sigla do caderno
+     * @returns {string} Ícone e nome do caderno (ou a sigla)
+     */
+    categoryLabel(key) {
+        const category = this.portal.categories[key];
+        return category ? this.portal.formatCategoryLabel(category) : this.portal.escapeHtml(key);
+    }
+
+    /**
+     * Gráficos do período: respostas por dia e acerto por caderno
+     *
+     * @param {Object} stats Resultado de StudyStats.compute()
+     */
+    renderCharts(stats) {
+        const daysCanvas = document.getElementById('stats-days-chart');
+        const categoriesCanvas = document.getElementById('stats-categories-chart');
+        if (typeof Chart === 'undefined' || !daysCanvas || !categoriesCanvas) {
+            console.warn('⚠️ [STATS] Chart.js indisponível, estatísticas sem gráficos');
+            return;
+        }
+
+        const dayLabel = day => day.split('-').reverse().slice(0, 2).join('/');
+        this.charts.push(new Chart(daysCanvas.getContext('2d'), {
+            type: 'bar',
+            data: {
+                labels: stats.byDay.map(bucket => dayLabel(bucket.key)),
+                datasets: [
+                    { label: 'Acertos', data: stats.byDay.map(bucket => bucket.correct), backgroundColor: STATS_COLORS.correct },
+                    { label: 'Erros', data: stats.byDay.map(bucket => bucket.total - bucket.correct), backgroundColor: STATS_COLORS.incorrect }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                scales: { x: { stacked: true }, y: { stacked: true, beginAtZero: true, ticks: { precision: 0 } } },
+                plugins: {
+                    title: { display: true, text: 'Questões respondidas por dia' },
+                    tooltip: {
+                        callbacks: {
+                            footer: items => `Tempo: ${StudyStats.formatDuration(stats.byDay[items[0].dataIndex].seconds)}`
+                        }
+                    }
+                }
+            }
+        }));
+
+        this.charts.push(new Chart(categoriesCanvas.getContext('2d'), {
+            type: 'bar',
+            data: {
+                labels: stats.byCategory.map(bucket => (this.portal.categories[bucket.key] || { name: bucket.key }).name),
+                datasets: [{
+                    label: 'Acerto (%)',
+                    data: stats.byCategory.map(bucket => bucket.accuracy),
+                    backgroundColor: stats.byCategory.map(bucket =>
+                        (this.portal.categories[bucket.key] && this.portal.categories[bucket.key].color) || STATS_COLORS.fallback)
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                indexAxis: 'y',
+                scales: { x: { min: 0, max: 100 } },
+                plugins: {
+                    legend: { display: false },
+                    title: { display: true, text: 'Acerto por caderno (%)' }
+                }
+            }
+        }));
+    }
+
+    /**
+     * Remove os gráficos anteriores (Chart.js exige destruir antes de reutilizar o canvas)
+     */
+    destroyCharts() {
+        this.charts.forEach(chart => chart.destroy());
+        this.charts = [];
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.StatsDashboard = StatsDashboard;
+}
+
+/**
+ * Exportação para módulos (se suportado)
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { StatsDashboard };
+}
@@ -0,0 +1,371 @@
+/**
+ * Portal de Notas HTML - Painel do Plano de Estudo
+ *
+ * Painel "Plano de estudo": importa o edital (Markdown ou JSON, ver
+ * syllabus.js), define a data da prova e mostra a cobertura por matéria, os
+ * itens em atraso e o ritmo sugerido até a prova. Cada item lista as notas
+ * ligadas a ele e pode ser marcado como estudado à mão (estudo fora do portal).
+ *
+ * @author Portal de Notas HTML
+ * @version 1.0.0
+ * @requires ES6+, PortalPanel, Syllabus, NoteFileName, FileReader
+ */
+
+'use strict';
+
+/**
+ * Exemplo exibido no campo de colar o edital
+ */
+const PLAN_EXAMPLE = `---
+title: Escrevente TJ-SP
+examDate: 2026-12-14
+---
+# Direito Constitucional (DC)
+1. Teoria geral dos direitos fundamentais {DC 001-004}
+   1. Características {2}
+   2. Classificação
+2. Remédios constitucionais {tópicos: habeas corpus, mandado de segurança}`;
+
+/**
+ * Controlador do painel do plano de estudo
+ */
+class StudyPlan {
+    /**
+     * @param {NotesPortal} portal Instância do portal
+     */
+    constructor(portal) {
+        this.portal = portal;
+        this.openSubjects = new Set(); // Matérias expandidas (mantidas entre renderizações)
+
+        this.panel = new PortalPanel({
+            id: 'plan-panel',
+            button: 'plan-btn',
+            name: 'plan',
+            title: '🗺️ Plano de estudo',
+            titleId: 'plan-title',
+            closeLabel: 'Fechar plano de estudo',
+            onOpen: () => this.open(),
+            actions: {
+                close: () => this.close(),
+                'import-text': () => {
+                    const text = this.elements.panel.querySelector('[name="plan-text"]');
+                    this.importText(text ? text.value : '', 'edital.md');
+                },
+                remove: () => {
+                    if (!confirm('Remover o edital e as marcações de itens estudados?')) return;
+                    Syllabus.clear();
+                    console.log('🗑️ [PLAN] Edital removido');
+                    this.render();
+                }
+            }
+        });
+        this.elements = { panel: this.panel.element, button: this.panel.button };
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Configura os campos do painel (os cliques ficam com o PortalPanel)
+     */
+    setupEventListeners() {
+        if (!this.elements.panel) return;
+
+        this.elements.panel.addEventListener('change', (e) => {
+            if (e.target.name === 'plan-file' && e.target.files.length > 0) {
+                this.readFile(e.target.files[0]);
+            }
+            if (e.target.name === 'plan-exam') {
+                Syllabus.setExamDate(e.target.value);
+                this.render();
+            }
+            if (e.target.matches('[data-plan-done]')) {
+                Syllabus.setDone(e.target.dataset.planDone, e.target.checked);
+                this.render();
+            }
+        });
+
+        // "toggle" não borbulha: captura para lembrar as matérias abertas
+        this.elements.panel.addEventListener('toggle', (e) => {
+            const subject = e.target.dataset && e.target.dataset.planSubject;
+            if (!subject) return;
+            if (e.target.open) this.openSubjects.add(subject);
+            else this.openSubjects.delete(subject);
+        }, true);
+    }
+
+    /**
+     * Abre o painel
+     */
+    open() {
+        if (!this.elements.panel) return;
+
+        this.render();
+        this.panel.show();
+    }
+
+    /**
+     * Fecha o painel
+     */
+    close() {
+        this.panel.hide();
+    }
+
+    /**
+     * Recalcula o painel aberto (ex: lista de notas ou metadados atualizados)
+     */
+    refresh() {
+        if (this.panel.isOpen()) this.render();
+    }
+
+    /**
+     * Lê o arquivo de edital escolhido
+     *
+     * @param {File} file Arquivo do input
+     */
+    readFile(file) {
+        const reader = new FileReader();
+        reader.onload = () => this.importText(String(reader.result), file.name);
+        reader.onerror = () => this.showStatus('❌ Não foi possível ler o arquivo.', true);
+        reader.readAsText(file);
+    }
+
+    /**
+     * Valida e salva um edital
+     *
+     * @param {string} text Conteúdo Markdown ou JSON
+     * @param {string} fileName Nome do arquivo (define o formato)
+     */
+    importText(text, fileName) {
+        try {
+            Syllabus.importPlan(Syllabus.parse(text, fileName), { fileName });
+            this.render();
+        } catch (error) {
+            console.warn('⚠️ [PLAN] Edital rejeitado:', error.message);
+            this.showStatus(`❌ ${error.message}`, true);
+        }
+    }
+
+    /**
+     * Mostra uma mensagem no painel
+     *
+     * @param {string} message Texto
+     * @param {boolean} [isError=false] Mensagem de erro
+     */
+    showStatus(message, isError = false) {
+        const status = this.elements.panel && this.elements.panel.querySelector('.plan-status');
+        if (!status) return;
+        status.textContent = message;
+        status.classList.toggle('is-error', isError);
+    }
+
+    /**
+     * Notas do portal no formato usado por Syllabus.link()
+     *
+     * @returns {Array} Notas { name, subject, sequence, title, topics }
+     */
+    getNotes() {
+        return this.portal.files.map(file => {
+            const meta = this.portal.getFileMeta(file.name);
+            const details = this.portal.noteMetadata ? this.portal.noteMetadata.get(file.name) : null;
+            return {
+                name: file.name,
+                subject: meta.subject,
+                sequence: meta.sequence,
+                title: meta.title,
+                topics: details ? [details.heading, ...details.topics].filter(Boolean) : []
+            };
+        });
+    }
+
+    /**
+     * @param {string} day Dia AAAA-MM-DD
+     * @returns {string} Dia no formato DD/MM/AAAA
+     */
+    formatDay(day) {
+        return day.split('-').reverse().join('/');
+    }
+
+    /**
+     * Renderiza o painel (importação ou acompanhamento do edital)
+     */
+    render() {
+        const { plan, done } = Syllabus.load();
+
+        if (!plan) {
+            this.elements.panel.innerHTML = `
+                ${this.panel.renderHeader()}
+                <div class="plan-import">
+                    <p>Importe o conteúdo programático do edital (matérias → tópicos → subtópicos) em Markdown ou JSON.
+                    Cada item pode apontar as notas que o cobrem por sigla e sequência (<code>{DC 001-004}</code>) ou pelos
+                    tópicos das questões (<code>{tópicos: habeas corpus}</code>).</p>
+                    <label class="btn btn-primary">📂 Escolher arquivo
+                        <input type="file" name="plan-file" accept=".md,.markdown,.txt,.json,text/markdown,application/json" hidden>
+                    </label>
+                    <details>
+                        <summary>Ou cole o edital</summary>
+                        <textarea name="plan-text" rows="10" spellcheck="false" placeholder="${this.portal.escapeHtml(PLAN_EXAMPLE)}"></textarea>
+                        <button type="button" class="btn btn-primary" data-plan-action="import-text">Importar</button>
+                    </details>
+                    <p class="plan-status" role="status"></p>
+                </div>
+            `;
+            return;
+        }
+
+        const progress = Syllabus.progress(plan, Syllabus.link(plan, this.getNotes()), { done });
+        const { pace } = progress;
+        const subtitle = plan.examDate
+            ? `${this.portal.escapeHtml(plan.title)} · prova em ${this.formatDay(plan.examDate)}`
+            : this.portal.escapeHtml(plan.title);
+
+        this.elements.panel.innerHTML = `
+            ${this.panel.renderHeader(subtitle)}
+            <div class="stats-range plan-controls">
+                <label>📅 Data da prova <input type="date" name="plan-exam" value="${plan.examDate || ''}"></label>
+                <label class="btn">📂 Reimportar edital
+                    <input type="file" name="plan-file" accept=".md,.markdown,.txt,.json,text/markdown,application/json" hidden>
+                </label>
+                <button type="button" class="btn" data-plan-action="remove">🗑️ Remover edital</button>
+            </div>
+            <p class="plan-status" role="status"></p>
+            <div class="stats-summary">
+                <div class="stats-card"><strong>${progress.percent}%</strong><span>do edital coberto (${progress.covered}/${progress.total} itens)</span></div>
+                <div class="stats-card"><strong>${pace.remaining}</strong><span>item(ns) por estudar</span></div>
+                <div class="stats-card"><strong>${this.formatPace(pace)}</strong><span>${pace.daysLeft !== null && pace.daysLeft > 0 ? `ritmo sugerido · ${pace.daysLeft} dia(s) até a prova` : 'ritmo sugerido'}</span></div>
+                <div class="stats-card ${progress.overdue.length > 0 ? 'is-alert' : ''}"><strong>${progress.overdue.length}</strong><span>item(ns) em atraso</span></div>
+            </div>
+            ${this.renderOverdue(progress.overdue)}
+            <h3 class="exam-review-title">📚 Cobertura por matéria</h3>
+            ${progress.bySubject.map(entry => this.renderSubject(entry, progress.items)).join('')}
+        `;
+    }
+
+    /**
+     * @param {Object} pace Ritmo de Syllabus.progress()
+     * @returns {string} Ex: "2,5/dia", "1 a cada 4 dias"
+     */
+    formatPace(pace) {
+        if (pace.remaining === 0) return '✅';
+        if (pace.perDay === null) return '--';
+        if (pace.perDay >= 1) return `${pace.perDay.toFixed(1).replace('.', ',').replace(',0', '')}/dia`;
+        return `1 a cada ${Math.floor(1 / pace.perDay)} dias`;
+    }
+
+    /**
+     * Lista dos itens em atraso
+     *
+     * @param {Array} overdue Itens de Syllabus.progress().overdue
+     * @returns {string} HTML da lista
+     */
+    renderOverdue(overdue) {
+        if (overdue.length === 0) return '';
+
+        const escape = text => this.portal.escapeHtml(text);
+        return `
+            <h3 class="exam-review-title">⚠️ Em atraso</h3>
+            <ul class="plan-overdue">
+                ${overdue.map(entry => `
+                    <li>
+                        <span class="stats-muted">${escape(entry.subject.name)} ›</span>
+                        ${entry.topic !== entry.item ? `<span class="stats-muted">${escape(entry.topic.name)} ›</span>` : ''}
+                        <strong>${escape(entry.item.name)}</strong>
+                        <span class="plan-due">previsto para ${this.formatDay(entry.due)}</span>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * Matéria com barra de cobertura e árvore de tópicos
+     *
+     * @param {Object} entry Matéria de Syllabus.progress().bySubject
+     * @param {Array} items Itens de Syllabus.progress().items
+     * @returns {string} HTML da matéria
+     */
+    renderSubject(entry, items) {
+        const escape = text => this.portal.escapeHtml(text);
+        const byId = new Map(items.map(item => [item.item.id, item]));
+        const { subject } = entry;
+
+        return `
+            <details class="plan-subject" data-plan-subject="${escape(subject.id)}" ${this.openSubjects.has(subject.id) ? 'open' : ''}>
+                <summary>
+                    <span class="plan-subject-name">${escape(subject.name)}${subject.code ? ` <span class="stats-muted">(${escape(subject.code)})</span>` : ''}</span>
+                    <span class="plan-subject-progress">
+                        <span class="progress-bar"><span class="progress-fill" style="width: ${entry.percent}%"></span></span>
+                        ${entry.covered}/${entry.total} · ${entry.percent}%${entry.overdue > 0 ? ` · ⚠️ ${entry.overdue}` : ''}
+                    </span>
+                </summary>
+                <ul class="plan-tree">
+                    ${subject.topics.map(topic => this.renderItem(topic, byId)).join('')}
+                </ul>
+            </details>
+        `;
+    }
+
+    /**
+     * Item do edital (tópico com subtópicos ou item acompanhado)
+     *
+     * @param {Object} item Item normalizado
+     * @param {Map} byId Id → item de Syllabus.progress().items
+     * @returns {string} HTML do item
+     */
+    renderItem(item, byId) {
+        const escape = text => this.portal.escapeHtml(text);
+
+        if (item.subtopics.length > 0) {
+            return `
+                <li class="plan-item">
+                    <span class="plan-item-name">${escape(item.name)}</span>
+                    <ul class="plan-tree">${item.subtopics.map(child => this.renderItem(child, byId)).join('')}</ul>
+                </li>
+            `;
+        }
+
+        const entry = byId.get(item.id);
+        const state = entry.overdue ? 'is-overdue' : (entry.covered ? 'is-covered' : '');
+        const icon = entry.notes.length > 0 ? '✅' : (entry.manual ? '☑️' : (entry.overdue ? '⚠️' : '⏳'));
+        return `
+            <li class="plan-item ${state}">
+                <label>
+                    <input type="checkbox" data-plan-done="${escape(item.id)}" ${entry.manual ? 'checked' : ''} title="Marcar como estudado fora das notas">
+                    <span aria-hidden="true">${icon}</span>
+                    <span class="plan-item-name">${escape(item.name)}</span>
+                </label>
+                ${entry.due ? `<span class="plan-due">📅 ${this.formatDay(entry.due)}</span>` : ''}
+                ${this.renderNoteLinks(entry.notes)}
+            </li>
+        `;
+    }
+
+    /**
+     * Links para as notas ligadas a um item
+     *
+     * @param {string[]} names Nomes das notas
+     * @returns {string} HTML dos links
+     */
+    renderNoteLinks(names) {
+        const escape = text => this.portal.escapeHtml(text);
+        const filesByName = new Map(this.portal.files.map(file => [file.name, file]));
+
+        return names.filter(name => filesByName.has(name)).map(name => {
+            const meta = this.portal.getFileMeta(name);
+            const label = meta.subject && meta.sequence !== null
+                ? `${meta.subject} ${String(meta.sequence).padStart(3, '0')}`
+                : meta.title;
+            return `<a class="plan-note" href="${filesByName.get(name).url}" target="_blank" rel="noopener noreferrer" data-note-open="${escape(name)}" title="${escape(meta.title)}">📝 ${escape(label)}</a>`;
+        }).join('');
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.StudyPlan = StudyPlan;
+}
+
+/**
+ * Exportação para módulos (se suportado)
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { StudyPlan };
+}
@@ -0,0 +1,193 @@
+/**
+ * Portal de Notas HTML - Estatísticas de Estudo
+ *
+ * Cálculos do painel de estatísticas a partir do registro de atividade do
+ * ProgressStore (uma entrada por resposta): acertos por caderno e por tópico,
+ * respostas por dia, tempo de estudo e tópicos mais fracos.
+ *
+ * Não acessa o DOM nem o localStorage; o painel (StatsDashboard) fornece as
+ * respostas e as funções que resolvem caderno e tópico de cada questão.
+ *
+ * @author Portal de Notas HTML
+ * @version 1.0.0
+ * @requires ES6+
+ */
+
+'use strict';
+
+/**
+ * Períodos do seletor (dias contados até hoje, inclusive; null = tudo)
+ */
+const STATS_RANGES = {
+    7: 'Últimos 7 dias',
+    30: 'Últimos 30 dias',
+    90: 'Últimos 90 dias',
+    all: 'Todo o período',
+    custom: 'Personalizado'
+};
+
+/**
+ * Valores padrão dos cálculos
+ */
+const STATS_DEFAULTS = {
+    minAnswers: 3, // Respostas mínimas para um tópico entrar nos "mais fracos"
+    weakestLimit: 5,
+    noTopic: 'Sem tópico'
+};
+
+/**
+ * Cálculos das estatísticas de estudo
+ */
+class StudyStats {
+    /**
+     * Dia local AAAA-MM-DD
+     *
+     * @param {Date} [date] Data (padrão: agora)
+     * @returns {string} Dia
+     */
+    static toDay(date = new Date()) {
+        const year = date.getFullYear();
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${year}-${month}-${day}`;
+    }
+
+    /**
+     * Soma dias a um dia AAAA-MM-DD
+     *
+     * @param {string} day Dia de referência
+     * @param {number} amount Quantidade de dias
+     * @returns {string} Novo dia
+     */
+    static addDays(day, amount) {
+        const [year, month, date] = day.split('-').map(Number);
+        return StudyStats.toDay(new Date(year, month - 1, date + amount));
+    }
+
+    /**
+     * Intervalo de um período do seletor
+     *
+     * @param {string|number} range Chave de STATS_RANGES (7, 30, 90, all)
+     * @param {string} [today] Dia de referência
+     * @returns {Object} { from, to } (null = sem limite)
+     */
+    static rangeFor(range, today = StudyStats.toDay()) {
+        const days = parseInt(range, 10);
+        if (!days) return { from: null, to: null };
+        return { from: StudyStats.addDays(today, -(days - 1)), to: today };
+    }
+
+    /**
+     * Lista as respostas de um registro de atividade
+     *
+     * @param {Object} activity Registro { answers } do ProgressStore
+     * @returns {Array} Respostas { note, question, correct, at, seconds, day }, em ordem cronológica
+     */
+    static fromActivity(activity) {
+        return Object.values((activity && activity.answers) || {})
+            .filter(answer => answer && answer.note && answer.at)
+            .map(answer => ({ ...answer, day: StudyStats.toDay(new Date(answer.at)) }))
+            .sort((a, b) => a.at.localeCompare(b.at));
+    }
+
+    /**
+     * Calcula as estatísticas de um período
+     *
+     * @param {Array} answers Respostas de fromActivity()
+     * @param {Object} [options]
+     * @param {string|null} [options.from] Primeiro dia (AAAA-MM-DD)
+     * @param {string|null} [options.to] Último dia (AAAA-MM-DD)
+     * @param {Function} [options.categoryOf] Nome da nota → caderno
+     * @param {Function} [options.topicOf] (nota, índice) → tópico ou null
+     * @param {number} [options.minAnswers] Respostas mínimas dos tópicos mais fracos
+     * @param {number} [options.weakestLimit] Quantidade de tópicos mais fracos
+     * @returns {Object} { total, correct, accuracy, seconds, activeDays, byCategory, byTopic, byDay, weakest }
+     */
+    static compute(answers, options = {}) {
+        const settings = { ...STATS_DEFAULTS, ...options };
+        const categoryOf = settings.categoryOf || (() => 'GERAL');
+        const topicOf = settings.topicOf || (() => null);
+        const inRange = answers.filter(answer =>
+            (!settings.from || answer.day >= settings.from) && (!settings.to || answer.day <= settings.to));
+
+        const categories = new Map();
+        const topics = new Map();
+        const days = new Map();
+        const add = (map, key, answer, extra = {}) => {
+            if (!map.has(key)) map.set(key, { key, total: 0, correct: 0, seconds: 0, ...extra });
+            const bucket = map.get(key);
+            bucket.total++;
+            if (answer.correct) bucket.correct++;
+            bucket.seconds += answer.seconds || 0;
+            return bucket;
+        };
+
+        inRange.forEach(answer => {
+            const category = categoryOf(answer.note);
+            const topic = topicOf(answer.note, answer.question) || settings.noTopic;
+            add(categories, category, answer);
+            add(topics, `${category}|${topic}`, answer, { topic, category, notes: new Set() }).notes.add(answer.note);
+            add(days, answer.day, answer);
+        });
+
+        const withAccuracy = bucket => ({
+            ...bucket,
+            accuracy: bucket.total > 0 ? Math.round((bucket.correct / bucket.total) * 100) : 0
+        });
+
+        const byTopic = [...topics.values()]
+            .map(bucket => withAccuracy({ ...bucket, notes: [...bucket.notes] }))
+            .sort((a, b) => b.total - a.total || a.topic.localeCompare(b.topic));
+
+        // Dias sem resposta também aparecem (gráfico contínuo)
+        const first = settings.from || (inRange[0] && inRange[0].day);
+        const last = settings.to || (inRange.length > 0 ? inRange[inRange.length - 1].day : null);
+        const byDay = [];
+        for (let day = first; day && last && day <= last; day = StudyStats.addDays(day, 1)) {
+            byDay.push(withAccuracy(days.get(day) || { key: day, total: 0, correct: 0, seconds: 0 }));
+        }
+
+        const correct = inRange.filter(answer => answer.correct).length;
+        return {
+            total: inRange.length,
+            correct,
+            accuracy: inRange.length > 0 ? Math.round((correct / inRange.length) * 100) : 0,
+            seconds: inRange.reduce((sum, answer) => sum + (answer.seconds || 0), 0),
+            activeDays: days.size,
+            byCategory: [...categories.values()].map(withAccuracy).sort((a, b) => b.total - a.total),
+            byTopic,
+            byDay,
+            weakest: byTopic
+                .filter(bucket => bucket.total >= settings.minAnswers && bucket.topic !== settings.noTopic)
+                .sort((a, b) => a.accuracy - b.accuracy || b.total - a.total)
+                .slice(0, settings.weakestLimit)
+        };
+    }
+
+    /**
+     * Formata uma duração para exibição
+     *
+     * @param {number} seconds Duração em segundos
+     * @returns {string} Ex: "1h 05min", "12min", "40s"
+     */
+    static formatDuration(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        if (minutes === 0) return `${seconds}s`;
+        if (minutes < 60) return `${minutes}min`;
+        return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}min`;
+    }
+}
+
+StudyStats.RANGES = STATS_RANGES;
+StudyStats.DEFAULTS = STATS_DEFAULTS;
+
+if (typeof window !== 'undefined') {
+    window.StudyStats = StudyStats;
+}
+
+/**
+ * Exportação para módulos (se suportado)
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { StudyStats };
+}
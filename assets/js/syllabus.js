@@ -0,0 +1,599 @@
+/**
+ * Portal de Notas HTML - Edital (Plano de Estudo)
+ *
+ * Lê o conteúdo programático de um edital (matérias → tópicos → subtópicos)
+ * em JSON ou Markdown, liga cada item às notas do portal e calcula a
+ * cobertura por matéria, os itens atrasados e o ritmo diário até a prova.
+ *
+ * Formato Markdown:
+ *
+ *   ---
+ *   title: Escrevente TJ-SP
+ *   examDate: 2026-12-14
+ *   ---
+ *   # Direito Constitucional (DC)
+ *   1. Teoria geral dos direitos fundamentais {DC 001-004}
+ *      1. Características {2}
+ *      2. Classificação
+ *   2. Remédios constitucionais {tópicos: habeas corpus, mandado de segurança}
+ *
+ * - `# Matéria (SIGLA)`: a sigla é a do caderno; as referências sem sigla usam ela
+ * - itens de lista: tópicos; itens recuados: subtópicos
+ * - `{...}` no fim do item: notas por sigla/sequência ("DC 001-004", "7"),
+ *   `tópicos: a, b` (procura no campo `topic` das questões e no título da
+ *   nota) e `prazo: AAAA-MM-DD` (data prevista do item)
+ * - item sem `{...}`: procura o próprio nome nos tópicos das notas da matéria
+ *
+ * Formato JSON: { title, examDate, subjects: [{ name, code, topics: [
+ *   "Nome" | { name, notes: ["DC 001-004"], match: ["..."], due, subtopics: [...] } ] }] }
+ *
+ * O edital importado fica no localStorage (chave `notes-portal-syllabus`,
+ * versão 1), junto com os itens marcados como estudados à mão:
+ * {
+ *   version: 1,
+ *   plan: { title, examDate, startDate, importedAt, fileName, subjects },
+ *   done: { "<id do item>": { doneAt } }
+ * }
+ *
+ * Os ids dos itens vêm dos nomes (ex: "DC/teoria-geral/caracteristicas"),
+ * então reimportar o edital corrigido mantém as marcações.
+ *
+ * @author Portal de Notas HTML
+ * @version 1.0.0
+ * @requires ES6+, LocalStorage
+ */
+
+'use strict';
+
+const SYLLABUS_STORAGE_KEY = 'notes-portal-syllabus';
+const SYLLABUS_SCHEMA_VERSION = 1;
+const SYLLABUS_MIN_KEYWORD = 4; // Tópicos mais curtos não entram na busca pelo nome
+
+/**
+ * Erro de leitura ou validação de um edital
+ */
+class SyllabusError extends Error {
+    /**
+     * @param {string} message Descrição do problema
+     * @param {number} [line] Linha do arquivo (base 1)
+     */
+    constructor(message, line) {
+        super(line === undefined ? message : `${message} (linha ${line})`);
+        this.name = 'SyllabusError';
+        this.line = line;
+    }
+}
+
+/**
+ * Leitura, ligação com as notas e acompanhamento do edital
+ */
+class Syllabus {
+    /**
+     * Lê o registro completo
+     *
+     * @returns {Object} Registro { version, plan, done }
+     */
+    static load() {
+        try {
+            const data = JSON.parse(localStorage.getItem(SYLLABUS_STORAGE_KEY));
+            if (data && typeof data.done === 'object' && data.done !== null) {
+                return data;
+            }
+        } catch (error) {
+            console.warn('⚠️ [PLAN] Edital salvo ilegível, recomeçando:', error);
+        }
+        return { version: SYLLABUS_SCHEMA_VERSION, plan: null, done: {} };
+    }
+
+    /**
+     * Grava o registro completo
+     *
+     * @param {Object} data Registro { version, plan, done }
+     */
+    static save(data) {
+        try {
+            localStorage.setItem(SYLLABUS_STORAGE_KEY, JSON.stringify(data));
+        } catch (error) {
+            console.warn('⚠️ [PLAN] Não foi possível salvar o edital:', error);
+        }
+    }
+
+    /**
+     * Texto sem acentos e em minúsculas (comparação de nomes)
+     *
+     * @param {string} text Texto original
+     * @returns {string} Texto normalizado
+     */
+    static normalizeText(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * @param {string} text Nome de matéria ou tópico
+     * @returns {string} Trecho de id (ex: "teoria-geral")
+     */
+    static slug(text) {
+        return Syllabus.normalizeText(text).replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'item';
+    }
+
+    /**
+     * Dia AAAA-MM-DD deslocado
+     *
+     * @param {string} day Dia de referência
+     * @param {number} amount Quantidade de dias
+     * @returns {string} Novo dia
+     */
+    static addDays(day, amount) {
+        const [year, month, date] = day.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, date + amount)).toISOString().slice(0, 10);
+    }
+
+    /**
+     * Dias de `from` até `to` (negativo se `to` vier antes)
+     *
+     * @param {string} from Dia AAAA-MM-DD
+     * @param {string} to Dia AAAA-MM-DD
+     * @returns {number} Diferença em dias
+     */
+    static daysBetween(from, to) {
+        const toUtc = day => {
+            const [year, month, date] = day.split('-').map(Number);
+            return Date.UTC(year, month - 1, date);
+        };
+        return Math.round((toUtc(to) - toUtc(from)) / 86400000);
+    }
+
+    /**
+     * @param {*} value Data informada no edital
+     * @returns {string|null} Dia AAAA-MM-DD válido ou null
+     */
+    static parseDay(value) {
+        const text = String(value || '').trim();
+        let match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+        if (!match) {
+            const br = /^(\d{2})\/(\d{2})\/(\d{4})$/.exec(text);
+            if (br) match = [br[0], br[3], br[2], br[1]];
+        }
+        if (!match) return null;
+
+        const day = `${match[1]}-${match[2]}-${match[3]}`;
+        return Syllabus.addDays(day, 0) === day ? day : null;
+    }
+
+    /**
+     * Lê as referências a notas ("DC 001-004", "DP_8", "12", "3–5")
+     *
+     * @param {string} text Referência
+     * @param {string|null} [code] Sigla padrão (da matéria)
+     * @returns {Object|null} { subject, from, to } ou null se não for referência
+     */
+    static parseRef(text, code = null) {
+        const match = /^([A-Za-z]{2,6})?[\s_]*(\d{1,3})(?:\s*[-–—a]\s*(\d{1,3}))?$/.exec(String(text).trim());
+        if (!match) return null;
+
+        const subject = match[1] ? match[1].toUpperCase() : code;
+        if (!subject) return null;
+
+        const from = parseInt(match[2], 10);
+        const to = match[3] ? parseInt(match[3], 10) : from;
+        return { subject, from: Math.min(from, to), to: Math.max(from, to) };
+    }
+
+    /**
+     * Lê o bloco `{...}` de um item do Markdown
+     *
+     * @param {string} block Conteúdo entre chaves
+     * @param {number} line Linha (para mensagens)
+     * @returns {Object} { notes, match, due }
+     */
+    static parseLinkBlock(block, line) {
+        const result = { notes: [], match: [], due: null };
+
+        block.split(';').map(part => part.trim()).filter(Boolean).forEach(part => {
+            const field = /^(t[óo]picos?|match|prazo|due)\s*:\s*(.*)$/i.exec(part);
+            if (field && /^(prazo|due)$/i.test(field[1])) {
+                result.due = field[2].trim();
+                if (!Syllabus.parseDay(result.due)) throw new SyllabusError(`Prazo inválido "${result.due}" (use AAAA-MM-DD)`, line);
+                return;
+            }
+            if (field) {
+                result.match.push(...field[2].split(',').map(item => item.trim()).filter(Boolean));
+                return;
+            }
+            part.split(',').map(item => item.trim()).filter(Boolean).forEach(item => {
+                if (/^([A-Za-z]{2,6})?[\s_]*\d/.test(item)) result.notes.push(item);
+                else result.match.push(item);
+            });
+        });
+
+        return result;
+    }
+
+    /**
+     * Lê um edital a partir do conteúdo e do nome do arquivo
+     *
+     * @param {string} text Conteúdo do arquivo
+     * @param {string} [fileName] Nome do arquivo (.md ou .json)
+     * @returns {Object} Edital normalizado { title, examDate, subjects }
+     * @throws {SyllabusError} Se o edital for inválido
+     */
+    static parse(text, fileName = '') {
+        const raw = /\.json$/i.test(fileName) || /^\s*\{/.test(text)
+            ? Syllabus.parseJson(text)
+            : Syllabus.parseMarkdown(text);
+
+        return Syllabus.normalize(raw);
+    }
+
+    /**
+     * @param {string} text Conteúdo JSON
+     * @returns {Object} Edital ainda não normalizado
+     */
+    static parseJson(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new SyllabusError(`JSON inválido: ${error.message}`);
+        }
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new SyllabusError('O edital JSON deve ser um objeto');
+        }
+        return data;
+    }
+
+    /**
+     * @param {string} text Conteúdo Markdown
+     * @returns {Object} Edital ainda não normalizado
+     */
+    static parseMarkdown(text) {
+        const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+        const data = { subjects: [] };
+        let start = 0;
+
+        if (lines[0].trim() === '---') {
+            const end = lines.indexOf('---', 1);
+            if (end === -1) throw new SyllabusError('Front-matter sem a linha "---" de fechamento', 1);
+
+            lines.slice(1, end).forEach((line, offset) => {
+                if (!line.trim() || /^\s*#/.test(line)) return;
+                const pair = /^([A-Za-z][\w-]*)\s*:\s*(.*)$/.exec(line);
+                if (!pair) throw new SyllabusError(`Linha do front-matter não reconhecida: "${line.trim()}"`, offset + 2);
+                data[pair[1]] = pair[2].trim().replace(/^(["'])(.*)\1$/, '$2');
+            });
+            start = end + 1;
+        }
+
+        let subject = null;
+        const stack = []; // [{ indent, item }] do item atual até o tópico
+
+        lines.slice(start).forEach((line, offset) => {
+            const lineNumber = start + offset + 1;
+            if (!line.trim()) return;
+
+            const heading = /^#\s+(.+?)\s*$/.exec(line);
+            if (heading) {
+                const code = /^(.*?)\s*[([]([A-Za-z]{2,6})[)\]]$/.exec(heading[1]);
+                subject = { name: code ? code[1] : heading[1], code: code ? code[2] : null, topics: [] };
+                data.subjects.push(subject);
+                stack.length = 0;
+                return;
+            }
+
+            const item = /^(\s*)(?:[-*+]|\d+(?:\.\d+)*[.)])\s+(.+?)\s*$/.exec(line);
+            if (!item) {
+                if (/^\s*#{2,}\s/.test(line) || !subject) return; // Subtítulos e texto livre são ignorados
+                throw new SyllabusError(`Linha fora de uma lista: "${line.trim()}"`, lineNumber);
+            }
+            if (!subject) throw new SyllabusError('Tópico antes da primeira matéria ("# Matéria")', lineNumber);
+
+            const indent = item[1].replace(/\t/g, '    ').length;
+            const block = /^(.*?)\s*\{([^{}]*)\}$/.exec(item[2]);
+            const entry = {
+                name: block ? block[1] : item[2],
+                ...(block ? Syllabus.parseLinkBlock(block[2], lineNumber) : {}),
+                subtopics: [],
+                line: lineNumber
+            };
+
+            while (stack.length > 0 && stack[stack.length - 1].indent >= indent) stack.pop();
+            if (stack.length === 0) subject.topics.push(entry);
+            else stack[stack.length - 1].item.subtopics.push(entry);
+            stack.push({ indent, item: entry });
+        });
+
+        return data;
+    }
+
+    /**
+     * Valida e normaliza um edital
+     *
+     * @param {Object} raw Edital lido do JSON ou do Markdown
+     * @returns {Object} { title, examDate, subjects: [{ id, name, code, topics }] }
+     *   Cada item: { id, name, refs, match, due, subtopics }
+     */
+    static normalize(raw) {
+        const subjects = Array.isArray(raw.subjects) ? raw.subjects : [];
+        if (subjects.length === 0) throw new SyllabusError('O edital não tem matérias');
+
+        const examDate = raw.examDate ? Syllabus.parseDay(raw.examDate) : null;
+        if (raw.examDate && !examDate) throw new SyllabusError(`Data da prova inválida "${raw.examDate}" (use AAAA-MM-DD)`);
+
+        const usedIds = new Set();
+        const uniqueId = base => {
+            let id = base;
+            for (let n = 2; usedIds.has(id); n++) id = `${base}-${n}`;
+            usedIds.add(id);
+            return id;
+        };
+        const toList = value => (Array.isArray(value) ? value : (value ? String(value).split(',') : []))
+            .map(item => String(item).trim())
+            .filter(Boolean);
+
+        const normalizeItem = (item, parentId, code) => {
+            const data = typeof item === 'string' ? { name: item } : (item || {});
+            const name = String(data.name || '').trim();
+            if (!name) throw new SyllabusError(`Tópico sem nome em "${parentId}"`, data.line);
+
+            const refs = toList(data.notes).map(ref => {
+                const parsed = Syllabus.parseRef(ref, code);
+                if (!parsed) throw new SyllabusError(`Referência a nota inválida "${ref}" em "${name}" (use "SIGLA 001-003")`, data.line);
+                return parsed;
+            });
+            const due = data.due ? Syllabus.parseDay(data.due) : null;
+            if (data.due && !due) throw new SyllabusError(`Prazo inválido "${data.due}" em "${name}"`, data.line);
+
+            const id = uniqueId(`${parentId}/${Syllabus.slug(name)}`);
+            const children = Array.isArray(data.subtopics) ? data.subtopics : [];
+            return {
+                id,
+                name,
+                refs,
+                match: toList(data.match),
+                due,
+                subtopics: children.map(child => normalizeItem(child, id, code))
+            };
+        };
+
+        return {
+            title: String(raw.title || 'Edital').trim(),
+            examDate,
+            subjects: subjects.map(subject => {
+                const name = String((subject && subject.name) || '').trim();
+                if (!name) throw new SyllabusError('Matéria sem nome');
+                const code = subject.code ? String(subject.code).trim().toUpperCase() : null;
+                const id = uniqueId(code || Syllabus.slug(name));
+                const topics = Array.isArray(subject.topics) ? subject.topics : [];
+                return { id, name, code, topics: topics.map(topic => normalizeItem(topic, id, code)) };
+            })
+        };
+    }
+
+    /**
+     * Liga os itens do edital às notas
+     *
+     * Um item usa as referências por sigla/sequência e os `tópicos` indicados;
+     * sem nenhum dos dois, procura o próprio nome nos tópicos e títulos das
+     * notas da matéria. Subtópicos sem nota própria herdam as referências do
+     * tópico.
+     *
+     * @param {Object} plan Edital normalizado
+     * @param {Array} notes Notas { name, subject, sequence, title, topics }
+     * @returns {Map<string, string[]>} Id do item → nomes das notas
+     */
+    static link(plan, notes) {
+        const links = new Map();
+        const prepared = notes.map(note => ({
+            ...note,
+            texts: [note.title, ...(note.topics || [])].map(Syllabus.normalizeText).filter(Boolean)
+        }));
+
+        const byRefs = refs => prepared
+            .filter(note => refs.some(ref => note.subject === ref.subject && note.sequence >= ref.from && note.sequence <= ref.to))
+            .map(note => note.name);
+
+        const byKeywords = (keywords, code, loose) => {
+            const normalized = keywords.map(Syllabus.normalizeText).filter(keyword => keyword.length >= SYLLABUS_MIN_KEYWORD);
+            return prepared
+                .filter(note => !code || note.subject === code)
+                .filter(note => note.texts.some(text => normalized.some(keyword =>
+                    text.includes(keyword) || (loose && text.length >= SYLLABUS_MIN_KEYWORD && keyword.includes(text)))))
+                .map(note => note.name);
+        };
+
+        const visit = (item, code, inherited) => {
+            const explicit = item.refs.length > 0 || item.match.length > 0;
+            let names = explicit
+                ? [...byRefs(item.refs), ...byKeywords(item.match, code, false)]
+                : byKeywords([item.name], code, true);
+            if (names.length === 0) names = inherited;
+
+            links.set(item.id, [...new Set(names)]);
+            item.subtopics.forEach(child => visit(child, code, item.refs.length > 0 ? byRefs(item.refs) : []));
+        };
+
+        plan.subjects.forEach(subject => subject.topics.forEach(topic => visit(topic, subject.code, [])));
+        return links;
+    }
+
+    /**
+     * Itens que contam no acompanhamento (tópicos sem subtópicos e subtópicos)
+     *
+     * @param {Object} plan Edital normalizado
+     * @returns {Array} Itens { item, subject, topic }, na ordem do edital
+     */
+    static leaves(plan) {
+        const result = [];
+        const visit = (item, subject, topic) => {
+            if (item.subtopics.length === 0) result.push({ item, subject, topic });
+            item.subtopics.forEach(child => visit(child, subject, topic));
+        };
+        plan.subjects.forEach(subject => subject.topics.forEach(topic => visit(topic, subject, topic)));
+        return result;
+    }
+
+    /**
+     * Calcula o andamento do plano
+     *
+     * Sem prazo próprio, os itens são distribuídos por igual entre o início do
+     * plano e a véspera da prova, na ordem do edital. Um item está em atraso
+     * quando o prazo passou e ele não tem nota nem foi marcado como estudado.
+     *
+     * @param {Object} plan Edital salvo ({ examDate, startDate, subjects })
+     * @param {Map<string, string[]>} links Resultado de link()
+     * @param {Object} [options]
+     * @param {Object} [options.done] Itens marcados à mão ({ id: { doneAt } })
+     * @param {string} [options.today] Dia de referência (AAAA-MM-DD)
+     * @returns {Object} { total, covered, percent, items, bySubject, overdue, pace }
+     */
+    static progress(plan, links, options = {}) {
+        const done = options.done || {};
+        const today = options.today || Syllabus.today();
+        const leaves = Syllabus.leaves(plan);
+        const start = plan.startDate || today;
+        const span = plan.examDate ? Math.max(0, Syllabus.daysBetween(start, plan.examDate) - 1) : 0;
+
+        const items = leaves.map((leaf, index) => {
+            const notes = links.get(leaf.item.id) || [];
+            const manual = Boolean(done[leaf.item.id]);
+            const due = leaf.item.due || (plan.examDate ? Syllabus.addDays(start, Math.ceil(((index + 1) * span) / leaves.length)) : null);
+            const covered = manual || notes.length > 0;
+            return {
+                ...leaf,
+                notes,
+                manual,
+                covered,
+                due,
+                overdue: !covered && due !== null && due < today
+            };
+        });
+
+        const percent = (covered, total) => (total > 0 ? Math.round((covered / total) * 100) : 0);
+        const bySubject = plan.subjects.map(subject => {
+            const own = items.filter(entry => entry.subject === subject);
+            const covered = own.filter(entry => entry.covered).length;
+            return {
+                subject,
+                total: own.length,
+                covered,
+                percent: percent(covered, own.length),
+                overdue: own.filter(entry => entry.overdue).length
+            };
+        });
+
+        const covered = items.filter(entry => entry.covered).length;
+        const remaining = items.length - covered;
+        const daysLeft = plan.examDate ? Syllabus.daysBetween(today, plan.examDate) : null;
+
+        return {
+            total: items.length,
+            covered,
+            percent: percent(covered, items.length),
+            items,
+            bySubject,
+            overdue: items.filter(entry => entry.overdue),
+            pace: {
+                remaining,
+                daysLeft,
+                // Itens por dia até a véspera da prova (null sem data ou com a prova já passada)
+                perDay: daysLeft !== null && daysLeft > 0 ? remaining / daysLeft : null,
+                expected: items.filter(entry => entry.due !== null && entry.due < today).length
+            }
+        };
+    }
+
+    /**
+     * @returns {string} Dia local de hoje (AAAA-MM-DD)
+     */
+    static today() {
+        const now = new Date();
+        return [now.getFullYear(), String(now.getMonth() + 1).padStart(2, '0'), String(now.getDate()).padStart(2, '0')].join('-');
+    }
+
+    /**
+     * Salva um edital importado (mantém as marcações dos itens que continuam)
+     *
+     * @param {Object} plan Edital normalizado
+     * @param {Object} [options]
+     * @param {string} [options.fileName] Arquivo importado
+     * @param {Date} [options.now] Momento da importação
+     * @returns {Object} Registro salvo
+     */
+    static importPlan(plan, options = {}) {
+        const now = options.now || new Date();
+        const data = Syllabus.load();
+        const ids = new Set();
+        const visit = item => {
+            ids.add(item.id);
+            item.subtopics.forEach(visit);
+        };
+        plan.subjects.forEach(subject => subject.topics.forEach(visit));
+
+        const previous = data.plan;
+        data.plan = {
+            ...plan,
+            examDate: plan.examDate || (previous && previous.examDate) || null,
+            startDate: (previous && previous.startDate) || Syllabus.today(),
+            importedAt: now.toISOString(),
+            fileName: options.fileName || null
+        };
+        Object.keys(data.done).filter(id => !ids.has(id)).forEach(id => delete data.done[id]);
+
+        Syllabus.save(data);
+        console.log(`🗺️ [PLAN] Edital importado: ${plan.title} (${ids.size} itens)`);
+        return data;
+    }
+
+    /**
+     * Marca ou desmarca um item como estudado
+     *
+     * @param {string} id Id do item
+     * @param {boolean} done Estudado?
+     * @param {Date} [now] Momento da marcação
+     */
+    static setDone(id, done, now = new Date()) {
+        const data = Syllabus.load();
+        if (done) data.done[id] = { doneAt: now.toISOString() };
+        else delete data.done[id];
+        Syllabus.save(data);
+    }
+
+    /**
+     * Altera a data da prova
+     *
+     * @param {string|null} examDate Dia AAAA-MM-DD
+     */
+    static setExamDate(examDate) {
+        const data = Syllabus.load();
+        if (!data.plan) return;
+        data.plan.examDate = Syllabus.parseDay(examDate);
+        Syllabus.save(data);
+    }
+
+    /**
+     * Remove o edital e as marcações
+     */
+    static clear() {
+        Syllabus.save({ version: SYLLABUS_SCHEMA_VERSION, plan: null, done: {} });
+    }
+}
+
+Syllabus.STORAGE_KEY = SYLLABUS_STORAGE_KEY;
+Syllabus.VERSION = SYLLABUS_SCHEMA_VERSION;
+
+if (typeof window !== 'undefined') {
+    window.Syllabus = Syllabus;
+    window.SyllabusError = SyllabusError;
+}
+
+/**
+ * Exportação para módulos (se suportado)
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Syllabus, SyllabusError };
+}
@@ -0,0 +1,360 @@
+/**
+ * Portal de Notas HTML - Filtro por Tópicos
+ *
+ * Barra de etiquetas ao lado das abas dos cadernos: mostra os tópicos das
+ * questões (campo `topic`) do caderno ativo com a quantidade de questões,
+ * filtra os cards pelas etiquetas escolhidas (todas = E, qualquer uma = OU)
+ * e abre a página de um tópico com todas as questões dele e links para as
+ * notas.
+ *
+ * A seleção, o modo e a página aberta ficam na URL
+ * (`#/DP?tag=dolo&tag=culpa&mode=or`, `#/?topic=concausas`).
+ *
+ * @author Portal de Notas HTML
+ * @version 1.0.0
+ * @requires ES6+, PortalPanel, TopicIndex, PortalRouter
+ */
+
+'use strict';
+
+/**
+ * Quantidade de etiquetas exibidas antes de "Mostrar todos"
+ */
+const TAG_FILTER_VISIBLE = 24;
+
+/**
+ * Controlador do filtro e das páginas de tópico
+ */
+class TagFilter {
+    /**
+     * @param {NotesPortal} portal Instância do portal
+     */
+    constructor(portal) {
+        this.portal = portal;
+        this.index = null; // TopicIndex (carregado com o índice de busca)
+        this.selected = []; // Chaves das etiquetas selecionadas
+        this.matching = null; // Notas que passam pelo filtro (recalculado ao mudar a seleção)
+        this.mode = 'and';
+        this.topic = null; // Chave da página de tópico aberta
+        this.expanded = false;
+        this.pushedHistory = false; // A página de tópico criou a entrada atual do histórico
+
+        this.panel = new PortalPanel({
+            id: 'tag-page',
+            name: 'tag',
+            title: '🏷️ Tópico',
+            titleId: 'tag-page-title',
+            closeLabel: 'Fechar tópico',
+            actions: {
+                close: () => this.closeTopic(),
+                filter: () => {
+                    const key = this.topic;
+                    this.closeTopic({ updateRoute: false });
+                    this.selected = [key];
+                    this.apply();
+                }
+            }
+        });
+        this.elements = {
+            bar: document.getElementById('tag-bar'),
+            page: this.panel.element
+        };
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Configura os cliques na barra (os da página de tópico ficam com o PortalPanel)
+     */
+    setupEventListeners() {
+        if (this.elements.bar) {
+            this.elements.bar.addEventListener('click', (e) => {
+                const chip = e.target.closest('[data-tag]');
+                if (chip) this.toggle(chip.dataset.tag);
+
+                const mode = e.target.closest('[data-tag-mode]');
+                if (mode) this.setMode(mode.dataset.tagMode);
+
+                const page = e.target.closest('[data-tag-page]');
+                if (page) this.openTopic(page.dataset.tagPage);
+
+                const action = e.target.closest('[data-tag-action]');
+                if (action && action.dataset.tagAction === 'clear') this.clear();
+                if (action && action.dataset.tagAction === 'more') {
+                    this.expanded = !this.expanded;
+                    this.render();
+                }
+            });
+        }
+    }
+
+    /**
+     * Monta o índice de tópicos a partir do índice de busca
+     * Com etiquetas vindas da URL, a lista é redesenhada já filtrada
+     */
+    async load() {
+        if (typeof SearchIndex === 'undefined') return;
+
+        try {
+            const searchIndex = await this.portal.ensureSearchIndex();
+            this.index = new TopicIndex(searchIndex.notes);
+            this.matching = null;
+            console.log(`🏷️ [TAGS] ${this.index.tags.size} tópico(s) indexado(s)`);
+        } catch (error) {
+            console.warn('⚠️ [TAGS] Tópicos indisponíveis:', error.message);
+            return;
+        }
+
+        if (this.selected.length > 0) this.portal.refreshFileList();
+        else this.render();
+        if (this.topic) this.renderTopic();
+    }
+
+    /**
+     * @returns {boolean} true se há etiquetas selecionadas
+     */
+    isActive() {
+        return this.selected.length > 0;
+    }
+
+    /**
+     * Indica se uma nota passa pelo filtro
+     * Enquanto o índice carrega, nenhuma nota é escondida
+     *
+     * @param {string} fileName Nome da nota
+     * @returns {boolean} true se a nota deve aparecer
+     */
+    matches(fileName) {
+        if (!this.isActive() || !this.index) return true;
+        if (!this.matching) this.matching = this.index.filterNotes(this.selected, this.mode);
+        return this.matching.has(fileName);
+    }
+
+    /**
+     * Seleciona ou remove uma etiqueta
+     *
+     * @param {string} key Chave da etiqueta
+     */
+    toggle(key) {
+        this.selected = this.selected.includes(key)
+            ? this.selected.filter(item => item !== key)
+            : [...this.selected, key];
+        this.apply();
+    }
+
+    /**
+     * @param {string} mode 'and' ou 'or'
+     */
+    setMode(mode) {
+        if (!TopicIndex.MODES[mode] || mode === this.mode) return;
+        this.mode = mode;
+        this.apply();
+    }
+
+    /**
+     * Remove todas as etiquetas selecionadas
+     */
+    clear() {
+        this.selected = [];
+        this.apply();
+    }
+
+    /**
+     * Aplica a seleção à lista e à URL (filtrar não cria entradas no histórico)
+     */
+    apply() {
+        this.matching = null;
+        this.portal.refreshFileList();
+        this.portal.updateRoute({ replace: true });
+        console.log(`🏷️ [TAGS] Filtro: ${this.selected.join(` ${this.mode === 'or' ? 'OU' : 'E'} `) || 'nenhum'}`);
+    }
+
+    /**
+     * Aplica as etiquetas e a página de tópico da URL
+     * Chamado pelo portal antes de redesenhar a lista
+     *
+     * @param {Object} route Rota de PortalRouter ({ tags, mode, topic, ... })
+     */
+    applyRoute(route) {
+        this.selected = [...route.tags];
+        this.mode = route.mode;
+        this.matching = null;
+
+        if (route.topic && route.topic !== this.topic) {
+            this.topic = route.topic;
+            this.renderTopic();
+        } else if (!route.topic && this.topic) {
+            this.closeTopic({ updateRoute: false });
+        }
+    }
+
+    /**
+     * Estado do filtro como parte da rota
+     *
+     * @returns {Object} { tags, mode, topic }
+     */
+    getRoute() {
+        return { tags: [...this.selected], mode: this.mode, topic: this.topic };
+    }
+
+    /**
+     * Renderiza a barra de etiquetas do caderno ativo
+     */
+    render() {
+        const { bar } = this.elements;
+        if (!bar) return;
+
+        const names = new Set(this.portal.getActiveFiles().map(file => file.name));
+        const tags = this.index ? this.index.list(names) : [];
+        if (tags.length === 0 && !this.isActive()) {
+            bar.hidden = true;
+            bar.innerHTML = '';
+            return;
+        }
+
+        const escape = text => this.portal.escapeHtml(text);
+        const max = tags.length > 0 ? tags[0].count : 1;
+        const weight = count => 1 + Math.round((Math.log(count) / Math.log(max + 1)) * 3);
+        const selected = this.selected.map(key => {
+            const tag = this.index && this.index.get(key);
+            return tags.find(item => item.key === key) || { key, label: tag ? tag.label : key, count: 0 };
+        });
+        const others = tags.filter(tag => !this.selected.includes(tag.key));
+        const visible = this.expanded ? others : others.slice(0, Math.max(0, TAG_FILTER_VISIBLE - selected.length));
+        const chip = (tag, isSelected) => `
+            <button type="button" class="tag-chip${isSelected ? ' is-selected' : ''}" data-tag="${escape(tag.key)}"
+                    aria-pressed="${isSelected}" style="--tag-weight: ${weight(Math.max(tag.count, 1))}"
+                    title="${tag.count} questão(ões)${tag.noteCount ? ` em ${tag.noteCount} nota(s)` : ''}">
+                ${escape(tag.label)} <span class="tag-count">${tag.count}</span>
+            </button>
+        `;
+
+        const matching = this.isActive() && this.index
+            ? this.portal.getActiveFiles().filter(file => this.matches(file.name)).length
+            : null;
+
+        bar.hidden = false;
+        bar.innerHTML = `
+            <div class="tag-bar-head">
+                <span class="tag-bar-title">🏷️ Tópicos</span>
+                <div class="tag-modes" role="group" aria-label="Combinação dos tópicos">
+                    ${Object.entries(TopicIndex.MODES).map(([mode, label]) => `
+                        <button type="button" class="tag-mode" data-tag-mode="${mode}" aria-pressed="${this.mode === mode}">${label}</button>
+                    `).join('')}
+                </div>
+                ${this.isActive() ? '<button type="button" class="tag-mode" data-tag-action="clear">✕ Limpar</button>' : ''}
+            </div>
+            ${this.isActive() ? `
+                <p class="tag-bar-summary" role="status">
+                    ${matching === null ? 'Carregando tópicos...' : `${matching} nota(s) com ${this.mode === 'or' ? 'algum dos' : 'todos os'} tópicos selecionados`}
+                    · 📋 Questões de: ${selected.map(tag => `<button type="button" class="tag-link" data-tag-page="${escape(tag.key)}">${escape(tag.label)}</button>`).join(', ')}
+                </p>
+            ` : ''}
+            <div class="tag-cloud">
+                ${selected.map(tag => chip(tag, true)).join('')}
+                ${visible.map(tag => chip(tag, false)).join('')}
+            </div>
+            ${others.length + selected.length > TAG_FILTER_VISIBLE ? `
+                <button type="button" class="tag-link" data-tag-action="more">
+                    ${this.expanded ? 'Mostrar menos' : `Mostrar todos os ${tags.length} tópicos`}
+                </button>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Abre a página de um tópico
+     *
+     * @param {string} key Chave da etiqueta
+     */
+    openTopic(key) {
+        const wasOpen = Boolean(this.topic);
+        this.topic = key;
+        this.renderTopic();
+
+        // Abrir a partir da lista cria uma entrada no histórico; trocar de tópico, não
+        if (!wasOpen) this.pushedHistory = true;
+        this.portal.updateRoute({ replace: wasOpen });
+    }
+
+    /**
+     * Fecha a página de tópico
+     *
+     * @param {Object} [options]
+     * @param {boolean} [options.updateRoute=true] Atualiza a URL
+     */
+    closeTopic(options = {}) {
+        if (!this.topic || !this.elements.page) return;
+
+        if (options.updateRoute !== false && this.pushedHistory) {
+            history.back(); // A rota sem tópico fecha a página
+            return;
+        }
+
+        this.topic = null;
+        this.pushedHistory = false;
+        this.panel.hide();
+        if (options.updateRoute !== false) this.portal.updateRoute({ replace: true });
+    }
+
+    /**
+     * Renderiza a página do tópico aberto (todas as questões, por nota)
+     */
+    renderTopic() {
+        const { page } = this.elements;
+        if (!page || !this.topic) return;
+
+        const escape = text => this.portal.escapeHtml(text);
+        const tag = this.index ? this.index.get(this.topic) : null;
+        const header = (title, subtitle) => this.panel.renderHeader(subtitle, `🏷️ ${title}`);
+
+        this.panel.show();
+
+        if (!this.index) {
+            page.innerHTML = `${header(escape(this.topic), 'Carregando...')}`;
+            return;
+        }
+        if (!tag) {
+            page.innerHTML = `${header(escape(this.topic), '')}<p class="stats-muted">Nenhuma questão com este tópico.</p>`;
+            return;
+        }
+
+        const filesByName = new Map(this.portal.files.map(file => [file.name, file]));
+        const notes = this.index.questions(this.topic).filter(note => filesByName.has(note.name));
+
+        page.innerHTML = `
+            ${header(escape(tag.label), `${tag.count} questão(ões) em ${notes.length} nota(s)`)}
+            <button type="button" class="btn" data-tag-action="filter">🔎 Filtrar a lista por este tópico</button>
+            ${notes.map(note => {
+                const file = filesByName.get(note.name);
+                const category = this.portal.categories[this.portal.detectFileCategory(note.name)];
+                return `
+                    <section class="tag-page-note">
+                        <h3 class="exam-review-title">
+                            ${category ? `${escape(category.icon)} ` : ''}<a href="${file.url}" target="_blank" rel="noopener noreferrer" data-note-open="${escape(note.name)}">${escape(note.title)}</a>
+                        </h3>
+                        <ol class="tag-page-questions">
+                            ${note.questions.map(question => `
+                                <li value="${question.n}">
+                                    <a href="${file.url}#questao-${question.n}" target="_blank" rel="noopener noreferrer" data-note-open="${escape(note.name)}">Questão ${question.n}</a>
+                                    — ${escape(question.question)}
+                                </li>
+                            `).join('')}
+                        </ol>
+                    </section>
+                `;
+            }).join('')}
+        `;
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.TagFilter = TagFilter;
+}
+
+/**
+ * Exportação para módulos (se suportado)
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TagFilter };
+}
@@ -0,0 +1,156 @@
+/**
+ * Portal de Notas HTML - Índice de Tópicos
+ *
+ * Agrupa as questões de todas as notas pelo campo `topic` (ex: "Concausas",
+ * "Teoria da Vontade"), formando as etiquetas usadas no filtro da lista e
+ * na página de cada tópico.
+ *
+ * Os dados vêm das notas do índice de busca (notes/search-index.json ou o
+ * índice montado no navegador), que já traz o tópico de cada questão.
+ * Tópicos com grafias diferentes só por acentos ou maiúsculas viram uma
+ * única etiqueta; o nome exibido é a grafia mais usada.
+ *
+ * @author Portal de Notas HTML
+ * @version 1.0.0
+ * @requires ES6+, SearchIndex
+ */
+
+'use strict';
+
+/**
+ * Modos de combinação das etiquetas selecionadas
+ */
+const TOPIC_MATCH_MODES = {
+    and: 'Todos os tópicos (E)',
+    or: 'Qualquer tópico (OU)'
+};
+
+/**
+ * Índice das etiquetas de tópico
+ */
+class TopicIndex {
+    /**
+     * @param {Array} notes Notas do índice de busca ({ name, title, questions: [{ n, question, topic }] })
+     */
+    constructor(notes) {
+        this.notes = Array.isArray(notes) ? notes : [];
+        this.tags = this.buildTags();
+    }
+
+    /**
+     * Chave de uma etiqueta (sem acentos, minúscula, espaços simples)
+     *
+     * @param {string} topic Tópico como escrito na nota
+     * @returns {string} Chave
+     */
+    static keyOf(topic) {
+        return SearchIndex.normalize(topic).replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Monta as etiquetas a partir das questões
+     *
+     * @returns {Map<string, Object>} Chave → { key, label, count, notes: Map<nome, questões> }
+     */
+    buildTags() {
+        const tags = new Map();
+        const spellings = new Map(); // Chave → Map<grafia, ocorrências>
+
+        this.notes.forEach(note => (note.questions || []).forEach(question => {
+            const label = String(question.topic || '').replace(/\s+/g, ' ').trim();
+            const key = TopicIndex.keyOf(label);
+            if (!key) return;
+
+            if (!tags.has(key)) {
+                tags.set(key, { key, label, count: 0, notes: new Map() });
+                spellings.set(key, new Map());
+            }
+            const tag = tags.get(key);
+            tag.count++;
+            tag.notes.set(note.name, (tag.notes.get(note.name) || 0) + 1);
+
+            const seen = spellings.get(key);
+            seen.set(label, (seen.get(label) || 0) + 1);
+        }));
+
+        spellings.forEach((seen, key) => {
+            tags.get(key).label = [...seen.entries()].sort((a, b) => b[1] - a[1])[0][0];
+        });
+        return tags;
+    }
+
+    /**
+     * @param {string} key Chave da etiqueta
+     * @returns {Object|null} Etiqueta ou null
+     */
+    get(key) {
+        return this.tags.get(key) || null;
+    }
+
+    /**
+     * Etiquetas de um conjunto de notas, das mais usadas para as menos usadas
+     *
+     * @param {Set<string>} [names] Notas consideradas (padrão: todas)
+     * @returns {Array} Etiquetas { key, label, count, noteCount } (contagens restritas às notas)
+     */
+    list(names) {
+        return [...this.tags.values()]
+            .map(tag => {
+                const notes = [...tag.notes.entries()].filter(([name]) => !names || names.has(name));
+                return {
+                    key: tag.key,
+                    label: tag.label,
+                    count: notes.reduce((sum, [, count]) => sum + count, 0),
+                    noteCount: notes.length
+                };
+            })
+            .filter(tag => tag.count > 0)
+            .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+    }
+
+    /**
+     * Notas que têm as etiquetas selecionadas
+     *
+     * @param {string[]} keys Chaves selecionadas
+     * @param {string} [mode='and'] 'and' (todas as etiquetas) ou 'or' (qualquer uma)
+     * @returns {Set<string>} Nomes das notas
+     */
+    filterNotes(keys, mode = 'and') {
+        const sets = keys.map(key => new Set(this.tags.has(key) ? this.tags.get(key).notes.keys() : []));
+        if (sets.length === 0) return new Set();
+
+        if (mode === 'or') {
+            return new Set(sets.flatMap(set => [...set]));
+        }
+        return new Set([...sets[0]].filter(name => sets.every(set => set.has(name))));
+    }
+
+    /**
+     * Questões de uma etiqueta, na ordem das notas
+     *
+     * @param {string} key Chave da etiqueta
+     * @returns {Array} Notas { name, title, questions: [{ n, question, topic }] }
+     */
+    questions(key) {
+        return this.notes
+            .map(note => ({
+                name: note.name,
+                title: note.title,
+                questions: (note.questions || []).filter(question => TopicIndex.keyOf(question.topic) === key)
+            }))
+            .filter(note => note.questions.length > 0);
+    }
+}
+
+TopicIndex.MODES = TOPIC_MATCH_MODES;
+
+if (typeof window !== 'undefined') {
+    window.TopicIndex = TopicIndex;
+}
+
+/**
+ * Exportação para módulos (se suportado)
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TopicIndex };
+}
@@ -0,0 +1,155 @@
+/**
+ * Portal de Notas HTML - Gravador de Arquivos ZIP
+ *
+ * Monta, sem dependências, um arquivo .zip com os arquivos guardados sem
+ * compressão (método "stored"). Usado pela exportação para o Anki: o pacote
+ * .apkg é um ZIP com a coleção e a lista de mídias.
+ *
+ * Formato: APPNOTE.TXT (PKWARE), sem ZIP64 (até 4 GB e 65535 arquivos).
+ *
+ * @author Portal de Notas HTML
+ * @version 1.0.0
+ * @requires ES6+, TextEncoder
+ */
+
+'use strict';
+
+/**
+ * Tabela do CRC-32 (polinômio 0xEDB88320), montada no primeiro uso
+ */
+let ZIP_CRC_TABLE = null;
+
+/**
+ * Montador de um arquivo ZIP em memória
+ */
+class ZipWriter {
+    constructor() {
+        this.entries = [];
+    }
+
+    /**
+     * Acrescenta um arquivo
+     *
+     * @param {string} name Caminho dentro do ZIP
+     * @param {Uint8Array|string} data Conteúdo (texto é gravado em UTF-8)
+     * @param {Date} [date] Data de modificação
+     */
+    add(name, data, date = new Date()) {
+        const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+        this.entries.push({ name: new TextEncoder().encode(name), data: bytes, date });
+    }
+
+    /**
+     * Gera o arquivo
+     *
+     * @returns {Uint8Array} Conteúdo do .zip
+     */
+    toBytes() {
+        const locals = [];
+        const centrals = [];
+        let offset = 0;
+
+        this.entries.forEach(entry => {
+            const crc = ZipWriter.crc32(entry.data);
+            const [time, day] = ZipWriter.dosDateTime(entry.date);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);     // Versão necessária (2.0)
+            local.setUint16(6, 0x0800, true); // Nomes em UTF-8
+            local.setUint16(8, 0, true);      // Sem compressão
+            local.setUint16(10, time, true);
+            local.setUint16(12, day, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, entry.data.length, true);
+            local.setUint32(22, entry.data.length, true);
+            local.setUint16(26, entry.name.length, true);
+            local.setUint16(28, 0, true);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true);
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, time, true);
+            central.setUint16(14, day, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, entry.data.length, true);
+            central.setUint32(24, entry.data.length, true);
+            central.setUint16(28, entry.name.length, true);
+            central.setUint32(42, offset, true); // Demais campos (comentário, atributos) ficam zerados
+
+            locals.push(new Uint8Array(local.buffer), entry.name, entry.data);
+            centrals.push(new Uint8Array(central.buffer), entry.name);
+            offset += 30 + entry.name.length + entry.data.length;
+        });
+
+        const centralSize = centrals.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...locals, ...centrals, new Uint8Array(end.buffer)];
+        const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let position = 0;
+        parts.forEach(part => {
+            result.set(part, position);
+            position += part.length;
+        });
+        return result;
+    }
+
+    /**
+     * CRC-32 dos dados
+     *
+     * @param {Uint8Array} data Bytes
+     * @returns {number} CRC sem sinal
+     */
+    static crc32(data) {
+        if (!ZIP_CRC_TABLE) {
+            ZIP_CRC_TABLE = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                ZIP_CRC_TABLE[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xffffffff;
+        for (let i = 0; i < data.length; i++) {
+            crc = ZIP_CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    /**
+     * Data e hora no formato do MS-DOS (hora local, resolução de 2 segundos)
+     *
+     * @param {Date} date Data
+     * @returns {number[]} [hora, data]
+     */
+    static dosDateTime(date) {
+        const year = Math.max(1980, date.getFullYear());
+        return [
+            (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        ];
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.ZipWriter = ZipWriter;
+}
+
+/**
+ * Exportação para módulos (se suportado)
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ZipWriter };
+}
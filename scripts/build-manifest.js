@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+/**
+ * Portal de Notas HTML - Gerador de Manifesto
+ *
+ * Varre a pasta notes/ e gera o arquivo notes/manifest.json consumido pelo
+ * portal (NotesPortal.loadFromManifest). Substitui a lista de arquivos
+ * mantida manualmente no main.js.
+ *
+ * Para cada nota HTML registra:
+ * - Tamanho real em bytes
+ * - Data da última modificação (último commit no git, quando disponível;
+ *   caso contrário, mtime do sistema de arquivos)
+ * - Metadados extraídos do nome do arquivo (NoteFileName: data de estudo,
+ *   sigla, sequência, título, fixação, parte)
+ *
+ * Nomes fora do padrão geram avisos no terminal, mas não interrompem o build.
+ *
+ * Uso:
+ *   node scripts/build-manifest.js            # grava notes/manifest.json
+ *   node scripts/build-manifest.js --stdout   # apenas imprime o JSON
+ *
+ * @author Portal de Notas HTML
+ * @version 1.0.0
+ * @requires Node.js 14+
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { NoteFileName } = require('../assets/js/note-filename.js');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const NOTES_DIR = path.join(ROOT_DIR, 'notes');
+const MANIFEST_PATH = path.join(NOTES_DIR, 'manifest.json');
+const MANIFEST_VERSION = 1;
+
+/**
+ * Obtém a data do último commit que alterou o arquivo
+ *
+ * @param {string} filePath Caminho absoluto do arquivo
+ * @returns {string|null} Data ISO ou null se o git não estiver disponível
+ */
+function getGitLastModified(filePath) {
+    try {
+        const output = execFileSync(
+            'git',
+            ['log', '-1', '--format=%cI', '--', path.relative(ROOT_DIR, filePath)],
+            { cwd: ROOT_DIR, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }
+        ).trim();
+        return output ? new Date(output).toISOString() : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Extrai os metadados do nome do arquivo
+ * Padrão esperado: AAAA_MM_DD_SIGLA_NNN - Título.html
+ *
+ * @param {string} fileName Nome do arquivo
+ * @returns {Object} Metadados (campos ausentes ficam null), sem os diagnósticos
+ */
+function parseFileName(fileName) {
+    const { diagnostics, ...meta } = NoteFileName.parse(fileName);
+    return meta;
+}
+
+/**
+ * Monta a entrada do manifesto para uma nota
+ *
+ * @param {string} fileName Nome do arquivo dentro de notes/
+ * @returns {Object} Entrada do manifesto
+ */
+function buildEntry(fileName) {
+    const filePath = path.join(NOTES_DIR, fileName);
+    const stats = fs.statSync(filePath);
+    const gitDate = getGitLastModified(filePath);
+
+    return {
+        name: fileName,
+        path: `notes/${fileName}`,
+        size: stats.size,
+        lastModified: gitDate || stats.mtime.toISOString(),
+        lastModifiedSource: gitDate ? 'git' : 'fs',
+        meta: parseFileName(fileName)
+    };
+}
+
+/**
+ * Gera o manifesto completo da pasta notes/
+ *
+ * @returns {Object} Manifesto pronto para serialização
+ */
+function buildManifest() {
+    const files = fs.readdirSync(NOTES_DIR)
+        .filter(name => /\.html?$/i.test(name))
+        .sort((a, b) => a.localeCompare(b))
+        .map(buildEntry);
+
+    return {
+        version: MANIFEST_VERSION,
+        generatedAt: new Date().toISOString(),
+        count: files.length,
+        files
+    };
+}
+
+/**
+ * Lista os problemas encontrados nos nomes das notas
+ *
+ * @param {Array} files Entradas do manifesto
+ */
+function reportDiagnostics(files) {
+    files.forEach(({ name }) => {
+        NoteFileName.parse(name).diagnostics.forEach(({ level, message }) => {
+            console.warn(`${level === 'error' ? '❌' : '⚠️ '} ${name}: ${message}`);
+        });
+    });
+}
+
+function main() {
+    const manifest = buildManifest();
+    reportDiagnostics(manifest.files);
+    const json = JSON.stringify(manifest, null, 2) + '\n';
+
+    if (process.argv.includes('--stdout')) {
+        process.stdout.write(json);
+        return;
+    }
+
+    fs.writeFileSync(MANIFEST_PATH, json);
+    console.log(`✅ Manifesto gerado: ${path.relative(ROOT_DIR, MANIFEST_PATH)} (${manifest.count} notas)`);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { buildManifest, parseFileName };
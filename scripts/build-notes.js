@@ -0,0 +1,257 @@
+#!/usr/bin/env node
+/**
+ * Portal de Notas HTML - Gerador de Notas a partir das Fontes
+ *
+ * Converte as fontes em Markdown/JSON de notes-src/ nas páginas HTML de
+ * notes/ (formato em assets/js/note-source.js). O nome do arquivo gerado sai
+ * do front-matter (data, sigla, sequência e título), no padrão do portal, ou
+ * do campo `file` das notas antigas.
+ *
+ * Também faz o caminho inverso: lê notas HTML existentes e grava a fonte
+ * equivalente, conferindo que a página gerada a partir dela tem o mesmo
+ * banco de questões, nome e título (migração da biblioteca).
+ *
+ * Uso:
+ *   node scripts/build-notes.js                        # gera todas as fontes de notes-src/
+ *   node scripts/build-notes.js notes-src/X.md         # apenas as fontes indicadas
+ *   node scripts/build-notes.js --check                # falha se alguma nota estiver desatualizada
+ *   node scripts/build-notes.js --force                # sobrescreve notas escritas à mão
+ *   node scripts/build-notes.js --from-html notes/X.html [--json]   # nota → fonte
+ *   node scripts/build-notes.js --from-html --all      # todas as notas → fontes
+ *
+ * @author Portal de Notas HTML
+ * @version 1.0.0
+ * @requires Node.js 14+
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { NoteSource, NoteMarkdown } = require('../assets/js/note-source.js');
+const { QuestionBank } = require('../assets/js/question-bank.js');
+const { NoteFileName } = require('../assets/js/note-filename.js');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const NOTES_DIR = path.join(ROOT_DIR, 'notes');
+const SOURCES_DIR = path.join(ROOT_DIR, 'notes-src');
+
+/**
+ * Caminho relativo à raiz, com barras normais (usado nas mensagens e no HTML)
+ *
+ * @param {string} filePath Caminho absoluto
+ * @returns {string} Caminho relativo
+ */
+function relative(filePath) {
+    return path.relative(ROOT_DIR, filePath).split(path.sep).join('/');
+}
+
+/**
+ * Fontes de uma pasta
+ *
+ * @param {string} dir Pasta das fontes
+ * @returns {string[]} Caminhos absolutos (.md e .json), em ordem alfabética
+ */
+function listSources(dir = SOURCES_DIR) {
+    if (!fs.existsSync(dir)) return [];
+
+    return fs.readdirSync(dir)
+        .filter(name => /\.(md|json)$/i.test(name) && !/^readme\.md$/i.test(name))
+        .sort((a, b) => a.localeCompare(b))
+        .map(name => path.join(dir, name));
+}
+
+/**
+ * Notas de notes/ com a mesma sigla e sequência de outro nome
+ *
+ * @param {Object} source Fonte normalizada
+ * @param {string} fileName Nome que será gerado
+ * @param {string} notesDir Pasta das notas
+ * @returns {string[]} Nomes das notas em conflito
+ */
+function findSameSequence(source, fileName, notesDir) {
+    if (!fs.existsSync(notesDir)) return [];
+
+    return fs.readdirSync(notesDir).filter(name => {
+        if (name === fileName || !/\.html?$/i.test(name)) return false;
+        const meta = NoteFileName.parse(name);
+        return meta.subject === source.subject && meta.sequence === source.sequence;
+    });
+}
+
+/**
+ * Gera (ou confere) a nota de uma fonte
+ *
+ * @param {string} sourcePath Caminho da fonte
+ * @param {Object} [options]
+ * @param {boolean} [options.check=false] Apenas confere, sem gravar
+ * @param {boolean} [options.force=false] Sobrescreve nota que não foi gerada
+ * @param {string} [options.notesDir] Pasta de saída
+ * @returns {Object} { sourcePath, outputPath, status, warnings }
+ *   status: created | updated | unchanged | stale | skipped
+ */
+function buildNote(sourcePath, options = {}) {
+    const notesDir = options.notesDir || NOTES_DIR;
+    const source = NoteSource.parse(fs.readFileSync(sourcePath, 'utf8'), sourcePath);
+    const fileName = NoteSource.fileName(source);
+    const outputPath = path.join(notesDir, fileName);
+    const html = NoteSource.render(source, { sourcePath: relative(sourcePath) });
+    const warnings = findSameSequence(source, fileName, notesDir)
+        .map(name => `${source.subject} ${String(source.sequence).padStart(3, '0')} também existe como "${name}" (apague ou renomeie a nota antiga)`);
+
+    const missing = field => source.questions.map((item, index) => (item[field] ? null : index + 1)).filter(Boolean);
+    if (missing('explanation').length > 0) warnings.push(`Questão(ões) sem explicação: ${missing('explanation').join(', ')}`);
+    if (missing('topic').length > 0) warnings.push(`Questão(ões) sem tópico: ${missing('topic').join(', ')}`);
+
+    const exists = fs.existsSync(outputPath);
+    const current = exists ? fs.readFileSync(outputPath, 'utf8') : null;
+    const result = { sourcePath, outputPath, warnings };
+
+    if (current === html) return { ...result, status: 'unchanged' };
+    if (options.check) return { ...result, status: 'stale' };
+
+    if (exists && !NoteSource.isGenerated(current) && !options.force) {
+        warnings.push('A nota existente foi escrita à mão; use --force para substituí-la');
+        return { ...result, status: 'skipped' };
+    }
+
+    fs.writeFileSync(outputPath, html);
+    return { ...result, status: exists ? 'updated' : 'created' };
+}
+
+/**
+ * Compara o banco de duas versões de uma nota
+ *
+ * @param {Array} original Questões da nota original (QuestionBank)
+ * @param {Array} generated Questões da nota gerada a partir da fonte
+ * @returns {string[]} Diferenças encontradas
+ */
+function compareBanks(original, generated) {
+    const differences = [];
+    const same = (a, b) => NoteMarkdown.normalizeHtml(a) === NoteMarkdown.normalizeHtml(b);
+
+    if (original.length !== generated.length) {
+        differences.push(`${original.length} questão(ões) na nota, ${generated.length} na fonte`);
+    }
+
+    original.slice(0, generated.length).forEach((item, index) => {
+        const other = generated[index];
+        const fields = [];
+        if (!same(item.question, other.question)) fields.push('enunciado');
+        if (item.options.length !== other.options.length || item.options.some((option, i) => !same(option, other.options[i]))) fields.push('alternativas');
+        if (item.answer !== other.answer) fields.push('gabarito');
+        if (!same(item.explanation, other.explanation)) fields.push('explicação');
+        if (QuestionBank.stripHtml(item.topic || '') !== QuestionBank.stripHtml(other.topic || '')) fields.push('tópico');
+        if (fields.length > 0) differences.push(`Questão ${index + 1}: ${fields.join(', ')} diferente(s)`);
+    });
+
+    return differences;
+}
+
+/**
+ * Converte uma nota HTML existente em fonte
+ *
+ * @param {string} notePath Caminho da nota
+ * @param {Object} [options]
+ * @param {string} [options.format='md'] 'md' ou 'json'
+ * @param {boolean} [options.force=false] Sobrescreve fonte existente
+ * @param {string} [options.sourcesDir] Pasta de saída
+ * @returns {Object} { notePath, sourcePath, status, warnings } (status: created | exists)
+ */
+function convertNote(notePath, options = {}) {
+    const format = options.format === 'json' ? 'json' : 'md';
+    const sourcesDir = options.sourcesDir || SOURCES_DIR;
+    const html = fs.readFileSync(notePath, 'utf8');
+    const fileName = path.basename(notePath);
+    const { source, warnings, questions } = NoteSource.fromNote(html, fileName);
+    const sourcePath = path.join(sourcesDir, fileName.replace(/\.html?$/i, `.${format}`));
+
+    if (fs.existsSync(sourcePath) && !options.force) {
+        return { notePath, sourcePath, status: 'exists', warnings: ['Fonte já existe; use --force para substituí-la'] };
+    }
+
+    const content = format === 'json' ? NoteSource.toJson(source) : NoteSource.toMarkdown(source);
+
+    // Ida e volta: a página gerada a partir da fonte deve ter o mesmo banco, nome e título
+    try {
+        const parsed = NoteSource.parse(content, sourcePath);
+        const rendered = QuestionBank.parse(NoteSource.render(parsed));
+        warnings.push(...compareBanks(questions, rendered.questions));
+        if (NoteSource.fileName(parsed) !== fileName) warnings.push(`A fonte gera "${NoteSource.fileName(parsed)}"`);
+        if (rendered.title !== QuestionBank.parse(html).title) warnings.push(`Título da página diferente: "${rendered.title}"`);
+    } catch (error) {
+        warnings.push(`A fonte ainda não gera a nota: ${error.message}`);
+    }
+
+    fs.mkdirSync(sourcesDir, { recursive: true });
+    fs.writeFileSync(sourcePath, content);
+    return { notePath, sourcePath, status: 'created', warnings };
+}
+
+/**
+ * Imprime o resultado de uma operação
+ *
+ * @param {string} icon Ícone do estado
+ * @param {string} message Linha principal
+ * @param {string[]} warnings Avisos
+ */
+function printResult(icon, message, warnings) {
+    console.log(`${icon} ${message}`);
+    warnings.forEach(warning => console.log(`   ⚠️  ${warning}`));
+}
+
+function main() {
+    const args = process.argv.slice(2);
+    const files = args.filter(arg => !arg.startsWith('--'));
+    const force = args.includes('--force');
+
+    if (args.includes('--from-html')) {
+        const notes = args.includes('--all')
+            ? fs.readdirSync(NOTES_DIR).filter(name => /\.html?$/i.test(name)).sort().map(name => path.join(NOTES_DIR, name))
+            : files.map(file => path.resolve(file));
+        if (notes.length === 0) {
+            console.error('❌ Informe as notas (ou --all) para converter em fonte');
+            process.exitCode = 2;
+            return;
+        }
+
+        notes.forEach(notePath => {
+            const result = convertNote(notePath, { format: args.includes('--json') ? 'json' : 'md', force });
+            const icon = result.status === 'created' ? (result.warnings.length ? '⚠️ ' : '✅') : '⏭️ ';
+            printResult(icon, `${relative(notePath)} → ${relative(result.sourcePath)}`, result.warnings);
+        });
+        return;
+    }
+
+    const sources = files.length > 0 ? files.map(file => path.resolve(file)) : listSources();
+    if (sources.length === 0) {
+        console.log(`ℹ️  Nenhuma fonte em ${relative(SOURCES_DIR)}/`);
+        return;
+    }
+
+    const check = args.includes('--check');
+    const icons = { created: '🆕', updated: '✅', unchanged: '✔️ ', stale: '❌', skipped: '⏭️ ' };
+    let failed = 0;
+
+    sources.forEach(sourcePath => {
+        try {
+            const result = buildNote(sourcePath, { check, force });
+            if (result.status === 'stale' || result.status === 'skipped') failed++;
+            printResult(icons[result.status], `${relative(sourcePath)} → ${relative(result.outputPath)} (${result.status})`, result.warnings);
+        } catch (error) {
+            failed++;
+            console.log(`❌ ${relative(sourcePath)}: ${error.message}`);
+        }
+    });
+
+    if (check && failed > 0) {
+        console.log(`\n❌ ${failed} nota(s) desatualizada(s) ou inválida(s): rode node scripts/build-notes.js`);
+    }
+    process.exitCode = failed > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { buildNote, convertNote, compareBanks, listSources };
@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+/**
+ * Portal de Notas HTML - Gerador do Índice de Busca
+ *
+ * Lê o banco de questões de cada nota (sem executar a página) e grava
+ * notes/search-index.json, usado pela busca textual do portal (SearchIndex).
+ *
+ * Uso:
+ *   node scripts/build-search-index.js            # grava notes/search-index.json
+ *   node scripts/build-search-index.js --stdout   # apenas imprime o JSON
+ *
+ * @author Portal de Notas HTML
+ * @version 1.0.0
+ * @requires Node.js 14+
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { SearchIndex } = require('../assets/js/search-index.js');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const NOTES_DIR = path.join(ROOT_DIR, 'notes');
+const INDEX_PATH = path.join(NOTES_DIR, 'search-index.json');
+
+/**
+ * Gera o índice de busca de todas as notas
+ *
+ * @returns {Object} Índice pronto para serialização
+ */
+function buildSearchIndex() {
+    const notes = fs.readdirSync(NOTES_DIR)
+        .filter(name => /\.html?$/i.test(name))
+        .sort((a, b) => a.localeCompare(b))
+        .map(name => SearchIndex.buildEntry(name, fs.readFileSync(path.join(NOTES_DIR, name), 'utf8')));
+
+    return {
+        version: SearchIndex.VERSION,
+        generatedAt: new Date().toISOString(),
+        notes
+    };
+}
+
+function main() {
+    const index = buildSearchIndex();
+    const json = JSON.stringify(index) + '\n';
+
+    if (process.argv.includes('--stdout')) {
+        process.stdout.write(json);
+        return;
+    }
+
+    fs.writeFileSync(INDEX_PATH, json);
+
+    const questionCount = index.notes.reduce((total, note) => total + note.questions.length, 0);
+    console.log(`✅ Índice de busca gerado: ${path.relative(ROOT_DIR, INDEX_PATH)} (${index.notes.length} notas, ${questionCount} questões)`);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { buildSearchIndex };
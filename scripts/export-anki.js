@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+/**
+ * Portal de Notas HTML - Exportação para o Anki
+ *
+ * Lê o banco de questões das notas (sem executar a página, via QuestionBank)
+ * e gera um pacote do Anki (.apkg) ou um arquivo de texto (.tsv/.csv) com um
+ * baralho por caderno (formato dos cartões em assets/js/anki-export.js).
+ *
+ * Uso:
+ *   node scripts/export-anki.js DP                          # caderno inteiro → anki-direito-penal.apkg
+ *   node scripts/export-anki.js DP DC --format tsv          # vários cadernos, em texto
+ *   node scripts/export-anki.js notes/X.html notes/Y.html   # apenas as notas indicadas
+ *   node scripts/export-anki.js --all --out todas.apkg      # todos os cadernos
+ *
+ * Formatos: apkg (padrão), tsv e csv.
+ *
+ * @author Portal de Notas HTML
+ * @version 1.0.0
+ * @requires Node.js 14+
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { AnkiExport } = require('../assets/js/anki-export.js');
+const { QuestionBank } = require('../assets/js/question-bank.js');
+const { NoteFileName } = require('../assets/js/note-filename.js');
+const { CategoryConfig } = require('../assets/js/category-config.js');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const NOTES_DIR = path.join(ROOT_DIR, 'notes');
+const CONFIG_PATH = path.join(ROOT_DIR, 'assets', 'config', 'cadernos.json');
+
+/**
+ * Lê os argumentos da linha de comando
+ *
+ * @param {string[]} argv Argumentos
+ * @returns {Object} { targets, all, format, out }
+ */
+function parseArgs(argv) {
+    const options = { targets: [], all: false, format: 'apkg', out: null };
+    for (let i = 0; i < argv.length; i++) {
+        const next = argv[i + 1];
+        if (argv[i] === '--all') options.all = true;
+        else if (argv[i] === '--format') { options.format = String(next).toLowerCase(); i++; }
+        else if (argv[i] === '--out') { options.out = next; i++; }
+        else options.targets.push(argv[i]);
+    }
+    return options;
+}
+
+/**
+ * Configuração dos cadernos (apenas o arquivo; ajustes locais ficam no navegador)
+ *
+ * @returns {CategoryConfig} Configuração carregada
+ */
+function loadCategoryConfig() {
+    const config = new CategoryConfig();
+    config.base = CategoryConfig.parse(JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8')));
+    config.rebuild();
+    return config;
+}
+
+/**
+ * Escolhe as notas a exportar, em ordem de caderno e sequência
+ *
+ * @param {Object} options Opções da linha de comando
+ * @param {CategoryConfig} config Configuração dos cadernos
+ * @returns {Object} { files: [{ filePath, code }], label }
+ * @throws {Error} Se algum caderno ou nota não existir
+ */
+function selectNotes(options, config) {
+    const codeOf = name => config.detect(name, NoteFileName.parse(name).subject);
+    const sequenceOf = name => {
+        const { sequence } = NoteFileName.parse(name);
+        return sequence !== null ? sequence : 9999;
+    };
+    const allNotes = fs.readdirSync(NOTES_DIR)
+        .filter(name => /\.html?$/i.test(name))
+        .sort((a, b) => sequenceOf(a) - sequenceOf(b) || a.localeCompare(b))
+        .map(name => ({ filePath: path.join(NOTES_DIR, name), code: codeOf(name) }));
+
+    const codes = new Set([...config.getCadernos().map(entry => entry.code), config.getFallback().code]);
+    const cadernos = options.targets.filter(target => codes.has(target.toUpperCase())).map(target => target.toUpperCase());
+    const paths = options.targets.filter(target => !codes.has(target.toUpperCase()));
+
+    const missing = paths.filter(target => !fs.existsSync(target));
+    if (missing.length > 0) {
+        throw new Error(`Caderno ou nota não encontrado: ${missing.join(', ')}`);
+    }
+
+    const selected = options.all
+        ? allNotes
+        : [
+            ...allNotes.filter(note => cadernos.includes(note.code)),
+            ...paths.map(target => {
+                const name = path.basename(target);
+                return { filePath: path.resolve(target), code: codeOf(name) };
+            })
+        ];
+
+    const files = [...new Map(selected.map(note => [note.filePath, note])).values()];
+    const label = options.all ? 'todos'
+        : cadernos.length === 1 && paths.length === 0 ? nameOf(config, cadernos[0])
+            : 'selecao';
+    return { files, label };
+}
+
+/**
+ * @param {CategoryConfig} config Configuração dos cadernos
+ * @param {string} code Sigla
+ * @returns {string} Nome do caderno (nome do baralho)
+ */
+function nameOf(config, code) {
+    const entry = config.getCadernos().find(caderno => caderno.code === code);
+    return entry ? entry.name : config.getFallback().name;
+}
+
+/**
+ * Exporta as notas escolhidas
+ *
+ * @param {Object} options Opções da linha de comando
+ * @returns {Object} { outputPath, cards, decks, skipped }
+ */
+function exportAnki(options) {
+    if (!AnkiExport.FORMATS[options.format]) {
+        throw new Error(`Formato desconhecido: ${options.format} (use ${Object.keys(AnkiExport.FORMATS).join(', ')})`);
+    }
+
+    const config = loadCategoryConfig();
+    const { files, label } = selectNotes(options, config);
+    const skipped = [];
+
+    const notes = files.map(({ filePath, code }) => {
+        try {
+            const bank = QuestionBank.parse(fs.readFileSync(filePath, 'utf8'));
+            return { name: path.basename(filePath), deck: nameOf(config, code), questions: bank.questions };
+        } catch (error) {
+            skipped.push(`${path.basename(filePath)}: ${error.message}`);
+            return null;
+        }
+    }).filter(Boolean);
+
+    const cards = AnkiExport.toCards(notes);
+    const outputPath = path.resolve(options.out || AnkiExport.fileName(label, options.format));
+    const content = options.format === 'apkg'
+        ? AnkiExport.toApkg(cards)
+        : AnkiExport.toText(cards, options.format);
+
+    fs.writeFileSync(outputPath, content);
+    return { outputPath, cards: cards.length, decks: new Set(cards.map(card => card.deck)).size, skipped };
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (!options.all && options.targets.length === 0) {
+        console.error('❌ Informe os cadernos (ex: DP), as notas ou --all para exportar');
+        process.exitCode = 2;
+        return;
+    }
+
+    try {
+        const result = exportAnki(options);
+        result.skipped.forEach(message => console.log(`⚠️  Nota ignorada: ${message}`));
+        console.log(`✅ ${result.cards} cartões em ${result.decks} baralho(s): ${path.relative(process.cwd(), result.outputPath)}`);
+        process.exitCode = result.cards > 0 ? 0 : 1;
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 2;
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { exportAnki, selectNotes };
@@ -0,0 +1,331 @@
+#!/usr/bin/env node
+/**
+ * Portal de Notas HTML - Mock local da GitHub API
+ *
+ * Servidor HTTP sem dependências que imita os endpoints da GitHub REST API
+ * usados pelo portal (GitHubClient), respondendo a partir do git local:
+ * - GET /repos/:dono/:repo/contents/:pasta?ref=     (git ls-tree)
+ * - GET /repos/:dono/:repo/commits?path=&sha=&per_page=&page=   (git log)
+ * - GET /repos/:dono/:repo/commits/:sha             (arquivos do commit)
+ * - GET /raw/:ref/:caminho                          (conteúdo, download_url)
+ *
+ * Também reproduz o comportamento que interessa testar no navegador:
+ * - Paginação com cabeçalho `Link` (rel="next"/"last")
+ * - ETag + If-None-Match → 304 (não desconta do limite, como no GitHub)
+ * - Limite de requisições por hora (X-RateLimit-*; 403 quando esgota)
+ * - Token opcional (Authorization: Bearer ...; 401 se não conferir com --token)
+ * - CORS liberado para o portal rodando em outra porta
+ *
+ * Uso:
+ *   node scripts/mock-github-api.js                   # porta 8787, 60 req/h
+ *   node scripts/mock-github-api.js --port 9000 --limit 5
+ *   node scripts/mock-github-api.js --token segredo   # só aceita esse token
+ *
+ * No portal: http://localhost:8000/?githubApi=http://localhost:8787
+ *
+ * @author Portal de Notas HTML
+ * @version 1.0.0
+ * @requires Node.js 14+, git
+ */
+
+'use strict';
+
+const http = require('http');
+const path = require('path');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const DEFAULTS = {
+    port: 8787,
+    limit: 60,
+    tokenLimit: 5000,
+    token: null,
+    perPage: 30
+};
+
+/**
+ * Executa um comando git no repositório
+ *
+ * @param {string} repoDir Pasta do repositório
+ * @param {string[]} args Argumentos do git
+ * @returns {string} Saída padrão
+ */
+function git(repoDir, args) {
+    return execFileSync('git', args, {
+        cwd: repoDir,
+        encoding: 'utf8',
+        maxBuffer: 64 * 1024 * 1024,
+        stdio: ['ignore', 'pipe', 'ignore']
+    });
+}
+
+/**
+ * Resolve uma referência (branch, tag, sha) para o hash do commit
+ *
+ * @param {string} repoDir Pasta do repositório
+ * @param {string} ref Referência pedida
+ * @returns {string|null} Hash ou null se não existir
+ */
+function resolveRef(repoDir, ref) {
+    const candidates = ref ? [ref, 'HEAD'] : ['HEAD'];
+    // Branches "main"/"master" inexistentes localmente caem no HEAD
+    const allowHeadFallback = !ref || ref === 'main' || ref === 'master';
+
+    for (const candidate of allowHeadFallback ? candidates : [ref]) {
+        try {
+            return git(repoDir, ['rev-parse', '--verify', '--quiet', `${candidate}^{commit}`]).trim();
+        } catch (error) {
+            // tenta o próximo
+        }
+    }
+    return null;
+}
+
+/**
+ * Lê os argumentos da linha de comando
+ *
+ * @param {string[]} argv Argumentos
+ * @returns {Object} Opções
+ */
+function parseArgs(argv) {
+    const options = { ...DEFAULTS };
+    for (let i = 0; i < argv.length; i++) {
+        const next = argv[i + 1];
+        if (argv[i] === '--port') { options.port = parseInt(next, 10); i++; }
+        if (argv[i] === '--limit') { options.limit = parseInt(next, 10); i++; }
+        if (argv[i] === '--token') { options.token = next; i++; }
+    }
+    return options;
+}
+
+/**
+ * Cria o servidor do mock
+ *
+ * @param {Object} [options] { repoDir, limit, tokenLimit, token, perPage, windowMs }
+ * @returns {http.Server} Servidor (ainda não escutando)
+ */
+function createServer(options = {}) {
+    const settings = { ...DEFAULTS, repoDir: ROOT_DIR, windowMs: 60 * 60 * 1000, ...options };
+    settings.baseUrl = settings.baseUrl || `http://localhost:${settings.port}`;
+    const quotas = new Map(); // identidade → { remaining, resetAt }
+
+    /**
+     * Cota da identidade (anônimo ou token), renovada a cada janela
+     */
+    function getQuota(identity, limit) {
+        const now = Date.now();
+        let quota = quotas.get(identity);
+        if (!quota || quota.resetAt <= now) {
+            quota = { limit, remaining: limit, resetAt: now + settings.windowMs };
+            quotas.set(identity, quota);
+        }
+        return quota;
+    }
+
+    function send(req, res, status, body, extraHeaders = {}) {
+        const json = body === null ? '' : JSON.stringify(body, null, 2);
+        res.writeHead(status, {
+            'Content-Type': 'application/json; charset=utf-8',
+            ...extraHeaders
+        });
+        res.end(json);
+        console.log(`${status} ${req.method} ${req.url}`);
+    }
+
+    const routes = [
+        {
+            pattern: /^\/repos\/[^/]+\/[^/]+\/contents\/(.+)$/,
+            handle(match, query) {
+                const sha = resolveRef(settings.repoDir, query.get('ref'));
+                if (!sha) return { status: 404, body: { message: 'No commit found for the ref' } };
+
+                const directory = decodeURIComponent(match[1]).replace(/\/+$/, '');
+                const entries = git(settings.repoDir, ['ls-tree', '-l', '-z', sha, `${directory}/`]).split('\0').filter(Boolean);
+                if (entries.length === 0) return { status: 404, body: { message: 'Not Found' } };
+
+                return {
+                    status: 200,
+                    body: entries.map(line => {
+                        const [info, filePath] = line.split('\t');
+                        const [, type, objectSha, size] = info.split(/\s+/);
+                        return {
+                            name: path.posix.basename(filePath),
+                            path: filePath,
+                            sha: objectSha,
+                            size: type === 'blob' ? parseInt(size, 10) : 0,
+                            type: type === 'blob' ? 'file' : 'dir',
+                            download_url: type === 'blob'
+                                ? `${settings.baseUrl}/raw/${sha}/${filePath.split('/').map(encodeURIComponent).join('/')}`
+                                : null
+                        };
+                    })
+                };
+            }
+        },
+        {
+            pattern: /^\/repos\/[^/]+\/[^/]+\/commits$/,
+            handle(match, query, pathname) {
+                const sha = resolveRef(settings.repoDir, query.get('sha'));
+                if (!sha) return { status: 404, body: { message: 'No commit found for SHA' } };
+
+                const args = ['log', '--format=%H%x09%cI%x09%an%x09%s', sha];
+                if (query.get('path')) args.push('--', query.get('path'));
+
+                const commits = git(settings.repoDir, args).trim().split('\n').filter(Boolean);
+                const perPage = Math.min(parseInt(query.get('per_page'), 10) || settings.perPage, 100);
+                const page = Math.max(parseInt(query.get('page'), 10) || 1, 1);
+                const lastPage = Math.max(Math.ceil(commits.length / perPage), 1);
+
+                const pageUrl = number => {
+                    const params = new URLSearchParams(query);
+                    params.set('page', number);
+                    return `<${settings.baseUrl}${pathname}?${params}>`;
+                };
+                const links = [];
+                if (page < lastPage) links.push(`${pageUrl(page + 1)}; rel="next"`, `${pageUrl(lastPage)}; rel="last"`);
+                if (page > 1) links.push(`${pageUrl(page - 1)}; rel="prev"`, `${pageUrl(1)}; rel="first"`);
+
+                return {
+                    status: 200,
+                    headers: links.length > 0 ? { Link: links.join(', ') } : {},
+                    body: commits.slice((page - 1) * perPage, page * perPage).map(line => {
+                        const [hash, date, author, message] = line.split('\t');
+                        return {
+                            sha: hash,
+                            commit: {
+                                message,
+                                author: { name: author, date },
+                                committer: { name: author, date }
+                            }
+                        };
+                    })
+                };
+            }
+        },
+        {
+            pattern: /^\/repos\/[^/]+\/[^/]+\/commits\/([0-9a-f]{4,40})$/,
+            handle(match) {
+                const sha = resolveRef(settings.repoDir, match[1]);
+                if (!sha) return { status: 422, body: { message: `No commit found for SHA: ${match[1]}` } };
+
+                const [hash, date, author, message] = git(settings.repoDir, ['log', '-1', '--format=%H%x09%cI%x09%an%x09%s', sha]).trim().split('\t');
+                const files = git(settings.repoDir, ['diff-tree', '--no-commit-id', '--name-only', '-r', '-z', '--root', sha])
+                    .split('\0').filter(Boolean);
+
+                return {
+                    status: 200,
+                    body: {
+                        sha: hash,
+                        commit: {
+                            message,
+                            author: { name: author, date },
+                            committer: { name: author, date }
+                        },
+                        files: files.map(filename => ({ filename }))
+                    }
+                };
+            }
+        }
+    ];
+
+    return http.createServer((req, res) => {
+        const cors = {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Headers': 'Authorization, If-None-Match, Accept, Cache-Control',
+            'Access-Control-Expose-Headers': 'ETag, Link, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset, Retry-After'
+        };
+        Object.entries(cors).forEach(([name, value]) => res.setHeader(name, value));
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        const url = new URL(req.url, settings.baseUrl);
+
+        // Conteúdo bruto: fora da API, não conta no limite
+        const raw = url.pathname.match(/^\/raw\/([0-9a-f]{40})\/(.+)$/);
+        if (raw) {
+            try {
+                const content = execFileSync('git', ['show', `${raw[1]}:${decodeURIComponent(raw[2])}`], { cwd: settings.repoDir });
+                res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+                res.end(content);
+            } catch (error) {
+                res.writeHead(404);
+                res.end();
+            }
+            return;
+        }
+
+        // Autenticação e limite de requisições
+        const auth = (req.headers.authorization || '').match(/^(?:Bearer|token)\s+(.+)$/i);
+        const token = auth ? auth[1] : null;
+        if (token && settings.token && token !== settings.token) {
+            send(req, res, 401, { message: 'Bad credentials' });
+            return;
+        }
+
+        const quota = getQuota(token ? `token:${token}` : 'anonymous', token ? settings.tokenLimit : settings.limit);
+        const rateHeaders = () => ({
+            'X-RateLimit-Limit': String(quota.limit),
+            'X-RateLimit-Remaining': String(quota.remaining),
+            'X-RateLimit-Reset': String(Math.ceil(quota.resetAt / 1000))
+        });
+
+        const route = routes.find(candidate => candidate.pattern.test(url.pathname));
+        if (!route) {
+            send(req, res, 404, { message: 'Not Found' }, rateHeaders());
+            return;
+        }
+
+        let result;
+        try {
+            result = route.handle(url.pathname.match(route.pattern), url.searchParams, url.pathname);
+        } catch (error) {
+            send(req, res, 500, { message: error.message }, rateHeaders());
+            return;
+        }
+
+        const json = JSON.stringify(result.body);
+        const etag = `"${crypto.createHash('sha1').update(json).digest('hex')}"`;
+
+        // Requisição condicional válida: 304 sem descontar da cota
+        if (result.status === 200 && req.headers['if-none-match'] === etag) {
+            send(req, res, 304, null, { ETag: etag, ...rateHeaders() });
+            return;
+        }
+
+        if (quota.remaining <= 0) {
+            send(req, res, 403, {
+                message: 'API rate limit exceeded (mock local). Authenticated requests get a higher rate limit.'
+            }, rateHeaders());
+            return;
+        }
+
+        quota.remaining--;
+        send(req, res, result.status, result.body, {
+            ...(result.status === 200 ? { ETag: etag } : {}),
+            ...(result.headers || {}),
+            ...rateHeaders()
+        });
+    });
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const baseUrl = `http://localhost:${options.port}`;
+    const server = createServer({ ...options, baseUrl });
+
+    server.listen(options.port, () => {
+        console.log(`🧪 Mock da GitHub API em ${baseUrl} (${options.limit} req/h sem token${options.token ? ', token exigido' : ''})`);
+        console.log(`   Portal: http://localhost:8000/?githubApi=${baseUrl}`);
+    });
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { createServer };
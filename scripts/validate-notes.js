@@ -0,0 +1,368 @@
+#!/usr/bin/env node
+/**
+ * Portal de Notas HTML - Validador das Notas
+ *
+ * Lê o banco de questões de cada nota (sem executar a página, via
+ * QuestionBank) e aponta erros que hoje passam despercebidos:
+ *
+ * Erros (código de saída 1):
+ * - Banco de questões ilegível
+ * - Questão sem enunciado, com menos de 2 alternativas ou sem gabarito
+ * - Gabarito (`answer`) fora das alternativas
+ * - Alternativas repetidas na mesma questão
+ * - Texto que denuncia erro na própria questão ("Há um erro na questão")
+ * - Sequência repetida no mesmo caderno
+ * - Nome de arquivo fora do padrão (NoteFileName)
+ * - Scripts da nota inacessíveis (arquivo local ausente ou URL externa fora do ar)
+ *
+ * Avisos:
+ * - Questões sem `topic` ou sem explicação
+ * - Notas do mesmo caderno com o mesmo título
+ * - Nome de arquivo com desvios leves do padrão
+ * - Nota sem banco de questões
+ *
+ * Uso:
+ *   node scripts/validate-notes.js                 # todas as notas de notes/
+ *   node scripts/validate-notes.js notes/X.html    # apenas as notas indicadas
+ *   node scripts/validate-notes.js --offline       # não testa URLs externas
+ *   node scripts/validate-notes.js --strict        # avisos também falham
+ *   node scripts/validate-notes.js --json          # relatório em JSON
+ *
+ * @author Portal de Notas HTML
+ * @version 1.0.0
+ * @requires Node.js 14+
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const { QuestionBank } = require('../assets/js/question-bank.js');
+const { NoteFileName } = require('../assets/js/note-filename.js');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const NOTES_DIR = path.join(ROOT_DIR, 'notes');
+const REQUEST_TIMEOUT = 10000;
+const MAX_REDIRECTS = 5;
+
+/**
+ * Trechos que indicam uma questão com problema reconhecido pelo próprio autor
+ */
+const ERROR_MARKERS = [
+    /h[áa]\s+um\s+erro\s+n[ao]\s+(quest[ãa]o|gabarito|enunciado)/i,
+    /quest[ãa]o\s+(anulada|com\s+erro)/i
+];
+
+/**
+ * Cria um problema encontrado
+ *
+ * @param {string} level "error" ou "warning"
+ * @param {string} code Identificador do tipo de problema
+ * @param {string} message Descrição
+ * @param {number} [question] Número da questão (base 1)
+ * @returns {Object} Problema
+ */
+function issue(level, code, message, question) {
+    return question === undefined ? { level, code, message } : { level, code, message, question };
+}
+
+/**
+ * Texto comparável de uma alternativa
+ *
+ * @param {string} option Alternativa (pode conter HTML)
+ * @returns {string} Texto sem marcação, minúsculo e sem espaços extras
+ */
+function normalizeOption(option) {
+    return QuestionBank.stripHtml(option).toLowerCase();
+}
+
+/**
+ * Valida as questões de um banco
+ *
+ * @param {Array} questions Questões normalizadas (QuestionBank.parse)
+ * @returns {Array} Problemas encontrados
+ */
+function validateQuestions(questions) {
+    const issues = [];
+    const withoutTopic = [];
+    const withoutExplanation = [];
+
+    questions.forEach((question, index) => {
+        const n = index + 1;
+
+        if (!QuestionBank.stripHtml(question.question)) {
+            issues.push(issue('error', 'empty-question', 'Enunciado vazio', n));
+        }
+
+        if (question.options.length < 2) {
+            issues.push(issue('error', 'missing-options', `Apenas ${question.options.length} alternativa(s)`, n));
+        }
+
+        if (question.answer === null) {
+            issues.push(issue('error', 'missing-answer', 'Gabarito (answer) ausente ou não numérico', n));
+        } else if (!Number.isInteger(question.answer) || question.answer < 0 || question.answer >= question.options.length) {
+            issues.push(issue('error', 'answer-out-of-range', `Gabarito ${question.answer} fora das alternativas (0 a ${question.options.length - 1})`, n));
+        }
+
+        const seen = new Map();
+        question.options.forEach((option, optionIndex) => {
+            const text = normalizeOption(option);
+            if (seen.has(text)) {
+                issues.push(issue('error', 'duplicate-option', `Alternativas ${seen.get(text) + 1} e ${optionIndex + 1} são iguais ("${QuestionBank.stripHtml(option).slice(0, 60)}")`, n));
+            } else {
+                seen.set(text, optionIndex);
+            }
+        });
+
+        const fullText = [question.question, ...question.options, question.explanation].map(QuestionBank.stripHtml).join(' ');
+        if (ERROR_MARKERS.some(pattern => pattern.test(fullText))) {
+            issues.push(issue('error', 'error-marker', 'O texto indica erro na própria questão ("Há um erro na questão")', n));
+        }
+
+        if (!question.topic || !String(question.topic).trim()) withoutTopic.push(n);
+        if (!QuestionBank.stripHtml(question.explanation)) withoutExplanation.push(n);
+    });
+
+    // Uma nota inteira sem o campo gera um único aviso
+    const reportMissing = (numbers, code, field) => {
+        if (numbers.length === 0) return;
+        if (numbers.length === questions.length) {
+            issues.push(issue('warning', code, `Nenhuma questão tem ${field}`));
+        } else {
+            numbers.forEach(n => issues.push(issue('warning', code, `Questão sem ${field}`, n)));
+        }
+    };
+    reportMissing(withoutTopic, 'missing-topic', '"topic"');
+    reportMissing(withoutExplanation, 'missing-explanation', 'explicação');
+
+    return issues;
+}
+
+/**
+ * Scripts referenciados pela nota
+ *
+ * @param {string} html Código-fonte da nota
+ * @returns {string[]} Valores do atributo src, sem repetição
+ */
+function extractScripts(html) {
+    const sources = new Set();
+    for (const match of html.matchAll(/<script\b[^>]*\bsrc=["']([^"']+)["']/gi)) {
+        sources.add(match[1].trim());
+    }
+    return [...sources];
+}
+
+/**
+ * Valida uma nota isoladamente
+ *
+ * @param {string} fileName Nome do arquivo
+ * @param {string} html Código-fonte da nota
+ * @returns {Object} { name, meta, format, questionCount, scripts, issues }
+ */
+function validateNote(fileName, html) {
+    const { diagnostics, ...meta } = NoteFileName.parse(fileName);
+    const issues = diagnostics.map(({ level, message }) => issue(level, 'filename', message));
+    let format = null;
+    let questionCount = 0;
+
+    try {
+        const bank = QuestionBank.parse(html);
+        format = bank.format;
+        questionCount = bank.questions.length;
+
+        if (!bank.format) {
+            issues.push(issue('warning', 'no-bank', 'Nenhum banco de questões (questions/quizData) encontrado'));
+        } else if (bank.questions.length === 0) {
+            issues.push(issue('warning', 'no-bank', `Banco "${bank.format}" vazio`));
+        } else {
+            issues.push(...validateQuestions(bank.questions));
+        }
+    } catch (error) {
+        issues.push(issue('error', 'bank-parse', `Banco de questões ilegível: ${error.message}`));
+    }
+
+    return { name: fileName, meta, format, questionCount, scripts: extractScripts(html), issues };
+}
+
+/**
+ * Problemas entre notas: sequências e títulos repetidos no mesmo caderno
+ *
+ * @param {Array} results Resultados de validateNote()
+ */
+function validateCollection(results) {
+    const bySequence = new Map();
+    const byTitle = new Map();
+
+    results.forEach(result => {
+        const { subject, sequence, title, part } = result.meta;
+        if (!subject) return;
+
+        if (sequence !== null) {
+            const key = `${subject} ${String(sequence).padStart(3, '0')}`;
+            if (!bySequence.has(key)) bySequence.set(key, []);
+            bySequence.get(key).push(result);
+        }
+
+        const titleKey = `${subject}|${title.toLowerCase()}|${part || ''}`;
+        if (!byTitle.has(titleKey)) byTitle.set(titleKey, []);
+        byTitle.get(titleKey).push(result);
+    });
+
+    bySequence.forEach((group, key) => {
+        if (group.length < 2) return;
+        group.forEach(result => {
+            const others = group.filter(other => other !== result).map(other => other.name);
+            result.issues.push(issue('error', 'duplicate-sequence', `Sequência ${key} repetida em: ${others.join(', ')}`));
+        });
+    });
+
+    byTitle.forEach(group => {
+        if (group.length < 2) return;
+        group.forEach(result => {
+            const others = group.filter(other => other !== result).map(other => other.name);
+            result.issues.push(issue('warning', 'duplicate-title', `Mesmo título de: ${others.join(', ')}`));
+        });
+    });
+}
+
+/**
+ * Testa se uma URL responde (HEAD, ou GET se o servidor recusar HEAD)
+ *
+ * @param {string} url Endereço absoluto
+ * @param {string} [method='HEAD'] Método HTTP
+ * @param {number} [redirects=0] Redirecionamentos já seguidos
+ * @returns {Promise<Object>} { ok, status, error }
+ */
+function checkUrl(url, method = 'HEAD', redirects = 0) {
+    return new Promise(resolve => {
+        const client = url.startsWith('https:') ? https : http;
+        const request = client.request(url, { method, timeout: REQUEST_TIMEOUT }, response => {
+            response.resume();
+            const { statusCode, headers } = response;
+
+            if (statusCode >= 300 && statusCode < 400 && headers.location && redirects < MAX_REDIRECTS) {
+                resolve(checkUrl(new URL(headers.location, url).href, method, redirects + 1));
+            } else if ((statusCode === 405 || statusCode === 501) && method === 'HEAD') {
+                resolve(checkUrl(url, 'GET', redirects));
+            } else {
+                resolve({ ok: statusCode < 400, status: statusCode, error: null });
+            }
+        });
+
+        request.on('timeout', () => request.destroy(new Error('tempo esgotado')));
+        request.on('error', error => resolve({ ok: false, status: null, error: error.message }));
+        request.end();
+    });
+}
+
+/**
+ * Confere os scripts das notas: arquivos locais no disco e URLs externas na rede
+ *
+ * @param {Array} results Resultados de validateNote() (com `dir`, a pasta da nota)
+ * @param {Object} options { offline: não testa URLs externas }
+ */
+async function validateScripts(results, options) {
+    const external = new Map(); // URL → notas que a usam
+
+    results.forEach(result => {
+        result.scripts.forEach(source => {
+            if (/^(https?:)?\/\//i.test(source)) {
+                const url = source.startsWith('//') ? `https:${source}` : source;
+                if (!external.has(url)) external.set(url, []);
+                external.get(url).push(result);
+            } else if (!/^(data|blob):/i.test(source)) {
+                const localPath = path.resolve(result.dir || NOTES_DIR, decodeURIComponent(source.split(/[?#]/)[0]));
+                if (!fs.existsSync(localPath)) {
+                    result.issues.push(issue('error', 'script-unreachable', `Script local não encontrado: ${source}`));
+                }
+            }
+        });
+    });
+
+    if (options.offline || external.size === 0) return;
+
+    const checks = await Promise.all([...external.keys()].map(async url => [url, await checkUrl(url)]));
+    checks.forEach(([url, check]) => {
+        if (check.ok) return;
+        const reason = check.status ? `HTTP ${check.status}` : check.error;
+        external.get(url).forEach(result => {
+            result.issues.push(issue('error', 'script-unreachable', `Script externo inacessível (${reason}): ${url}`));
+        });
+    });
+}
+
+/**
+ * Valida as notas indicadas (ou todas as de notes/)
+ *
+ * @param {Object} [options]
+ * @param {string[]} [options.files] Caminhos das notas
+ * @param {boolean} [options.offline=false] Não testa URLs externas
+ * @returns {Promise<Object>} { results, errors, warnings }
+ */
+async function validateNotes(options = {}) {
+    const files = options.files && options.files.length > 0
+        ? options.files.map(file => path.resolve(file))
+        : fs.readdirSync(NOTES_DIR)
+            .filter(name => /\.html?$/i.test(name))
+            .sort((a, b) => a.localeCompare(b))
+            .map(name => path.join(NOTES_DIR, name));
+
+    const results = files.map(filePath => ({
+        ...validateNote(path.basename(filePath), fs.readFileSync(filePath, 'utf8')),
+        dir: path.dirname(filePath)
+    }));
+    validateCollection(results);
+    await validateScripts(results, { offline: Boolean(options.offline) });
+
+    const count = level => results.reduce((total, result) => total + result.issues.filter(found => found.level === level).length, 0);
+    return { results, errors: count('error'), warnings: count('warning') };
+}
+
+/**
+ * Imprime o relatório no terminal
+ *
+ * @param {Object} report Resultado de validateNotes()
+ */
+function printReport(report) {
+    report.results.forEach(result => {
+        if (result.issues.length === 0) return;
+
+        console.log(`\n📄 ${result.name}`);
+        result.issues.forEach(found => {
+            const where = found.question ? `questão ${found.question}: ` : '';
+            console.log(`  ${found.level === 'error' ? '❌' : '⚠️ '} ${where}${found.message} [${found.code}]`);
+        });
+    });
+
+    const clean = report.results.filter(result => result.issues.length === 0).length;
+    console.log(`\n${report.errors > 0 ? '❌' : '✅'} ${report.results.length} nota(s) verificada(s): ` +
+        `${report.errors} erro(s), ${report.warnings} aviso(s), ${clean} sem problemas`);
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const report = await validateNotes({
+        files: args.filter(arg => !arg.startsWith('--')),
+        offline: args.includes('--offline')
+    });
+
+    if (args.includes('--json')) {
+        process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+    } else {
+        printReport(report);
+    }
+
+    const failed = report.errors > 0 || (args.includes('--strict') && report.warnings > 0);
+    process.exitCode = failed ? 1 : 0;
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('❌ Falha na validação:', error);
+        process.exitCode = 2;
+    });
+}
+
+module.exports = { validateNotes, validateNote, validateQuestions, validateCollection, checkUrl };
@@ -0,0 +1,267 @@
+/**
+ * Portal de Notas HTML - Service Worker
+ *
+ * Mantém o portal utilizável sem conexão (estudo no ônibus, rede instável):
+ * - Pré-carrega o "shell" do portal (HTML, CSS, scripts, cadernos, manifesto
+ *   e índice de busca) na instalação
+ * - Serve as notas marcadas para uso offline a partir do cache de notas,
+ *   preenchido pela página (OfflineManager) com a Cache API
+ * - Guarda as dependências externas das notas (Chart.js, Tailwind, fontes)
+ *   no cache de CDN
+ *
+ * Estratégias:
+ * - Navegação, JSON e notas: rede primeiro (com tempo limite), cache como reserva
+ * - Arquivos do shell: cache primeiro, atualizando em segundo plano
+ * - CDNs conhecidas: cache primeiro, guardando o que passar pela rede
+ *
+ * Os nomes dos caches são compartilhados com assets/js/offline-manager.js.
+ * Ao mudar a lista do shell, incremente CACHE_VERSION.
+ *
+ * @author Portal de Notas HTML
+ * @version 1.0.0
+ */
+
+'use strict';
+
+const CACHE_VERSION = 'v16';
+const SHELL_CACHE = `notes-portal-shell-${CACHE_VERSION}`;
+const NOTES_CACHE = 'notes-portal-notes';
+const CDN_CACHE = 'notes-portal-cdn';
+const NETWORK_TIMEOUT = 4000;
+
+/**
+ * Arquivos do portal (relativos ao service worker)
+ */
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'assets/icons/icon.svg',
+    'assets/css/style.css',
+    'assets/css/quiz-engine.css',
+    'assets/css/booklet.css',
+    'assets/config/cadernos.json',
+    'assets/js/note-filename.js',
+    'assets/js/category-config.js',
+    'assets/js/portal-panel.js',
+    'assets/js/category-editor.js',
+    'assets/js/data-backup.js',
+    'assets/js/backup-panel.js',
+    'assets/js/github-client.js',
+    'assets/js/offline-manager.js',
+    'assets/js/portal-router.js',
+    'assets/js/note-history.js',
+    'assets/js/note-favorites.js',
+    'assets/js/note-sorter.js',
+    'assets/js/note-viewer.js',
+    'assets/js/caderno-integrity.js',
+    'assets/js/question-bank.js',
+    'assets/js/note-metadata.js',
+    'assets/js/search-index.js',
+    'assets/js/topic-index.js',
+    'assets/js/tag-filter.js',
+    'assets/js/progress-store.js',
+    'assets/js/note-link.js',
+    'assets/js/quiz-engine.js',
+    'assets/js/question-library.js',
+    'assets/js/review-scheduler.js',
+    'assets/js/review-mode.js',
+    'assets/js/error-notebook.js',
+    'assets/js/exam-mode.js',
+    'assets/js/caderno-booklet.js',
+    'assets/js/study-stats.js',
+    'assets/js/stats-dashboard.js',
+    'assets/js/syllabus.js',
+    'assets/js/study-plan.js',
+    'assets/js/sqlite-writer.js',
+    'assets/js/zip-writer.js',
+    'assets/js/anki-export.js',
+    'assets/js/anki-panel.js',
+    'assets/js/main.js',
+    'notes/manifest.json',
+    'notes/search-index.json'
+];
+
+/**
+ * Dependências externas do portal, guardadas no cache de CDN
+ */
+const SHELL_CDN_FILES = [
+    'https://cdn.jsdelivr.net/npm/chart.js',
+    'https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&display=swap'
+];
+
+/**
+ * Hosts de CDN cujas respostas podem ser guardadas
+ */
+const CDN_HOSTS = [
+    'cdn.jsdelivr.net',
+    'cdn.tailwindcss.com',
+    'cdnjs.cloudflare.com',
+    'fonts.googleapis.com',
+    'fonts.gstatic.com'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const shell = await caches.open(SHELL_CACHE);
+        await shell.addAll(SHELL_FILES.map(file => new Request(file, { cache: 'reload' })));
+
+        // CDNs sem CORS viram respostas opacas; falhas aqui não impedem a instalação
+        const cdn = await caches.open(CDN_CACHE);
+        await Promise.allSettled(SHELL_CDN_FILES.map(async (url) => {
+            if (!(await cdn.match(url))) {
+                await cdn.put(url, await fetch(url, { mode: 'no-cors' }));
+            }
+        }));
+
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('notes-portal-shell-') && name !== SHELL_CACHE)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (url.origin !== self.location.origin) {
+        if (CDN_HOSTS.includes(url.hostname)) {
+            event.respondWith(cacheFirst(request, CDN_CACHE));
+        }
+        return; // GitHub API e demais origens seguem direto para a rede
+    }
+
+    const scope = new URL(self.registration.scope);
+    const relativePath = url.pathname.startsWith(scope.pathname)
+        ? decodeURIComponent(url.pathname.slice(scope.pathname.length))
+        : null;
+
+    if (relativePath === null) return;
+
+    if (request.mode === 'navigate' && !relativePath.startsWith('notes/')) {
+        event.respondWith(networkFirst(request, SHELL_CACHE, 'index.html'));
+    } else if (relativePath.startsWith('notes/') && /\.html?$/i.test(relativePath)) {
+        event.respondWith(networkFirst(request, NOTES_CACHE, null, { onlyRefreshCached: true }));
+    } else if (relativePath.endsWith('.json')) {
+        event.respondWith(networkFirst(request, SHELL_CACHE));
+    } else {
+        event.respondWith(staleWhileRevalidate(request, SHELL_CACHE));
+    }
+});
+
+/**
+ * Rede com tempo limite
+ *
+ * @param {Request} request Requisição
+ * @returns {Promise<Response>} Resposta da rede
+ */
+function fetchWithTimeout(request) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('Tempo de rede esgotado')), NETWORK_TIMEOUT);
+        fetch(request).then(
+            response => { clearTimeout(timer); resolve(response); },
+            error => { clearTimeout(timer); reject(error); }
+        );
+    });
+}
+
+/**
+ * Procura a requisição em todos os caches do portal, ignorando a query string
+ *
+ * @param {Request} request Requisição
+ * @returns {Promise<Response|undefined>} Resposta guardada
+ */
+function matchCached(request) {
+    return caches.match(request, { ignoreSearch: true });
+}
+
+/**
+ * Rede primeiro; sem rede (ou lenta demais), usa o cache
+ *
+ * @param {Request} request Requisição
+ * @param {string} cacheName Cache a atualizar
+ * @param {string|null} [fallbackPath] Página do shell usada se nada for encontrado
+ * @param {Object} [options] { onlyRefreshCached: atualiza só o que já está no cache }
+ * @returns {Promise<Response>} Resposta
+ */
+async function networkFirst(request, cacheName, fallbackPath = null, options = {}) {
+    const cache = await caches.open(cacheName);
+
+    try {
+        const response = await fetchWithTimeout(request);
+        if (response.ok) {
+            const shouldStore = !options.onlyRefreshCached || await cache.match(request, { ignoreSearch: true });
+            if (shouldStore) {
+                await cache.put(request.url.split('?')[0], response.clone());
+            }
+        }
+        return response;
+    } catch (error) {
+        const cached = await matchCached(request);
+        if (cached) return cached;
+
+        if (fallbackPath) {
+            const fallback = await caches.match(new URL(fallbackPath, self.registration.scope).href);
+            if (fallback) return fallback;
+        }
+
+        return new Response('<!DOCTYPE html><meta charset="utf-8"><title>Offline</title>' +
+            '<p style="font-family: sans-serif; padding: 2rem">📵 Sem conexão e esta página não foi salva para uso offline.</p>', {
+            status: 503,
+            headers: { 'Content-Type': 'text/html; charset=utf-8' }
+        });
+    }
+}
+
+/**
+ * Cache primeiro; busca na rede e guarda quando ainda não existe
+ *
+ * @param {Request} request Requisição
+ * @param {string} cacheName Cache de destino
+ * @returns {Promise<Response>} Resposta
+ */
+async function cacheFirst(request, cacheName) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        const cache = await caches.open(cacheName);
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+/**
+ * Responde do cache e atualiza em segundo plano
+ *
+ * @param {Request} request Requisição
+ * @param {string} cacheName Cache de destino
+ * @returns {Promise<Response>} Resposta
+ */
+async function staleWhileRevalidate(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await matchCached(request);
+
+    const update = fetch(request)
+        .then(async (response) => {
+            if (response.ok) await cache.put(request.url.split('?')[0], response.clone());
+            return response;
+        })
+        .catch(() => null);
+
+    if (cached) return cached;
+
+    const response = await update;
+    return response || new Response('', { status: 503, statusText: 'Offline' });
+}